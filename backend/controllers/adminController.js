@@ -4,9 +4,27 @@ const Booking = require('../models/Booking');
 const Payment = require('../models/Payment');
 const Rating = require('../models/Rating');
 const Message = require('../models/Message');
-const { NotFoundError, BadRequestError, ForbiddenError } = require('../utils/errors');
+const { NotFoundError, BadRequestError, ForbiddenError, PaymentGatewayError } = require('../utils/errors');
+const { validateFeeSetting } = require('../utils/platformFee');
+const {
+  getGateway,
+  validateGatewaySetting,
+  refundPayment,
+  captureAuthorization,
+  releaseAuthorization,
+  syncBookingPayment
+} = require('../utils/paymentGateway');
+const { getPlatformRevenue, reconcileLedger } = require('../utils/ledger');
+const {
+  validateCurrencySetting,
+  getExchangeRates,
+  summarizeByCurrency,
+  toReportingCurrencyExpression
+} = require('../utils/currency');
+const { validateTaxSetting } = require('../utils/tax');
+const { withPaymentLock } = require('../utils/bookingLock');
+const { validatePromotionSetting, releaseDiscounts, rewardReferral } = require('../utils/promotions');
 const mongoose = require('mongoose');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || '');
 
 /**
  * Get dashboard statistics
@@ -37,19 +55,8 @@ exports.getDashboardStats = async (req, res, next) => {
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]);
 
-    // Get payment stats
-    const paymentStats = await Payment.aggregate([
-      {
-        $match: { 'transaction.status': 'completed' }
-      },
-      {
-        $group: {
-          _id: null,
-          totalRevenue: { $sum: '$amount.platformFee' },
-          totalTransactions: { $sum: 1 }
-        }
-      }
-    ]);
+    // Get payment stats from the ledger: platform fees less refunded fees
+    const paymentStats = await getPlatformRevenue();
 
     // Get recent activity
     const recentBookings = await Booking.find()
@@ -96,8 +103,9 @@ exports.getDashboardStats = async (req, res, next) => {
           byStatus: bookingStats
         },
         payments: {
-          totalRevenue: paymentStats.length > 0 ? paymentStats[0].totalRevenue : 0,
-          totalTransactions: paymentStats.length > 0 ? paymentStats[0].totalTransactions : 0
+          totalRevenue: paymentStats.revenue,
+          reportingCurrency: paymentStats.reportingCurrency,
+          totalTransactions: paymentStats.charges
         },
         recentActivity: {
           bookings: recentBookings
@@ -417,7 +425,7 @@ exports.getBookingDetails = async (req, res, next) => {
  */
 exports.updateBookingStatus = async (req, res, next) => {
   try {
-    const { status, reason } = req.body;
+    const { status } = req.body;
     
     // Validate status
     const validStatuses = ['pending', 'confirmed', 'active', 'completed', 'cancelled', 'disputed'];
@@ -432,36 +440,46 @@ exports.updateBookingStatus = async (req, res, next) => {
       throw new NotFoundError('Booking not found');
     }
     
+    // Completing the booking captures its authorized payment; a failed capture leaves the status unchanged
+    if (status === 'completed') {
+      const payment = await Payment.findOne({ booking: booking._id });
+      if (payment && payment.transaction.status === 'authorized' && !payment.isAuthorizationExpired()) {
+        await captureAuthorization(payment, booking.pricing.totalAmount);
+        await syncBookingPayment(booking, payment);
+      }
+    }
+    
     // Update status
     booking.status = status;
     
     await booking.save();
+
+    if (status === 'completed') {
+      await rewardReferral(booking);
+    }
     
-    // If cancelled, handle refund if payment exists
+    // If cancelled, give back its discounts and handle refund if payment exists
     if (status === 'cancelled') {
+      await releaseDiscounts(booking);
       try {
         const payment = await Payment.findOne({ booking: booking._id });
-        if (payment && payment.transaction && payment.transaction.status === 'succeeded' && !payment.transaction.refunded) {
-          // Process refund through Stripe only if Stripe is configured
-          if (process.env.STRIPE_SECRET_KEY) {
-            try {
-              const refund = await stripe.refunds.create({
-                payment_intent: payment.transaction.paymentIntentId,
-                reason: 'requested_by_customer'
-              });
-              
-              // Update payment record
-              payment.transaction.refunded = true;
-              payment.transaction.refundId = refund.id;
-              payment.transaction.refundAmount = payment.amount.total;
-              payment.transaction.refundReason = reason || 'Admin cancelled booking';
-              payment.transaction.refundDate = new Date();
-              
-              await payment.save();
-            } catch (stripeError) {
-              console.error('Stripe refund error:', stripeError);
-              // Continue with booking cancellation even if refund fails
-            }
+        if (payment && payment.transaction.status === 'authorized') {
+          try {
+            // Admin cancellations release the whole authorization
+            await releaseAuthorization(payment);
+            await syncBookingPayment(booking, payment);
+          } catch (gatewayError) {
+            console.error('Release error:', gatewayError);
+            // Continue with booking cancellation even if the release fails
+          }
+        } else if (payment && payment.canBeRefunded()) {
+          try {
+            // Admin cancellations are refunded in full through the payment's gateway
+            await refundPayment(payment, payment.calculateRefund(100));
+            await syncBookingPayment(booking, payment);
+          } catch (gatewayError) {
+            console.error('Refund error:', gatewayError);
+            // Continue with booking cancellation even if refund fails
           }
         }
       } catch (paymentError) {
@@ -532,22 +550,32 @@ exports.getAllPayments = async (req, res, next) => {
     const totalPayments = await Payment.countDocuments(query);
     const totalPages = Math.ceil(totalPayments / limit);
     
-    // Calculate summary statistics
+    // Calculate summary statistics per currency, totalled in the reporting currency
     const totalAmount = await Payment.aggregate([
       { $match: query },
       { $group: {
-        _id: null,
+        _id: '$currency',
         total: { $sum: '$amount.total' },
         platformFees: { $sum: '$amount.platformFee' },
-        ownerEarnings: { $sum: '$amount.ownerEarning' },
-        refunded: { $sum: { $cond: [{ $eq: ['$transaction.refunded', true] }, '$transaction.refundAmount', 0] } }
+        ownerEarnings: { $sum: '$amount.ownerEarnings' },
+        refunded: { $sum: { $ifNull: ['$transaction.refundAmount', 0] } }
       }}
     ]);
+    const summary = summarizeByCurrency(
+      totalAmount.map(({ _id, ...totals }) => ({ currency: _id, ...totals })),
+      ['total', 'platformFees', 'ownerEarnings', 'refunded'],
+      await getExchangeRates()
+    );
     
     res.status(200).json({
       success: true,
       data: payments,
-      summary: totalAmount.length > 0 ? totalAmount[0] : { total: 0, platformFees: 0, ownerEarnings: 0, refunded: 0 },
+      summary: {
+        ...summary.totals,
+        reportingCurrency: summary.reportingCurrency,
+        byCurrency: summary.byCurrency,
+        unconvertedCurrencies: summary.unconverted
+      },
       pagination: {
         page,
         limit,
@@ -586,31 +614,27 @@ exports.getPaymentDetails = async (req, res, next) => {
       throw new NotFoundError('Payment not found');
     }
     
-    // If payment has a Stripe payment intent ID, get additional details from Stripe
-    let stripePaymentDetails = null;
-    if (payment.transaction.paymentIntentId) {
-      try {
-        const paymentIntent = await stripe.paymentIntents.retrieve(payment.transaction.paymentIntentId);
-        stripePaymentDetails = {
-          id: paymentIntent.id,
-          amount: paymentIntent.amount,
-          status: paymentIntent.status,
-          paymentMethod: paymentIntent.payment_method,
-          created: paymentIntent.created,
-          currency: paymentIntent.currency,
-          receiptUrl: paymentIntent.charges.data[0]?.receipt_url || null
-        };
-      } catch (stripeError) {
-        console.error('Stripe payment intent retrieval error:', stripeError);
-        // Continue without Stripe details
-      }
+    // Get the charge's current state from the gateway that processed it
+    let gatewayDetails = null;
+    try {
+      const charge = await getGateway(payment.transaction.gateway).getStatus(payment.transaction.id);
+      gatewayDetails = {
+        gateway: payment.transaction.gateway,
+        id: charge.id,
+        status: charge.status,
+        paymentMethod: charge.paymentMethod,
+        failureReason: charge.failureReason
+      };
+    } catch (gatewayError) {
+      console.error('Payment gateway retrieval error:', gatewayError);
+      // Continue without gateway details
     }
     
     res.status(200).json({
       success: true,
       data: {
         payment,
-        stripePaymentDetails
+        gatewayDetails
       }
     });
   } catch (error) {
@@ -619,69 +643,85 @@ exports.getPaymentDetails = async (req, res, next) => {
 };
 
 /**
- * Process refund
+ * Reconcile the ledger against payments and payouts
+ * @route GET /api/admin/payments/reconciliation
+ * @access Private (admin)
+ */
+exports.getLedgerReconciliation = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if ([startDate, endDate].some(date => date && isNaN(new Date(date).getTime()))) {
+      throw new BadRequestError('Start and end dates must be valid dates');
+    }
+
+    const report = await reconcileLedger({ startDate, endDate });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Process refund, to the card or, with refundTo 'wallet', as wallet credit
  * @route POST /api/admin/payments/:id/refund
  * @access Private (admin)
  */
 exports.processRefund = async (req, res, next) => {
   try {
-    const { amount, reason } = req.body;
+    const { amount, reason, refundTo } = req.body;
     
     // Find payment
-    const payment = await Payment.findById(req.params.id);
+    const found = await Payment.findById(req.params.id);
     
-    if (!payment) {
+    if (!found) {
       throw new NotFoundError('Payment not found');
     }
     
-    // Check if payment can be refunded
-    if (payment.transaction.refunded) {
-      throw new BadRequestError('Payment has already been refunded');
-    }
-    
-    if (payment.transaction.status !== 'succeeded') {
-      throw new BadRequestError('Only successful payments can be refunded');
-    }
-    
-    // Validate refund amount
-    const maxRefundAmount = payment.amount.total;
-    const refundAmount = amount || maxRefundAmount;
-    
-    if (refundAmount <= 0 || refundAmount > maxRefundAmount) {
-      throw new BadRequestError(`Refund amount must be between 0 and ${maxRefundAmount}`);
-    }
-    
-    // Process refund through Stripe
-    const refund = await stripe.refunds.create({
-      payment_intent: payment.transaction.paymentIntentId,
-      amount: Math.round(refundAmount * 100), // Convert to cents for Stripe
-      reason: 'requested_by_customer'
-    });
-    
-    // Update payment record
-    payment.transaction.refunded = true;
-    payment.transaction.refundId = refund.id;
-    payment.transaction.refundAmount = refundAmount;
-    payment.transaction.refundReason = reason || 'Admin processed refund';
-    payment.transaction.refundDate = new Date();
-    
-    await payment.save();
-    
-    // Update booking status if it's a full refund
-    if (refundAmount === maxRefundAmount) {
-      const booking = await Booking.findById(payment.booking);
-      if (booking && booking.status !== 'cancelled') {
-        booking.status = 'cancelled';
-        booking.statusHistory.push({
-          status: 'cancelled',
-          updatedBy: req.user._id,
-          reason: 'Full refund processed',
-          timestamp: new Date()
-        });
-        
-        await booking.save();
+    // Hold the booking lock so a cancellation, capture or change cannot move the payment meanwhile
+    const { payment, refundAmount } = await withPaymentLock(found, async () => {
+      const payment = await Payment.findById(found._id);
+
+      // Check if any of the payment is left to refund
+      if (!payment.canBeRefunded()) {
+        throw new BadRequestError('Only completed payments that are not fully refunded can be refunded');
       }
-    }
+
+      // Validate refund amount
+      const maxRefundAmount = payment.calculateRefund(100);
+      const refundAmount = amount ? Number(amount) : maxRefundAmount;
+
+      if (!(refundAmount > 0) || refundAmount > maxRefundAmount) {
+        throw new BadRequestError(`Refund amount must be between 0 and ${maxRefundAmount}`);
+      }
+
+      // Process refund through the payment's gateway, or into the driver's wallet
+      await refundPayment(payment, refundAmount, { toWallet: refundTo === 'wallet' });
+
+      payment.refundRequest = {
+        requestedAt: payment.refundRequest?.requestedAt || new Date(),
+        processedAt: new Date(),
+        reason: reason || payment.refundRequest?.reason || 'Admin processed refund',
+        status: 'approved'
+      };
+
+      await payment.save();
+
+      // Cancel the booking once the payment is fully refunded
+      const booking = await Booking.findById(payment.booking);
+      const fullyRefunded = payment.transaction.status === 'refunded';
+      await syncBookingPayment(
+        booking,
+        payment,
+        fullyRefunded && booking && booking.status !== 'cancelled' ? { status: 'cancelled' } : {}
+      );
+
+      return { payment, refundAmount };
+    });
     
     res.status(200).json({
       success: true,
@@ -689,6 +729,16 @@ exports.processRefund = async (req, res, next) => {
       message: `Refund of ${refundAmount} processed successfully`
     });
   } catch (error) {
+    // Handle gateway refund errors
+    if (error instanceof PaymentGatewayError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'REFUND_FAILED',
+          message: error.message
+        }
+      });
+    }
     next(error);
   }
 };
@@ -988,6 +1038,14 @@ exports.updateSystemSettings = async (req, res, next) => {
           errors.push(`Setting '${key}' does not exist`);
           continue;
         }
+
+        const validationError = validateFeeSetting(key, value) || validateGatewaySetting(key, value) ||
+          validateCurrencySetting(key, value) || validateTaxSetting(key, value) ||
+          validatePromotionSetting(key, value);
+        if (validationError) {
+          errors.push(`Failed to update '${key}': ${validationError}`);
+          continue;
+        }
         
         // Update the setting
         const updated = await Settings.updateSetting(key, value, req.user._id);
@@ -1682,26 +1740,18 @@ exports.getAnalytics = async (req, res, next) => {
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]);
 
-    // Revenue Analytics
-    const totalRevenue = await Booking.aggregate([
-      { $match: { status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$pricing.totalAmount' } } }
-    ]);
-    
-    const revenueInPeriod = await Booking.aggregate([
-      { 
-        $match: { 
-          status: 'completed',
-          createdAt: dateFilter
-        }
-      },
-      { $group: { _id: null, total: { $sum: '$pricing.totalAmount' } } }
-    ]);
+    // Revenue Analytics: platform revenue from the ledger, matching the dashboard
+    const totalRevenue = await getPlatformRevenue();
+    const revenueInPeriod = await getPlatformRevenue(dateFilter);
+
+    // Booking amounts are converted to the reporting currency before they are combined
+    const exchangeRates = await getExchangeRates();
+    const bookingAmount = toReportingCurrencyExpression('$pricing.totalAmount', '$pricing.currency', exchangeRates);
 
     // Average booking value
     const avgBookingValue = await Booking.aggregate([
       { $match: { status: 'completed' } },
-      { $group: { _id: null, avg: { $avg: '$pricing.totalAmount' } } }
+      { $group: { _id: null, avg: { $avg: bookingAmount } } }
     ]);
 
     // Top performing chargers
@@ -1711,7 +1761,7 @@ exports.getAnalytics = async (req, res, next) => {
         $group: {
           _id: '$charger',
           bookings: { $sum: 1 },
-          revenue: { $sum: '$pricing.totalAmount' }
+          revenue: { $sum: bookingAmount }
         }
       },
       {
@@ -1750,7 +1800,8 @@ exports.getAnalytics = async (req, res, next) => {
         totalUsers,
         totalChargers,
         totalBookings,
-        totalRevenue: totalRevenue[0]?.total || 0,
+        totalRevenue: totalRevenue.revenue,
+        reportingCurrency: exchangeRates.reportingCurrency,
         activeUsers,
         approvedChargers,
         completedBookings,
@@ -1760,7 +1811,7 @@ exports.getAnalytics = async (req, res, next) => {
         newUsers,
         newChargers,
         newBookings,
-        revenueInPeriod: revenueInPeriod[0]?.total || 0
+        revenueInPeriod: revenueInPeriod.revenue
       },
       charts: {
         usersByRole: usersByRole.map(item => ({
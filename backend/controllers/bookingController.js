@@ -1,9 +1,127 @@
 const Booking = require('../models/Booking');
 const Charger = require('../models/Charger');
+const Payment = require('../models/Payment');
 const User = require('../models/User');
-const { NotFoundError, BadRequestError, ForbiddenError } = require('../utils/errors');
+const { NotFoundError, BadRequestError, ForbiddenError, ConflictError, PaymentGatewayError } = require('../utils/errors');
 const { generateRandomCode } = require('../utils/helpers');
 const { sendBookingConfirmation, sendBookingUpdate } = require('../utils/email');
+const { dispatchNotification, NOTIFICATION_EVENTS } = require('../utils/notificationDispatcher');
+const { withBookingLock } = require('../utils/bookingLock');
+const { calculateBookingPrice } = require('../utils/pricing');
+const { resolveFeePolicy } = require('../utils/platformFee');
+const { resolveTaxPolicy } = require('../utils/tax');
+const {
+  getBookingDiscounts,
+  applyDiscounts,
+  redeemDiscounts,
+  releaseDiscounts
+} = require('../utils/promotions');
+const {
+  getCancellationPolicy,
+  getRefundDeadlines,
+  calculateCancellationRefund
+} = require('../utils/cancellationPolicy');
+const {
+  refundPayment,
+  releaseAuthorization,
+  syncBookingPayment
+} = require('../utils/paymentGateway');
+const { completeWithCapture } = require('../utils/bookingLifecycle');
+const { getInitialApproval, acceptBooking, declineBooking } = require('../utils/bookingApproval');
+const { getCheckInQrCode, checkIn, checkOut } = require('../utils/checkIn');
+const {
+  previewBookingChange,
+  modifyBooking,
+  acceptBookingChange,
+  declineBookingChange
+} = require('../utils/bookingChanges');
+const { parseInTimeZone, formatInTimeZone, getDefaultTimeZone } = require('../utils/timezone');
+
+/**
+ * Cancel a booking and refund the driver according to the cancellation policy
+ * @param {Object} booking - Booking document
+ * @param {Object} user - User cancelling the booking
+ * @param {Object} options - { toWallet: refund a card payment as wallet credit }
+ * @returns {Promise<Object>} - { booking, refund } with the cancelled booking and the refund issued
+ */
+const cancelWithRefund = async (booking, user, { toWallet = false } = {}) => {
+  // Hold the charger's booking lock so concurrent cancellations cannot refund twice
+  return withBookingLock(booking.charger, async () => {
+    const current = await Booking.findById(booking._id);
+    if (current.status === 'cancelled') {
+      throw new BadRequestError('Booking has already been cancelled');
+    }
+
+    const policy = await getCancellationPolicy();
+    const payment = await Payment.findOne({ booking: current._id });
+    const refund = calculateCancellationRefund(current, payment, policy, { byAdmin: user.role === 'admin' });
+
+    // Refund before cancelling so a failed refund leaves the booking as it was.
+    // An authorization is released instead, capturing only the cancellation fee.
+    if (payment && payment.transaction.status === 'authorized') {
+      await releaseAuthorization(payment, Math.round((payment.amount.total - refund.amount) * 100) / 100);
+      await syncBookingPayment(current, payment);
+    } else if (refund.amount > 0) {
+      await refundPayment(payment, refund.amount, { toWallet });
+      current.payment.status = payment.transaction.status;
+    }
+
+    current.status = 'cancelled';
+    await current.save();
+    await releaseDiscounts(current);
+
+    return { booking: current, refund };
+  });
+};
+
+/**
+ * Respond to a failed gateway request
+ * @param {Object} res - Express response
+ * @param {string} code - Error code, e.g. REFUND_FAILED
+ * @param {Error} error - Gateway error
+ * @returns {Object} - 400 response
+ */
+const sendGatewayFailure = (res, code, error) => res.status(400).json({
+  success: false,
+  error: {
+    code,
+    message: error.message
+  }
+});
+
+/**
+ * Check that a booking can still be cancelled, the same way whichever route cancels it
+ * @param {Object} booking - Booking document
+ * @throws {BadRequestError} If it has started or is no longer pending or confirmed
+ */
+const checkCancellable = (booking) => {
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    throw new BadRequestError(`Cannot cancel booking with status ${booking.status}`);
+  }
+
+  if (!booking.canBeCancelled()) {
+    throw new BadRequestError('Bookings can only be cancelled before they start');
+  }
+};
+
+/**
+ * Read the new times asked for a booking
+ * Times without an explicit offset are the charger's local wall-clock time.
+ * @param {Object} params - { startTime, endTime }; startTime can be left out to extend a session
+ * @param {Object} charger - The booking's Charger document
+ * @returns {Object} - { startTime, endTime } as Dates
+ */
+const parseBookingTimes = ({ startTime, endTime }, charger) => {
+  if (!endTime) {
+    throw new BadRequestError('End time is required');
+  }
+
+  const timeZone = charger.getTimeZone();
+  return {
+    startTime: startTime ? parseInTimeZone(startTime, timeZone) : undefined,
+    endTime: parseInTimeZone(endTime, timeZone)
+  };
+};
 
 /**
  * Create a new booking
@@ -12,16 +130,27 @@ const { sendBookingConfirmation, sendBookingUpdate } = require('../utils/email')
  */
 exports.createBooking = async (req, res, next) => {
   try {
-    const { chargerId, startTime, endTime } = req.body;
+    const { chargerId, startTime, endTime, estimatedKwh, promoCode } = req.body;
 
     // Validate required fields
     if (!chargerId || !startTime || !endTime) {
       throw new BadRequestError('Charger ID, start time, and end time are required');
     }
 
-    // Parse dates
-    const startDate = new Date(startTime);
-    const endDate = new Date(endTime);
+    if (estimatedKwh !== undefined && !(Number(estimatedKwh) > 0)) {
+      throw new BadRequestError('Estimated energy must be a positive number of kWh');
+    }
+
+    // Find charger
+    const charger = await Charger.findById(chargerId);
+    if (!charger) {
+      throw new NotFoundError('Charger not found');
+    }
+
+    // Parse dates; times without an explicit offset are the charger's local wall-clock time
+    const timeZone = charger.getTimeZone();
+    const startDate = parseInTimeZone(startTime, timeZone);
+    const endDate = parseInTimeZone(endTime, timeZone);
 
     // Validate dates
     if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
@@ -40,12 +169,6 @@ exports.createBooking = async (req, res, next) => {
     const durationMs = endDate - startDate;
     const durationHours = durationMs / (1000 * 60 * 60);
 
-    // Find charger
-    const charger = await Charger.findById(chargerId);
-    if (!charger) {
-      throw new NotFoundError('Charger not found');
-    }
-
     // Check if charger is approved
     if (charger.status !== 'approved') {
       throw new BadRequestError('This charger is not available for booking');
@@ -56,82 +179,36 @@ exports.createBooking = async (req, res, next) => {
       throw new BadRequestError('You cannot book your own charger');
     }
 
-    // Check charger availability
-    // 1. Check if date is blocked
-    const isDateBlocked = charger.availability.blockedDates.some(date => {
-      const blockedDate = new Date(date);
-      return (
-        blockedDate.getFullYear() === startDate.getFullYear() &&
-        blockedDate.getMonth() === startDate.getMonth() &&
-        blockedDate.getDate() === startDate.getDate()
-      );
-    });
-
-    if (isDateBlocked) {
-      throw new BadRequestError('The selected date is not available');
+    // Check charger availability in the charger's time zone: blocked dates, and
+    // the schedule if one is defined (otherwise it is available 24/7)
+    const unavailable = charger.getUnavailableReason(startDate, endDate);
+    if (unavailable) {
+      throw new BadRequestError(unavailable);
     }
 
-    // 2. Check if time slot is within schedule
-    // If no schedule is defined, treat charger as available 24/7
-    if (charger.availability.schedule && charger.availability.schedule.length > 0) {
-      const dayOfWeek = startDate.getDay(); // 0 = Sunday, 1 = Monday, etc.
-      const scheduleForDay = charger.availability.schedule.find(s => s.dayOfWeek === dayOfWeek);
-
-      if (!scheduleForDay) {
-        throw new BadRequestError('Charger is not available on this day');
-      }
-
-      // Parse schedule times
-      const [scheduleStartHour, scheduleStartMinute] = scheduleForDay.startTime.split(':').map(Number);
-      const [scheduleEndHour, scheduleEndMinute] = scheduleForDay.endTime.split(':').map(Number);
-
-      // Create Date objects for schedule times on the booking date
-      const scheduleStart = new Date(startDate);
-      scheduleStart.setHours(scheduleStartHour, scheduleStartMinute, 0, 0);
-
-      const scheduleEnd = new Date(startDate);
-      scheduleEnd.setHours(scheduleEndHour, scheduleEndMinute, 0, 0);
-
-      // Check if booking is within schedule
-      if (startDate < scheduleStart || endDate > scheduleEnd) {
-        throw new BadRequestError(`Charger is only available from ${scheduleForDay.startTime} to ${scheduleForDay.endTime} on this day`);
-      }
-    }
-    // If no schedule is defined, charger is available 24/7 - no time restrictions
-
-    // 3. Check for booking conflicts
-    const conflictingBookings = await Booking.find({
-      charger: chargerId,
-      status: { $in: ['pending', 'confirmed', 'active'] },
-      $or: [
-        // New booking starts during existing booking
-        {
-          'schedule.startTime': { $lte: startDate },
-          'schedule.endTime': { $gt: startDate }
-        },
-        // New booking ends during existing booking
-        {
-          'schedule.startTime': { $lt: endDate },
-          'schedule.endTime': { $gte: endDate }
-        },
-        // New booking completely contains existing booking
-        {
-          'schedule.startTime': { $gte: startDate },
-          'schedule.endTime': { $lte: endDate }
-        }
-      ]
+    // Calculate itemised pricing from the charger's rates and rules, with tax for its jurisdiction
+    const price = calculateBookingPrice(charger, startDate, endDate, {
+      estimatedKwh: estimatedKwh !== undefined ? Number(estimatedKwh) : undefined,
+      taxPolicy: await resolveTaxPolicy(charger)
     });
+    const { hourlyRate, currency, taxPolicy } = price;
 
-    if (conflictingBookings.length > 0) {
-      throw new BadRequestError('This time slot is already booked');
-    }
+    // Take the platform fee configured in Settings for this owner and charger type
+    const feePolicy = await resolveFeePolicy({
+      ownerId: charger.owner,
+      chargerType: charger.specifications.type
+    });
 
-    // Calculate pricing
-    const hourlyRate = charger.pricing.hourlyRate;
-    const totalAmount = hourlyRate * durationHours;
-    const platformFeePercentage = 0.10; // 10% platform fee
-    const platformFee = totalAmount * platformFeePercentage;
-    const ownerEarnings = totalAmount - platformFee;
+    // Take off the promo code, out of the fee or earnings that fund it
+    const discounts = await getBookingDiscounts({ userId: req.user.id, charger, currency, promoCode });
+    const {
+      discount,
+      discounts: appliedDiscounts,
+      tax,
+      totalAmount,
+      platformFee,
+      ownerEarnings
+    } = applyDiscounts(price, feePolicy, discounts);
 
     // Generate access code
     const accessCode = generateRandomCode(6);
@@ -149,19 +226,45 @@ exports.createBooking = async (req, res, next) => {
       pricing: {
         hourlyRate,
         totalAmount,
+        currency,
+        tax,
+        taxPolicy: taxPolicy || undefined,
+        discount,
+        discounts: appliedDiscounts,
         platformFee,
-        ownerEarnings
+        ownerEarnings,
+        lineItems: price.lineItems,
+        estimatedKwh: price.estimatedKwh,
+        feePolicy: { ...feePolicy, appliedAt: new Date() }
       },
       status: 'pending',
       payment: {
         status: 'pending'
       },
+      // Chargers that are not instant-book need the owner to accept the request
+      approval: await getInitialApproval(charger, startDate),
       accessCode
     });
 
-    await booking.save();
+    // Check for booking conflicts and save while holding the charger's booking lock,
+    // so concurrent requests for the same slot cannot both pass the check
+    await withBookingLock(chargerId, async () => {
+      const conflictingBookings = await Booking.findConflicts(chargerId, startDate, endDate);
 
-    // TODO: Send notification to charger owner
+      if (conflictingBookings.length > 0) {
+        throw new ConflictError('This time slot is already booked');
+      }
+
+      await redeemDiscounts(booking);
+      try {
+        await booking.save();
+      } catch (error) {
+        await releaseDiscounts(booking);
+        throw error;
+      }
+    });
+
+    await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_CREATED, { booking });
 
     res.status(201).json({
       success: true,
@@ -237,7 +340,7 @@ exports.getUserBookings = async (req, res, next) => {
  */
 exports.getOwnerBookings = async (req, res, next) => {
   try {
-    const { status, page = 1, limit = 10, sortBy = 'startTime', chargerId } = req.query;
+    const { status, page = 1, limit = 10, sortBy = 'startTime', chargerId, awaitingApproval } = req.query;
 
     // Build query
     const query = { owner: req.user.id };
@@ -246,6 +349,15 @@ exports.getOwnerBookings = async (req, res, next) => {
       query.status = status;
     }
 
+    // Requests, and changes of times, waiting on the owner's accept or decline
+    if (awaitingApproval === 'true') {
+      delete query.status;
+      query.$or = [
+        { status: 'pending', 'approval.status': 'awaiting' },
+        { status: { $in: ['pending', 'confirmed', 'active'] }, 'modification.status': 'awaiting' }
+      ];
+    }
+
     if (chargerId) {
       query.charger = chargerId;
     }
@@ -326,9 +438,26 @@ exports.getBookingById = async (req, res, next) => {
       throw new ForbiddenError('Not authorized to view this booking');
     }
 
+    // Express the schedule and cancellation window in the charger's local time
+    const timeZone = booking.charger && booking.charger.getTimeZone
+      ? booking.charger.getTimeZone()
+      : getDefaultTimeZone();
+    const data = booking.toObject();
+    data.localSchedule = {
+      timezone: timeZone,
+      startTime: formatInTimeZone(booking.schedule.startTime, timeZone),
+      endTime: formatInTimeZone(booking.schedule.endTime, timeZone),
+      cancellationDeadline: formatInTimeZone(booking.getCancellationDeadline(), timeZone)
+    };
+
+    // Lets the client fetch the payment's receipt, and shows any overstay or no-show fees
+    const payment = await Payment.findOne({ booking: booking._id }).select('_id fees');
+    data.paymentId = payment ? payment._id : null;
+    data.fees = payment ? payment.fees : [];
+
     res.status(200).json({
       success: true,
-      data: booking
+      data
     });
   } catch (error) {
     next(error);
@@ -373,39 +502,273 @@ exports.updateBookingStatus = async (req, res, next) => {
     const validTransitions = {
       pending: ['confirmed', 'cancelled'],
       confirmed: ['active', 'cancelled'],
-      active: ['completed', 'cancelled'],
+      active: ['completed'],
       completed: [],
-      cancelled: []
+      cancelled: [],
+      expired: [],
+      declined: [],
+      no_show: []
     };
 
     if (!validTransitions[booking.status].includes(status)) {
       throw new BadRequestError(`Cannot change status from ${booking.status} to ${status}`);
     }
 
-    // Update booking status
-    booking.status = status;
-    
-    // If status is completed, update payment status
-    if (status === 'completed') {
-      booking.payment.status = 'completed';
-      booking.payment.processedAt = Date.now();
+    // Confirming a request accepts it, which notifies the driver; it is confirmed once paid
+    if (status === 'confirmed' && booking.isAwaitingApproval()) {
+      return res.status(200).json({
+        success: true,
+        data: await acceptBooking(booking)
+      });
     }
 
-    await booking.save();
+    let updatedBooking = booking;
+    if (status === 'cancelled') {
+      // Cancelling here follows the same rules and refund policy as DELETE /api/bookings/:id
+      checkCancellable(booking);
+      ({ booking: updatedBooking } = await cancelWithRefund(booking, req.user, {
+        toWallet: req.body.refundTo === 'wallet'
+      }));
+    } else if (status === 'completed') {
+      // Hold the charger's booking lock so check-out or the lifecycle job cannot complete it too
+      updatedBooking = await withBookingLock(booking.charger, async () => {
+        const current = await Booking.findById(booking._id);
+        if (!current) {
+          throw new NotFoundError('Booking not found');
+        }
+        if (current.status !== 'active') {
+          throw new BadRequestError(`Cannot change status from ${current.status} to completed`);
+        }
 
-    // TODO: Send notification to relevant parties
+        // Completing by hand checks out a driver who is still checked in
+        if (current.isCheckedIn()) {
+          current.checkOut = { at: new Date(), by: req.user.id, method: 'manual' };
+        }
+        return completeWithCapture(current);
+      });
+    } else {
+      // Update booking status
+      booking.status = status;
+      await booking.save();
+    }
+
+    const statusEvents = {
+      confirmed: NOTIFICATION_EVENTS.BOOKING_CONFIRMED,
+      completed: NOTIFICATION_EVENTS.BOOKING_COMPLETED,
+      cancelled: NOTIFICATION_EVENTS.BOOKING_CANCELLED
+    };
+
+    if (statusEvents[status]) {
+      await dispatchNotification(statusEvents[status], { booking: updatedBooking, cancelledBy: req.user.id });
+    }
 
     res.status(200).json({
       success: true,
-      data: booking
+      data: updatedBooking
     });
   } catch (error) {
+    // Handle gateway capture and refund errors
+    if (error instanceof PaymentGatewayError) {
+      return sendGatewayFailure(res, req.body.status === 'completed' ? 'CAPTURE_FAILED' : 'REFUND_FAILED', error);
+    }
     next(error);
   }
 };
 
 /**
- * Cancel booking
+ * Accept a booking request
+ * @route PUT /api/bookings/:id/accept
+ * @access Private (charger owner, admin)
+ */
+exports.acceptBooking = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      throw new NotFoundError('Booking not found');
+    }
+
+    if (!booking.owner.equals(req.user.id) && req.user.role !== 'admin') {
+      throw new ForbiddenError('Only the charger owner can accept this booking');
+    }
+
+    const accepted = await acceptBooking(booking);
+
+    res.status(200).json({
+      success: true,
+      message: accepted.status === 'confirmed'
+        ? 'Booking accepted and confirmed'
+        : 'Booking accepted. It will be confirmed once the driver has paid.',
+      data: accepted
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline a booking request, releasing the driver's payment
+ * @route PUT /api/bookings/:id/decline
+ * @access Private (charger owner, admin)
+ */
+exports.declineBooking = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      throw new NotFoundError('Booking not found');
+    }
+
+    if (!booking.owner.equals(req.user.id) && req.user.role !== 'admin') {
+      throw new ForbiddenError('Only the charger owner can decline this booking');
+    }
+
+    const declined = await declineBooking(booking, { reason });
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking declined',
+      data: declined
+    });
+  } catch (error) {
+    if (error instanceof PaymentGatewayError) {
+      return sendGatewayFailure(res, 'RELEASE_FAILED', error);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Preview changing a booking's times: the new price and whether the owner must accept it
+ * @route GET /api/bookings/:id/schedule/preview?startTime=...&endTime=...
+ * @access Private (driver, admin)
+ */
+exports.getBookingChangePreview = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      throw new NotFoundError('Booking not found');
+    }
+
+    if (!booking.user.equals(req.user.id) && req.user.role !== 'admin') {
+      throw new ForbiddenError('Not authorized to change this booking');
+    }
+
+    const charger = await Charger.findById(booking.charger);
+    const preview = await previewBookingChange(booking, charger, parseBookingTimes(req.query, charger));
+
+    res.status(200).json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a booking's times, or extend an active session; on chargers that are not
+ * instant-book, confirmed and active bookings ask the owner to accept the change
+ * @route PUT /api/bookings/:id/schedule
+ * @access Private (driver, admin)
+ */
+exports.modifyBooking = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      throw new NotFoundError('Booking not found');
+    }
+
+    if (!booking.user.equals(req.user.id) && req.user.role !== 'admin') {
+      throw new ForbiddenError('Not authorized to change this booking');
+    }
+
+    const charger = await Charger.findById(booking.charger);
+    const { booking: changed, requested } = await modifyBooking(booking, charger, parseBookingTimes(req.body, charger));
+
+    res.status(200).json({
+      success: true,
+      message: requested
+        ? 'Change requested. It will be made once the owner accepts it.'
+        : 'Booking changed',
+      data: changed
+    });
+  } catch (error) {
+    if (error instanceof PaymentGatewayError) {
+      return sendGatewayFailure(res, 'AUTHORIZATION_FAILED', error);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Accept the change of times the driver asked for
+ * @route PUT /api/bookings/:id/schedule/accept
+ * @access Private (charger owner, admin)
+ */
+exports.acceptBookingChange = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      throw new NotFoundError('Booking not found');
+    }
+
+    if (!booking.owner.equals(req.user.id) && req.user.role !== 'admin') {
+      throw new ForbiddenError('Only the charger owner can accept this change');
+    }
+
+    const charger = await Charger.findById(booking.charger);
+    const changed = await acceptBookingChange(booking, charger);
+
+    res.status(200).json({
+      success: true,
+      message: 'Change accepted',
+      data: changed
+    });
+  } catch (error) {
+    if (error instanceof PaymentGatewayError) {
+      return sendGatewayFailure(res, 'AUTHORIZATION_FAILED', error);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Decline the change of times the driver asked for, keeping the booking as it was
+ * @route PUT /api/bookings/:id/schedule/decline
+ * @access Private (charger owner, admin)
+ */
+exports.declineBookingChange = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      throw new NotFoundError('Booking not found');
+    }
+
+    if (!booking.owner.equals(req.user.id) && req.user.role !== 'admin') {
+      throw new ForbiddenError('Only the charger owner can decline this change');
+    }
+
+    const declined = await declineBookingChange(booking, { reason });
+
+    res.status(200).json({
+      success: true,
+      message: 'Change declined',
+      data: declined
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel booking; ?refundTo=wallet refunds a card payment as wallet credit
  * @route DELETE /api/bookings/:id
  * @access Private
  */
@@ -426,19 +789,78 @@ exports.cancelBooking = async (req, res, next) => {
     }
 
     // Check if booking can be cancelled
-    if (!['pending', 'confirmed'].includes(booking.status)) {
-      throw new BadRequestError(`Cannot cancel booking with status ${booking.status}`);
+    checkCancellable(booking);
+
+    const { booking: cancelledBooking, refund } = await cancelWithRefund(booking, req.user, {
+      toWallet: req.query.refundTo === 'wallet'
+    });
+
+    await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_CANCELLED, {
+      booking: cancelledBooking,
+      cancelledBy: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: refund.amount > 0
+        ? `Booking cancelled. ${refund.amount.toFixed(2)} will be refunded.`
+        : 'Booking cancelled successfully',
+      data: {
+        booking: cancelledBooking,
+        refund
+      }
+    });
+  } catch (error) {
+    // Handle gateway refund errors
+    if (error instanceof PaymentGatewayError) {
+      return sendGatewayFailure(res, 'REFUND_FAILED', error);
     }
+    next(error);
+  }
+};
 
-    // Update booking status
-    booking.status = 'cancelled';
-    await booking.save();
+/**
+ * Preview the refund for cancelling a booking now
+ * @route GET /api/bookings/:id/cancellation
+ * @access Private
+ */
+exports.getCancellationPreview = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('charger', 'location');
+
+    if (!booking) {
+      throw new NotFoundError('Booking not found');
+    }
 
-    // TODO: Send notification to charger owner
+    const isUser = booking.user.equals(req.user.id);
+    const isAdmin = req.user.role === 'admin';
+
+    if (!isUser && !isAdmin) {
+      throw new ForbiddenError('Not authorized to cancel this booking');
+    }
+
+    const policy = await getCancellationPolicy();
+    const payment = await Payment.findOne({ booking: booking._id });
+    const refund = calculateCancellationRefund(booking, payment, policy, { byAdmin: isAdmin });
+    const deadlines = getRefundDeadlines(booking, policy);
+
+    const timeZone = booking.charger && booking.charger.getTimeZone
+      ? booking.charger.getTimeZone()
+      : getDefaultTimeZone();
 
     res.status(200).json({
       success: true,
-      message: 'Booking cancelled successfully'
+      data: {
+        canCancel: booking.canBeCancelled(),
+        policy,
+        paidAmount: payment && payment.canBeRefunded() ? payment.netAmount : 0,
+        refund,
+        // Card payments already charged can be refunded as wallet credit instead
+        canRefundToWallet: Boolean(payment && payment.canBeRefunded() && payment.transaction.gateway !== 'wallet'),
+        timezone: timeZone,
+        fullRefundUntil: formatInTimeZone(deadlines.fullRefundUntil, timeZone),
+        partialRefundUntil: formatInTimeZone(deadlines.partialRefundUntil, timeZone)
+      }
     });
   } catch (error) {
     next(error);
@@ -515,7 +937,8 @@ exports.getBookingAccessCode = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: {
-        accessCode: booking.accessCode
+        accessCode: booking.accessCode,
+        qrCode: getCheckInQrCode(booking)
       }
     });
   } catch (error) {
@@ -523,6 +946,93 @@ exports.getBookingAccessCode = async (req, res, next) => {
   }
 };
 
+/**
+ * Check in to a booking with its access code or QR code
+ * @route POST /api/bookings/:id/check-in
+ * @access Private (booking user, charger owner, admin)
+ */
+exports.checkInBooking = async (req, res, next) => {
+  try {
+    const { accessCode, qrCode, coordinates } = req.body;
+    const booking = await Booking.findById(req.params.id).populate({
+      path: 'charger',
+      select: 'location'
+    });
+
+    if (!booking) {
+      throw new NotFoundError('Booking not found');
+    }
+
+    const isUser = booking.user.equals(req.user.id);
+    const isOwner = booking.owner.equals(req.user.id);
+    const isAdmin = req.user.role === 'admin';
+
+    if (!isUser && !isOwner && !isAdmin) {
+      throw new ForbiddenError('Not authorized to check in to this booking');
+    }
+
+    const checkedIn = await checkIn(booking, {
+      accessCode,
+      qrCode,
+      coordinates,
+      userId: req.user.id,
+      isDriver: isUser
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Checked in',
+      data: {
+        booking: checkedIn,
+        lateArrivalMinutes: checkedIn.getLateArrivalMinutes()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check out of a booking, completing it
+ * @route POST /api/bookings/:id/check-out
+ * @access Private (booking user, charger owner, admin)
+ */
+exports.checkOutBooking = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      throw new NotFoundError('Booking not found');
+    }
+
+    const isUser = booking.user.equals(req.user.id);
+    const isOwner = booking.owner.equals(req.user.id);
+    const isAdmin = req.user.role === 'admin';
+
+    if (!isUser && !isOwner && !isAdmin) {
+      throw new ForbiddenError('Not authorized to check out of this booking');
+    }
+
+    const completed = await checkOut(booking, { userId: req.user.id });
+    const payment = await Payment.findOne({ booking: completed._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Checked out',
+      data: {
+        booking: completed,
+        overstayMinutes: completed.getOverstayMinutes(),
+        overstayFee: payment ? payment.fees.find(fee => fee.type === 'overstay') || null : null
+      }
+    });
+  } catch (error) {
+    if (error instanceof PaymentGatewayError) {
+      return sendGatewayFailure(res, 'CAPTURE_FAILED', error);
+    }
+    next(error);
+  }
+};
+
 /**
  * Get all bookings (admin only)
  * @route GET /api/bookings/admin/all
@@ -1,6 +1,19 @@
 const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
 const { NotFoundError, BadRequestError, ForbiddenError } = require('../utils/errors');
 const { uploadMultipleToS3, deleteFromS3, getMultipleSignedUrls } = require('../utils/s3Upload');
+const { isValidTimeZone, formatInTimeZone, parseInTimeZone } = require('../utils/timezone');
+const { calculateBookingPrice } = require('../utils/pricing');
+const { resolveTaxPolicy } = require('../utils/tax');
+const { resolveFeePolicy } = require('../utils/platformFee');
+const { getBookingDiscounts, applyDiscounts } = require('../utils/promotions');
+
+// How far ahead getChargerById lists scheduled availability slots
+const UPCOMING_SLOT_DAYS = 7;
+
+// Default and maximum range for free slot lookups
+const AVAILABILITY_DEFAULT_DAYS = 7;
+const AVAILABILITY_MAX_DAYS = 31;
 
 /**
  * Transform charger data to include signed URLs for images
@@ -47,6 +60,69 @@ const transformChargerWithSignedUrls = async (charger) => {
   return chargerObj;
 };
 
+/**
+ * List a charger's scheduled availability slots with explicit UTC offsets
+ * @param {Object} charger - Charger document
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Array} - Slots as { date, dayOfWeek, start, end } in the charger's time zone
+ */
+const formatScheduleSlots = (charger, from, to) => {
+  const timeZone = charger.getTimeZone();
+  return charger.getScheduleWindows(from, to).map(window => ({
+    date: window.date,
+    dayOfWeek: window.dayOfWeek,
+    start: formatInTimeZone(window.start, timeZone),
+    end: formatInTimeZone(window.end, timeZone)
+  }));
+};
+
+/**
+ * Reject time zones the runtime does not recognise
+ * @param {string} timezone - IANA time zone name from the request
+ * @throws {BadRequestError} If the time zone is invalid
+ */
+const validateTimeZone = (timezone) => {
+  if (timezone && !isValidTimeZone(timezone)) {
+    throw new BadRequestError('Timezone must be a valid IANA time zone (e.g. America/Los_Angeles)');
+  }
+};
+
+/**
+ * Reject booking modes other than instant-book and owner approval
+ * @param {string} bookingMode - Booking mode from the request
+ * @throws {BadRequestError} If the booking mode is invalid
+ */
+const validateBookingMode = (bookingMode) => {
+  if (bookingMode && !['instant', 'approval'].includes(bookingMode)) {
+    throw new BadRequestError("Booking mode must be 'instant' or 'approval'");
+  }
+};
+
+/**
+ * Parse time-of-use pricing rules sent as an array or a JSON string (FormData)
+ * @param {Array|string} rules - Pricing rules from the request
+ * @returns {Array|undefined} - Parsed rules, or undefined if none were sent
+ * @throws {BadRequestError} If the rules are not an array
+ */
+const parsePricingRules = (rules) => {
+  if (rules === undefined || rules === '') return undefined;
+
+  let parsedRules = rules;
+  if (typeof rules === 'string') {
+    try {
+      parsedRules = JSON.parse(rules);
+    } catch (e) {
+      throw new BadRequestError('Pricing rules must be a JSON array');
+    }
+  }
+
+  if (!Array.isArray(parsedRules)) {
+    throw new BadRequestError('Pricing rules must be a JSON array');
+  }
+  return parsedRules;
+};
+
 /**
  * Search chargers with filters and geospatial queries
  * @route GET /api/chargers
@@ -211,6 +287,15 @@ exports.getChargerById = async (req, res, next) => {
 
     // Transform charger to include signed URLs
     const transformedCharger = await transformChargerWithSignedUrls(charger);
+
+    // Upcoming schedule in the owner's local time, so clients don't depend on their own zone
+    const now = new Date();
+    transformedCharger.location.timezone = charger.getTimeZone();
+    transformedCharger.availability.upcomingSlots = formatScheduleSlots(
+      charger,
+      now,
+      new Date(now.getTime() + UPCOMING_SLOT_DAYS * 24 * 60 * 60 * 1000)
+    );
     
     res.status(200).json({
       success: true,
@@ -221,6 +306,162 @@ exports.getChargerById = async (req, res, next) => {
   }
 };
 
+/**
+ * Get free booking slots for a charger
+ * Combines the weekly schedule, blocked dates and existing bookings
+ * @route GET /api/chargers/:id/availability?from=&to=
+ * @access Public
+ */
+exports.getChargerAvailability = async (req, res, next) => {
+  try {
+    const charger = await Charger.findById(req.params.id);
+
+    if (!charger) {
+      throw new NotFoundError('Charger not found');
+    }
+
+    // If charger is not approved, only owner and admin can view it
+    if (charger.status !== 'approved') {
+      const isOwner = req.user && charger.owner.equals(req.user.id);
+      const isAdmin = req.user && req.user.role === 'admin';
+
+      if (!isOwner && !isAdmin) {
+        throw new NotFoundError('Charger not found');
+      }
+    }
+
+    // Dates without an offset are read in the charger's time zone
+    const timeZone = charger.getTimeZone();
+    const now = new Date();
+    const from = req.query.from ? parseInTimeZone(req.query.from, timeZone) : now;
+    const to = req.query.to
+      ? parseInTimeZone(req.query.to, timeZone)
+      : new Date(from.getTime() + AVAILABILITY_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      throw new BadRequestError('Invalid date format');
+    }
+
+    if (to <= from) {
+      throw new BadRequestError('The "to" date must be after the "from" date');
+    }
+
+    if (to - from > AVAILABILITY_MAX_DAYS * 24 * 60 * 60 * 1000) {
+      throw new BadRequestError(`Availability can be requested for at most ${AVAILABILITY_MAX_DAYS} days at a time`);
+    }
+
+    // Past time is never bookable
+    const start = from < now ? now : from;
+    const bookings = start < to ? await Booking.findConflicts(charger._id, start, to) : [];
+    const slots = start < to ? charger.getFreeSlots(start, to, bookings) : [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chargerId: charger._id,
+        timezone: timeZone,
+        from: formatInTimeZone(from, timeZone),
+        to: formatInTimeZone(to, timeZone),
+        slots: slots.map(slot => ({
+          date: slot.date,
+          start: formatInTimeZone(slot.start, timeZone),
+          end: formatInTimeZone(slot.end, timeZone)
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an itemised price quote for a charging session
+ * @route GET /api/chargers/:id/quote
+ * @access Public
+ */
+exports.getChargerQuote = async (req, res, next) => {
+  try {
+    const charger = await Charger.findById(req.params.id);
+
+    if (!charger) {
+      throw new NotFoundError('Charger not found');
+    }
+
+    // If charger is not approved, only owner and admin can view it
+    if (charger.status !== 'approved') {
+      const isOwner = req.user && charger.owner.equals(req.user.id);
+      const isAdmin = req.user && req.user.role === 'admin';
+
+      if (!isOwner && !isAdmin) {
+        throw new NotFoundError('Charger not found');
+      }
+    }
+
+    const { startTime, endTime, estimatedKwh, promoCode } = req.query;
+
+    if (!startTime || !endTime) {
+      throw new BadRequestError('Start time and end time are required');
+    }
+
+    if (promoCode && !req.user) {
+      throw new BadRequestError('Sign in to use a promo code');
+    }
+
+    // Times without an offset are read in the charger's time zone
+    const timeZone = charger.getTimeZone();
+    const start = parseInTimeZone(startTime, timeZone);
+    const end = parseInTimeZone(endTime, timeZone);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new BadRequestError('Invalid date format');
+    }
+
+    if (end <= start) {
+      throw new BadRequestError('End time must be after start time');
+    }
+
+    if (estimatedKwh !== undefined && !(Number(estimatedKwh) > 0)) {
+      throw new BadRequestError('Estimated energy must be a positive number of kWh');
+    }
+
+    const price = calculateBookingPrice(charger, start, end, {
+      estimatedKwh: estimatedKwh !== undefined ? Number(estimatedKwh) : undefined,
+      taxPolicy: await resolveTaxPolicy(charger)
+    });
+
+    // Show the discount a promo code would give the signed-in driver
+    let discounted = { discount: 0, discounts: [] };
+    if (promoCode) {
+      const discounts = await getBookingDiscounts({
+        userId: req.user.id,
+        charger,
+        currency: price.currency,
+        promoCode
+      });
+      const feePolicy = await resolveFeePolicy({
+        ownerId: charger.owner,
+        chargerType: charger.specifications.type
+      });
+      const { discount, discounts: applied, tax, totalAmount } = applyDiscounts(price, feePolicy, discounts);
+      discounted = { discount, discounts: applied, tax, totalAmount };
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chargerId: charger._id,
+        timezone: timeZone,
+        startTime: formatInTimeZone(start, timeZone),
+        endTime: formatInTimeZone(end, timeZone),
+        ...price,
+        ...discounted
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Create new charger
  * @route POST /api/chargers
@@ -237,6 +478,9 @@ exports.createCharger = async (req, res, next) => {
       address,
       coordinates,
       accessInstructions,
+      timezone,
+      country,
+      region,
       type,
       connector,
       power,
@@ -244,8 +488,17 @@ exports.createCharger = async (req, res, next) => {
       amperage,
       hourlyRate,
       currency,
-      amenities
+      pricingRules,
+      perKwhRate,
+      sessionFee,
+      minimumCharge,
+      amenities,
+      bookingMode
     } = req.body;
+
+    validateTimeZone(timezone);
+    validateBookingMode(bookingMode);
+    const parsedPricingRules = parsePricingRules(pricingRules);
     
     // Parse coordinates if it's a string
     let parsedCoordinates = coordinates;
@@ -310,7 +563,10 @@ exports.createCharger = async (req, res, next) => {
       location: {
         address,
         coordinates: parsedCoordinates,
-        accessInstructions
+        accessInstructions,
+        timezone: timezone || undefined,
+        country: country || undefined,
+        region: region || undefined
       },
       specifications: {
         type,
@@ -321,9 +577,14 @@ exports.createCharger = async (req, res, next) => {
       },
       pricing: {
         hourlyRate: parseFloat(hourlyRate),
-        currency: currency || 'USD'
+        currency: currency || 'USD',
+        rules: parsedPricingRules,
+        perKwhRate: perKwhRate ? parseFloat(perKwhRate) : undefined,
+        sessionFee: sessionFee ? parseFloat(sessionFee) : undefined,
+        minimumCharge: minimumCharge ? parseFloat(minimumCharge) : undefined
       },
       amenities: parsedAmenities,
+      bookingMode: bookingMode || undefined,
       images: imageKeys,
       status: req.user.role === 'admin' ? 'approved' : 'pending'
     });
@@ -370,30 +631,35 @@ exports.updateCharger = async (req, res, next) => {
     console.log('Update request body:', req.body);
     
     // Handle both flat and nested structure
-    let title, description, address, coordinates, accessInstructions,
+    let title, description, address, coordinates, accessInstructions, timezone, country, region,
         type, connector, power, voltage, amperage,
-        hourlyRate, currency, amenities;
+        hourlyRate, currency, pricingRules, perKwhRate, sessionFee, minimumCharge, amenities, bookingMode;
         
     // Extract from nested structure if present
     if (req.body.location) {
       // Nested structure (from frontend JSON)
       ({ title, description } = req.body);
-      ({ address, coordinates, accessInstructions } = req.body.location || {});
+      ({ address, coordinates, accessInstructions, timezone, country, region } = req.body.location || {});
       ({ type, connector, power, voltage, amperage } = req.body.specifications || {});
-      ({ hourlyRate, currency } = req.body.pricing || {});
-      ({ amenities } = req.body);
+      ({ hourlyRate, currency, perKwhRate, sessionFee, minimumCharge } = req.body.pricing || {});
+      pricingRules = (req.body.pricing || {}).rules;
+      ({ amenities, bookingMode } = req.body);
     } else {
       // Flat structure (from form data or direct API call)
       ({ 
-        title, description, address, coordinates, accessInstructions,
+        title, description, address, coordinates, accessInstructions, timezone, country, region,
         type, connector, power, voltage, amperage,
-        hourlyRate, currency, amenities
+        hourlyRate, currency, pricingRules, perKwhRate, sessionFee, minimumCharge, amenities, bookingMode
       } = req.body);
     }
 
     // Basic info
     if (title) updateData.title = title;
     if (description) updateData.description = description;
+    if (bookingMode) {
+      validateBookingMode(bookingMode);
+      updateData.bookingMode = bookingMode;
+    }
 
     // Location
     if (address) updateData['location.address'] = address;
@@ -428,6 +694,12 @@ exports.updateCharger = async (req, res, next) => {
     }
     
     if (accessInstructions) updateData['location.accessInstructions'] = accessInstructions;
+    if (timezone) {
+      validateTimeZone(timezone);
+      updateData['location.timezone'] = timezone;
+    }
+    if (country) updateData['location.country'] = country;
+    if (region) updateData['location.region'] = region;
 
     // Specifications
     if (type) updateData['specifications.type'] = type;
@@ -439,6 +711,12 @@ exports.updateCharger = async (req, res, next) => {
     // Pricing
     if (hourlyRate) updateData['pricing.hourlyRate'] = hourlyRate;
     if (currency) updateData['pricing.currency'] = currency;
+    const parsedPricingRules = parsePricingRules(pricingRules);
+    if (parsedPricingRules) updateData['pricing.rules'] = parsedPricingRules;
+    // Fees can be switched off with 0, so only skip them when absent
+    if (perKwhRate !== undefined && perKwhRate !== '') updateData['pricing.perKwhRate'] = parseFloat(perKwhRate);
+    if (sessionFee !== undefined && sessionFee !== '') updateData['pricing.sessionFee'] = parseFloat(sessionFee);
+    if (minimumCharge !== undefined && minimumCharge !== '') updateData['pricing.minimumCharge'] = parseFloat(minimumCharge);
 
     // Amenities - handle different input formats
     if (amenities) {
@@ -761,7 +1039,9 @@ exports.deleteChargerImage = async (req, res, next) => {
  */
 exports.updateAvailability = async (req, res, next) => {
   try {
-    const { schedule, blockedDates } = req.body;
+    const { schedule, blockedDates, timezone } = req.body;
+
+    validateTimeZone(timezone);
 
     const charger = await Charger.findById(req.params.id);
 
@@ -786,11 +1066,18 @@ exports.updateAvailability = async (req, res, next) => {
       charger.availability.blockedDates = blockedDates;
     }
 
+    if (timezone) {
+      charger.location.timezone = timezone;
+    }
+
     await charger.save();
 
     res.status(200).json({
       success: true,
-      data: charger.availability
+      data: {
+        ...charger.toObject().availability,
+        timezone: charger.getTimeZone()
+      }
     });
   } catch (error) {
     next(error);
@@ -2,6 +2,8 @@ const Message = require('../models/Message');
 const Booking = require('../models/Booking');
 const { NotFoundError, BadRequestError, ForbiddenError } = require('../utils/errors');
 const { getSignedUrl } = require('../utils/s3Upload');
+const { emitNewMessage, emitReadReceipt } = require('../utils/socket');
+const { dispatchNotification, NOTIFICATION_EVENTS } = require('../utils/notificationDispatcher');
 
 /**
  * Get messages for a specific booking
@@ -48,10 +50,14 @@ exports.getBookingMessages = async (req, res, next) => {
 
     if (unreadMessages.length > 0) {
       const messageIds = unreadMessages.map(message => message._id);
+      const readAt = new Date();
       await Message.updateMany(
         { _id: { $in: messageIds } },
-        { readAt: new Date() }
+        { readAt }
       );
+
+      // Let the sender know their messages were read
+      emitReadReceipt(bookingId, messageIds, req.user.id, readAt);
     }
 
     res.status(200).json({
@@ -129,7 +135,8 @@ exports.sendMessage = async (req, res, next) => {
       select: 'profile.firstName profile.lastName profile.avatar'
     });
 
-    // TODO: Send real-time notification via Socket.io
+    // Push to anyone connected to this conversation
+    emitNewMessage(message);
 
     res.status(201).json({
       success: true,
@@ -162,6 +169,8 @@ exports.markAsRead = async (req, res, next) => {
     if (!message.readAt) {
       message.readAt = new Date();
       await message.save();
+
+      emitReadReceipt(message.booking, [message._id], req.user.id, message.readAt);
     }
 
     res.status(200).json({
@@ -324,7 +333,7 @@ exports.reportMessage = async (req, res, next) => {
 
     await message.save();
 
-    // TODO: Send notification to admin
+    await dispatchNotification(NOTIFICATION_EVENTS.MESSAGE_REPORTED, { message, reason });
 
     res.status(200).json({
       success: true,
@@ -1,23 +1,50 @@
 const Payment = require('../models/Payment');
 const Booking = require('../models/Booking');
-const { NotFoundError, BadRequestError, ForbiddenError } = require('../utils/errors');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const User = require('../models/User');
+const WebhookEvent = require('../models/WebhookEvent');
+const { NotFoundError, BadRequestError, ForbiddenError, PaymentGatewayError } = require('../utils/errors');
+const { dispatchNotification, NOTIFICATION_EVENTS } = require('../utils/notificationDispatcher');
+const { handleStripeEvent } = require('../utils/stripeWebhook');
+const { stripeGateway } = require('../utils/stripeGateway');
+const { recordPaymentLedger } = require('../utils/ledger');
+const { withBookingLock, withPaymentLock } = require('../utils/bookingLock');
+const { DEFAULT_CURRENCY, getExchangeRates, summarizeByCurrency } = require('../utils/currency');
+const { generateReceiptPdf, generateStatementPdf } = require('../utils/receipts');
+const { roundCurrency } = require('../utils/pricing');
+const {
+  getGateway,
+  getActiveGateway,
+  refundPayment,
+  syncBookingPayment,
+  authorizePendingPayment,
+  completePendingPayment,
+  failPendingPayment
+} = require('../utils/paymentGateway');
+
+// What the frontend needs to complete authentication, if the bank asked for it
+const getNextAction = (charge) => (
+  charge.requiresAction
+    ? { requiresAction: true, clientSecret: charge.clientSecret, nextAction: charge.nextAction }
+    : { requiresAction: false }
+);
 
 /**
- * Process payment for a booking
+ * Process payment for a booking, by card or from the driver's wallet
  * @route POST /api/payments/process
  * @access Private
  */
 exports.processPayment = async (req, res, next) => {
+  let booking;
+
   try {
-    const { bookingId, paymentMethodId } = req.body;
+    const { bookingId, paymentMethodId, useWallet } = req.body;
 
-    if (!bookingId || !paymentMethodId) {
-      throw new BadRequestError('Booking ID and payment method ID are required');
+    if (!bookingId || (!paymentMethodId && !useWallet)) {
+      throw new BadRequestError('Booking ID and a payment method ID, or useWallet, are required');
     }
 
     // Find booking
-    const booking = await Booking.findById(bookingId);
+    booking = await Booking.findById(bookingId);
     if (!booking) {
       throw new NotFoundError('Booking not found');
     }
@@ -27,78 +54,130 @@ exports.processPayment = async (req, res, next) => {
       throw new ForbiddenError('Not authorized to pay for this booking');
     }
 
-    // Check if booking is in pending or confirmed status
-    if (!['pending', 'confirmed'].includes(booking.status)) {
-      throw new BadRequestError(`Cannot process payment for booking with status ${booking.status}`);
-    }
+    // Hold the charger's booking lock so two requests cannot both charge for the booking
+    const { payment, charge } = await withBookingLock(booking.charger, async () => {
+      // Re-read under the lock so a concurrent request that already paid is seen
+      booking = await Booking.findById(booking._id);
 
-    // Check if payment is already processed
-    if (booking.payment.status === 'completed') {
-      throw new BadRequestError('Payment has already been processed for this booking');
-    }
+      // Completed bookings can still be paid if their authorization lapsed before capture
+      let payment = await Payment.findOne({ booking: booking._id });
+      const settlingCompleted = booking.status === 'completed' && Boolean(payment) &&
+        ['expired', 'failed', 'voided'].includes(payment.transaction.status);
 
-    // Process payment with Stripe
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(booking.pricing.totalAmount * 100), // Convert to cents
-      currency: 'usd',
-      payment_method: paymentMethodId,
-      confirm: true,
-      description: `Booking #${booking._id} for charger`,
-      metadata: {
-        bookingId: booking._id.toString(),
-        userId: req.user.id.toString()
+      // Check if booking is in pending or confirmed status
+      if (!['pending', 'confirmed'].includes(booking.status) && !settlingCompleted) {
+        throw new BadRequestError(`Cannot process payment for booking with status ${booking.status}`);
       }
-    });
 
-    // Create payment record
-    const payment = new Payment({
-      booking: booking._id,
-      user: booking.user,
-      owner: booking.owner,
-      amount: {
-        total: booking.pricing.totalAmount,
-        platformFee: booking.pricing.platformFee,
-        ownerEarnings: booking.pricing.ownerEarnings
-      },
-      paymentMethod: {
-        type: 'card',
-        last4: paymentIntent.payment_method_details?.card?.last4 || '0000',
-        brand: paymentIntent.payment_method_details?.card?.brand || 'unknown'
-      },
-      transaction: {
-        id: paymentIntent.id,
-        status: paymentIntent.status === 'succeeded' ? 'completed' : 'pending',
-        gateway: 'stripe',
-        processedAt: new Date()
+      // Check if payment is already processed
+      if (['authorized', 'completed'].includes(booking.payment.status)) {
+        throw new BadRequestError('Payment has already been processed for this booking');
       }
-    });
 
-    await payment.save();
+      // An earlier attempt may still be waiting on authentication; abandon it before charging again
+      if (payment && !['pending', 'failed', 'voided', 'expired'].includes(payment.transaction.status)) {
+        throw new BadRequestError('Payment has already been processed for this booking');
+      }
+      if (payment && payment.transaction.status === 'pending') {
+        await getGateway(payment.transaction.gateway).cancel(payment.transaction.id);
+      }
 
-    // Update booking payment status
-    booking.payment.status = payment.transaction.status;
-    booking.payment.transactionId = payment.transaction.id;
-    booking.payment.processedAt = payment.transaction.processedAt;
+      // Authorize through the wallet or the gateway selected in settings; the amount is
+      // captured when the booking completes. Cards can be ones saved to the user's customer.
+      const gateway = useWallet ? getGateway('wallet') : await getActiveGateway();
+      const currency = (booking.pricing.currency || 'USD').toLowerCase();
+      const user = await User.findById(req.user.id);
+      const charge = await gateway.charge({
+        amount: booking.pricing.totalAmount,
+        currency,
+        paymentMethodId,
+        customerId: gateway.name === 'stripe' ? user.wallet.stripeCustomerId : undefined,
+        capture: settlingCompleted,
+        description: `Booking #${booking._id} for charger`,
+        metadata: {
+          bookingId: booking._id.toString(),
+          userId: req.user.id.toString()
+        }
+      });
 
-    // If payment succeeded, update booking status to confirmed
-    if (payment.transaction.status === 'completed' && booking.status === 'pending') {
-      booking.status = 'confirmed';
-    }
+      // Create the payment record, or reuse the one from a failed, abandoned or expired attempt
+      if (!payment) {
+        payment = new Payment({ booking: booking._id });
+      }
+      const processedAt = new Date();
+      payment.set({
+        user: booking.user,
+        owner: booking.owner,
+        amount: {
+          total: booking.pricing.totalAmount,
+          platformFee: booking.pricing.platformFee,
+          ownerEarnings: booking.pricing.ownerEarnings,
+          authorized: charge.status === 'authorized' ? booking.pricing.totalAmount : undefined,
+          captured: charge.status === 'completed' ? booking.pricing.totalAmount : undefined,
+          feePolicy: booking.pricing.feePolicy,
+          tax: booking.pricing.tax || 0,
+          taxPolicy: booking.pricing.taxPolicy,
+          discount: booking.pricing.discount || 0
+        },
+        currency,
+        paymentMethod: charge.paymentMethod,
+        transaction: {
+          id: charge.id,
+          status: charge.status,
+          gateway: gateway.name,
+          processedAt,
+          authorizedAt: charge.status === 'authorized' ? processedAt : undefined,
+          authorizationExpiresAt: charge.authorizationExpiresAt,
+          capturedAt: charge.status === 'completed' ? processedAt : undefined
+        }
+      });
+
+      await payment.save();
+
+      // Update booking payment status
+      booking.payment.status = payment.transaction.status;
+      booking.payment.transactionId = payment.transaction.id;
+      booking.payment.processedAt = payment.transaction.processedAt;
+
+      // If the card was authorized (or charged), update booking status to confirmed,
+      // unless it still needs the owner's approval
+      if (['authorized', 'completed'].includes(payment.transaction.status) && booking.status === 'pending' &&
+          !booking.isAwaitingApproval()) {
+        booking.status = 'confirmed';
+      }
+
+      await booking.save();
 
-    await booking.save();
+      return { payment, charge };
+    });
+
+    if (payment.transaction.status === 'completed') {
+      await recordPaymentLedger(payment);
+      await dispatchNotification(NOTIFICATION_EVENTS.PAYMENT_PROCESSED, { payment });
+    }
 
-    // TODO: Send payment confirmation email
+    if (['authorized', 'completed'].includes(payment.transaction.status) && booking.status === 'confirmed') {
+      await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_CONFIRMED, { booking });
+    }
 
     res.status(200).json({
       success: true,
       data: {
         payment,
-        booking
+        booking,
+        ...getNextAction(charge)
       }
     });
   } catch (error) {
-    // Handle Stripe errors
-    if (error.type === 'StripeCardError') {
+    // Handle payments the gateway declined
+    if (error instanceof PaymentGatewayError) {
+      if (booking) {
+        await dispatchNotification(NOTIFICATION_EVENTS.PAYMENT_FAILED, {
+          booking,
+          reason: error.message
+        });
+      }
+
       return res.status(400).json({
         success: false,
         error: {
@@ -111,6 +190,74 @@ exports.processPayment = async (req, res, next) => {
   }
 };
 
+/**
+ * Finalise a payment once the customer has completed authentication (3-D Secure)
+ * @route POST /api/payments/:id/confirm
+ * @access Private
+ */
+exports.confirmPayment = async (req, res, next) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      throw new NotFoundError('Payment not found');
+    }
+
+    // Check if user is authorized to confirm this payment
+    if (!payment.user.equals(req.user.id)) {
+      throw new ForbiddenError('Not authorized to confirm this payment');
+    }
+
+    // The webhook may already have settled it
+    if (['authorized', 'completed'].includes(payment.transaction.status)) {
+      const booking = await Booking.findById(payment.booking);
+      return res.status(200).json({
+        success: true,
+        data: { payment, booking, requiresAction: false }
+      });
+    }
+
+    if (payment.transaction.status !== 'pending') {
+      throw new BadRequestError(`Cannot confirm payment with status ${payment.transaction.status}`);
+    }
+
+    const charge = await getGateway(payment.transaction.gateway).getStatus(payment.transaction.id);
+
+    if (charge.status === 'failed') {
+      const reason = charge.failureReason || 'Payment authentication failed';
+      await failPendingPayment(payment, reason);
+
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'PAYMENT_FAILED',
+          message: reason
+        }
+      });
+    }
+
+    if (charge.status === 'authorized') {
+      await authorizePendingPayment(payment, charge.authorizationExpiresAt);
+    } else if (charge.status === 'completed') {
+      await completePendingPayment(payment);
+    }
+
+    // Re-read both, as either may have been settled by the webhook meanwhile
+    const updatedPayment = await Payment.findById(payment._id);
+    const booking = await Booking.findById(payment.booking);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payment: updatedPayment,
+        booking,
+        ...getNextAction(charge)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get payment history for user
  * @route GET /api/payments/history
@@ -204,6 +351,39 @@ exports.getPaymentById = async (req, res, next) => {
   }
 };
 
+/**
+ * Download the receipt for a payment as a PDF
+ * @route GET /api/payments/:id/receipt
+ * @access Private
+ */
+exports.getPaymentReceipt = async (req, res, next) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      throw new NotFoundError('Payment not found');
+    }
+
+    const isUser = payment.user.equals(req.user.id);
+    const isOwner = payment.owner.equals(req.user.id);
+    const isAdmin = req.user.role === 'admin';
+
+    if (!isUser && !isOwner && !isAdmin) {
+      throw new ForbiddenError('Not authorized to view this payment');
+    }
+
+    const { filename, content } = await generateReceiptPdf(payment);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.status(200).send(content);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Request refund for a payment
  * @route POST /api/payments/refund
@@ -258,7 +438,7 @@ exports.requestRefund = async (req, res, next) => {
 
     await payment.save();
 
-    // TODO: Send notification to admin about refund request
+    await dispatchNotification(NOTIFICATION_EVENTS.REFUND_REQUESTED, { payment, reason });
 
     res.status(200).json({
       success: true,
@@ -311,27 +491,38 @@ exports.getEarnings = async (req, res, next) => {
     // Get total count
     const total = await Payment.countDocuments(query);
 
-    // Calculate total earnings
+    // Calculate total earnings in each currency, and in the reporting currency
     const earningsResult = await Payment.aggregate([
       { $match: query },
       { $group: {
-          _id: null,
+          _id: '$currency',
           totalEarnings: { $sum: '$amount.ownerEarnings' },
           count: { $sum: 1 }
         }
       }
     ]);
 
-    const totalEarnings = earningsResult.length > 0 ? earningsResult[0].totalEarnings : 0;
-    const totalPayments = earningsResult.length > 0 ? earningsResult[0].count : 0;
+    const earnings = summarizeByCurrency(
+      earningsResult.map(({ _id, ...totals }) => ({ currency: _id, ...totals })),
+      ['totalEarnings'],
+      await getExchangeRates()
+    );
+    const totalPayments = earningsResult.reduce((sum, item) => sum + item.count, 0);
 
     res.status(200).json({
       success: true,
       data: {
         payments,
         stats: {
-          totalEarnings,
-          totalPayments
+          totalEarnings: earnings.totals.totalEarnings,
+          totalPayments,
+          reportingCurrency: earnings.reportingCurrency,
+          byCurrency: earnings.byCurrency.map(({ currency, totalEarnings, count }) => ({
+            currency,
+            totalEarnings,
+            totalPayments: count
+          })),
+          unconvertedCurrencies: earnings.unconverted
         },
         pagination: {
           total,
@@ -375,37 +566,45 @@ exports.getChargerEarnings = async (req, res, next) => {
       };
     }
 
-    // Calculate earnings for this charger
+    // Calculate earnings for this charger in each currency, and in the reporting currency
     const earningsResult = await Payment.aggregate([
       { $match: query },
       { $group: {
-          _id: null,
+          _id: '$currency',
           totalEarnings: { $sum: '$amount.ownerEarnings' },
           count: { $sum: 1 }
         }
       }
     ]);
 
-    // Get monthly breakdown
+    const earnings = summarizeByCurrency(
+      earningsResult.map(({ _id, ...totals }) => ({ currency: _id, ...totals })),
+      ['totalEarnings'],
+      await getExchangeRates()
+    );
+
+    // Get monthly breakdown, one row per month and currency
     const monthlyBreakdown = await Payment.aggregate([
       { $match: query },
       {
         $group: {
           _id: {
             year: { $year: '$transaction.processedAt' },
-            month: { $month: '$transaction.processedAt' }
+            month: { $month: '$transaction.processedAt' },
+            currency: { $toUpper: { $ifNull: ['$currency', DEFAULT_CURRENCY] } }
           },
           earnings: { $sum: '$amount.ownerEarnings' },
           count: { $sum: 1 }
         }
       },
-      { $sort: { '_id.year': 1, '_id.month': 1 } }
+      { $sort: { '_id.year': 1, '_id.month': 1, '_id.currency': 1 } }
     ]);
 
     // Format monthly breakdown
     const formattedMonthly = monthlyBreakdown.map(item => ({
       year: item._id.year,
       month: item._id.month,
+      currency: item._id.currency,
       earnings: item.earnings,
       count: item.count
     }));
@@ -415,8 +614,15 @@ exports.getChargerEarnings = async (req, res, next) => {
       data: {
         charger: chargerId,
         stats: {
-          totalEarnings: earningsResult.length > 0 ? earningsResult[0].totalEarnings : 0,
-          totalBookings: earningsResult.length > 0 ? earningsResult[0].count : 0
+          totalEarnings: earnings.totals.totalEarnings,
+          totalBookings: earningsResult.reduce((sum, item) => sum + item.count, 0),
+          reportingCurrency: earnings.reportingCurrency,
+          byCurrency: earnings.byCurrency.map(({ currency, totalEarnings, count }) => ({
+            currency,
+            totalEarnings,
+            totalBookings: count
+          })),
+          unconvertedCurrencies: earnings.unconverted
         },
         monthly: formattedMonthly
       }
@@ -426,6 +632,35 @@ exports.getChargerEarnings = async (req, res, next) => {
   }
 };
 
+/**
+ * Download a monthly earnings statement as a PDF
+ * @route GET /api/payments/earnings/statement?month=2024-06
+ * @access Private (charger_owner, admin)
+ */
+exports.getEarningsStatement = async (req, res, next) => {
+  try {
+    const match = /^(\d{4})-(\d{2})$/.exec(req.query.month || '');
+    const month = match ? parseInt(match[2]) : 0;
+
+    if (!match || month < 1 || month > 12) {
+      throw new BadRequestError('Month is required in the format YYYY-MM');
+    }
+
+    // Admins can download any owner's statement
+    const ownerId = req.user.role === 'admin' && req.query.ownerId ? req.query.ownerId : req.user.id;
+
+    const { filename, content } = await generateStatementPdf(ownerId, parseInt(match[1]), month);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.status(200).send(content);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all payments (admin only)
  * @route GET /api/payments/admin/all
@@ -497,65 +732,66 @@ exports.getAllPayments = async (req, res, next) => {
 };
 
 /**
- * Process refund (admin only)
+ * Process refund (admin only), to the card or, with refundTo 'wallet', as wallet credit
  * @route POST /api/payments/admin/process-refund
  * @access Private (admin)
  */
 exports.processRefund = async (req, res, next) => {
   try {
-    const { paymentId, amount, reason } = req.body;
+    const { paymentId, amount, reason, refundTo } = req.body;
+    const toWallet = refundTo === 'wallet';
 
     if (!paymentId) {
       throw new BadRequestError('Payment ID is required');
     }
 
     // Find payment
-    const payment = await Payment.findById(paymentId);
-    if (!payment) {
+    const found = await Payment.findById(paymentId);
+    if (!found) {
       throw new NotFoundError('Payment not found');
     }
 
-    // Check if payment is completed
-    if (payment.transaction.status !== 'completed') {
-      throw new BadRequestError('Cannot refund a payment that is not completed');
-    }
+    // Hold the booking lock so a cancellation, capture or change cannot move the payment meanwhile
+    const { payment, refundAmount, refund } = await withPaymentLock(found, async () => {
+      const payment = await Payment.findById(found._id);
 
-    // Check if payment is already refunded
-    if (payment.transaction.status === 'refunded') {
-      throw new BadRequestError('Payment has already been refunded');
-    }
+      // Check if any of the payment is left to refund
+      if (!payment.canBeRefunded()) {
+        throw new BadRequestError('Cannot refund a payment that is not completed or is already fully refunded');
+      }
 
-    // Process refund with Stripe
-    const refundAmount = amount ? Math.round(amount * 100) : Math.round(payment.amount.total * 100);
-    
-    const refund = await stripe.refunds.create({
-      payment_intent: payment.transaction.id,
-      amount: refundAmount,
-      reason: 'requested_by_customer'
-    });
+      // Validate refund amount, defaulting to everything not yet refunded
+      const maxRefundAmount = payment.calculateRefund(100);
+      const refundAmount = amount ? Number(amount) : maxRefundAmount;
 
-    // Update payment with refund information
-    payment.transaction.status = 'refunded';
-    payment.transaction.refundedAt = new Date();
-    payment.transaction.refundAmount = refundAmount / 100;
-    payment.refundRequest = {
-      requestedAt: payment.refundRequest?.requestedAt || new Date(),
-      processedAt: new Date(),
-      reason: reason || payment.refundRequest?.reason || 'Admin processed refund',
-      status: 'approved'
-    };
+      if (!(refundAmount > 0) || refundAmount > maxRefundAmount) {
+        throw new BadRequestError(`Refund amount must be between 0 and ${maxRefundAmount}`);
+      }
 
-    await payment.save();
+      // Process refund through the payment's gateway, or into the driver's wallet
+      const refund = await refundPayment(payment, refundAmount, { toWallet });
 
-    // Update booking status if it's not already cancelled
-    const booking = await Booking.findById(payment.booking);
-    if (booking && booking.status !== 'cancelled') {
-      booking.status = 'cancelled';
-      booking.payment.status = 'refunded';
-      await booking.save();
-    }
+      payment.refundRequest = {
+        requestedAt: payment.refundRequest?.requestedAt || new Date(),
+        processedAt: new Date(),
+        reason: reason || payment.refundRequest?.reason || 'Admin processed refund',
+        status: 'approved'
+      };
 
-    // TODO: Send refund confirmation email
+      await payment.save();
+
+      // Cancel the booking if it's not already cancelled
+      const booking = await Booking.findById(payment.booking);
+      await syncBookingPayment(booking, payment, booking && booking.status !== 'cancelled' ? { status: 'cancelled' } : {});
+
+      return { payment, refundAmount, refund };
+    });
+
+    await dispatchNotification(NOTIFICATION_EVENTS.PAYMENT_REFUNDED, {
+      payment,
+      refundAmount,
+      toWallet
+    });
 
     res.status(200).json({
       success: true,
@@ -565,8 +801,8 @@ exports.processRefund = async (req, res, next) => {
       }
     });
   } catch (error) {
-    // Handle Stripe errors
-    if (error.type && error.type.startsWith('Stripe')) {
+    // Handle gateway refund errors
+    if (error instanceof PaymentGatewayError) {
       return res.status(400).json({
         success: false,
         error: {
@@ -597,37 +833,53 @@ exports.getPaymentStats = async (req, res, next) => {
       };
     }
 
-    // Overall payment stats
+    const exchangeRates = await getExchangeRates();
+
+    // Overall payment stats, per currency
     const overallStats = await Payment.aggregate([
       { $match: { ...dateQuery } },
       { $group: {
-          _id: '$transaction.status',
+          _id: { status: '$transaction.status', currency: '$currency' },
           count: { $sum: 1 },
           total: { $sum: '$amount.total' },
-          platformFees: { $sum: '$amount.platformFee' }
+          platformFees: { $sum: '$amount.platformFee' },
+          tax: { $sum: '$amount.tax' }
         }
       }
     ]);
 
-    // Format overall stats
+    // Format overall stats, with amounts in the reporting currency
     const formattedStats = {
       completed: { count: 0, total: 0 },
       pending: { count: 0, total: 0 },
       refunded: { count: 0, total: 0 },
       failed: { count: 0, total: 0 },
-      platformFees: 0
+      platformFees: 0,
+      tax: 0,
+      reportingCurrency: exchangeRates.reportingCurrency
     };
 
-    overallStats.forEach(stat => {
-      if (formattedStats[stat._id]) {
-        formattedStats[stat._id].count = stat.count;
-        formattedStats[stat._id].total = stat.total;
-      }
-      
-      if (stat._id === 'completed') {
-        formattedStats.platformFees = stat.platformFees;
+    const unconverted = new Set();
+    for (const status of ['completed', 'pending', 'refunded', 'failed']) {
+      const summary = summarizeByCurrency(
+        overallStats
+          .filter(stat => stat._id.status === status)
+          .map(({ _id, count, total, platformFees, tax }) => ({ currency: _id.currency, count, total, platformFees, tax })),
+        ['total', 'platformFees', 'tax'],
+        exchangeRates
+      );
+
+      formattedStats[status].count = summary.byCurrency.reduce((sum, item) => sum + item.count, 0);
+      formattedStats[status].total = summary.totals.total;
+      summary.unconverted.forEach(currency => unconverted.add(currency));
+
+      if (status === 'completed') {
+        formattedStats.platformFees = summary.totals.platformFees;
+        formattedStats.tax = summary.totals.tax;
+        formattedStats.byCurrency = summary.byCurrency;
       }
-    });
+    }
+    formattedStats.unconvertedCurrencies = [...unconverted];
 
     // Monthly breakdown
     const monthlyBreakdown = await Payment.aggregate([
@@ -636,33 +888,142 @@ exports.getPaymentStats = async (req, res, next) => {
         $group: {
           _id: {
             year: { $year: '$transaction.processedAt' },
-            month: { $month: '$transaction.processedAt' }
+            month: { $month: '$transaction.processedAt' },
+            currency: '$currency'
           },
           revenue: { $sum: '$amount.total' },
           platformFees: { $sum: '$amount.platformFee' },
+          tax: { $sum: '$amount.tax' },
           count: { $sum: 1 }
         }
       },
       { $sort: { '_id.year': 1, '_id.month': 1 } }
     ]);
 
-    // Format monthly breakdown
-    const formattedMonthly = monthlyBreakdown.map(item => ({
-      year: item._id.year,
-      month: item._id.month,
-      revenue: item.revenue,
-      platformFees: item.platformFees,
-      count: item.count
+    // Format monthly breakdown, combining currencies in the reporting currency
+    const months = new Map();
+    for (const { _id, ...totals } of monthlyBreakdown) {
+      const key = `${_id.year}-${_id.month}`;
+      if (!months.has(key)) months.set(key, { year: _id.year, month: _id.month, rows: [] });
+      months.get(key).rows.push({ currency: _id.currency, ...totals });
+    }
+
+    const formattedMonthly = [...months.values()].map(({ year, month, rows }) => {
+      const summary = summarizeByCurrency(rows, ['revenue', 'platformFees', 'tax'], exchangeRates);
+      return {
+        year,
+        month,
+        revenue: summary.totals.revenue,
+        platformFees: summary.totals.platformFees,
+        tax: summary.totals.tax,
+        count: summary.byCurrency.reduce((sum, item) => sum + item.count, 0),
+        byCurrency: summary.byCurrency
+      };
+    });
+
+    // Tax for filing returns: per jurisdiction, rate and currency, net of refunds.
+    // Not converted, since returns are filed in the currency the tax was charged in.
+    const refundedShare = { $divide: [{ $ifNull: ['$transaction.refundAmount', 0] }, '$amount.total'] };
+    const taxBreakdown = await Payment.aggregate([
+      {
+        $match: {
+          ...dateQuery,
+          'transaction.status': { $in: ['completed', 'partially_refunded', 'refunded'] },
+          'amount.tax': { $gt: 0 }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            jurisdiction: '$amount.taxPolicy.jurisdiction',
+            name: '$amount.taxPolicy.name',
+            rate: '$amount.taxPolicy.rate',
+            currency: '$currency'
+          },
+          count: { $sum: 1 },
+          taxableAmount: {
+            $sum: { $multiply: [{ $subtract: ['$amount.total', '$amount.tax'] }, { $subtract: [1, refundedShare] }] }
+          },
+          taxCollected: { $sum: '$amount.tax' },
+          taxRefunded: { $sum: { $multiply: ['$amount.tax', refundedShare] } }
+        }
+      },
+      { $sort: { '_id.jurisdiction': 1, '_id.rate': 1, '_id.currency': 1 } }
+    ]);
+
+    const formattedTax = taxBreakdown.map(({ _id, count, taxableAmount, taxCollected, taxRefunded }) => ({
+      jurisdiction: _id.jurisdiction,
+      name: _id.name,
+      rate: _id.rate,
+      currency: (_id.currency || 'usd').toUpperCase(),
+      count,
+      taxableAmount: roundCurrency(taxableAmount),
+      taxCollected: roundCurrency(taxCollected),
+      taxRefunded: roundCurrency(taxRefunded),
+      netTax: roundCurrency(taxCollected - taxRefunded)
     }));
 
     res.status(200).json({
       success: true,
       data: {
         stats: formattedStats,
-        monthly: formattedMonthly
+        monthly: formattedMonthly,
+        tax: formattedTax
       }
     });
   } catch (error) {
     next(error);
   }
 };
+
+/**
+ * Receive Stripe webhook events
+ * @route POST /api/payments/webhook
+ * @access Public (verified by Stripe signature)
+ */
+exports.handleStripeWebhook = async (req, res, next) => {
+  let webhookEvent;
+
+  try {
+    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+      throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+    }
+
+    // req.body is the raw request Buffer (see server.js); the signature covers the exact bytes sent
+    let event;
+    try {
+      event = stripeGateway.constructWebhookEvent(
+        req.body,
+        req.headers['stripe-signature'],
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+    } catch (error) {
+      throw new BadRequestError(`Webhook signature verification failed: ${error.message}`);
+    }
+
+    // Stripe may deliver an event more than once; apply each one only once
+    webhookEvent = await WebhookEvent.claim('stripe', event);
+    if (!webhookEvent) {
+      return res.status(200).json({
+        success: true,
+        data: { received: true, duplicate: true }
+      });
+    }
+
+    const handled = await handleStripeEvent(event);
+    await webhookEvent.finish();
+
+    res.status(200).json({
+      success: true,
+      data: { received: true, handled }
+    });
+  } catch (error) {
+    // Record the failure so Stripe's retry of this event is processed again
+    if (webhookEvent) {
+      await webhookEvent.finish(error).catch(finishError => {
+        console.error('Failed to record webhook failure:', finishError);
+      });
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,234 @@
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const { NotFoundError, BadRequestError, ForbiddenError } = require('../utils/errors');
+const { stripeGateway } = require('../utils/stripeGateway');
+const {
+  getPayoutItems,
+  getNextPayoutDate,
+  getPayoutPeriodEnd,
+  sendPayout,
+  runPayoutBatch,
+  updatePayoutAccount
+} = require('../utils/payouts');
+
+/**
+ * Start or resume payout onboarding for the current owner
+ * @route POST /api/payouts/onboarding
+ * @access Private (charger_owner)
+ */
+exports.startOnboarding = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    // Create the connected account the first time; later calls resume its onboarding
+    if (!user.payoutAccount || !user.payoutAccount.accountId) {
+      const account = await stripeGateway.createConnectedAccount({
+        email: user.email,
+        metadata: { userId: user._id.toString() }
+      });
+      await updatePayoutAccount(user, account);
+    }
+
+    const dashboardUrl = `${process.env.FRONTEND_URL || ''}/dashboard`;
+    const url = await stripeGateway.createOnboardingLink(user.payoutAccount.accountId, {
+      refreshUrl: `${dashboardUrl}?payouts=refresh`,
+      returnUrl: `${dashboardUrl}?payouts=return`
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        url,
+        payoutAccount: user.payoutAccount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current owner's payout account, refreshed from Stripe
+ * @route GET /api/payouts/account
+ * @access Private (charger_owner)
+ */
+exports.getPayoutAccount = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.payoutAccount && user.payoutAccount.accountId && !user.payoutAccount.payoutsEnabled) {
+      const account = await stripeGateway.getConnectedAccount(user.payoutAccount.accountId);
+      await updatePayoutAccount(user, account);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user.payoutAccount && user.payoutAccount.accountId ? user.payoutAccount : null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current owner's payouts and unpaid balance
+ * @route GET /api/payouts
+ * @access Private (charger_owner)
+ */
+exports.getPayouts = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const query = { owner: req.user.id };
+    if (status) {
+      query.status = status;
+    }
+
+    const payouts = await Payout.find(query)
+      .select('-items')
+      .sort({ 'period.end': -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Payout.countDocuments(query);
+
+    // Earnings not yet covered by a payout, all of which the next batch pays, by currency
+    const unpaid = (await getPayoutItems(req.user.id, new Date()))
+      .map(({ currency, amount }) => ({ currency, amount }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payouts,
+        balance: {
+          unpaid,
+          nextPayoutDate: getNextPayoutDate()
+        },
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a payout with the payments it settled
+ * @route GET /api/payouts/:id
+ * @access Private (payout owner, admin)
+ */
+exports.getPayoutById = async (req, res, next) => {
+  try {
+    const payout = await Payout.findById(req.params.id)
+      .populate({
+        path: 'items.payment',
+        select: 'booking amount transaction.status transaction.processedAt transaction.refundAmount'
+      });
+
+    if (!payout) {
+      throw new NotFoundError('Payout not found');
+    }
+
+    if (!payout.owner.equals(req.user.id) && req.user.role !== 'admin') {
+      throw new ForbiddenError('Not authorized to view this payout');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: payout
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all payouts
+ * @route GET /api/payouts/admin/all
+ * @access Private (admin)
+ */
+exports.getAllPayouts = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, ownerId } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (ownerId) query.owner = ownerId;
+
+    const payouts = await Payout.find(query)
+      .select('-items')
+      .populate('owner', 'email profile.firstName profile.lastName')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Payout.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payouts,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run the payout batch now rather than waiting for the weekly schedule
+ * @route POST /api/payouts/admin/run
+ * @access Private (admin)
+ */
+exports.runPayouts = async (req, res, next) => {
+  try {
+    const summary = await runPayoutBatch(getPayoutPeriodEnd());
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retry a failed payout
+ * @route POST /api/payouts/admin/:id/retry
+ * @access Private (admin)
+ */
+exports.retryPayout = async (req, res, next) => {
+  try {
+    const payout = await Payout.findById(req.params.id);
+
+    if (!payout) {
+      throw new NotFoundError('Payout not found');
+    }
+
+    if (payout.status !== 'failed') {
+      throw new BadRequestError(`Cannot retry a ${payout.status} payout`);
+    }
+
+    const owner = await User.findById(payout.owner);
+    await sendPayout(payout, owner);
+
+    res.status(200).json({
+      success: true,
+      data: payout
+    });
+  } catch (error) {
+    next(error);
+  }
+};
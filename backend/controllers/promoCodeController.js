@@ -0,0 +1,108 @@
+const PromoCode = require('../models/PromoCode');
+const { NotFoundError } = require('../utils/errors');
+
+// Fields admins can set on a promo code
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'value',
+  'currency',
+  'fundedBy',
+  'maxUses',
+  'maxUsesPerUser',
+  'firstBookingOnly',
+  'chargers',
+  'startsAt',
+  'expiresAt',
+  'active'
+];
+
+const pickEditable = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * Get all promo codes
+ * @route GET /api/promo-codes
+ * @access Private (admin)
+ */
+exports.getPromoCodes = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, active, search } = req.query;
+
+    const query = {};
+    if (active !== undefined) query.active = active === 'true';
+    if (search) query.code = { $regex: search.toUpperCase().replace(/[^A-Z0-9_-]/g, ''), $options: 'i' };
+
+    const promoCodes = await PromoCode.find(query)
+      .populate('chargers', 'title')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await PromoCode.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promoCodes,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a promo code
+ * @route POST /api/promo-codes
+ * @access Private (admin)
+ */
+exports.createPromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await PromoCode.create({
+      ...pickEditable(req.body),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: promoCode
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a promo code, e.g. to change its limits or deactivate it
+ * Bookings already made keep the discount they were given.
+ * @route PUT /api/promo-codes/:id
+ * @access Private (admin)
+ */
+exports.updatePromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      throw new NotFoundError('Promo code not found');
+    }
+
+    promoCode.set(pickEditable(req.body));
+    await promoCode.save();
+
+    res.status(200).json({
+      success: true,
+      data: promoCode
+    });
+  } catch (error) {
+    next(error);
+  }
+};
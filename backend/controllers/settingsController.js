@@ -1,6 +1,11 @@
 const { BadRequestError } = require('../utils/errors');
 const Settings = require('../models/Settings');
 const { logAuditEvent, AUDIT_ACTIONS } = require('../utils/auditLogger');
+const { validateFeeSetting } = require('../utils/platformFee');
+const { validateGatewaySetting } = require('../utils/paymentGateway');
+const { validateCurrencySetting } = require('../utils/currency');
+const { validateTaxSetting } = require('../utils/tax');
+const { validatePromotionSetting } = require('../utils/promotions');
 
 /**
  * Get public settings
@@ -188,6 +193,14 @@ exports.updateSettings = async (req, res, next) => {
     // Process each setting update
     for (const [key, value] of Object.entries(settings)) {
       try {
+        const validationError = validateFeeSetting(key, value) || validateGatewaySetting(key, value) ||
+          validateCurrencySetting(key, value) || validateTaxSetting(key, value) ||
+          validatePromotionSetting(key, value);
+        if (validationError) {
+          errors.push(`Error updating setting '${key}': ${validationError}`);
+          continue;
+        }
+
         const setting = await Settings.findOneAndUpdate(
           { key },
           { $set: { value } },
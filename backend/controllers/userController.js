@@ -1,4 +1,5 @@
 const User = require('../models/User');
+const Settings = require('../models/Settings');
 const { NotFoundError, BadRequestError, UnauthorizedError } = require('../utils/errors');
 const { uploadToStorage, deleteFromStorage } = require('../utils/fileUpload');
 const { uploadToS3, deleteFromS3, getSignedUrl } = require('../utils/s3Upload');
@@ -367,6 +368,41 @@ exports.resendVerificationEmail = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the current user's referral code and invitations
+ * @route GET /api/users/referral
+ * @access Private
+ */
+exports.getReferral = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const code = await user.getReferralCode();
+    const [invited, rewarded, rewards] = await Promise.all([
+      User.countDocuments({ 'referral.referredBy': user._id }),
+      User.countDocuments({ 'referral.referredBy': user._id, 'referral.rewardedAt': { $ne: null } }),
+      Settings.getSetting('referralRewards')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        code,
+        link: `${process.env.FRONTEND_URL || ''}/register?ref=${code}`,
+        invited,
+        rewarded,
+        rewards: rewards || {}
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all users (admin only)
  * @route GET /api/users
@@ -0,0 +1,273 @@
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const { NotFoundError, BadRequestError, PaymentGatewayError } = require('../utils/errors');
+const { SUPPORTED_CURRENCIES, normalizeCurrency } = require('../utils/currency');
+const { stripeGateway } = require('../utils/stripeGateway');
+const { getGateway, getActiveGateway } = require('../utils/paymentGateway');
+const {
+  MIN_TOP_UP,
+  MAX_TOP_UP,
+  getWalletBalances,
+  completePendingTopUp,
+  failPendingTopUp,
+  getStripeCustomerId
+} = require('../utils/wallet');
+
+// Respond to a card the gateway declined
+const sendPaymentFailure = (res, message) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'PAYMENT_FAILED',
+    message
+  }
+});
+
+/**
+ * Get the current user's wallet balances
+ * @route GET /api/wallet
+ * @access Private
+ */
+exports.getWallet = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        balances: getWalletBalances(user),
+        topUpLimits: { min: MIN_TOP_UP, max: MAX_TOP_UP }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's wallet history
+ * @route GET /api/wallet/transactions
+ * @access Private
+ */
+exports.getTransactions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, currency, type } = req.query;
+
+    const query = { user: req.user.id };
+    if (currency) query.currency = normalizeCurrency(currency);
+    if (type) query.type = type;
+
+    const transactions = await WalletTransaction.find(query)
+      .populate('booking', 'schedule')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await WalletTransaction.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transactions,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add money to the wallet by card
+ * @route POST /api/wallet/top-ups
+ * @access Private
+ */
+exports.createTopUp = async (req, res, next) => {
+  try {
+    const { amount, currency, paymentMethodId } = req.body;
+    const code = normalizeCurrency(currency);
+
+    if (!paymentMethodId) {
+      throw new BadRequestError('Payment method ID is required');
+    }
+
+    if (!SUPPORTED_CURRENCIES.includes(code)) {
+      throw new BadRequestError(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
+    }
+
+    if (typeof amount !== 'number' || amount < MIN_TOP_UP || amount > MAX_TOP_UP) {
+      throw new BadRequestError(`Top-up amount must be between ${MIN_TOP_UP} and ${MAX_TOP_UP}`);
+    }
+
+    const user = await User.findById(req.user.id);
+    const gateway = await getActiveGateway();
+    const charge = await gateway.charge({
+      amount,
+      currency: code.toLowerCase(),
+      paymentMethodId,
+      customerId: gateway.name === 'stripe' ? user.wallet.stripeCustomerId : undefined,
+      capture: true,
+      description: 'Wallet top-up',
+      metadata: { userId: user._id.toString() }
+    });
+
+    let topUp = await WalletTransaction.create({
+      user: user._id,
+      type: 'top_up',
+      amount: Math.round(amount * 100) / 100,
+      currency: code,
+      status: 'pending',
+      description: 'Wallet top-up',
+      gatewayTransaction: { gateway: gateway.name, id: charge.id }
+    });
+
+    if (charge.status === 'failed') {
+      await failPendingTopUp(topUp, charge.failureReason);
+      return sendPaymentFailure(res, charge.failureReason || 'Payment failed');
+    }
+    if (charge.status === 'completed') {
+      topUp = await completePendingTopUp(topUp);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        topUp,
+        balances: getWalletBalances(await User.findById(user._id)),
+        requiresAction: Boolean(charge.requiresAction),
+        clientSecret: charge.clientSecret,
+        nextAction: charge.nextAction
+      }
+    });
+  } catch (error) {
+    if (error instanceof PaymentGatewayError) {
+      return sendPaymentFailure(res, error.message);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Finalise a top-up once the customer has completed authentication (3-D Secure)
+ * @route POST /api/wallet/top-ups/:id/confirm
+ * @access Private
+ */
+exports.confirmTopUp = async (req, res, next) => {
+  try {
+    let topUp = await WalletTransaction.findOne({ _id: req.params.id, user: req.user.id, type: 'top_up' });
+
+    if (!topUp) {
+      throw new NotFoundError('Top-up not found');
+    }
+
+    // The webhook may already have settled it
+    if (topUp.status === 'pending') {
+      const charge = await getGateway(topUp.gatewayTransaction.gateway).getStatus(topUp.gatewayTransaction.id);
+
+      if (charge.status === 'failed') {
+        const reason = charge.failureReason || 'Payment authentication failed';
+        await failPendingTopUp(topUp, reason);
+        return sendPaymentFailure(res, reason);
+      }
+      if (charge.status === 'completed') {
+        await completePendingTopUp(topUp);
+      }
+      topUp = await WalletTransaction.findById(topUp._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        topUp,
+        balances: getWalletBalances(await User.findById(req.user.id))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the cards the current user has saved
+ * @route GET /api/wallet/cards
+ * @access Private
+ */
+exports.getSavedCards = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const cards = user.wallet.stripeCustomerId
+      ? await stripeGateway.listSavedCards(user.wallet.stripeCustomerId)
+      : [];
+
+    res.status(200).json({
+      success: true,
+      data: cards
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save a card created by Stripe.js, to pay with later
+ * @route POST /api/wallet/cards
+ * @access Private
+ */
+exports.saveCard = async (req, res, next) => {
+  try {
+    const { paymentMethodId } = req.body;
+
+    if (!paymentMethodId) {
+      throw new BadRequestError('Payment method ID is required');
+    }
+
+    const user = await User.findById(req.user.id);
+    const card = await stripeGateway.saveCard(await getStripeCustomerId(user), paymentMethodId);
+
+    res.status(201).json({
+      success: true,
+      data: card
+    });
+  } catch (error) {
+    if (error instanceof PaymentGatewayError) {
+      return sendPaymentFailure(res, error.message);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Remove a saved card
+ * @route DELETE /api/wallet/cards/:id
+ * @access Private
+ */
+exports.removeCard = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const cards = user.wallet.stripeCustomerId
+      ? await stripeGateway.listSavedCards(user.wallet.stripeCustomerId)
+      : [];
+
+    // Only cards saved to this user's customer can be removed
+    if (!cards.some(card => card.id === req.params.id)) {
+      throw new NotFoundError('Card not found');
+    }
+
+    await stripeGateway.removeCard(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Card removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
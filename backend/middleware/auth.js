@@ -28,6 +28,41 @@ const generateRefreshToken = (userId) => {
   );
 };
 
+/**
+ * Resolve the active user an access token belongs to
+ * Shared by the HTTP `protect` middleware and the Socket.io handshake
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} User document without password
+ * @throws {UnauthorizedError} If the token is invalid or the user no longer exists
+ * @throws {ForbiddenError} If user account is not active
+ */
+const getUserFromToken = async (token) => {
+  // Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+    issuer: 'evchargershare',
+    audience: 'evchargershare-users'
+  });
+
+  // Get user from token
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    throw new UnauthorizedError('The user belonging to this token no longer exists.');
+  }
+
+  // Check if user changed password after the token was issued
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw new UnauthorizedError('User recently changed password. Please log in again.');
+  }
+
+  // Check if user account is active
+  if (user.status !== 'active') {
+    throw new ForbiddenError('Your account is not active. Please contact support.');
+  }
+
+  return user;
+};
+
 /**
  * Middleware to protect routes - verifies JWT token and attaches user to request
  * @throws {UnauthorizedError} If no token provided or token is invalid
@@ -52,28 +87,7 @@ const protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
-        issuer: 'evchargershare',
-        audience: 'evchargershare-users'
-      });
-
-      // Get user from token
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (!user) {
-        throw new UnauthorizedError('The user belonging to this token no longer exists.');
-      }
-
-      // Check if user changed password after the token was issued
-      if (user.changedPasswordAfter(decoded.iat)) {
-        throw new UnauthorizedError('User recently changed password. Please log in again.');
-      }
-
-      // Check if user account is active
-      if (user.status !== 'active') {
-        throw new ForbiddenError('Your account is not active. Please contact support.');
-      }
+      const user = await getUserFromToken(token);
 
       // Check if email is verified (if required for the route)
       if (req.requiresEmailVerification && !user.isEmailVerified) {
@@ -168,6 +182,7 @@ const requireEmailVerification = (req, res, next) => {
 module.exports = {
   generateToken,
   generateRefreshToken,
+  getUserFromToken,
   protect,
   restrictTo,
   optionalAuth,
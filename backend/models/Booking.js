@@ -1,4 +1,89 @@
 const mongoose = require('mongoose');
+const { FEE_POLICY_SOURCES, resolveFeePolicy, applyFeePolicy } = require('../utils/platformFee');
+
+// Platform fee policy applied to an amount (see utils/platformFee)
+const feePolicySchema = new mongoose.Schema({
+  percentage: {
+    type: Number,
+    min: [0, 'Fee percentage cannot be negative'],
+    max: [100, 'Fee percentage cannot exceed 100']
+  },
+  source: {
+    type: String,
+    enum: {
+      values: FEE_POLICY_SOURCES,
+      message: 'Fee policy source must be default, charger_type, owner, or promotion'
+    }
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  appliedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+// Tax policy applied to the booking (see utils/tax)
+const taxPolicySchema = new mongoose.Schema({
+  jurisdiction: {
+    type: String,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  rate: {
+    type: Number,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100']
+  },
+  // Whether the charger's rates already included the tax
+  inclusive: {
+    type: Boolean
+  }
+}, { _id: false });
+
+// Discount taken off the booking price (see utils/promotions)
+const discountSchema = new mongoose.Schema({
+  // referral_credit is only on bookings made before referral rewards went to the wallet
+  type: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['promo_code', 'referral_credit'],
+      message: 'Discount type must be promo_code or referral_credit'
+    }
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode'
+  },
+  code: {
+    type: String,
+    trim: true
+  },
+  // Whose share of the price the discount comes out of
+  fundedBy: {
+    type: String,
+    enum: {
+      values: ['platform', 'owner'],
+      message: 'Discount must be funded by the platform or the owner'
+    },
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema({
   charger: {
@@ -22,6 +107,8 @@ const bookingSchema = new mongoose.Schema({
       required: [true, 'Start time is required'],
       validate: {
         validator: function(v) {
+          // Only checked when booking or rescheduling, so started bookings can still be updated
+          if (!this.isNew && !this.isModified('schedule.startTime')) return true;
           return v > new Date();
         },
         message: 'Start time must be in the future'
@@ -54,6 +141,22 @@ const bookingSchema = new mongoose.Schema({
       required: [true, 'Total amount is required'],
       min: [0.01, 'Total amount must be positive']
     },
+    // The charger's currency when booked; all of the booking's amounts are in it
+    currency: {
+      type: String,
+      default: 'USD',
+      enum: {
+        values: ['USD', 'EUR', 'GBP', 'CAD'],
+        message: 'Currency must be USD, EUR, GBP, or CAD'
+      }
+    },
+    // Part of totalAmount that is tax; the fee and earnings split the rest
+    tax: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax cannot be negative']
+    },
+    taxPolicy: taxPolicySchema,
     platformFee: {
       type: Number,
       default: 0,
@@ -62,13 +165,63 @@ const bookingSchema = new mongoose.Schema({
     ownerEarnings: {
       type: Number,
       min: [0, 'Owner earnings cannot be negative']
-    }
+    },
+    // Taken off the line items before tax; totalAmount is what is left to pay
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative']
+    },
+    discounts: [discountSchema],
+    // Set when a cancellation gave back the promo code use the discounts took
+    discountsReleasedAt: {
+      type: Date
+    },
+    // Itemised breakdown of totalAmount (see utils/pricing)
+    lineItems: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: {
+          values: ['time', 'energy', 'session', 'minimum'],
+          message: 'Line item type must be time, energy, session, or minimum'
+        },
+        required: true
+      },
+      label: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      quantity: {
+        type: Number,
+        min: [0, 'Quantity cannot be negative']
+      },
+      unit: {
+        type: String,
+        enum: ['hour', 'kWh', 'session']
+      },
+      rate: {
+        type: Number,
+        min: [0, 'Rate cannot be negative']
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Amount cannot be negative']
+      }
+    }],
+    estimatedKwh: {
+      type: Number,
+      min: [0, 'Estimated energy cannot be negative']
+    },
+    feePolicy: feePolicySchema
   },
   status: {
     type: String,
     enum: {
-      values: ['pending', 'confirmed', 'active', 'completed', 'cancelled'],
-      message: 'Status must be pending, confirmed, active, completed, or cancelled'
+      values: ['pending', 'confirmed', 'active', 'completed', 'cancelled', 'expired', 'declined', 'no_show'],
+      message: 'Status must be pending, confirmed, active, completed, cancelled, expired, declined, or no_show'
     },
     default: 'pending'
   },
@@ -76,8 +229,8 @@ const bookingSchema = new mongoose.Schema({
     status: {
       type: String,
       enum: {
-        values: ['pending', 'completed', 'failed', 'refunded'],
-        message: 'Payment status must be pending, completed, failed, or refunded'
+        values: ['pending', 'authorized', 'completed', 'failed', 'voided', 'expired', 'partially_refunded', 'refunded'],
+        message: 'Payment status must be pending, authorized, completed, failed, voided, expired, partially_refunded, or refunded'
       },
       default: 'pending'
     },
@@ -89,11 +242,109 @@ const bookingSchema = new mongoose.Schema({
       type: Date
     }
   },
+  // Owner approval, for chargers that are not instant-book
+  approval: {
+    status: {
+      type: String,
+      enum: {
+        values: ['awaiting', 'accepted', 'declined', 'expired'],
+        message: 'Approval status must be awaiting, accepted, declined, or expired'
+      }
+    },
+    // The request is declined automatically if the owner has not responded by then
+    respondBy: {
+      type: Date
+    },
+    respondedAt: {
+      type: Date
+    },
+    declineReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Decline reason cannot exceed 500 characters']
+    }
+  },
+  // A change of times the driver asked for, waiting for the owner when the charger
+  // is not instant-book (see utils/bookingChanges)
+  modification: {
+    status: {
+      type: String,
+      enum: {
+        values: ['awaiting', 'accepted', 'declined', 'expired'],
+        message: 'Modification status must be awaiting, accepted, declined, or expired'
+      }
+    },
+    startTime: {
+      type: Date
+    },
+    endTime: {
+      type: Date
+    },
+    // What the booking would cost with the new times, when it was asked for
+    totalAmount: {
+      type: Number,
+      min: [0, 'Total amount cannot be negative']
+    },
+    requestedAt: {
+      type: Date
+    },
+    // The change lapses if the owner has not responded by then
+    respondBy: {
+      type: Date
+    },
+    respondedAt: {
+      type: Date
+    },
+    declineReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Decline reason cannot exceed 500 characters']
+    }
+  },
   accessCode: {
     type: String,
     trim: true,
     maxlength: [20, 'Access code cannot exceed 20 characters']
   },
+  // When the driver actually arrived and left (see utils/checkIn)
+  checkIn: {
+    at: {
+      type: Date
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    method: {
+      type: String,
+      enum: {
+        values: ['access_code', 'qr_code'],
+        message: 'Check-in method must be access_code or qr_code'
+      }
+    },
+    // How far from the charger the driver checked in, when their location was sent
+    distanceMeters: {
+      type: Number,
+      min: [0, 'Distance cannot be negative']
+    }
+  },
+  checkOut: {
+    at: {
+      type: Date
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // auto: the driver never checked out, so the lifecycle job did
+    method: {
+      type: String,
+      enum: {
+        values: ['manual', 'auto'],
+        message: 'Check-out method must be manual or auto'
+      }
+    }
+  },
   notes: {
     type: String,
     trim: true,
@@ -119,8 +370,8 @@ bookingSchema.index({ user: 1, status: 1 });
 bookingSchema.index({ owner: 1, status: 1 });
 bookingSchema.index({ charger: 1, 'schedule.startTime': 1, 'schedule.endTime': 1 });
 
-// Pre-save middleware to calculate duration and owner earnings
-bookingSchema.pre('save', function(next) {
+// Pre-save middleware to calculate duration, platform fee and owner earnings
+bookingSchema.pre('save', async function() {
   if (this.schedule && this.schedule.startTime && this.schedule.endTime) {
     // Calculate duration in hours
     const durationMs = this.schedule.endTime - this.schedule.startTime;
@@ -131,32 +382,38 @@ bookingSchema.pre('save', function(next) {
       this.pricing.totalAmount = Math.round(this.pricing.hourlyRate * this.schedule.duration * 100) / 100;
     }
     
-    // Calculate platform fee (5% of total amount)
-    if (!this.pricing.platformFee) {
-      this.pricing.platformFee = Math.round(this.pricing.totalAmount * 0.05 * 100) / 100;
-    }
-    
-    // Calculate owner earnings
-    if (!this.pricing.ownerEarnings) {
-      this.pricing.ownerEarnings = Math.round((this.pricing.totalAmount - this.pricing.platformFee) * 100) / 100;
+    // Apply the configured platform fee to new bookings that have no policy stamped yet
+    if (this.isNew && this.pricing.totalAmount && !(this.pricing.feePolicy && this.pricing.feePolicy.source)) {
+      const charger = await mongoose.model('Charger').findById(this.charger).select('specifications.type');
+      const policy = await resolveFeePolicy({
+        ownerId: this.owner,
+        chargerType: charger && charger.specifications.type
+      });
+      Object.assign(this.pricing, applyFeePolicy(this.pricing.totalAmount - (this.pricing.tax || 0), policy));
+      this.pricing.feePolicy = { ...policy, appliedAt: new Date() };
     }
   }
-  next();
 });
 
 // Pre-save middleware to generate access code for confirmed bookings
 bookingSchema.pre('save', function(next) {
   if (this.isModified('status') && this.status === 'confirmed' && !this.accessCode) {
-    this.accessCode = Math.random().toString(36).substring(2, 8).toUpperCase();
+    this.accessCode = this.constructor.generateAccessCode();
   }
   next();
 });
 
+// Static method to generate the code a driver checks in with
+// (also used by updates that confirm a booking without save())
+bookingSchema.statics.generateAccessCode = function() {
+  return Math.random().toString(36).substring(2, 8).toUpperCase();
+};
+
 // Static method to find conflicting bookings
 bookingSchema.statics.findConflicts = function(chargerId, startTime, endTime, excludeBookingId = null) {
   const query = {
     charger: chargerId,
-    status: { $in: ['confirmed', 'active'] },
+    status: { $in: ['pending', 'confirmed', 'active'] },
     $or: [
       {
         'schedule.startTime': { $lt: endTime },
@@ -183,27 +440,65 @@ bookingSchema.statics.findByDateRange = function(startDate, endDate, filters = {
   return this.find(query).populate('charger user owner');
 };
 
+// Method to get the last moment the booking can be cancelled
+// (the refund depends on the notice given, see utils/cancellationPolicy)
+bookingSchema.methods.getCancellationDeadline = function() {
+  return this.schedule.startTime;
+};
+
 // Method to check if booking can be cancelled
 bookingSchema.methods.canBeCancelled = function() {
-  const now = new Date();
-  const startTime = this.schedule.startTime;
-  const hoursUntilStart = (startTime - now) / (1000 * 60 * 60);
-  
-  return this.status === 'confirmed' && hoursUntilStart >= 2; // 2 hours cancellation policy
+  return ['pending', 'confirmed'].includes(this.status) && new Date() < this.getCancellationDeadline();
+};
+
+// Method to check if the owner still has to accept or decline the booking
+bookingSchema.methods.isAwaitingApproval = function() {
+  return this.status === 'pending' && Boolean(this.approval) && this.approval.status === 'awaiting';
+};
+
+// Method to check if the owner still has to accept or decline a change of times
+bookingSchema.methods.isModificationAwaiting = function() {
+  return ['pending', 'confirmed', 'active'].includes(this.status) &&
+         Boolean(this.modification) && this.modification.status === 'awaiting';
+};
+
+// Method to check if the driver has checked in and not yet checked out
+bookingSchema.methods.isCheckedIn = function() {
+  return Boolean(this.checkIn && this.checkIn.at) && !(this.checkOut && this.checkOut.at);
+};
+
+// Method to get how many minutes after the start time the driver checked in
+bookingSchema.methods.getLateArrivalMinutes = function() {
+  if (!this.checkIn || !this.checkIn.at) return 0;
+  return Math.max(0, Math.round((this.checkIn.at - this.schedule.startTime) / (1000 * 60)));
+};
+
+// Method to get how many minutes past the end time the driver checked out
+bookingSchema.methods.getOverstayMinutes = function() {
+  if (!this.checkOut || !this.checkOut.at) return 0;
+  return Math.max(0, Math.round((this.checkOut.at - this.schedule.endTime) / (1000 * 60)));
 };
 
 // Method to check if booking is currently active
-bookingSchema.methods.isActive = function() {
-  const now = new Date();
+bookingSchema.methods.isActive = function(now = new Date()) {
   return this.status === 'active' && 
          now >= this.schedule.startTime && 
          now <= this.schedule.endTime;
 };
 
+// Method to check if booking should be automatically activated
+bookingSchema.methods.shouldBeActivated = function(now = new Date()) {
+  return this.status === 'confirmed' && now >= this.schedule.startTime;
+};
+
 // Method to check if booking should be automatically completed
-bookingSchema.methods.shouldBeCompleted = function() {
-  const now = new Date();
-  return this.status === 'active' && now > this.schedule.endTime;
+// A driver still checked in gets autoCheckOutMs past the end time to check out.
+bookingSchema.methods.shouldBeCompleted = function(now = new Date(), autoCheckOutMs = 0) {
+  if (this.status !== 'active') return false;
+  const endTime = this.isCheckedIn()
+    ? new Date(this.schedule.endTime.getTime() + autoCheckOutMs)
+    : this.schedule.endTime;
+  return now > endTime;
 };
 
 // Virtual for booking duration in hours
@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone, getDefaultTimeZone, getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+const {
+  DAY_MS,
+  DAY_MINUTES,
+  WEEK_MINUTES,
+  TIME_PATTERN,
+  toMinutes,
+  toWindowMinutes,
+  toWallTime,
+  toDateKey,
+  mergeWindows,
+  expandWeeklyWindows
+} = require('../utils/weeklySchedule');
 
 const chargerSchema = new mongoose.Schema({
   owner: {
@@ -40,6 +53,29 @@ const chargerSchema = new mongoose.Schema({
       type: String,
       trim: true,
       maxlength: [500, 'Access instructions cannot exceed 500 characters']
+    },
+    // IANA time zone the availability schedule and blocked dates are expressed in
+    timezone: {
+      type: String,
+      trim: true,
+      default: getDefaultTimeZone,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Timezone must be a valid IANA time zone (e.g. America/Los_Angeles)'
+      }
+    },
+    // ISO 3166 country and region codes (e.g. US and CA), which decide the tax on bookings
+    country: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{2}$/, 'Country must be a two-letter ISO country code']
+    },
+    region: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9]{1,3}$/, 'Region must be an ISO region code of up to 3 characters']
     }
   },
   specifications: {
@@ -90,6 +126,62 @@ const chargerSchema = new mongoose.Schema({
         values: ['USD', 'EUR', 'GBP', 'CAD'],
         message: 'Currency must be USD, EUR, GBP, or CAD'
       }
+    },
+    // Time-of-use rates that replace hourlyRate inside their window (first matching rule wins)
+    rules: [{
+      name: {
+        type: String,
+        required: [true, 'Pricing rule name is required'],
+        trim: true,
+        maxlength: [50, 'Pricing rule name cannot exceed 50 characters']
+      },
+      daysOfWeek: {
+        type: [{
+          type: Number,
+          min: [0, 'Day of week must be 0-6 (Sunday-Saturday)'],
+          max: [6, 'Day of week must be 0-6 (Sunday-Saturday)']
+        }],
+        validate: {
+          validator: function(v) {
+            return Array.isArray(v) && v.length > 0;
+          },
+          message: 'Pricing rule must apply to at least one day'
+        }
+      },
+      startTime: {
+        type: String,
+        default: '00:00',
+        match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Start time must be in HH:MM format']
+      },
+      endTime: {
+        type: String,
+        default: '24:00',
+        match: [TIME_PATTERN, 'End time must be in HH:MM format']
+      },
+      hourlyRate: {
+        type: Number,
+        required: [true, 'Pricing rule hourly rate is required'],
+        min: [0.01, 'Hourly rate must be at least $0.01'],
+        max: [100, 'Hourly rate cannot exceed $100']
+      }
+    }],
+    perKwhRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Per-kWh rate cannot be negative'],
+      max: [5, 'Per-kWh rate cannot exceed $5']
+    },
+    sessionFee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Session fee cannot be negative'],
+      max: [100, 'Session fee cannot exceed $100']
+    },
+    minimumCharge: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum charge cannot be negative'],
+      max: [500, 'Minimum charge cannot exceed $500']
     }
   },
   availability: {
@@ -105,10 +197,11 @@ const chargerSchema = new mongoose.Schema({
         required: [true, 'Start time is required'],
         match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Start time must be in HH:MM format']
       },
+      // An end time at or before the start time ends on the following day; "24:00" is midnight
       endTime: {
         type: String,
         required: [true, 'End time is required'],
-        match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'End time must be in HH:MM format']
+        match: [TIME_PATTERN, 'End time must be in HH:MM format']
       }
     }],
     blockedDates: [{
@@ -151,6 +244,15 @@ const chargerSchema = new mongoose.Schema({
       min: [0, 'Rating count cannot be negative']
     }
   },
+  // Instant bookings are confirmed once paid; others wait for the owner to accept them
+  bookingMode: {
+    type: String,
+    enum: {
+      values: ['instant', 'approval'],
+      message: 'Booking mode must be instant or approval'
+    },
+    default: 'instant'
+  },
   status: {
     type: String,
     enum: {
@@ -158,6 +260,14 @@ const chargerSchema = new mongoose.Schema({
       message: 'Status must be pending, approved, rejected, or inactive'
     },
     default: 'pending'
+  },
+  // Short-lived lease that serialises booking writes for this charger (see utils/bookingLock)
+  bookingLock: {
+    type: new mongoose.Schema({
+      token: String,
+      expiresAt: Date
+    }, { _id: false }),
+    select: false
   }
 }, {
   timestamps: true
@@ -178,18 +288,41 @@ chargerSchema.index({ status: 1, 'location.coordinates': '2dsphere' });
 chargerSchema.index({ status: 1, 'specifications.type': 1 });
 chargerSchema.index({ owner: 1, status: 1 });
 
-// Pre-save middleware to validate schedule times
-chargerSchema.pre('save', function(next) {
+// Pre-validate middleware to check schedule windows
+// Days may have several windows and windows may cross midnight, but they must not overlap.
+// Reported as validation errors so the API answers 400 with the message.
+chargerSchema.pre('validate', function(next) {
   if (this.availability && this.availability.schedule) {
-    for (let schedule of this.availability.schedule) {
-      const startTime = schedule.startTime.split(':');
-      const endTime = schedule.endTime.split(':');
-      const startMinutes = parseInt(startTime[0]) * 60 + parseInt(startTime[1]);
-      const endMinutes = parseInt(endTime[0]) * 60 + parseInt(endTime[1]);
-      
-      if (startMinutes >= endMinutes) {
-        return next(new Error('End time must be after start time'));
+    const windows = [];
+
+    for (const schedule of this.availability.schedule) {
+      // Malformed times are reported by the field validators
+      if (!TIME_PATTERN.test(schedule.startTime || '') || !TIME_PATTERN.test(schedule.endTime || '')) {
+        continue;
+      }
+
+      if (toMinutes(schedule.startTime) === toMinutes(schedule.endTime)) {
+        this.invalidate('availability.schedule', 'Start time and end time cannot be the same');
+        return next();
       }
+
+      const { start, end } = toWindowMinutes(schedule);
+      const dayOffset = schedule.dayOfWeek * DAY_MINUTES;
+      windows.push({ start: dayOffset + start, end: dayOffset + end });
+    }
+
+    // Windows running past Saturday midnight wrap around to Sunday
+    const wrapped = windows
+      .filter(window => window.end > WEEK_MINUTES)
+      .map(window => ({ start: window.start - WEEK_MINUTES, end: window.end - WEEK_MINUTES }));
+
+    let latestEnd = -Infinity;
+    for (const window of [...wrapped, ...windows].sort((a, b) => a.start - b.start)) {
+      if (window.start < latestEnd) {
+        this.invalidate('availability.schedule', 'Availability windows cannot overlap');
+        return next();
+      }
+      latestEnd = Math.max(latestEnd, window.end);
     }
   }
   next();
@@ -219,29 +352,144 @@ chargerSchema.statics.findBySpecs = function(type, connector) {
   return this.find(query);
 };
 
+// Method to get the time zone the charger's schedule is expressed in
+chargerSchema.methods.getTimeZone = function() {
+  return (this.location && this.location.timezone) || getDefaultTimeZone();
+};
+
+// Method to check if the charger's local calendar date at an instant is blocked
+// Blocked dates are calendar days, stored as UTC midnight of that day
+chargerSchema.methods.isDateBlocked = function(date) {
+  const blockedDates = (this.availability && this.availability.blockedDates) || [];
+  if (blockedDates.length === 0) return false;
+
+  const { year, month, day } = getZonedParts(date, this.getTimeZone());
+  const localDate = toDateKey(Date.UTC(year, month - 1, day));
+
+  return blockedDates.some(blocked => toDateKey(new Date(blocked).getTime()) === localDate);
+};
+
+// Method to list the scheduled availability windows overlapping a time range
+// Windows are returned as absolute instants, evaluated in the charger's time zone.
+// Back-to-back windows (e.g. 18:00-24:00 and an overnight 00:00-06:00) are merged into one.
+chargerSchema.methods.getScheduleWindows = function(from, to) {
+  const schedule = (this.availability && this.availability.schedule) || [];
+
+  const windows = expandWeeklyWindows(schedule, from, to, this.getTimeZone())
+    .filter(window => !this.isDateBlocked(window.start))
+    .map(({ date, dayOfWeek, start, end }) => ({ date, dayOfWeek, start, end }));
+
+  return mergeWindows(windows);
+};
+
+// Method to list the times inside a range the charger is open for booking
+// Follows the schedule if there is one, otherwise every day that is not blocked
+chargerSchema.methods.getOpenWindows = function(from, to) {
+  const timeZone = this.getTimeZone();
+  const schedule = (this.availability && this.availability.schedule) || [];
+  let windows;
+
+  if (schedule.length > 0) {
+    windows = this.getScheduleWindows(from, to);
+  } else {
+    windows = [];
+    const first = getZonedParts(from, timeZone);
+    const last = getZonedParts(to, timeZone);
+    const lastDay = Date.UTC(last.year, last.month - 1, last.day);
+
+    for (let day = Date.UTC(first.year, first.month - 1, first.day); day <= lastDay; day += DAY_MS) {
+      const start = zonedTimeToUtc(toWallTime(day, 0), timeZone);
+      if (!this.isDateBlocked(start)) {
+        windows.push({ start, end: zonedTimeToUtc(toWallTime(day, DAY_MINUTES), timeZone) });
+      }
+    }
+    windows = mergeWindows(windows);
+  }
+
+  return windows
+    .map(window => ({
+      start: new Date(Math.max(window.start, from)),
+      end: new Date(Math.min(window.end, to))
+    }))
+    .filter(window => window.start < window.end);
+};
+
+// Method to list free intervals in a range, split at the charger's local midnight
+// `bookings` are the existing bookings that occupy the charger (see Booking.findConflicts)
+chargerSchema.methods.getFreeSlots = function(from, to, bookings = []) {
+  const timeZone = this.getTimeZone();
+  const busy = bookings
+    .map(booking => ({ start: booking.schedule.startTime, end: booking.schedule.endTime }))
+    .sort((a, b) => a.start - b.start);
+
+  // Remove booked time from each open window
+  const free = [];
+  for (const window of this.getOpenWindows(from, to)) {
+    let cursor = window.start;
+    for (const booking of busy) {
+      if (booking.end <= cursor || booking.start >= window.end) continue;
+      if (booking.start > cursor) {
+        free.push({ start: cursor, end: new Date(booking.start) });
+      }
+      cursor = new Date(Math.max(cursor, booking.end));
+    }
+    if (cursor < window.end) {
+      free.push({ start: cursor, end: window.end });
+    }
+  }
+
+  // Split at local midnight so each slot belongs to one calendar day
+  const slots = [];
+  for (const interval of free) {
+    let start = interval.start;
+    while (start < interval.end) {
+      const { year, month, day } = getZonedParts(start, timeZone);
+      const dayStart = Date.UTC(year, month - 1, day);
+      const nextMidnight = zonedTimeToUtc(toWallTime(dayStart, DAY_MINUTES), timeZone);
+      const end = new Date(Math.min(interval.end, nextMidnight));
+
+      slots.push({ date: toDateKey(dayStart), start, end });
+      start = end;
+    }
+  }
+
+  return slots;
+};
+
 // Method to check if charger is available at given time
+// Chargers without a schedule are available around the clock
 chargerSchema.methods.isAvailableAt = function(startTime, endTime) {
-  const dayOfWeek = startTime.getDay();
-  const startHour = startTime.getHours();
-  const startMinute = startTime.getMinutes();
-  const endHour = endTime.getHours();
-  const endMinute = endTime.getMinutes();
-  
-  // Check if there's a schedule for this day
-  const daySchedule = this.availability.schedule.find(s => s.dayOfWeek === dayOfWeek);
-  if (!daySchedule) return false;
-  
-  // Convert times to minutes for comparison
-  const scheduleStart = daySchedule.startTime.split(':');
-  const scheduleEnd = daySchedule.endTime.split(':');
-  const scheduleStartMinutes = parseInt(scheduleStart[0]) * 60 + parseInt(scheduleStart[1]);
-  const scheduleEndMinutes = parseInt(scheduleEnd[0]) * 60 + parseInt(scheduleEnd[1]);
-  
-  const requestStartMinutes = startHour * 60 + startMinute;
-  const requestEndMinutes = endHour * 60 + endMinute;
-  
-  // Check if requested time is within schedule
-  return requestStartMinutes >= scheduleStartMinutes && requestEndMinutes <= scheduleEndMinutes;
+  const schedule = (this.availability && this.availability.schedule) || [];
+  if (schedule.length === 0) {
+    return !this.isDateBlocked(startTime);
+  }
+
+  // The requested time must fit inside one window; adjacent windows count as one
+  return this.getScheduleWindows(startTime, endTime).some(
+    window => window.start <= startTime && window.end >= endTime
+  );
+};
+
+// Method to explain why the charger cannot be booked for a time range
+// Returns null if it can be, e.g. "Charger is only available 9:00-17:00 (Europe/London) on this day"
+chargerSchema.methods.getUnavailableReason = function(startTime, endTime) {
+  if (this.isDateBlocked(startTime)) {
+    return 'The selected date is not available';
+  }
+  if (this.isAvailableAt(startTime, endTime)) return null;
+
+  const timeZone = this.getTimeZone();
+  const { dayOfWeek } = getZonedParts(startTime, timeZone);
+  const windowsForDay = this.availability.schedule
+    .filter(s => s.dayOfWeek === dayOfWeek)
+    .sort((a, b) => a.startTime.padStart(5, '0').localeCompare(b.startTime.padStart(5, '0')));
+
+  if (windowsForDay.length === 0) {
+    return 'Charger is not available on this day';
+  }
+
+  const hours = windowsForDay.map(s => `${s.startTime}-${s.endTime}`).join(', ');
+  return `Charger is only available ${hours} (${timeZone}) on this day`;
 };
 
 module.exports = mongoose.model('Charger', chargerSchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Counter Schema
+ * Named sequences for document numbers that must be consecutive and never
+ * reused, such as receipt numbers
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    value: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Take the next value of a sequence, starting it at 1
+ * @param {string} name - Sequence name, e.g. 'receipt:2024'
+ * @returns {Promise<number>} - The value taken
+ */
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { name },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.value;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+// Accounts in the platform's books:
+// - gateway_clearing (asset): money held for the platform by the payment gateways
+// - platform_revenue (revenue): platform fees
+// - owner_payable (liability): earnings owed to charger owners
+// - tax_payable (liability): sales tax and VAT collected on bookings, owed to tax authorities
+// - customer_wallet (liability): credit held in drivers' wallets
+const ACCOUNTS = ['gateway_clearing', 'platform_revenue', 'owner_payable', 'tax_payable', 'customer_wallet'];
+
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: [true, 'Ledger account is required'],
+    enum: {
+      values: ACCOUNTS,
+      message: 'Unknown ledger account'
+    }
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debit cannot be negative']
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit cannot be negative']
+  }
+}, { _id: false });
+
+/**
+ * Ledger Entry Schema
+ * An immutable double-entry journal entry. Every movement of money (charges,
+ * refunds, payouts, wallet top-ups and rewards) is recorded as debits and credits that balance. Mistakes are
+ * corrected with a new entry, never by editing or deleting one.
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Entry type is required'],
+    enum: {
+      values: ['charge', 'refund', 'payout', 'top_up', 'reward'],
+      message: 'Entry type must be charge, refund, payout, top_up, or reward'
+    }
+  },
+  // Identifies what the entry records, so the same movement is never recorded twice
+  reference: {
+    type: String,
+    required: [true, 'Entry reference is required'],
+    unique: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+  walletTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction'
+  },
+  // Owner whose payable balance the entry changes
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+    lowercase: true
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: function(lines) {
+        return lines.length >= 2;
+      },
+      message: 'An entry needs at least two lines'
+    }
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance optimization
+ledgerEntrySchema.index({ payment: 1 });
+ledgerEntrySchema.index({ payout: 1 });
+ledgerEntrySchema.index({ owner: 1, occurredAt: -1 });
+ledgerEntrySchema.index({ type: 1, occurredAt: -1 });
+ledgerEntrySchema.index({ 'lines.account': 1, occurredAt: -1 });
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// Pre-validate middleware to check the entry balances
+ledgerEntrySchema.pre('validate', function(next) {
+  const debits = this.lines.reduce((sum, line) => sum + toCents(line.debit), 0);
+  const credits = this.lines.reduce((sum, line) => sum + toCents(line.credit), 0);
+
+  if (debits !== credits) {
+    return next(new Error('Ledger entry debits must equal credits'));
+  }
+  if (this.lines.some(line => (line.debit > 0) === (line.credit > 0))) {
+    return next(new Error('Each ledger line must have either a debit or a credit'));
+  }
+  next();
+});
+
+// Entries are immutable once written
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be modified'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Ledger entries cannot be modified or deleted'));
+};
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+ledgerEntrySchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, rejectChange);
+ledgerEntrySchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+// Static method to total debits and credits by account
+ledgerEntrySchema.statics.getAccountBalances = async function(match = {}) {
+  const totals = await this.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.account',
+        debits: { $sum: '$lines.debit' },
+        credits: { $sum: '$lines.credit' }
+      }
+    }
+  ]);
+
+  const balances = {};
+  for (const account of ACCOUNTS) {
+    const total = totals.find(item => item._id === account) || { debits: 0, credits: 0 };
+    balances[account] = {
+      debits: toCents(total.debits) / 100,
+      credits: toCents(total.credits) / 100
+    };
+  }
+  return balances;
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
@@ -18,11 +18,25 @@ const notificationSchema = new mongoose.Schema(
       enum: [
         'BOOKING_CREATED',
         'BOOKING_CONFIRMED',
+        'BOOKING_ACCEPTED',
+        'BOOKING_DECLINED',
         'BOOKING_CANCELLED',
+        'BOOKING_MODIFIED',
+        'BOOKING_MODIFICATION_REQUESTED',
+        'BOOKING_MODIFICATION_DECLINED',
+        'BOOKING_STARTED',
+        'BOOKING_CHECKED_IN',
         'BOOKING_COMPLETED',
+        'BOOKING_EXPIRED',
+        'BOOKING_NO_SHOW',
         'PAYMENT_PROCESSED',
         'PAYMENT_REFUNDED',
         'PAYMENT_FAILED',
+        'SESSION_FEE_CHARGED',
+        'SESSION_FEE_FAILED',
+        'PAYOUT_PAID',
+        'PAYOUT_FAILED',
+        'REFERRAL_REWARDED',
         'MESSAGE_RECEIVED',
         'RATING_RECEIVED',
         'CHARGER_APPROVED',
@@ -32,14 +32,56 @@ const paymentSchema = new mongoose.Schema({
       type: Number,
       required: [true, 'Owner earnings is required'],
       min: [0, 'Owner earnings cannot be negative']
+    },
+    // Held on the card when the booking is confirmed
+    authorized: {
+      type: Number,
+      min: [0, 'Authorized amount cannot be negative']
+    },
+    // Taken when the session completes; total is updated to match
+    captured: {
+      type: Number,
+      min: [0, 'Captured amount cannot be negative']
+    },
+    // Fee policy copied from the booking, so the split can be traced to its settings
+    feePolicy: {
+      percentage: Number,
+      source: String,
+      reference: String,
+      appliedAt: Date
+    },
+    // Part of total that is tax, held for filing rather than split between fee and earnings
+    tax: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax cannot be negative']
+    },
+    // Tax policy copied from the booking
+    taxPolicy: {
+      jurisdiction: String,
+      name: String,
+      rate: Number,
+      inclusive: Boolean
+    },
+    // Promo code discounts on the booking, already taken off total
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative']
     }
   },
+  // Currency of every amount on the payment, from the booking
+  currency: {
+    type: String,
+    default: 'usd',
+    lowercase: true
+  },
   paymentMethod: {
     type: {
       type: String,
       enum: {
-        values: ['card', 'paypal', 'bank_transfer'],
-        message: 'Payment method must be card, paypal, or bank_transfer'
+        values: ['card', 'paypal', 'bank_transfer', 'wallet'],
+        message: 'Payment method must be card, paypal, bank_transfer, or wallet'
       },
       required: [true, 'Payment method type is required']
     },
@@ -53,8 +95,53 @@ const paymentSchema = new mongoose.Schema({
         values: ['visa', 'mastercard', 'amex', 'discover', 'paypal'],
         message: 'Invalid payment brand'
       }
+    },
+    // The gateway's ID for the card, so fees can be charged to it later
+    reference: {
+      type: String,
+      trim: true
     }
   },
+  // Overstay and no-show fees (see utils/sessionFees); amount.total includes those charged
+  fees: [{
+    type: {
+      type: String,
+      enum: {
+        values: ['overstay', 'no_show'],
+        message: 'Fee type must be overstay or no_show'
+      },
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Fee cannot be negative']
+    },
+    // Billable minutes, after the grace period
+    minutes: {
+      type: Number,
+      min: [0, 'Minutes cannot be negative']
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['completed', 'failed'],
+        message: 'Fee status must be completed or failed'
+      },
+      required: true
+    },
+    transactionId: {
+      type: String,
+      trim: true
+    },
+    failureReason: {
+      type: String,
+      trim: true
+    },
+    chargedAt: {
+      type: Date
+    }
+  }],
   transaction: {
     id: {
       type: String,
@@ -64,22 +151,32 @@ const paymentSchema = new mongoose.Schema({
     status: {
       type: String,
       enum: {
-        values: ['pending', 'completed', 'failed', 'refunded'],
-        message: 'Transaction status must be pending, completed, failed, or refunded'
+        values: ['pending', 'authorized', 'completed', 'failed', 'voided', 'expired', 'partially_refunded', 'refunded'],
+        message: 'Transaction status must be pending, authorized, completed, failed, voided, expired, partially_refunded, or refunded'
       },
       default: 'pending'
     },
     gateway: {
       type: String,
       enum: {
-        values: ['stripe', 'paypal'],
-        message: 'Gateway must be stripe or paypal'
+        values: ['stripe', 'paypal', 'fake', 'wallet'],
+        message: 'Gateway must be stripe, paypal, fake, or wallet'
       },
       required: [true, 'Payment gateway is required']
     },
     processedAt: {
       type: Date
     },
+    authorizedAt: {
+      type: Date
+    },
+    // Gateways release uncaptured authorizations after this
+    authorizationExpiresAt: {
+      type: Date
+    },
+    capturedAt: {
+      type: Date
+    },
     refundedAt: {
       type: Date
     },
@@ -92,6 +189,59 @@ const paymentSchema = new mongoose.Schema({
         },
         message: 'Refund amount cannot exceed total amount'
       }
+    },
+    // Part of refundAmount credited to the driver's wallet instead of the card
+    walletRefundAmount: {
+      type: Number,
+      min: [0, 'Wallet refund amount cannot be negative']
+    }
+  },
+  // Owner earnings settled by payouts so far (see models/Payout)
+  payout: {
+    amount: {
+      type: Number
+    },
+    lastPayout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payout'
+    },
+    settledAt: {
+      type: Date
+    }
+  },
+  // Receipt issued for the payment once it completes (see utils/receipts)
+  receipt: {
+    number: {
+      type: String,
+      trim: true
+    },
+    issuedAt: {
+      type: Date
+    }
+  },
+  // Chargeback raised by the cardholder, as reported by the gateway
+  dispute: {
+    id: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      trim: true
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Dispute amount cannot be negative']
+    },
+    openedAt: {
+      type: Date
+    },
+    closedAt: {
+      type: Date
     }
   }
 }, {
@@ -106,20 +256,23 @@ paymentSchema.index({ 'transaction.status': 1 });
 paymentSchema.index({ 'transaction.gateway': 1 });
 paymentSchema.index({ 'transaction.processedAt': -1 });
 paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ 'receipt.number': 1 }, { unique: true, sparse: true });
 
 // Compound indexes for common queries
 paymentSchema.index({ user: 1, 'transaction.status': 1 });
 paymentSchema.index({ owner: 1, 'transaction.status': 1 });
 paymentSchema.index({ 'transaction.status': 1, 'transaction.processedAt': -1 });
+paymentSchema.index({ 'transaction.status': 1, 'transaction.authorizationExpiresAt': 1 });
+paymentSchema.index({ owner: 1, 'transaction.status': 1, 'transaction.processedAt': 1 });
 
 // Pre-save middleware to validate amounts
 paymentSchema.pre('save', function(next) {
-  const expectedTotal = this.amount.platformFee + this.amount.ownerEarnings;
+  const expectedTotal = this.amount.platformFee + this.amount.ownerEarnings + (this.amount.tax || 0);
   const actualTotal = Math.round(this.amount.total * 100) / 100;
   const calculatedTotal = Math.round(expectedTotal * 100) / 100;
   
   if (Math.abs(actualTotal - calculatedTotal) > 0.01) {
-    return next(new Error('Total amount must equal platform fee plus owner earnings'));
+    return next(new Error('Total amount must equal platform fee plus owner earnings plus tax'));
   }
   
   next();
@@ -204,11 +357,17 @@ paymentSchema.statics.calculatePlatformRevenue = function(dateRange = null) {
 
 // Method to check if payment can be refunded
 paymentSchema.methods.canBeRefunded = function() {
-  return this.transaction.status === 'completed' && 
-         !this.transaction.refundedAt &&
+  return ['completed', 'partially_refunded'].includes(this.transaction.status) &&
          (!this.transaction.refundAmount || this.transaction.refundAmount < this.amount.total);
 };
 
+// Method to check if an authorization has lapsed without being captured
+paymentSchema.methods.isAuthorizationExpired = function(at = new Date()) {
+  return this.transaction.status === 'authorized' &&
+         Boolean(this.transaction.authorizationExpiresAt) &&
+         this.transaction.authorizationExpiresAt <= at;
+};
+
 // Method to calculate partial refund amount
 paymentSchema.methods.calculateRefund = function(percentage = 100) {
   if (percentage < 0 || percentage > 100) {
@@ -219,6 +378,14 @@ paymentSchema.methods.calculateRefund = function(percentage = 100) {
   return Math.round((maxRefundable * percentage / 100) * 100) / 100;
 };
 
+// Method to calculate the owner's earnings after refunds, which payouts settle
+paymentSchema.methods.getNetOwnerEarnings = function() {
+  if (!['completed', 'partially_refunded', 'refunded'].includes(this.transaction.status)) return 0;
+
+  const refundedShare = (this.transaction.refundAmount || 0) / this.amount.total;
+  return Math.round(this.amount.ownerEarnings * (1 - refundedShare) * 100) / 100;
+};
+
 // Virtual for net amount after refunds
 paymentSchema.virtual('netAmount').get(function() {
   return this.amount.total - (this.transaction.refundAmount || 0);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+/**
+ * Payout Schema
+ * Money transferred to a charger owner's connected account for one weekly period,
+ * in one currency: owners who earn in several currencies get a payout for each.
+ * Each item records how much of a payment's owner earnings the payout settled, so
+ * refunds made after a payment was paid out can be deducted from the next payout.
+ */
+const payoutItemSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  // Owner earnings net of refunds when the payout was made
+  earnings: {
+    type: Number,
+    required: true
+  },
+  // Settled by earlier payouts
+  previouslyPaid: {
+    type: Number,
+    default: 0
+  },
+  // earnings - previouslyPaid; negative when a refund claws back an earlier payout
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const payoutSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner reference is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payout amount is required'],
+    min: [0.01, 'Payout amount must be positive']
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+    lowercase: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'paid', 'failed'],
+      message: 'Payout status must be pending, paid, or failed'
+    },
+    default: 'pending'
+  },
+  // Payments completed before period.end are included
+  period: {
+    start: {
+      type: Date
+    },
+    end: {
+      type: Date,
+      required: [true, 'Payout period end is required']
+    }
+  },
+  items: [payoutItemSchema],
+  transfer: {
+    id: {
+      type: String,
+      trim: true
+    },
+    gateway: {
+      type: String,
+      enum: {
+        values: ['stripe'],
+        message: 'Payout gateway must be stripe'
+      },
+      default: 'stripe'
+    },
+    destination: {
+      type: String,
+      trim: true
+    }
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  paidAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One payout per owner, currency and period, so a batch can be re-run safely
+payoutSchema.index({ owner: 1, currency: 1, 'period.end': 1 }, { unique: true });
+payoutSchema.index({ owner: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: -1 });
+
+// Static method to get the latest period an owner has been paid for in a currency
+payoutSchema.statics.findLatestForOwner = function(ownerId, currency = 'usd') {
+  return this.findOne({ owner: ownerId, currency }).sort({ 'period.end': -1 });
+};
+
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promo Code Schema
+ * A discount code admins create for drivers to enter at checkout (see utils/promotions).
+ * The discount is funded by the platform out of its fee, or by the charger owner out
+ * of their earnings.
+ */
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Promo code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    required: [true, 'Discount type is required'],
+    enum: {
+      values: ['percent', 'fixed'],
+      message: 'Discount type must be percent or fixed'
+    }
+  },
+  // A percentage of the booking price, or a fixed amount in `currency`
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount value must be positive'],
+    validate: {
+      validator: function(v) {
+        return this.discountType !== 'percent' || v <= 100;
+      },
+      message: 'A percentage discount cannot exceed 100'
+    }
+  },
+  // Fixed discounts only apply to chargers priced in this currency
+  currency: {
+    type: String,
+    uppercase: true,
+    enum: {
+      values: ['USD', 'EUR', 'GBP', 'CAD'],
+      message: 'Currency must be USD, EUR, GBP, or CAD'
+    },
+    required: [
+      function() { return this.discountType === 'fixed'; },
+      'A fixed discount needs a currency'
+    ]
+  },
+  fundedBy: {
+    type: String,
+    enum: {
+      values: ['platform', 'owner'],
+      message: 'Discount must be funded by the platform or the owner'
+    },
+    default: 'platform'
+  },
+  // Total uses across all drivers; unlimited when not set
+  maxUses: {
+    type: Number,
+    min: [1, 'Maximum uses must be at least 1']
+  },
+  maxUsesPerUser: {
+    type: Number,
+    default: 1,
+    min: [1, 'Maximum uses per user must be at least 1']
+  },
+  // Bookings that currently hold a use; cancelling a booking gives its use back
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Used count cannot be negative']
+  },
+  firstBookingOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Chargers the code can be used on; any charger when empty
+  chargers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Charger'
+  }],
+  startsAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    validate: {
+      validator: function(v) {
+        return !v || !this.startsAt || v > this.startsAt;
+      },
+      message: 'Expiry must be after the start date'
+    }
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ active: 1, createdAt: -1 });
+
+// Static method to find a code as a driver typed it
+promoCodeSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code || '').trim().toUpperCase() });
+};
+
+// Static method to take a use of a code, atomically so concurrent bookings cannot exceed maxUses
+promoCodeSchema.statics.redeem = function(id) {
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { maxUses: { $exists: false } },
+        { maxUses: null },
+        { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give back a use taken by a booking that was cancelled
+promoCodeSchema.statics.release = function(id) {
+  return this.updateOne({ _id: id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
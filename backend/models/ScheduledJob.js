@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * Scheduled Job Schema
+ * When each recurring background job next runs, and the lease of the server
+ * instance running it, so schedules survive restarts and each run happens on
+ * only one instance
+ */
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    nextRunAt: {
+      type: Date,
+      required: true
+    },
+    // Instance holding the lease, and when the lease lapses if it never finishes
+    lockedBy: {
+      type: String
+    },
+    lockedUntil: {
+      type: Date
+    },
+    lastStartedAt: {
+      type: Date
+    },
+    lastFinishedAt: {
+      type: Date
+    },
+    // What the last run returned, e.g. { activated: 2, completed: 1, expired: 0 }
+    lastResult: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    lastError: {
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Take the lease on a job that is due
+ * @param {string} name - Job name
+ * @param {string} instanceId - Server instance taking the lease
+ * @param {Date} now - Current time
+ * @param {number} leaseMs - How long the lease lasts
+ * @returns {Promise<Object|null>} - The job, or null if it is not due or another instance holds it
+ */
+scheduledJobSchema.statics.claim = async function(name, instanceId, now, leaseMs) {
+  // The first instance to see a job schedules it to run straight away
+  try {
+    await this.updateOne(
+      { name },
+      { $setOnInsert: { name, nextRunAt: now } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  return this.findOneAndUpdate(
+    {
+      name,
+      nextRunAt: { $lte: now },
+      $or: [
+        { lockedUntil: null },
+        { lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        lockedBy: instanceId,
+        lockedUntil: new Date(now.getTime() + leaseMs),
+        lastStartedAt: now
+      }
+    },
+    { new: true }
+  );
+};
+
+// Method to release the lease and schedule the next run
+scheduledJobSchema.methods.finish = function(nextRunAt, { result, error } = {}) {
+  return this.constructor.updateOne(
+    { _id: this._id, lockedBy: this.lockedBy },
+    {
+      $set: {
+        nextRunAt,
+        lastFinishedAt: new Date(),
+        lastResult: result,
+        lastError: error ? error.message : null
+      },
+      $unset: { lockedBy: 1, lockedUntil: 1 }
+    }
+  );
+};
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+module.exports = ScheduledJob;
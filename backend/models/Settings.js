@@ -154,6 +154,58 @@ settingsSchema.statics.initializeDefaultSettings = async function() {
       category: 'payment',
       isPublic: true
     },
+    {
+      key: 'platformFeeOverrides',
+      value: {
+        chargerTypes: {},
+        owners: {}
+      },
+      description: 'Platform fee percentages by charger type (Level1, Level2, DC_Fast) or owner ID; owner overrides win',
+      category: 'payment',
+      isPublic: false
+    },
+    {
+      key: 'platformFeePromotions',
+      value: [],
+      description: 'Promotional platform fees: [{ name, percentage, startsAt, endsAt, chargerTypes }]',
+      category: 'payment',
+      isPublic: false
+    },
+    {
+      key: 'paymentGateway',
+      value: 'stripe',
+      description: 'Gateway for new payments: stripe, paypal, or fake (in-memory, for development and tests)',
+      category: 'payment',
+      isPublic: true
+    },
+    {
+      key: 'reportingCurrency',
+      value: 'USD',
+      description: 'Currency that reports total amounts in: USD, EUR, GBP, or CAD',
+      category: 'payment',
+      isPublic: false
+    },
+    {
+      key: 'exchangeRates',
+      value: {},
+      description: 'Value of one unit of each currency in the reporting currency, e.g. { EUR: 1.08, GBP: 1.27 }',
+      category: 'payment',
+      isPublic: false
+    },
+    {
+      key: 'taxRules',
+      value: {},
+      description: 'Sales tax or VAT by charger jurisdiction, e.g. { GB: { name: "VAT", rate: 20, inclusive: true } }',
+      category: 'payment',
+      isPublic: false
+    },
+    {
+      key: 'referralRewards',
+      value: {},
+      description: 'Credit a user earns when someone they invited completes their first booking, by currency, e.g. { USD: 10 }',
+      category: 'payment',
+      isPublic: false
+    },
     {
       key: 'stripeEnabled',
       value: true,
@@ -200,6 +252,53 @@ settingsSchema.statics.initializeDefaultSettings = async function() {
       category: 'booking',
       isPublic: true
     },
+    {
+      key: 'paymentWindowMinutes',
+      value: 30,
+      description: 'Minutes a driver has to pay for a booking before it expires',
+      category: 'booking',
+      isPublic: true
+    },
+    {
+      key: 'ownerResponseHours',
+      value: 24,
+      description: 'Hours an owner has to accept or decline a booking request before it is declined',
+      category: 'booking',
+      isPublic: true
+    },
+    {
+      key: 'checkInPolicy',
+      value: {
+        earlyMinutes: 15,
+        geofenceMeters: 0,
+        autoCheckOutMinutes: 60
+      },
+      description: 'How early drivers can check in, how close to the charger they must be (0 for anywhere), and when drivers who never check out are checked out',
+      category: 'booking',
+      isPublic: true
+    },
+    {
+      key: 'overstayPolicy',
+      value: {
+        graceMinutes: 10,
+        feePerMinute: 0.5,
+        maxFee: 30
+      },
+      description: 'Fee per minute drivers are charged for staying past the end time after the grace minutes, up to maxFee (0 for no limit); a feePerMinute of 0 turns it off',
+      category: 'booking',
+      isPublic: true
+    },
+    {
+      key: 'noShowPolicy',
+      value: {
+        enabled: false,
+        graceMinutes: 30,
+        feePercentage: 50
+      },
+      description: 'Whether bookings nobody checks in to within the grace minutes of the start become no-shows, and the percentage of the total drivers are charged for them',
+      category: 'booking',
+      isPublic: true
+    },
     {
       key: 'userVerification',
       value: {
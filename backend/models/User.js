@@ -162,6 +162,64 @@ const userSchema = new mongoose.Schema({
       default: false
     }
   },
+  // Connected account that charger owners are paid out to
+  payoutAccount: {
+    provider: {
+      type: String,
+      enum: {
+        values: ['stripe'],
+        message: 'Payout provider must be stripe'
+      }
+    },
+    accountId: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'active', 'restricted'],
+        message: 'Payout account status must be pending, active, or restricted'
+      }
+    },
+    payoutsEnabled: {
+      type: Boolean,
+      default: false
+    },
+    onboardedAt: {
+      type: Date
+    }
+  },
+  // Invitations: the code others sign up with and who invited this user (see utils/promotions)
+  referral: {
+    code: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    referredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // When this user's first completed booking earned their inviter a reward
+    rewardedAt: {
+      type: Date
+    }
+  },
+  // Prepaid credit and saved cards (see utils/wallet)
+  wallet: {
+    // Balance by currency, e.g. { USD: 10 }
+    balances: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    // Stripe customer the user's cards are saved to
+    stripeCustomerId: {
+      type: String,
+      trim: true
+    }
+  },
   passwordResetToken: {
     type: String,
     select: false
@@ -186,6 +244,8 @@ userSchema.index({ role: 1 });
 userSchema.index({ status: 1 });
 userSchema.index({ 'profile.address.coordinates': '2dsphere' });
 userSchema.index({ 'ratings.average': -1 });
+userSchema.index({ 'referral.code': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'referral.referredBy': 1 });
 
 // Pre-save middleware to hash password and update passwordChangedAt
 userSchema.pre('save', async function(next) {
@@ -254,6 +314,44 @@ userSchema.methods.getFullName = function() {
   return `${this.profile.firstName} ${this.profile.lastName}`;
 };
 
+// Get the user's referral code, creating one the first time it is asked for
+userSchema.methods.getReferralCode = async function() {
+  while (!this.referral || !this.referral.code) {
+    const code = crypto.randomBytes(4).toString('hex').toUpperCase();
+    try {
+      await this.constructor.updateOne(
+        { _id: this._id, 'referral.code': { $exists: false } },
+        { $set: { 'referral.code': code } }
+      );
+    } catch (error) {
+      // Another user already has this code; try another
+      if (error.code !== 11000) throw error;
+    }
+    const { referral } = await this.constructor.findById(this._id).select('referral');
+    this.set('referral', referral);
+  }
+  return this.referral.code;
+};
+
+// Static method to take money from a wallet, atomically so it cannot be spent twice
+userSchema.statics.debitWallet = function(userId, currency, amount) {
+  return this.findOneAndUpdate(
+    // Half a cent of slack for floating-point drift in the stored balance
+    { _id: userId, [`wallet.balances.${currency}`]: { $gte: amount - 0.005 } },
+    { $inc: { [`wallet.balances.${currency}`]: -amount } },
+    { new: true }
+  );
+};
+
+// Static method to add money to a wallet
+userSchema.statics.creditWallet = function(userId, currency, amount) {
+  return this.findByIdAndUpdate(
+    userId,
+    { $inc: { [`wallet.balances.${currency}`]: amount } },
+    { new: true }
+  );
+};
+
 // Static method to find users by role
 userSchema.statics.findByRole = function(role) {
   return this.find({ role, status: 'active' });
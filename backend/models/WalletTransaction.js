@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+/**
+ * Wallet Transaction Schema
+ * One change to a user's wallet balance (see utils/wallet), kept as the wallet's
+ * history. Positive amounts add to the balance and negative amounts take from it.
+ * Booking payments from the wallet hold the amount when the booking is confirmed
+ * and release whatever is not captured, like a card authorization.
+ */
+const walletTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Transaction type is required'],
+    enum: {
+      values: ['top_up', 'payment', 'release', 'refund', 'referral_reward'],
+      message: 'Transaction type must be top_up, payment, release, refund, or referral_reward'
+    }
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true
+  },
+  // The wallet's balance in this currency straight after the transaction
+  balanceAfter: {
+    type: Number
+  },
+  // Top-ups are pending while the card needs authentication; payments are
+  // authorized while the amount is held for a booking
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'authorized', 'completed', 'failed', 'voided'],
+      message: 'Transaction status must be pending, authorized, completed, failed, or voided'
+    },
+    default: 'completed'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // For payments: how much of the hold was captured, and how much of that refunded
+  captured: {
+    type: Number,
+    min: [0, 'Captured amount cannot be negative']
+  },
+  refunded: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  },
+  // For top-ups: the card charge
+  gatewayTransaction: {
+    gateway: {
+      type: String,
+      enum: {
+        values: ['stripe', 'paypal', 'fake'],
+        message: 'Gateway must be stripe, paypal, or fake'
+      }
+    },
+    id: {
+      type: String,
+      trim: true
+    }
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance optimization
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ 'gatewayTransaction.id': 1 }, { sparse: true });
+walletTransactionSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook Event Schema
+ * Records payment gateway webhook events so each one is applied only once,
+ * however many times the gateway delivers it
+ */
+const webhookEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    gateway: {
+      type: String,
+      required: true,
+      enum: ['stripe']
+    },
+    type: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'processed', 'failed'],
+      default: 'processing'
+    },
+    error: {
+      type: String
+    },
+    processedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Claim an event for processing
+ * @param {string} gateway - Gateway that sent the event
+ * @param {Object} event - Event with `id` and `type`
+ * @returns {Promise<Object|null>} - The claimed record, or null if the event was
+ *   already processed or is being processed by another request
+ */
+webhookEventSchema.statics.claim = async function(gateway, event) {
+  try {
+    return await this.create({ eventId: event.id, gateway, type: event.type });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Seen before: only retry deliveries whose earlier processing failed
+    return this.findOneAndUpdate(
+      { eventId: event.id, status: 'failed' },
+      { $set: { status: 'processing' }, $unset: { error: 1 } },
+      { new: true }
+    );
+  }
+};
+
+// Method to record the outcome of processing
+webhookEventSchema.methods.finish = function(error = null) {
+  this.status = error ? 'failed' : 'processed';
+  this.error = error ? error.message : undefined;
+  this.processedAt = new Date();
+  return this.save();
+};
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
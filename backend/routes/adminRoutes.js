@@ -30,6 +30,7 @@ router.put('/bookings/:id/status', adminController.updateBookingStatus);
 // Payment management
 router.get('/payments', adminController.getAllPayments);
 router.get('/payments/refund-requests', adminController.getRefundRequests);
+router.get('/payments/reconciliation', adminController.getLedgerReconciliation);
 router.get('/payments/:id', adminController.getPaymentDetails);
 router.post('/payments/:id/refund', adminController.processRefund);
 
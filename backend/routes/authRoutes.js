@@ -7,7 +7,7 @@ const User = require('../models/User');
 // @route   POST /api/auth/register
 // @desc    Register a new user
 router.post('/register', async (req, res) => {
-  const { email, password, role, firstName, lastName, phone } = req.body;
+  const { email, password, role, firstName, lastName, phone, referralCode } = req.body;
 
   // Basic input validation
   console.log('Registration request body:', req.body);
@@ -29,6 +29,19 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    // Link the user who invited them, whose code they signed up with
+    let referredBy;
+    if (referralCode) {
+      const referrer = await User.findOne({ 'referral.code': String(referralCode).trim().toUpperCase() });
+      if (!referrer) {
+        return res.status(400).json({
+          success: false,
+          message: 'Referral code not found'
+        });
+      }
+      referredBy = referrer._id;
+    }
+
     // Create new user
     const profileData = { firstName, lastName };
     if (phone) {
@@ -39,7 +52,8 @@ router.post('/register', async (req, res) => {
       email,
       password,
       role,
-      profile: profileData
+      profile: profileData,
+      referral: { referredBy }
     });
 
     // Save user (password will be hashed by pre-save hook)
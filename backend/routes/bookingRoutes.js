@@ -21,7 +21,18 @@ router.get('/:id', bookingController.getBookingById);
 // Update booking status
 router.put('/:id/status', bookingController.updateBookingStatus);
 
-// Cancel booking
+// Accept or decline a booking request
+router.put('/:id/accept', bookingController.acceptBooking);
+router.put('/:id/decline', bookingController.declineBooking);
+
+// Change the times of a booking or extend a session, and accept or decline a change
+router.get('/:id/schedule/preview', bookingController.getBookingChangePreview);
+router.put('/:id/schedule', bookingController.modifyBooking);
+router.put('/:id/schedule/accept', bookingController.acceptBookingChange);
+router.put('/:id/schedule/decline', bookingController.declineBookingChange);
+
+// Preview the refund for cancelling, then cancel booking
+router.get('/:id/cancellation', bookingController.getCancellationPreview);
 router.delete('/:id', bookingController.cancelBooking);
 
 // Add booking notes
@@ -30,6 +41,10 @@ router.put('/:id/notes', bookingController.addBookingNotes);
 // Get booking access code
 router.get('/:id/access', bookingController.getBookingAccessCode);
 
+// Check in with the access code or QR code, and check out
+router.post('/:id/check-in', bookingController.checkInBooking);
+router.post('/:id/check-out', bookingController.checkOutBooking);
+
 // Admin routes
 router.use(restrictTo('admin'));
 router.get('/admin/all', bookingController.getAllBookings);
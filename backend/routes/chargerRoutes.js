@@ -7,6 +7,8 @@ const chargerController = require('../controllers/chargerController');
 // Public routes with optional authentication
 router.get('/', optionalAuth, chargerController.searchChargers);
 router.get('/:id', optionalAuth, chargerController.getChargerById);
+router.get('/:id/availability', optionalAuth, chargerController.getChargerAvailability);
+router.get('/:id/quote', optionalAuth, chargerController.getChargerQuote);
 
 // Protected routes - require authentication
 router.use(protect);
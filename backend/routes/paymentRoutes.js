@@ -3,27 +3,39 @@ const router = express.Router();
 const { protect, restrictTo } = require('../middleware/auth');
 const paymentController = require('../controllers/paymentController');
 
+// Stripe webhooks authenticate with a signature instead of a user token
+router.post('/webhook', paymentController.handleStripeWebhook);
+
 // All payment routes require authentication
 router.use(protect);
 
 // Process payment for booking
 router.post('/process', paymentController.processPayment);
 
+// Finalise a payment after 3-D Secure authentication
+router.post('/:id/confirm', paymentController.confirmPayment);
+
 // Get payment history for user
 router.get('/history', paymentController.getPaymentHistory);
 
-// Get payment details by ID
-router.get('/:id', paymentController.getPaymentById);
-
-// Request refund
-router.post('/refund', paymentController.requestRefund);
-
 // Get earnings (for charger owners)
 router.get('/earnings', restrictTo('charger_owner', 'admin'), paymentController.getEarnings);
 
+// Download a monthly earnings statement
+router.get('/earnings/statement', restrictTo('charger_owner', 'admin'), paymentController.getEarningsStatement);
+
 // Get earnings breakdown by charger
 router.get('/earnings/charger/:chargerId', restrictTo('charger_owner', 'admin'), paymentController.getChargerEarnings);
 
+// Get payment details by ID
+router.get('/:id', paymentController.getPaymentById);
+
+// Download the receipt for a payment
+router.get('/:id/receipt', paymentController.getPaymentReceipt);
+
+// Request refund
+router.post('/refund', paymentController.requestRefund);
+
 // Admin routes
 router.use(restrictTo('admin'));
 router.get('/admin/all', paymentController.getAllPayments);
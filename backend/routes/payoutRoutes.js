@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { protect, restrictTo } = require('../middleware/auth');
+const payoutController = require('../controllers/payoutController');
+
+// All payout routes require authentication
+router.use(protect);
+
+// Admin routes
+router.get('/admin/all', restrictTo('admin'), payoutController.getAllPayouts);
+router.post('/admin/run', restrictTo('admin'), payoutController.runPayouts);
+router.post('/admin/:id/retry', restrictTo('admin'), payoutController.retryPayout);
+
+// Connect the owner's payout account
+router.post('/onboarding', restrictTo('charger_owner'), payoutController.startOnboarding);
+router.get('/account', restrictTo('charger_owner'), payoutController.getPayoutAccount);
+
+// Get the owner's payouts and unpaid balance
+router.get('/', restrictTo('charger_owner'), payoutController.getPayouts);
+
+// Get payout details by ID
+router.get('/:id', payoutController.getPayoutById);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { protect, restrictTo } = require('../middleware/auth');
+const promoCodeController = require('../controllers/promoCodeController');
+
+// Promo codes are managed by admins; drivers enter them when booking
+router.use(protect, restrictTo('admin'));
+
+router.get('/', promoCodeController.getPromoCodes);
+router.post('/', promoCodeController.createPromoCode);
+router.put('/:id', promoCodeController.updatePromoCode);
+
+module.exports = router;
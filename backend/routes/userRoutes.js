@@ -17,6 +17,9 @@ router.put('/profile', userController.updateProfile);
 router.put('/profile/password', userController.updatePassword);
 router.post('/profile/avatar', uploadSingle('avatar'), userController.uploadAvatar);
 
+// Referral code and credit
+router.get('/referral', userController.getReferral);
+
 // User verification
 router.post('/verify/email', userController.verifyEmail);
 router.post('/verify/phone', userController.verifyPhone);
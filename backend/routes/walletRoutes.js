@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const walletController = require('../controllers/walletController');
+
+// All wallet routes require authentication
+router.use(protect);
+
+// Balances and history
+router.get('/', walletController.getWallet);
+router.get('/transactions', walletController.getTransactions);
+
+// Add money by card, and finalise it after 3-D Secure authentication
+router.post('/top-ups', walletController.createTopUp);
+router.post('/top-ups/:id/confirm', walletController.confirmTopUp);
+
+// Saved cards
+router.get('/cards', walletController.getSavedCards);
+router.post('/cards', walletController.saveCard);
+router.delete('/cards/:id', walletController.removeCard);
+
+module.exports = router;
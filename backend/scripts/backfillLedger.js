@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Script to record existing payments and payouts in the ledger
+ * Usage: node scripts/backfillLedger.js
+ *
+ * Safe to run more than once: anything already in the ledger is skipped.
+ * Run it once after deploying the ledger so revenue figures and the
+ * reconciliation report cover payments made before it existed.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Payout = require('../models/Payout');
+const { recordPaymentLedger, recordPayoutLedger } = require('../utils/ledger');
+require('dotenv').config();
+
+async function backfillLedger() {
+  try {
+    console.log('🚀 Starting ledger backfill...');
+
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/evchargershare';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    let entries = 0;
+
+    const payments = Payment.find({
+      'transaction.status': { $in: ['completed', 'partially_refunded', 'refunded'] }
+    }).sort({ 'transaction.processedAt': 1 }).cursor();
+    for await (const payment of payments) {
+      entries += (await recordPaymentLedger(payment)).length;
+    }
+
+    const payouts = Payout.find({ status: 'paid' }).sort({ paidAt: 1 }).cursor();
+    for await (const payout of payouts) {
+      if (await recordPayoutLedger(payout)) entries += 1;
+    }
+
+    console.log(`✅ Recorded ${entries} ledger entries`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Ledger backfill failed:', error.message);
+    process.exit(1);
+  }
+}
+
+backfillLedger();
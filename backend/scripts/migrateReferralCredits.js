@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+/**
+ * Script to move unspent referral credit into users' wallets
+ * Usage: node scripts/migrateReferralCredits.js
+ *
+ * Safe to run more than once: each balance only moves once.
+ * Run it once after deploying wallets, which replaced referral credit taken off
+ * bookings at checkout, so credit earned before then can still be spent.
+ */
+
+const mongoose = require('mongoose');
+const { moveReferralCredits } = require('../utils/promotions');
+require('dotenv').config();
+
+async function migrateReferralCredits() {
+  try {
+    console.log('🚀 Moving referral credit to wallets...');
+
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/evchargershare';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const moved = await moveReferralCredits();
+
+    console.log(`✅ Moved ${moved} referral credit balances`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Referral credit migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+migrateReferralCredits();
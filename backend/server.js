@@ -9,6 +9,7 @@ require('dotenv').config();
 
 const { dbConnection } = require('./config/database'); 
 const errorHandler = require('./middleware/errorHandler');
+const { initSocket } = require('./utils/socket');
 
 // Initialize Express app
 const app = express();
@@ -61,6 +62,8 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
+// Stripe webhook signatures are checked against the raw body, so keep it unparsed there
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -86,6 +89,9 @@ const ratingRoutes = require('./routes/ratingRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const settingsRoutes = require('./routes/settingsRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
+const payoutRoutes = require('./routes/payoutRoutes');
+const promoCodeRoutes = require('./routes/promoCodeRoutes');
+const walletRoutes = require('./routes/walletRoutes');
 
 // Register API routes
 app.use('/api/auth', authRoutes);
@@ -98,6 +104,9 @@ app.use('/api/ratings', ratingRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/wallet', walletRoutes);
 
 // Serve frontend build if available (for single-container deployments)
 const frontendBuildPath = path.join(__dirname, '..', 'frontend-build');
@@ -162,6 +171,53 @@ if (process.env.NODE_ENV !== 'test') {
     }
   });
 
+  // Attach Socket.io for real-time messaging
+  initSocket(server);
+
+  // Background jobs; each run happens on one instance, however many are running
+  const { defineJob, startScheduler } = require('./utils/scheduler');
+  const { runBookingLifecycle } = require('./utils/bookingLifecycle');
+  const { expireAuthorizations } = require('./utils/paymentGateway');
+  const { runPayoutBatch } = require('./utils/payouts');
+
+  // Activate, complete and expire bookings as their times pass
+  defineJob('booking-lifecycle', {
+    interval: 60 * 1000,
+    handler: async (now) => {
+      const { activated, completed, expired, declined, noShows } = await runBookingLifecycle(now);
+      if (activated + completed + expired + declined + noShows > 0) {
+        console.log(`Bookings: ${activated} activated, ${completed} completed, ${expired} expired, ${declined} declined, ${noShows} no-shows`);
+      }
+      return { activated, completed, expired, declined, noShows };
+    }
+  });
+
+  // Expire card authorizations the gateways have released, hourly
+  defineJob('expire-authorizations', {
+    interval: 60 * 60 * 1000,
+    handler: async (now) => {
+      const expired = await expireAuthorizations(now);
+      if (expired > 0) {
+        console.log(`Expired ${expired} payment authorization(s)`);
+      }
+      return { expired };
+    }
+  });
+
+  // Pay owners for the week just ended; re-running a paid period is a no-op, so check hourly
+  defineJob('payout-batch', {
+    interval: 60 * 60 * 1000,
+    handler: async () => {
+      const { paid, failed } = await runPayoutBatch();
+      if (paid + failed > 0) {
+        console.log(`Payout batch: ${paid} paid, ${failed} failed`);
+      }
+      return { paid, failed };
+    }
+  });
+
+  startScheduler();
+
   // Handle unhandled promise rejections
   process.on('unhandledRejection', (err, promise) => {
     console.log(`Error: ${err.message}`);
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Settings = require('../models/Settings');
+const Notification = require('../models/Notification');
+const { generateToken } = require('../middleware/auth');
+const { fakeGateway } = require('../utils/fakeGateway');
+const { runBookingLifecycle } = require('../utils/bookingLifecycle');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Owner approval of bookings', () => {
+  let owner, driver, charger;
+
+  beforeEach(async () => {
+    fakeGateway.reset();
+    await Settings.initializeDefaultSettings();
+    await Settings.updateSetting('paymentGateway', 'fake');
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    charger = await Charger.create({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 10.00 },
+      bookingMode: 'approval',
+      status: 'approved'
+    });
+  });
+
+  const book = async (hoursUntilStart = 48) => {
+    const startTime = new Date(Date.now() + hoursUntilStart * HOUR_MS);
+    const res = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({
+        chargerId: charger._id.toString(),
+        startTime: startTime.toISOString(),
+        endTime: new Date(startTime.getTime() + 2 * HOUR_MS).toISOString()
+      })
+      .expect(201);
+    return res.body.data;
+  };
+
+  const pay = (booking) => request(app)
+    .post('/api/payments/process')
+    .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+    .send({ bookingId: booking._id.toString(), paymentMethodId: 'fake_card' })
+    .expect(200);
+
+  test('should confirm a booking on an instant-book charger once paid', async () => {
+    await Charger.updateOne({ _id: charger._id }, { bookingMode: 'instant' });
+    const booking = await book();
+    expect(booking.approval).toBeUndefined();
+
+    await pay(booking);
+
+    expect((await Booking.findById(booking._id)).status).toBe('confirmed');
+  });
+
+  test('should keep a paid request pending until the owner accepts it', async () => {
+    const booking = await book();
+    expect(booking.approval.status).toBe('awaiting');
+    expect(new Date(booking.approval.respondBy).getTime()).toBeLessThanOrEqual(Date.now() + 24 * HOUR_MS);
+
+    await pay(booking);
+    expect((await Booking.findById(booking._id)).status).toBe('pending');
+
+    const res = await request(app)
+      .put(`/api/bookings/${booking._id}/accept`)
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`)
+      .expect(200);
+
+    expect(res.body.data.status).toBe('confirmed');
+    expect(res.body.data.approval.status).toBe('accepted');
+    expect(res.body.data.accessCode).toBeDefined();
+    expect(await Notification.findOne({ user: driver._id, type: 'BOOKING_CONFIRMED' })).not.toBeNull();
+  });
+
+  test('should release the authorization when the owner declines', async () => {
+    const booking = await book();
+    await pay(booking);
+
+    const res = await request(app)
+      .put(`/api/bookings/${booking._id}/decline`)
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`)
+      .send({ reason: 'Away that weekend' })
+      .expect(200);
+
+    expect(res.body.data.status).toBe('declined');
+    expect(res.body.data.approval).toMatchObject({ status: 'declined', declineReason: 'Away that weekend' });
+
+    const payment = await Payment.findOne({ booking: booking._id });
+    expect(payment.transaction.status).toBe('voided');
+    expect((await Booking.findById(booking._id)).payment.status).toBe('voided');
+    expect(await Notification.findOne({ user: driver._id, type: 'BOOKING_DECLINED' })).not.toBeNull();
+  });
+
+  test('should decline a request the owner has not answered by its deadline', async () => {
+    const booking = await book();
+    await pay(booking);
+
+    const deadline = new Date(booking.approval.respondBy);
+    expect((await runBookingLifecycle(new Date(deadline.getTime() - 1000))).declined).toBe(0);
+
+    const result = await runBookingLifecycle(new Date(deadline.getTime() + 1000));
+
+    expect(result.declined).toBe(1);
+    const declined = await Booking.findById(booking._id);
+    expect(declined.status).toBe('declined');
+    expect(declined.approval.status).toBe('expired');
+    expect((await Payment.findOne({ booking: booking._id })).transaction.status).toBe('voided');
+  });
+
+  test('should only let the charger owner respond to a request', async () => {
+    const booking = await book();
+
+    await request(app)
+      .put(`/api/bookings/${booking._id}/accept`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .expect(403);
+
+    await request(app)
+      .put(`/api/bookings/${booking._id}/decline`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .expect(403);
+
+    expect((await Booking.findById(booking._id)).approval.status).toBe('awaiting');
+  });
+});
@@ -0,0 +1,218 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Settings = require('../models/Settings');
+const Notification = require('../models/Notification');
+const { generateToken } = require('../middleware/auth');
+const { fakeGateway } = require('../utils/fakeGateway');
+const { runBookingLifecycle } = require('../utils/bookingLifecycle');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+describe('Changing and extending bookings', () => {
+  let owner, driver, charger;
+
+  beforeEach(async () => {
+    fakeGateway.reset();
+    await Settings.initializeDefaultSettings();
+    await Settings.updateSetting('paymentGateway', 'fake');
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    charger = await Charger.create({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 10.00 },
+      status: 'approved'
+    });
+  });
+
+  // Book the charger for two hours and pay, so the booking is confirmed (or awaiting the owner)
+  const bookAndPay = async (startTime = new Date(Date.now() + 48 * HOUR_MS)) => {
+    const res = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({
+        chargerId: charger._id.toString(),
+        startTime: startTime.toISOString(),
+        endTime: new Date(startTime.getTime() + 2 * HOUR_MS).toISOString()
+      })
+      .expect(201);
+
+    await request(app)
+      .post('/api/payments/process')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({ bookingId: res.body.data._id, paymentMethodId: 'fake_card' })
+      .expect(200);
+
+    return Booking.findById(res.body.data._id);
+  };
+
+  const changeSchedule = (booking, times) => request(app)
+    .put(`/api/bookings/${booking._id}/schedule`)
+    .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+    .send(times);
+
+  test('should move a booking on an instant-book charger, authorizing the higher price', async () => {
+    const booking = await bookAndPay();
+    const authorization = (await Payment.findOne({ booking: booking._id })).transaction.id;
+    const startTime = new Date(booking.schedule.startTime.getTime() + 24 * HOUR_MS);
+    const endTime = new Date(startTime.getTime() + 3 * HOUR_MS);
+
+    const preview = await request(app)
+      .get(`/api/bookings/${booking._id}/schedule/preview`)
+      .query({ startTime: startTime.toISOString(), endTime: endTime.toISOString() })
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .expect(200);
+
+    expect(preview.body.data).toMatchObject({ difference: 10, requiresApproval: false });
+    expect(preview.body.data.pricing.totalAmount).toBe(30);
+
+    const res = await changeSchedule(booking, {
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString()
+    }).expect(200);
+
+    expect(new Date(res.body.data.schedule.startTime)).toEqual(startTime);
+    expect(res.body.data.pricing.totalAmount).toBe(30);
+    expect(res.body.data.status).toBe('confirmed');
+
+    const payment = await Payment.findOne({ booking: booking._id });
+    expect(payment.transaction.status).toBe('authorized');
+    expect(payment.transaction.id).not.toBe(authorization);
+    expect(payment.amount.total).toBe(30);
+    expect(payment.amount.authorized).toBe(30);
+    expect(await Notification.findOne({ user: owner._id, type: 'BOOKING_MODIFIED' })).not.toBeNull();
+  });
+
+  test('should not move a booking onto times another booking holds', async () => {
+    const booking = await bookAndPay();
+    const other = await bookAndPay(new Date(booking.schedule.endTime.getTime() + HOUR_MS));
+
+    const res = await changeSchedule(booking, {
+      startTime: booking.schedule.startTime.toISOString(),
+      endTime: new Date(other.schedule.startTime.getTime() + 30 * MINUTE_MS).toISOString()
+    }).expect(409);
+
+    expect(res.body.success).toBe(false);
+    const unchanged = await Booking.findById(booking._id);
+    expect(unchanged.schedule.endTime).toEqual(booking.schedule.endTime);
+    expect(unchanged.pricing.totalAmount).toBe(20);
+  });
+
+  test('should extend an active session but not move its start', async () => {
+    const booking = await bookAndPay(new Date(Date.now() + 10 * MINUTE_MS));
+    await request(app)
+      .post(`/api/bookings/${booking._id}/check-in`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({ accessCode: booking.accessCode })
+      .expect(200);
+    const startTime = new Date(Date.now() - 30 * MINUTE_MS);
+    await Booking.updateOne({ _id: booking._id }, {
+      'schedule.startTime': startTime,
+      'schedule.endTime': new Date(startTime.getTime() + 2 * HOUR_MS)
+    });
+
+    await changeSchedule(booking, {
+      startTime: new Date().toISOString(),
+      endTime: new Date(startTime.getTime() + 3 * HOUR_MS).toISOString()
+    }).expect(400);
+
+    const res = await changeSchedule(booking, {
+      endTime: new Date(startTime.getTime() + 3 * HOUR_MS).toISOString()
+    }).expect(200);
+
+    expect(res.body.data.status).toBe('active');
+    expect(new Date(res.body.data.schedule.startTime)).toEqual(startTime);
+    expect(res.body.data.pricing.totalAmount).toBe(30);
+    expect((await Payment.findOne({ booking: booking._id })).amount.authorized).toBe(30);
+  });
+
+  test('should wait for the owner to accept a change on an approval charger', async () => {
+    await Charger.updateOne({ _id: charger._id }, { bookingMode: 'approval' });
+    const booking = await bookAndPay();
+    await request(app)
+      .put(`/api/bookings/${booking._id}/accept`)
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`)
+      .expect(200);
+    const startTime = new Date(booking.schedule.startTime.getTime() + 2 * HOUR_MS);
+
+    const res = await changeSchedule(booking, {
+      startTime: startTime.toISOString(),
+      endTime: new Date(startTime.getTime() + HOUR_MS).toISOString()
+    }).expect(200);
+
+    expect(res.body.data.modification).toMatchObject({ status: 'awaiting', totalAmount: 10 });
+    expect(new Date(res.body.data.schedule.startTime)).toEqual(booking.schedule.startTime);
+    expect(await Notification.findOne({ user: owner._id, type: 'BOOKING_MODIFICATION_REQUESTED' })).not.toBeNull();
+
+    const awaiting = await request(app)
+      .get('/api/bookings/owner')
+      .query({ awaitingApproval: 'true' })
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`)
+      .expect(200);
+    expect(awaiting.body.data).toHaveLength(1);
+
+    const accepted = await request(app)
+      .put(`/api/bookings/${booking._id}/schedule/accept`)
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`)
+      .expect(200);
+
+    expect(accepted.body.data.modification.status).toBe('accepted');
+    expect(new Date(accepted.body.data.schedule.startTime)).toEqual(startTime);
+    expect(accepted.body.data.pricing.totalAmount).toBe(10);
+
+    // The cheaper booking keeps its hold, for the lower amount
+    const payment = await Payment.findOne({ booking: booking._id });
+    expect(payment.amount.total).toBe(10);
+    expect(payment.amount.authorized).toBe(20);
+  });
+
+  test('should decline a change the owner does not respond to in time', async () => {
+    await Charger.updateOne({ _id: charger._id }, { bookingMode: 'approval' });
+    const booking = await bookAndPay();
+    await request(app)
+      .put(`/api/bookings/${booking._id}/accept`)
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`)
+      .expect(200);
+
+    const res = await changeSchedule(booking, {
+      startTime: booking.schedule.startTime.toISOString(),
+      endTime: new Date(booking.schedule.endTime.getTime() + HOUR_MS).toISOString()
+    }).expect(200);
+
+    const result = await runBookingLifecycle(new Date(new Date(res.body.data.modification.respondBy).getTime() + MINUTE_MS));
+
+    expect(result.declined).toBe(1);
+    const unchanged = await Booking.findById(booking._id);
+    expect(unchanged.status).toBe('confirmed');
+    expect(unchanged.modification.status).toBe('expired');
+    expect(unchanged.schedule.endTime).toEqual(booking.schedule.endTime);
+    expect(await Notification.findOne({ user: driver._id, type: 'BOOKING_MODIFICATION_DECLINED' })).not.toBeNull();
+  });
+});
@@ -0,0 +1,125 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const { generateToken } = require('../middleware/auth');
+const { withBookingLock } = require('../utils/bookingLock');
+
+describe('Concurrent booking requests', () => {
+  let drivers, charger;
+
+  beforeEach(async () => {
+    const owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    drivers = await Promise.all(
+      [1, 2, 3, 4, 5].map(n => User.create({
+        email: `driver${n}@example.com`,
+        password: 'Password123!',
+        role: 'ev_user',
+        profile: { firstName: 'Driver', lastName: `${n}` }
+      }))
+    );
+
+    // No schedule means the charger is bookable around the clock
+    charger = await Charger.create({
+      owner: owner._id,
+      title: 'Busy Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 5.00 },
+      status: 'approved'
+    });
+  });
+
+  const bookSlot = (driver, startTime, endTime) => {
+    return request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({
+        chargerId: charger._id,
+        startTime: startTime.toISOString(),
+        endTime: endTime.toISOString()
+      });
+  };
+
+  test('only one of several parallel requests for the same slot should succeed', async () => {
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const endTime = new Date(startTime.getTime() + 2 * 60 * 60 * 1000);
+
+    const responses = await Promise.all(
+      drivers.map(driver => bookSlot(driver, startTime, endTime))
+    );
+
+    const created = responses.filter(res => res.statusCode === 201);
+    const rejected = responses.filter(res => res.statusCode === 409);
+
+    expect(created).toHaveLength(1);
+    expect(rejected).toHaveLength(drivers.length - 1);
+    expect(await Booking.countDocuments({ charger: charger._id })).toBe(1);
+  });
+
+  test('parallel requests for overlapping slots should not both succeed', async () => {
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    const responses = await Promise.all([
+      bookSlot(drivers[0], startTime, new Date(startTime.getTime() + 2 * 60 * 60 * 1000)),
+      bookSlot(
+        drivers[1],
+        new Date(startTime.getTime() + 60 * 60 * 1000),
+        new Date(startTime.getTime() + 3 * 60 * 60 * 1000)
+      )
+    ]);
+
+    expect(responses.filter(res => res.statusCode === 201)).toHaveLength(1);
+    expect(await Booking.countDocuments({ charger: charger._id })).toBe(1);
+  });
+
+  test('parallel requests for adjacent slots should both succeed', async () => {
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const midTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+    const endTime = new Date(startTime.getTime() + 2 * 60 * 60 * 1000);
+
+    const responses = await Promise.all([
+      bookSlot(drivers[0], startTime, midTime),
+      bookSlot(drivers[1], midTime, endTime)
+    ]);
+
+    expect(responses.map(res => res.statusCode)).toEqual([201, 201]);
+  });
+
+  test('should release the lock when the locked work fails', async () => {
+    await expect(
+      withBookingLock(charger._id, async () => {
+        throw new Error('boom');
+      })
+    ).rejects.toThrow('boom');
+
+    const stored = await Charger.findById(charger._id).select('+bookingLock');
+    expect(stored.bookingLock).toBeUndefined();
+  });
+
+  test('should keep renewing the lock while the locked work runs', async () => {
+    let leased, renewed;
+
+    await withBookingLock(charger._id, async () => {
+      leased = (await Charger.findById(charger._id).select('+bookingLock')).bookingLock.expiresAt;
+      await new Promise(resolve => setTimeout(resolve, 4000));
+      renewed = (await Charger.findById(charger._id).select('+bookingLock')).bookingLock.expiresAt;
+    });
+
+    expect(renewed.getTime()).toBeGreaterThan(leased.getTime());
+  }, 10000);
+});
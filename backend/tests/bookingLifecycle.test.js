@@ -0,0 +1,179 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Settings = require('../models/Settings');
+const Notification = require('../models/Notification');
+const ScheduledJob = require('../models/ScheduledJob');
+const { generateToken } = require('../middleware/auth');
+const { FAKE_PAYMENT_METHODS, fakeGateway } = require('../utils/fakeGateway');
+const { runBookingLifecycle } = require('../utils/bookingLifecycle');
+const { defineJob, runJob } = require('../utils/scheduler');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+describe('Booking lifecycle jobs', () => {
+  let owner, driver, charger;
+
+  beforeEach(async () => {
+    fakeGateway.reset();
+    await Settings.initializeDefaultSettings();
+    await Settings.updateSetting('paymentGateway', 'fake');
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    charger = await Charger.create({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 10.00 },
+      status: 'approved'
+    });
+  });
+
+  const createBooking = (hoursUntilStart = 48) => {
+    const startTime = new Date(Date.now() + hoursUntilStart * HOUR_MS);
+    return Booking.create({
+      charger: charger._id,
+      user: driver._id,
+      owner: owner._id,
+      schedule: {
+        startTime,
+        endTime: new Date(startTime.getTime() + 2 * HOUR_MS)
+      },
+      pricing: { hourlyRate: 10.00, totalAmount: 20.00 },
+      status: 'pending'
+    });
+  };
+
+  const pay = (booking, paymentMethodId = 'fake_card') => request(app)
+    .post('/api/payments/process')
+    .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+    .send({ bookingId: booking._id.toString(), paymentMethodId });
+
+  test('should activate a confirmed booking at its start time', async () => {
+    const booking = await createBooking();
+    await pay(booking).expect(200);
+
+    expect(await runBookingLifecycle(new Date(booking.schedule.startTime.getTime() - MINUTE_MS)))
+      .toEqual({ activated: 0, completed: 0, expired: 0, declined: 0, noShows: 0 });
+
+    const result = await runBookingLifecycle(new Date(booking.schedule.startTime.getTime() + MINUTE_MS));
+
+    expect(result).toEqual({ activated: 1, completed: 0, expired: 0, declined: 0, noShows: 0 });
+    expect((await Booking.findById(booking._id)).status).toBe('active');
+    expect(await Notification.findOne({ user: driver._id, type: 'BOOKING_STARTED' })).not.toBeNull();
+  });
+
+  test('should complete a booking after its end time and capture the payment', async () => {
+    const booking = await createBooking();
+    await pay(booking).expect(200);
+
+    const result = await runBookingLifecycle(new Date(booking.schedule.endTime.getTime() + MINUTE_MS));
+
+    expect(result).toEqual({ activated: 1, completed: 1, expired: 0, declined: 0, noShows: 0 });
+    expect((await Booking.findById(booking._id)).status).toBe('completed');
+
+    const payment = await Payment.findOne({ booking: booking._id });
+    expect(payment.transaction.status).toBe('completed');
+    expect(payment.amount.captured).toBe(20);
+    expect(await Notification.findOne({ user: owner._id, type: 'BOOKING_COMPLETED' })).not.toBeNull();
+  });
+
+  test('should keep a booking active when its capture fails, and complete it later', async () => {
+    const booking = await createBooking();
+    const { body } = await pay(booking).expect(200);
+    await Booking.updateOne({ _id: booking._id }, { status: 'active' });
+    // Released behind our back, so the gateway refuses the capture
+    await fakeGateway.cancel(body.data.payment.transaction.id);
+
+    const afterEnd = new Date(booking.schedule.endTime.getTime() + MINUTE_MS);
+    expect((await runBookingLifecycle(afterEnd)).completed).toBe(0);
+    expect((await Booking.findById(booking._id)).status).toBe('active');
+  });
+
+  test('should expire a booking not paid within the payment window', async () => {
+    const unpaid = await createBooking();
+    const paid = await createBooking(72);
+    await pay(paid).expect(200);
+
+    expect((await runBookingLifecycle(new Date(Date.now() + 20 * MINUTE_MS))).expired).toBe(0);
+
+    const result = await runBookingLifecycle(new Date(Date.now() + 31 * MINUTE_MS));
+
+    expect(result.expired).toBe(1);
+    expect((await Booking.findById(unpaid._id)).status).toBe('expired');
+    expect((await Booking.findById(paid._id)).status).toBe('confirmed');
+    expect(await Notification.findOne({ user: driver._id, type: 'BOOKING_EXPIRED' })).not.toBeNull();
+
+    // The slot is free again
+    const rebooked = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({
+        chargerId: charger._id.toString(),
+        startTime: unpaid.schedule.startTime.toISOString(),
+        endTime: unpaid.schedule.endTime.toISOString()
+      });
+    expect(rebooked.statusCode).toBe(201);
+  });
+
+  test('should cancel a payment still waiting on authentication when its booking expires', async () => {
+    const booking = await createBooking();
+    const { body } = await pay(booking, FAKE_PAYMENT_METHODS.REQUIRES_ACTION).expect(200);
+    expect(body.data.requiresAction).toBe(true);
+
+    const result = await runBookingLifecycle(new Date(Date.now() + 31 * MINUTE_MS));
+
+    expect(result.expired).toBe(1);
+    const payment = await Payment.findOne({ booking: booking._id });
+    expect(payment.transaction.status).toBe('voided');
+    expect((await fakeGateway.getStatus(payment.transaction.id)).status).toBe('failed');
+  });
+
+  test('should run a scheduled job once per interval, and not while another instance holds it', async () => {
+    const handler = jest.fn().mockResolvedValue({ done: true });
+    defineJob('test-job', { interval: HOUR_MS, handler, lease: MINUTE_MS });
+    const now = new Date();
+
+    expect(await runJob('test-job', now)).toEqual({ result: { done: true } });
+    expect(await runJob('test-job', new Date(now.getTime() + 30 * MINUTE_MS))).toBeNull();
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    const job = await ScheduledJob.findOne({ name: 'test-job' });
+    expect(job.nextRunAt.getTime()).toBe(now.getTime() + HOUR_MS);
+    expect(job.lastResult).toEqual({ done: true });
+
+    // Another instance is running it
+    const due = new Date(now.getTime() + HOUR_MS);
+    await ScheduledJob.claim('test-job', 'other-instance', due, MINUTE_MS);
+    expect(await runJob('test-job', due)).toBeNull();
+
+    // Its lease lapses, e.g. because it crashed
+    expect(await runJob('test-job', new Date(due.getTime() + 2 * MINUTE_MS))).toEqual({ result: { done: true } });
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+});
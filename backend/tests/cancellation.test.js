@@ -0,0 +1,201 @@
+const request = require('supertest');
+
+const mockRefundCreate = jest.fn();
+jest.mock('stripe', () => () => ({ refunds: { create: mockRefundCreate } }));
+
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Settings = require('../models/Settings');
+const { generateToken } = require('../middleware/auth');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Booking cancellation', () => {
+  let owner, driver, admin, charger;
+
+  beforeEach(async () => {
+    mockRefundCreate.mockReset();
+    mockRefundCreate.mockResolvedValue({ id: 're_test', status: 'succeeded' });
+    await Settings.initializeDefaultSettings();
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    admin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123!',
+      role: 'admin',
+      profile: { firstName: 'Admin', lastName: 'User' }
+    });
+
+    charger = await Charger.create({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 10.00 },
+      status: 'approved'
+    });
+  });
+
+  // A confirmed, paid booking of 20.00 starting the given number of hours from now
+  const createPaidBooking = async (hoursUntilStart) => {
+    const startTime = new Date(Date.now() + hoursUntilStart * HOUR_MS);
+    const booking = await Booking.create({
+      charger: charger._id,
+      user: driver._id,
+      owner: owner._id,
+      schedule: {
+        startTime,
+        endTime: new Date(startTime.getTime() + 2 * HOUR_MS)
+      },
+      pricing: { hourlyRate: 10.00, totalAmount: 20.00 },
+      status: 'confirmed',
+      payment: { status: 'completed' }
+    });
+
+    await Payment.create({
+      booking: booking._id,
+      user: driver._id,
+      owner: owner._id,
+      amount: {
+        total: 20.00,
+        platformFee: booking.pricing.platformFee,
+        ownerEarnings: booking.pricing.ownerEarnings
+      },
+      paymentMethod: { type: 'card' },
+      transaction: { id: 'pi_test', status: 'completed', gateway: 'stripe' }
+    });
+
+    return booking;
+  };
+
+  const cancel = (booking, user = driver) => request(app)
+    .delete(`/api/bookings/${booking._id}`)
+    .set('Authorization', `Bearer ${generateToken(user._id)}`);
+
+  test('should refund in full with more notice than the free cancellation window', async () => {
+    const booking = await createPaidBooking(48);
+
+    const res = await cancel(booking);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.refund).toMatchObject({ tier: 'full', percentage: 100, amount: 20 });
+    expect(mockRefundCreate).toHaveBeenCalledWith(expect.objectContaining({ payment_intent: 'pi_test', amount: 2000 }));
+
+    const payment = await Payment.findOne({ booking: booking._id });
+    expect(payment.transaction.status).toBe('refunded');
+    expect(payment.transaction.refundAmount).toBe(20);
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.status).toBe('cancelled');
+    expect(updated.payment.status).toBe('refunded');
+  });
+
+  test('should refund partially inside the free cancellation window', async () => {
+    const booking = await createPaidBooking(18);
+
+    const res = await cancel(booking);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.refund).toMatchObject({ tier: 'partial', percentage: 50, amount: 10 });
+
+    const payment = await Payment.findOne({ booking: booking._id });
+    expect(payment.transaction.status).toBe('partially_refunded');
+    expect(payment.transaction.refundAmount).toBe(10);
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.payment.status).toBe('partially_refunded');
+  });
+
+  test('should not refund with less notice than the partial refund window', async () => {
+    const booking = await createPaidBooking(3);
+
+    const res = await cancel(booking);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.refund).toMatchObject({ tier: 'none', amount: 0 });
+    expect(mockRefundCreate).not.toHaveBeenCalled();
+    expect((await Booking.findById(booking._id)).status).toBe('cancelled');
+  });
+
+  test('should apply the same rules when cancelling through the status route', async () => {
+    const setStatus = (booking) => request(app)
+      .put(`/api/bookings/${booking._id}/status`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({ status: 'cancelled' });
+
+    const booking = await createPaidBooking(18);
+    const res = await setStatus(booking);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.status).toBe('cancelled');
+    expect((await Payment.findOne({ booking: booking._id })).transaction.refundAmount).toBe(10);
+
+    const started = await createPaidBooking(48);
+    await Booking.updateOne({ _id: started._id }, { status: 'active' });
+
+    expect((await setStatus(started)).statusCode).toBe(400);
+    expect((await Booking.findById(started._id)).status).toBe('active');
+  });
+
+  test('should refund in full when an admin cancels', async () => {
+    const booking = await createPaidBooking(3);
+
+    const res = await cancel(booking, admin);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.refund).toMatchObject({ tier: 'full', amount: 20 });
+  });
+
+  test('should leave the booking unchanged if the refund fails', async () => {
+    const booking = await createPaidBooking(48);
+    mockRefundCreate.mockRejectedValue(Object.assign(new Error('Card issuer unavailable'), { type: 'StripeAPIError' }));
+
+    const res = await cancel(booking);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('REFUND_FAILED');
+    expect((await Booking.findById(booking._id)).status).toBe('confirmed');
+  });
+
+  test('should preview the refund using the configured policy', async () => {
+    await Settings.updateSetting('cancellationPolicy', {
+      freeCancellationHours: 72,
+      partialRefundHours: 24,
+      partialRefundPercentage: 25
+    });
+    const booking = await createPaidBooking(48);
+
+    const res = await request(app)
+      .get(`/api/bookings/${booking._id}/cancellation`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.canCancel).toBe(true);
+    expect(res.body.data.paidAmount).toBe(20);
+    expect(res.body.data.refund).toMatchObject({ tier: 'partial', percentage: 25, amount: 5 });
+    expect(mockRefundCreate).not.toHaveBeenCalled();
+  });
+});
@@ -2,6 +2,7 @@ const request = require('supertest');
 const app = require('../server');
 const User = require('../models/User');
 const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
 const { generateToken } = require('../middleware/auth');
 
 // Import the test database configuration
@@ -62,6 +63,25 @@ describe('Charger API', () => {
       expect(res.body.data).toHaveProperty('status', 'pending');
     });
 
+    it('should reject an unknown time zone', async () => {
+      const res = await request(app)
+        .post('/api/chargers')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({
+          title: 'Test Charger',
+          address: '123 Test St, Test City, Test Country',
+          coordinates: [72.8777, 19.0760],
+          timezone: 'Not/AZone',
+          type: 'Level2',
+          connector: 'J1772',
+          power: 7.4,
+          hourlyRate: 10.00
+        });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body).toHaveProperty('success', false);
+    });
+
     it('should not create a charger when unauthenticated', async () => {
       const res = await request(app)
         .post('/api/chargers')
@@ -143,4 +163,130 @@ describe('Charger API', () => {
       expect(res.body.data.chargers[0]).toHaveProperty('status', 'approved');
     });
   });
+
+  describe('GET /api/chargers/:id', () => {
+    it('should list upcoming slots in the charger time zone with explicit offsets', async () => {
+      const charger = await Charger.create({
+        title: 'Los Angeles Charger',
+        owner: ownerId,
+        location: {
+          address: '1 Sunset Blvd, Los Angeles, CA',
+          coordinates: [-118.2437, 34.0522],
+          timezone: 'America/Los_Angeles'
+        },
+        specifications: {
+          type: 'Level2',
+          connector: 'J1772',
+          power: 7.4
+        },
+        pricing: { hourlyRate: 10.00 },
+        availability: {
+          schedule: [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({
+            dayOfWeek,
+            startTime: '08:00',
+            endTime: '18:00'
+          }))
+        },
+        status: 'approved'
+      });
+
+      const res = await request(app)
+        .get(`/api/chargers/${charger._id}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.location).toHaveProperty('timezone', 'America/Los_Angeles');
+
+      const slots = res.body.data.availability.upcomingSlots;
+      expect(slots.length).toBeGreaterThanOrEqual(7);
+      slots.forEach(slot => {
+        expect(slot.start).toMatch(/T08:00:00-0[78]:00$/);
+        expect(slot.end).toMatch(/T18:00:00-0[78]:00$/);
+      });
+    });
+  });
+
+  describe('GET /api/chargers/:id/availability', () => {
+    let charger;
+
+    beforeEach(async () => {
+      charger = await Charger.create({
+        title: 'Scheduled Charger',
+        owner: ownerId,
+        location: {
+          address: '123 Test St, Test City, Test Country',
+          coordinates: [72.8777, 19.0760],
+          timezone: 'UTC'
+        },
+        specifications: {
+          type: 'Level2',
+          connector: 'J1772',
+          power: 7.4
+        },
+        pricing: { hourlyRate: 10.00 },
+        availability: {
+          schedule: [
+            { dayOfWeek: 1, startTime: '08:00', endTime: '18:00' }, // Monday
+            { dayOfWeek: 2, startTime: '22:00', endTime: '02:00' } // Tuesday night
+          ]
+        },
+        status: 'approved'
+      });
+    });
+
+    it('should return scheduled time minus existing bookings', async () => {
+      const driver = await User.create({
+        email: 'driver@example.com',
+        password: 'Password123!',
+        role: 'ev_user',
+        profile: { firstName: 'Drive', lastName: 'User' }
+      });
+
+      // 2099-01-05 is a Monday
+      await Booking.create({
+        charger: charger._id,
+        user: driver._id,
+        owner: ownerId,
+        schedule: {
+          startTime: new Date('2099-01-05T10:00:00Z'),
+          endTime: new Date('2099-01-05T12:00:00Z')
+        },
+        pricing: { hourlyRate: 10.00, totalAmount: 20.00 },
+        status: 'confirmed'
+      });
+
+      const res = await request(app)
+        .get(`/api/chargers/${charger._id}/availability`)
+        .query({ from: '2099-01-05', to: '2099-01-08' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.timezone).toBe('UTC');
+      expect(res.body.data.slots).toEqual([
+        { date: '2099-01-05', start: '2099-01-05T08:00:00+00:00', end: '2099-01-05T10:00:00+00:00' },
+        { date: '2099-01-05', start: '2099-01-05T12:00:00+00:00', end: '2099-01-05T18:00:00+00:00' },
+        { date: '2099-01-06', start: '2099-01-06T22:00:00+00:00', end: '2099-01-07T00:00:00+00:00' },
+        { date: '2099-01-07', start: '2099-01-07T00:00:00+00:00', end: '2099-01-07T02:00:00+00:00' }
+      ]);
+    });
+
+    it('should leave out blocked dates', async () => {
+      charger.availability.blockedDates = [new Date('2099-01-05')];
+      await charger.save();
+
+      const res = await request(app)
+        .get(`/api/chargers/${charger._id}/availability`)
+        .query({ from: '2099-01-05', to: '2099-01-06' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.slots).toHaveLength(0);
+    });
+
+    it('should reject ranges that are too long', async () => {
+      const res = await request(app)
+        .get(`/api/chargers/${charger._id}/availability`)
+        .query({ from: '2099-01-01', to: '2099-03-01' });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body).toHaveProperty('success', false);
+    });
+  });
 });
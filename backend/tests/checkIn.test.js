@@ -0,0 +1,172 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Settings = require('../models/Settings');
+const Notification = require('../models/Notification');
+const { generateToken } = require('../middleware/auth');
+const { fakeGateway } = require('../utils/fakeGateway');
+const { runBookingLifecycle } = require('../utils/bookingLifecycle');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// About 880 meters east of the charger
+const NEARBY = [-122.4094, 37.7749];
+
+describe('Check-in and check-out', () => {
+  let owner, driver, charger;
+
+  beforeEach(async () => {
+    fakeGateway.reset();
+    await Settings.initializeDefaultSettings();
+    await Settings.updateSetting('paymentGateway', 'fake');
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    charger = await Charger.create({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 10.00 },
+      status: 'approved'
+    });
+  });
+
+  // A paid booking starting in minutesUntilStart, so it is confirmed and has an access code
+  const createConfirmedBooking = async (minutesUntilStart = 10) => {
+    const startTime = new Date(Date.now() + minutesUntilStart * MINUTE_MS);
+    const booking = await Booking.create({
+      charger: charger._id,
+      user: driver._id,
+      owner: owner._id,
+      schedule: {
+        startTime,
+        endTime: new Date(startTime.getTime() + 2 * HOUR_MS)
+      },
+      pricing: { hourlyRate: 10.00, totalAmount: 20.00 },
+      status: 'pending'
+    });
+
+    await request(app)
+      .post('/api/payments/process')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({ bookingId: booking._id.toString(), paymentMethodId: 'fake_card' })
+      .expect(200);
+
+    return Booking.findById(booking._id);
+  };
+
+  const checkIn = (booking, body, user = driver) => request(app)
+    .post(`/api/bookings/${booking._id}/check-in`)
+    .set('Authorization', `Bearer ${generateToken(user._id)}`)
+    .send(body);
+
+  test('should check the driver in with the access code and record a late arrival', async () => {
+    const booking = await createConfirmedBooking();
+    // The session started 20 minutes ago
+    await Booking.updateOne({ _id: booking._id }, {
+      'schedule.startTime': new Date(Date.now() - 20 * MINUTE_MS),
+      'schedule.endTime': new Date(Date.now() + HOUR_MS)
+    });
+
+    const res = await checkIn(booking, { accessCode: booking.accessCode.toLowerCase() }).expect(200);
+
+    expect(res.body.data.booking.status).toBe('active');
+    expect(res.body.data.booking.checkIn.method).toBe('access_code');
+    expect(res.body.data.lateArrivalMinutes).toBe(20);
+    expect(await Notification.findOne({ user: owner._id, type: 'BOOKING_CHECKED_IN' })).not.toBeNull();
+
+    await checkIn(booking, { accessCode: booking.accessCode }).expect(400);
+  });
+
+  test('should refuse a wrong access code and a check-in that is too early', async () => {
+    const booking = await createConfirmedBooking();
+    await checkIn(booking, { accessCode: 'WRONG1' }).expect(400);
+
+    const later = await createConfirmedBooking(3 * 60);
+    const res = await checkIn(later, { accessCode: later.accessCode }).expect(400);
+    expect(res.body.message).toMatch(/opens 15 minutes before/);
+  });
+
+  test('should let the owner check the driver in by scanning the QR code', async () => {
+    const booking = await createConfirmedBooking();
+    const { body } = await request(app)
+      .get(`/api/bookings/${booking._id}/access`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .expect(200);
+
+    const res = await checkIn(booking, { qrCode: body.data.qrCode }, owner).expect(200);
+
+    expect(res.body.data.booking.checkIn.method).toBe('qr_code');
+    expect(res.body.data.booking.checkIn.by).toBe(owner._id.toString());
+  });
+
+  test('should require the driver to be near the charger when a geofence is set', async () => {
+    await Settings.updateSetting('checkInPolicy', { earlyMinutes: 15, geofenceMeters: 500, autoCheckOutMinutes: 60 });
+    const booking = await createConfirmedBooking();
+
+    await checkIn(booking, { accessCode: booking.accessCode }).expect(400);
+    await checkIn(booking, { accessCode: booking.accessCode, coordinates: NEARBY }).expect(400);
+
+    await Settings.updateSetting('checkInPolicy', { earlyMinutes: 15, geofenceMeters: 1000, autoCheckOutMinutes: 60 });
+    const res = await checkIn(booking, { accessCode: booking.accessCode, coordinates: NEARBY }).expect(200);
+    expect(res.body.data.booking.checkIn.distanceMeters).toBeGreaterThan(800);
+  });
+
+  test('should complete the booking and capture the payment on check-out', async () => {
+    const booking = await createConfirmedBooking();
+    await checkIn(booking, { accessCode: booking.accessCode }).expect(200);
+    // The driver stayed 30 minutes past the end time
+    await Booking.updateOne({ _id: booking._id }, {
+      'schedule.startTime': new Date(Date.now() - 2.5 * HOUR_MS),
+      'schedule.endTime': new Date(Date.now() - 30 * MINUTE_MS)
+    });
+
+    const res = await request(app)
+      .post(`/api/bookings/${booking._id}/check-out`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .expect(200);
+
+    expect(res.body.data.booking.status).toBe('completed');
+    expect(res.body.data.booking.checkOut.method).toBe('manual');
+    expect(res.body.data.overstayMinutes).toBe(30);
+    expect((await Payment.findOne({ booking: booking._id })).transaction.status).toBe('completed');
+  });
+
+  test('should wait for a checked-in driver to check out, then check them out automatically', async () => {
+    const booking = await createConfirmedBooking();
+    await checkIn(booking, { accessCode: booking.accessCode }).expect(200);
+
+    const endTime = booking.schedule.endTime.getTime();
+    expect((await runBookingLifecycle(new Date(endTime + 30 * MINUTE_MS))).completed).toBe(0);
+    expect((await Booking.findById(booking._id)).status).toBe('active');
+
+    expect((await runBookingLifecycle(new Date(endTime + 61 * MINUTE_MS))).completed).toBe(1);
+    const completed = await Booking.findById(booking._id);
+    expect(completed.status).toBe('completed');
+    expect(completed.checkOut.method).toBe('auto');
+  });
+});
@@ -0,0 +1,193 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Settings = require('../models/Settings');
+const { generateToken } = require('../middleware/auth');
+const { fakeGateway } = require('../utils/fakeGateway');
+const { validateCurrencySetting, formatMoney } = require('../utils/currency');
+
+describe('Multi-currency', () => {
+  let owner, driver, admin;
+
+  beforeEach(async () => {
+    fakeGateway.reset();
+    await Settings.initializeDefaultSettings();
+    await Settings.updateSetting('paymentGateway', 'fake');
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    admin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123!',
+      role: 'admin',
+      profile: { firstName: 'Admin', lastName: 'User' }
+    });
+  });
+
+  // A completed payment of `total` in `currency`, with a 10% platform fee
+  const createPayment = (total, currency, booking = new mongoose.Types.ObjectId()) => Payment.create({
+    booking,
+    user: driver._id,
+    owner: owner._id,
+    amount: { total, platformFee: total / 10, ownerEarnings: total * 0.9 },
+    currency,
+    paymentMethod: { type: 'card' },
+    transaction: { id: `fake_${Date.now()}_${Math.random()}`, status: 'completed', gateway: 'fake', processedAt: new Date() }
+  });
+
+  test('should price and charge bookings in the charger\'s currency', async () => {
+    const charger = await Charger.create({
+      owner: owner._id,
+      title: 'Berlin Charger',
+      location: {
+        address: 'Unter den Linden 1',
+        coordinates: [13.3889, 52.5170]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'CCS',
+        power: 11
+      },
+      pricing: { hourlyRate: 5.00, currency: 'EUR' },
+      status: 'approved'
+    });
+
+    const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+    startTime.setUTCMinutes(0, 0, 0);
+    const booked = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({
+        chargerId: charger._id.toString(),
+        startTime: startTime.toISOString(),
+        endTime: new Date(startTime.getTime() + 2 * 60 * 60 * 1000).toISOString()
+      });
+
+    expect(booked.statusCode).toBe(201);
+    const booking = await Booking.findById(booked.body.data._id);
+    expect(booking.pricing.currency).toBe('EUR');
+
+    await request(app)
+      .post('/api/payments/process')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({ bookingId: booking._id.toString(), paymentMethodId: 'fake_card' });
+
+    expect((await Payment.findOne({ booking: booking._id })).currency).toBe('eur');
+  });
+
+  test('should total earnings per currency and in the reporting currency', async () => {
+    await Settings.updateSetting('exchangeRates', { EUR: 1.1 });
+    await createPayment(100, 'usd');
+    await createPayment(100, 'eur');
+
+    const res = await request(app)
+      .get('/api/payments/earnings')
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.stats).toMatchObject({
+      totalEarnings: 189,
+      totalPayments: 2,
+      reportingCurrency: 'USD',
+      unconvertedCurrencies: []
+    });
+    expect(res.body.data.stats.byCurrency).toEqual(expect.arrayContaining([
+      { currency: 'USD', totalEarnings: 90, totalPayments: 1 },
+      { currency: 'EUR', totalEarnings: 90, totalPayments: 1 }
+    ]));
+  });
+
+  test('should total a charger\'s earnings per currency', async () => {
+    await Settings.updateSetting('exchangeRates', { EUR: 1.1 });
+    const charger = await Charger.create({
+      owner: owner._id,
+      title: 'Border Charger',
+      location: {
+        address: '1 Border Rd',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 5.00 },
+      status: 'approved'
+    });
+    const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+    const bookings = await Promise.all([0, 3].map(hours => Booking.create({
+      charger: charger._id,
+      user: driver._id,
+      owner: owner._id,
+      schedule: {
+        startTime: new Date(startTime.getTime() + hours * 60 * 60 * 1000),
+        endTime: new Date(startTime.getTime() + (hours + 2) * 60 * 60 * 1000)
+      },
+      pricing: { hourlyRate: 5.00, totalAmount: 10.00 }
+    })));
+    await createPayment(100, 'usd', bookings[0]._id);
+    await createPayment(100, 'eur', bookings[1]._id);
+
+    const res = await request(app)
+      .get(`/api/payments/earnings/charger/${charger._id}`)
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.stats).toMatchObject({ totalEarnings: 189, totalBookings: 2, reportingCurrency: 'USD' });
+    expect(res.body.data.stats.byCurrency).toEqual(expect.arrayContaining([
+      { currency: 'USD', totalEarnings: 90, totalBookings: 1 },
+      { currency: 'EUR', totalEarnings: 90, totalBookings: 1 }
+    ]));
+    expect(res.body.data.monthly.map(({ currency, earnings }) => ({ currency, earnings }))).toEqual([
+      { currency: 'EUR', earnings: 90 },
+      { currency: 'USD', earnings: 90 }
+    ]);
+  });
+
+  test('should leave currencies without an exchange rate out of converted totals', async () => {
+    await createPayment(100, 'usd');
+    await createPayment(50, 'gbp');
+
+    const res = await request(app)
+      .get('/api/payments/admin/stats')
+      .set('Authorization', `Bearer ${generateToken(admin._id)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.stats.completed).toEqual({ count: 2, total: 100 });
+    expect(res.body.data.stats.platformFees).toBe(10);
+    expect(res.body.data.stats.unconvertedCurrencies).toEqual(['GBP']);
+    expect(res.body.data.stats.byCurrency).toEqual(expect.arrayContaining([
+      expect.objectContaining({ currency: 'GBP', total: 50, count: 1 })
+    ]));
+  });
+
+  test('validateCurrencySetting should reject unsupported currencies and bad rates', () => {
+    expect(validateCurrencySetting('reportingCurrency', 'JPY')).toMatch(/must be one of/);
+    expect(validateCurrencySetting('exchangeRates', { JPY: 0.007 })).toMatch(/Unsupported currency/);
+    expect(validateCurrencySetting('exchangeRates', { EUR: 0 })).toMatch(/positive number/);
+    expect(validateCurrencySetting('exchangeRates', { EUR: 1.08, GBP: 1.27 })).toBeNull();
+  });
+
+  test('formatMoney should format amounts in their own currency', () => {
+    expect(formatMoney(12.5, 'usd')).toBe('$12.50');
+    expect(formatMoney(12.5, 'EUR')).toBe('€12.50');
+    expect(formatMoney(12.5, 'gbp')).toBe('£12.50');
+    expect(formatMoney(12.5)).toBe('$12.50');
+  });
+});
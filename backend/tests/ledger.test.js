@@ -0,0 +1,215 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Payout = require('../models/Payout');
+const LedgerEntry = require('../models/LedgerEntry');
+const Settings = require('../models/Settings');
+const { generateToken } = require('../middleware/auth');
+const { fakeGateway } = require('../utils/fakeGateway');
+const { recordPayoutLedger } = require('../utils/ledger');
+
+describe('Accounting ledger', () => {
+  let owner, driver, admin, charger;
+
+  beforeEach(async () => {
+    fakeGateway.reset();
+    await Settings.initializeDefaultSettings();
+    await Settings.updateSetting('paymentGateway', 'fake');
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    admin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123!',
+      role: 'admin',
+      profile: { firstName: 'Admin', lastName: 'User' }
+    });
+
+    charger = await Charger.create({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 10.00 },
+      status: 'approved'
+    });
+  });
+
+  // Book, authorize and complete a $20 booking, capturing its payment
+  const createCompletedPayment = async () => {
+    const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+    const booking = await Booking.create({
+      charger: charger._id,
+      user: driver._id,
+      owner: owner._id,
+      schedule: {
+        startTime,
+        endTime: new Date(startTime.getTime() + 2 * 60 * 60 * 1000)
+      },
+      pricing: { hourlyRate: 10.00, totalAmount: 20.00 },
+      status: 'pending'
+    });
+
+    await request(app)
+      .post('/api/payments/process')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({ bookingId: booking._id.toString(), paymentMethodId: 'fake_card' });
+
+    await Booking.updateOne({ _id: booking._id }, { status: 'active' });
+    await request(app)
+      .put(`/api/bookings/${booking._id}/status`)
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`)
+      .send({ status: 'completed' });
+
+    return Payment.findOne({ booking: booking._id });
+  };
+
+  const getLines = (entry) => Object.fromEntries(
+    entry.lines.map(line => [line.account, line.debit || -line.credit])
+  );
+
+  test('should record a balanced charge when a payment is captured', async () => {
+    const payment = await createCompletedPayment();
+
+    const entries = await LedgerEntry.find({ payment: payment._id });
+    expect(entries).toHaveLength(1);
+    expect(entries[0].type).toBe('charge');
+    expect(getLines(entries[0])).toEqual({
+      gateway_clearing: 20,
+      platform_revenue: -payment.amount.platformFee,
+      owner_payable: -payment.amount.ownerEarnings
+    });
+  });
+
+  test('should not refund more than was paid when admins refund at once', async () => {
+    const payment = await createCompletedPayment();
+
+    const responses = await Promise.all([
+      request(app)
+        .post(`/api/admin/payments/${payment._id}/refund`)
+        .set('Authorization', `Bearer ${generateToken(admin._id)}`)
+        .send({ amount: 15 }),
+      request(app)
+        .post('/api/payments/admin/process-refund')
+        .set('Authorization', `Bearer ${generateToken(admin._id)}`)
+        .send({ paymentId: payment._id.toString(), amount: 15 })
+    ]);
+
+    expect(responses.map(res => res.statusCode).sort()).toEqual([200, 400]);
+    expect((await Payment.findById(payment._id)).transaction.refundAmount).toBe(15);
+    expect(await LedgerEntry.countDocuments({ payment: payment._id, type: 'refund' })).toBe(1);
+  });
+
+  test('should record refunds and report platform revenue net of refunded fees', async () => {
+    const payment = await createCompletedPayment();
+
+    await request(app)
+      .post(`/api/admin/payments/${payment._id}/refund`)
+      .set('Authorization', `Bearer ${generateToken(admin._id)}`)
+      .send({ amount: 10 });
+
+    const refund = await LedgerEntry.findOne({ payment: payment._id, type: 'refund' });
+    const lines = getLines(refund);
+    expect(lines.gateway_clearing).toBe(-10);
+    expect(lines.owner_payable).toBe(Math.round(payment.amount.ownerEarnings * 50) / 100);
+
+    const dashboard = await request(app)
+      .get('/api/admin/dashboard')
+      .set('Authorization', `Bearer ${generateToken(admin._id)}`);
+    const analytics = await request(app)
+      .get('/api/admin/analytics')
+      .set('Authorization', `Bearer ${generateToken(admin._id)}`);
+
+    const revenue = Math.round((payment.amount.platformFee - lines.platform_revenue) * 100) / 100;
+    expect(dashboard.body.data.payments.totalRevenue).toBe(revenue);
+    expect(analytics.body.data.overview.totalRevenue).toBe(revenue);
+
+    const payments = await request(app)
+      .get('/api/admin/payments')
+      .set('Authorization', `Bearer ${generateToken(admin._id)}`);
+    const refunded = await Payment.findById(payment._id);
+    expect(payments.body.summary.ownerEarnings).toBe(refunded.amount.ownerEarnings);
+    expect(payments.body.summary.refunded).toBe(10);
+  });
+
+  test('should reject unbalanced, modified and deleted entries', async () => {
+    await expect(LedgerEntry.create({
+      type: 'charge',
+      reference: 'charge:unbalanced',
+      lines: [
+        { account: 'gateway_clearing', debit: 20 },
+        { account: 'owner_payable', credit: 18 }
+      ]
+    })).rejects.toThrow('debits must equal credits');
+
+    const payment = await createCompletedPayment();
+    const entry = await LedgerEntry.findOne({ payment: payment._id });
+
+    entry.description = 'Edited';
+    await expect(entry.save()).rejects.toThrow('cannot be modified');
+    await expect(LedgerEntry.updateOne({ _id: entry._id }, { description: 'Edited' })).rejects.toThrow();
+    await expect(LedgerEntry.deleteOne({ _id: entry._id })).rejects.toThrow();
+  });
+
+  test('should reconcile payments and payouts, flagging anything missing from the ledger', async () => {
+    const payment = await createCompletedPayment();
+    const payout = await Payout.create({
+      owner: owner._id,
+      period: { start: new Date(0), end: new Date() },
+      items: [{ payment: payment._id, earnings: payment.amount.ownerEarnings, amount: payment.amount.ownerEarnings }],
+      amount: payment.amount.ownerEarnings,
+      status: 'paid',
+      paidAt: new Date()
+    });
+    await recordPayoutLedger(payout);
+
+    const reconcile = () => request(app)
+      .get('/api/admin/payments/reconciliation')
+      .set('Authorization', `Bearer ${generateToken(admin._id)}`);
+
+    let res = await reconcile();
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.reconciled).toBe(true);
+    expect(res.body.data.summary.ownerPayable).toBe(0);
+
+    // A payment completed without going through the payment code paths
+    const unrecorded = await Payment.create({
+      booking: new mongoose.Types.ObjectId(),
+      user: driver._id,
+      owner: owner._id,
+      amount: { total: 20, platformFee: 2, ownerEarnings: 18 },
+      paymentMethod: { type: 'card' },
+      transaction: { id: 'fake_unrecorded', status: 'completed', gateway: 'fake', processedAt: new Date() }
+    });
+
+    res = await reconcile();
+    expect(res.body.data.reconciled).toBe(false);
+    expect(res.body.data.paymentDiscrepancies).toEqual([
+      expect.objectContaining({ payment: unrecorded._id.toString(), recorded: { charged: 0, refunded: 0 } })
+    ]);
+    expect(res.body.data.ownerDiscrepancies).toHaveLength(1);
+  });
+});
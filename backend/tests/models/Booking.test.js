@@ -67,8 +67,9 @@ describe('Booking Model', () => {
       expect(savedBooking.status).toBe('pending'); // default value
       expect(savedBooking.payment.status).toBe('pending'); // default value
       expect(savedBooking.schedule.duration).toBe(2); // calculated duration
-      expect(savedBooking.pricing.platformFee).toBe(0.5); // 5% of total
-      expect(savedBooking.pricing.ownerEarnings).toBe(9.5); // total - platform fee
+      expect(savedBooking.pricing.platformFee).toBe(1.5); // default 15% of total
+      expect(savedBooking.pricing.ownerEarnings).toBe(8.5); // total - platform fee
+      expect(savedBooking.pricing.feePolicy.source).toBe('default');
     });
 
     test('should require charger reference', async () => {
@@ -302,12 +303,13 @@ describe('Booking Model', () => {
       expect(booking.canBeCancelled()).toBe(true);
     });
 
-    test('canBeCancelled should return false for bookings starting soon', async () => {
-      const soon = new Date();
-      soon.setHours(soon.getHours() + 1); // 1 hour from now
+    test('canBeCancelled should return false once the booking has started', () => {
+      booking.schedule.startTime = new Date(Date.now() - 60 * 1000); // 1 minute ago
+      expect(booking.canBeCancelled()).toBe(false);
+    });
 
-      booking.schedule.startTime = soon;
-      await booking.save();
+    test('canBeCancelled should return false for completed bookings', () => {
+      booking.status = 'completed';
       expect(booking.canBeCancelled()).toBe(false);
     });
 
@@ -231,31 +231,58 @@ describe('Charger Model', () => {
   });
 
   describe('Pre-save Middleware', () => {
-    test('should validate schedule times', async () => {
-      const chargerData = {
-        owner: owner._id,
-        title: 'Home Charger',
-        location: {
-          address: '123 Main St',
-          coordinates: [-122.4194, 37.7749]
-        },
-        specifications: {
-          type: 'Level2',
-          connector: 'J1772',
-          power: 7.2
-        },
-        pricing: { hourlyRate: 5.00 },
-        availability: {
-          schedule: [{
-            dayOfWeek: 1,
-            startTime: '18:00',
-            endTime: '08:00' // End time before start time
-          }]
-        }
-      };
+    const chargerWithSchedule = (schedule) => new Charger({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 5.00 },
+      availability: { schedule }
+    });
 
-      const charger = new Charger(chargerData);
-      await expect(charger.save()).rejects.toThrow('End time must be after start time');
+    test('should reject windows that start and end at the same time', async () => {
+      const charger = chargerWithSchedule([
+        { dayOfWeek: 1, startTime: '08:00', endTime: '08:00' }
+      ]);
+      await expect(charger.save()).rejects.toThrow('Start time and end time cannot be the same');
+    });
+
+    test('should accept overnight windows', async () => {
+      const charger = chargerWithSchedule([
+        { dayOfWeek: 1, startTime: '22:00', endTime: '06:00' } // Ends Tuesday morning
+      ]);
+      await expect(charger.save()).resolves.toBeDefined();
+    });
+
+    test('should accept several windows on the same day', async () => {
+      const charger = chargerWithSchedule([
+        { dayOfWeek: 1, startTime: '07:00', endTime: '09:00' },
+        { dayOfWeek: 1, startTime: '18:00', endTime: '23:00' }
+      ]);
+      await expect(charger.save()).resolves.toBeDefined();
+    });
+
+    test('should reject overlapping windows', async () => {
+      const charger = chargerWithSchedule([
+        { dayOfWeek: 1, startTime: '07:00', endTime: '10:00' },
+        { dayOfWeek: 1, startTime: '09:00', endTime: '12:00' }
+      ]);
+      await expect(charger.save()).rejects.toThrow('Availability windows cannot overlap');
+    });
+
+    test('should reject overnight windows that overlap the next day', async () => {
+      const charger = chargerWithSchedule([
+        { dayOfWeek: 6, startTime: '22:00', endTime: '06:00' }, // Saturday night into Sunday
+        { dayOfWeek: 0, startTime: '05:00', endTime: '09:00' }
+      ]);
+      await expect(charger.save()).rejects.toThrow('Availability windows cannot overlap');
     });
   });
 
@@ -375,6 +402,93 @@ describe('Charger Model', () => {
       const tuesday12PM = new Date('2024-01-09T12:00:00');
       expect(charger.isAvailableAt(tuesday10AM, tuesday12PM)).toBe(false);
     });
+
+    test('isAvailableAt should evaluate the schedule in the charger time zone', async () => {
+      charger.location.timezone = 'America/Los_Angeles';
+      await charger.save();
+
+      // Monday 08:00-18:00 in Los Angeles (PST) is 16:00-02:00 UTC
+      expect(charger.isAvailableAt(
+        new Date('2024-01-08T16:00:00Z'),
+        new Date('2024-01-09T02:00:00Z')
+      )).toBe(true);
+
+      // Monday 10:00-12:00 UTC is 02:00-04:00 in Los Angeles
+      expect(charger.isAvailableAt(
+        new Date('2024-01-08T10:00:00Z'),
+        new Date('2024-01-08T12:00:00Z')
+      )).toBe(false);
+    });
+
+    test('isDateBlocked should compare blocked dates with the charger local date', () => {
+      charger.location.timezone = 'America/Los_Angeles';
+      charger.availability.blockedDates = [new Date('2099-03-02')];
+
+      // 02:00 UTC on March 3rd is still March 2nd in Los Angeles
+      expect(charger.isDateBlocked(new Date('2099-03-03T02:00:00Z'))).toBe(true);
+      expect(charger.isDateBlocked(new Date('2099-03-03T09:00:00Z'))).toBe(false);
+    });
+
+    test('getScheduleWindows should return windows as absolute instants', () => {
+      charger.location.timezone = 'America/Los_Angeles';
+
+      const windows = charger.getScheduleWindows(
+        new Date('2024-07-07T00:00:00Z'),
+        new Date('2024-07-14T00:00:00Z')
+      );
+
+      // Daylight saving time: Monday 08:00-18:00 PDT is 15:00-01:00 UTC
+      expect(windows).toHaveLength(1);
+      expect(windows[0].date).toBe('2024-07-08');
+      expect(windows[0].start.toISOString()).toBe('2024-07-08T15:00:00.000Z');
+      expect(windows[0].end.toISOString()).toBe('2024-07-09T01:00:00.000Z');
+    });
+
+    test('isAvailableAt should allow bookings that cross midnight in an overnight window', async () => {
+      charger.availability.schedule = [
+        { dayOfWeek: 1, startTime: '22:00', endTime: '06:00' }
+      ];
+      charger.location.timezone = 'UTC';
+      await charger.save();
+
+      // Monday 23:00 to Tuesday 05:00
+      expect(charger.isAvailableAt(
+        new Date('2024-01-08T23:00:00Z'),
+        new Date('2024-01-09T05:00:00Z')
+      )).toBe(true);
+
+      // Tuesday 05:00 to 07:00 runs past the end of the window
+      expect(charger.isAvailableAt(
+        new Date('2024-01-09T05:00:00Z'),
+        new Date('2024-01-09T07:00:00Z')
+      )).toBe(false);
+    });
+
+    test('isAvailableAt should allow bookings spanning adjacent windows', async () => {
+      charger.availability.schedule = [
+        { dayOfWeek: 1, startTime: '07:00', endTime: '09:00' },
+        { dayOfWeek: 1, startTime: '09:00', endTime: '12:00' },
+        { dayOfWeek: 1, startTime: '18:00', endTime: '23:00' }
+      ];
+      charger.location.timezone = 'UTC';
+      await charger.save();
+
+      expect(charger.isAvailableAt(
+        new Date('2024-01-08T08:00:00Z'),
+        new Date('2024-01-08T11:00:00Z')
+      )).toBe(true);
+
+      // The gap between 12:00 and 18:00 is not bookable
+      expect(charger.isAvailableAt(
+        new Date('2024-01-08T11:00:00Z'),
+        new Date('2024-01-08T19:00:00Z')
+      )).toBe(false);
+    });
+
+    test('should reject an invalid time zone', async () => {
+      charger.location.timezone = 'Mars/Olympus_Mons';
+      await expect(charger.save()).rejects.toThrow('Timezone must be a valid IANA time zone');
+    });
   });
 
   describe('Indexes', () => {
@@ -0,0 +1,160 @@
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const { dispatchNotification, NOTIFICATION_EVENTS } = require('../utils/notificationDispatcher');
+const { createInAppNotification } = require('../utils/notificationService');
+
+describe('Notification Dispatcher', () => {
+  let driver, owner, admin, booking;
+
+  beforeEach(async () => {
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Drive', lastName: 'User' }
+    });
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    admin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123!',
+      role: 'admin',
+      profile: { firstName: 'Site', lastName: 'Admin' }
+    });
+
+    const charger = await Charger.create({
+      owner: owner._id,
+      title: 'Test Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 5.00 },
+      status: 'approved'
+    });
+
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    booking = await Booking.create({
+      charger: charger._id,
+      user: driver._id,
+      owner: owner._id,
+      schedule: {
+        startTime,
+        endTime: new Date(startTime.getTime() + 2 * 60 * 60 * 1000)
+      },
+      pricing: { hourlyRate: 5.00, totalAmount: 10.00 }
+    });
+  });
+
+  test('should persist a BOOKING_CREATED notification for the owner', async () => {
+    const results = await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_CREATED, { booking });
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ inApp: true, email: true });
+
+    const notifications = await Notification.find({ user: owner._id });
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].type).toBe('BOOKING_CREATED');
+    expect(notifications[0].link).toBe(`/bookings/${booking._id}`);
+    expect(notifications[0].data.bookingId.toString()).toBe(booking._id.toString());
+  });
+
+  test('should only notify the party that did not cancel', async () => {
+    await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_CANCELLED, {
+      booking,
+      cancelledBy: driver._id
+    });
+
+    expect(await Notification.countDocuments({ user: owner._id, type: 'BOOKING_CANCELLED' })).toBe(1);
+    expect(await Notification.countDocuments({ user: driver._id })).toBe(0);
+  });
+
+  test('should honour the recipient notification settings', async () => {
+    owner.notificationSettings.pushBookingUpdates = false;
+    owner.notificationSettings.emailBookingUpdates = false;
+    await owner.save();
+
+    const results = await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_CREATED, { booking });
+
+    expect(results[0]).toMatchObject({ inApp: false, email: false });
+    expect(await Notification.countDocuments({ user: owner._id })).toBe(0);
+  });
+
+  test('should alert every admin when a message is reported', async () => {
+    const message = await Message.create({
+      booking: booking._id,
+      sender: owner._id,
+      recipient: driver._id,
+      content: 'Hello'
+    });
+
+    await dispatchNotification(NOTIFICATION_EVENTS.MESSAGE_REPORTED, {
+      message,
+      reason: 'spam'
+    });
+
+    const notifications = await Notification.find({ user: admin._id });
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].type).toBe('SYSTEM_NOTIFICATION');
+    expect(notifications[0].title).toBe('Message Reported');
+  });
+
+  test('should announce amounts in the payment\'s currency', async () => {
+    const payment = {
+      _id: booking._id,
+      user: driver._id,
+      booking: booking._id,
+      currency: 'gbp',
+      transaction: { gateway: 'stripe' }
+    };
+
+    await dispatchNotification(NOTIFICATION_EVENTS.PAYMENT_REFUNDED, { payment, refundAmount: 7.5 });
+
+    const notification = await Notification.findOne({ user: driver._id, type: 'PAYMENT_REFUNDED' });
+    expect(notification.message).toContain('£7.50');
+  });
+
+  test('should escape what users wrote in the email HTML', async () => {
+    // The test transport logs each email instead of sending it
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_CANCELLED, {
+      booking,
+      cancelledBy: driver._id,
+      reason: '<script>alert(1)</script>'
+    });
+
+    const [, email] = log.mock.calls.find(([label]) => label === '[TEST EMAIL]');
+    log.mockRestore();
+    expect(email.html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(email.html).not.toContain('<script>');
+    expect(email.text).toContain('<script>alert(1)</script>');
+  });
+
+  test('should give every notification type its own in-app title', async () => {
+    const types = Notification.schema.path('type').enumValues.filter(type => type !== 'SYSTEM_NOTIFICATION');
+
+    for (const type of types) {
+      const notification = await createInAppNotification(driver._id, type, 'Test message');
+      expect(notification.title).not.toBe('System Notification');
+    }
+  });
+
+  test('should not throw for unknown events', async () => {
+    await expect(dispatchNotification('NOT_AN_EVENT', {})).resolves.toEqual([]);
+  });
+});
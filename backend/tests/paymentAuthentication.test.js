@@ -0,0 +1,165 @@
+const request = require('supertest');
+
+const mockPaymentIntents = {
+  create: jest.fn(),
+  retrieve: jest.fn(),
+  cancel: jest.fn()
+};
+jest.mock('stripe', () => () => ({ paymentIntents: mockPaymentIntents }));
+
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { generateToken } = require('../middleware/auth');
+
+// A PaymentIntent as Stripe returns it when the bank asks for 3-D Secure
+const requiresActionIntent = (id = 'pi_test_3ds') => ({
+  id,
+  status: 'requires_action',
+  capture_method: 'manual',
+  created: Math.floor(Date.now() / 1000),
+  client_secret: `${id}_secret_abc`,
+  next_action: { type: 'use_stripe_sdk', use_stripe_sdk: {} },
+  payment_method: { id: 'pm_card', card: { brand: 'visa', last4: '3184' } }
+});
+
+describe('Payment authentication (3-D Secure)', () => {
+  let driver, booking;
+
+  beforeEach(async () => {
+    Object.values(mockPaymentIntents).forEach((mock) => mock.mockReset());
+
+    const owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    const charger = await Charger.create({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 10.00 },
+      status: 'approved'
+    });
+
+    const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+    booking = await Booking.create({
+      charger: charger._id,
+      user: driver._id,
+      owner: owner._id,
+      schedule: {
+        startTime,
+        endTime: new Date(startTime.getTime() + 2 * 60 * 60 * 1000)
+      },
+      pricing: { hourlyRate: 10.00, totalAmount: 20.00 },
+      status: 'pending'
+    });
+  });
+
+  const pay = () => request(app)
+    .post('/api/payments/process')
+    .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+    .send({ bookingId: booking._id.toString(), paymentMethodId: 'pm_card' });
+
+  const confirm = (paymentId, user = driver) => request(app)
+    .post(`/api/payments/${paymentId}/confirm`)
+    .set('Authorization', `Bearer ${generateToken(user._id)}`);
+
+  test('should return the client secret when authentication is required', async () => {
+    mockPaymentIntents.create.mockResolvedValue(requiresActionIntent());
+
+    const res = await pay();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toMatchObject({
+      requiresAction: true,
+      clientSecret: 'pi_test_3ds_secret_abc',
+      nextAction: { type: 'use_stripe_sdk' }
+    });
+    expect(res.body.data.payment.transaction.status).toBe('pending');
+    expect(res.body.data.payment.paymentMethod).toMatchObject({ brand: 'visa', last4: '3184' });
+    expect(res.body.data.booking.status).toBe('pending');
+  });
+
+  test('should authorize the payment and confirm the booking after authentication', async () => {
+    mockPaymentIntents.create.mockResolvedValue(requiresActionIntent());
+    const { body } = await pay();
+    mockPaymentIntents.retrieve.mockResolvedValue({ ...requiresActionIntent(), status: 'requires_capture' });
+
+    const res = await confirm(body.data.payment._id);
+
+    expect(res.statusCode).toBe(200);
+    expect(mockPaymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({ capture_method: 'manual' }));
+    expect(res.body.data.requiresAction).toBe(false);
+    expect(res.body.data.payment.transaction.status).toBe('authorized');
+    expect(res.body.data.payment.transaction.authorizationExpiresAt).toBeDefined();
+    expect(res.body.data.booking.status).toBe('confirmed');
+    expect(res.body.data.booking.payment.status).toBe('authorized');
+  });
+
+  test('should fail the payment when authentication fails', async () => {
+    mockPaymentIntents.create.mockResolvedValue(requiresActionIntent());
+    const { body } = await pay();
+    mockPaymentIntents.retrieve.mockResolvedValue({
+      ...requiresActionIntent(),
+      status: 'requires_payment_method',
+      last_payment_error: { message: 'We are unable to authenticate your payment method.' }
+    });
+
+    const res = await confirm(body.data.payment._id);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('PAYMENT_FAILED');
+    expect((await Payment.findById(body.data.payment._id)).transaction.status).toBe('failed');
+    expect((await Booking.findById(booking._id)).payment.status).toBe('failed');
+  });
+
+  test('should abandon an unauthenticated attempt when the driver pays again', async () => {
+    mockPaymentIntents.create
+      .mockResolvedValueOnce(requiresActionIntent('pi_first'))
+      .mockResolvedValueOnce(requiresActionIntent('pi_second'));
+
+    await pay();
+    const res = await pay();
+
+    expect(res.statusCode).toBe(200);
+    expect(mockPaymentIntents.cancel).toHaveBeenCalledWith('pi_first');
+    expect(await Payment.countDocuments({ booking: booking._id })).toBe(1);
+    expect(res.body.data.payment.transaction.id).toBe('pi_second');
+  });
+
+  test('should only let the payer confirm a payment', async () => {
+    mockPaymentIntents.create.mockResolvedValue(requiresActionIntent());
+    const { body } = await pay();
+    const other = await User.create({
+      email: 'other@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Other', lastName: 'Driver' }
+    });
+
+    const res = await confirm(body.data.payment._id, other);
+
+    expect(res.statusCode).toBe(403);
+    expect(mockPaymentIntents.retrieve).not.toHaveBeenCalled();
+  });
+});
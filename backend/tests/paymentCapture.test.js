@@ -0,0 +1,191 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const LedgerEntry = require('../models/LedgerEntry');
+const Settings = require('../models/Settings');
+const { generateToken } = require('../middleware/auth');
+const { fakeGateway } = require('../utils/fakeGateway');
+const { expireAuthorizations } = require('../utils/paymentGateway');
+
+describe('Authorize and capture', () => {
+  let owner, driver, charger;
+
+  beforeEach(async () => {
+    fakeGateway.reset();
+    await Settings.initializeDefaultSettings();
+    await Settings.updateSetting('paymentGateway', 'fake');
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    charger = await Charger.create({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 10.00 },
+      status: 'approved'
+    });
+  });
+
+  const createBooking = (hoursUntilStart = 48) => {
+    const startTime = new Date(Date.now() + hoursUntilStart * 60 * 60 * 1000);
+    return Booking.create({
+      charger: charger._id,
+      user: driver._id,
+      owner: owner._id,
+      schedule: {
+        startTime,
+        endTime: new Date(startTime.getTime() + 2 * 60 * 60 * 1000)
+      },
+      pricing: { hourlyRate: 10.00, totalAmount: 20.00 },
+      status: 'pending'
+    });
+  };
+
+  const pay = (booking) => request(app)
+    .post('/api/payments/process')
+    .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+    .send({ bookingId: booking._id.toString(), paymentMethodId: 'fake_card' });
+
+  const complete = async (booking) => {
+    await Booking.updateOne({ _id: booking._id }, { status: 'active' });
+    return request(app)
+      .put(`/api/bookings/${booking._id}/status`)
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`)
+      .send({ status: 'completed' });
+  };
+
+  test('should authorize the booking total when the booking is confirmed', async () => {
+    const booking = await createBooking();
+
+    const res = await pay(booking);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.booking.status).toBe('confirmed');
+    expect(res.body.data.payment.amount.authorized).toBe(20);
+    expect(res.body.data.payment.transaction.authorizationExpiresAt).toBeDefined();
+  });
+
+  test('should capture the payment when the booking completes', async () => {
+    const booking = await createBooking();
+    await pay(booking);
+
+    const res = await complete(booking);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.status).toBe('completed');
+    expect(res.body.data.payment.status).toBe('completed');
+
+    const payment = await Payment.findOne({ booking: booking._id });
+    expect(payment.transaction.status).toBe('completed');
+    expect(payment.amount.captured).toBe(20);
+    expect(payment.transaction.capturedAt).toBeDefined();
+  });
+
+  test('should capture only once when a booking is completed twice at once', async () => {
+    const booking = await createBooking();
+    await pay(booking);
+    await Booking.updateOne({ _id: booking._id }, { status: 'active' });
+
+    const completeByHand = () => request(app)
+      .put(`/api/bookings/${booking._id}/status`)
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`)
+      .send({ status: 'completed' });
+    const responses = await Promise.all([completeByHand(), completeByHand()]);
+
+    expect(responses.map(res => res.statusCode).sort()).toEqual([200, 400]);
+    expect(await LedgerEntry.countDocuments({ type: 'charge' })).toBe(1);
+  });
+
+  test('should keep the booking active when the capture fails', async () => {
+    const booking = await createBooking();
+    const { body } = await pay(booking);
+    // Released behind our back, so the gateway refuses the capture
+    await fakeGateway.cancel(body.data.payment.transaction.id);
+
+    const res = await complete(booking);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('CAPTURE_FAILED');
+    expect((await Booking.findById(booking._id)).status).toBe('active');
+  });
+
+  test('should capture only the cancellation fee on a late cancellation', async () => {
+    const booking = await createBooking(18);
+    await pay(booking);
+
+    const res = await request(app)
+      .delete(`/api/bookings/${booking._id}`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.refund).toMatchObject({ tier: 'partial', amount: 10 });
+
+    const payment = await Payment.findOne({ booking: booking._id });
+    expect(payment.transaction.status).toBe('completed');
+    expect(payment.amount).toMatchObject({ total: 10, captured: 10 });
+    expect(payment.amount.platformFee + payment.amount.ownerEarnings).toBeCloseTo(10);
+  });
+
+  test('should expire lapsed authorizations and let the driver pay again', async () => {
+    const booking = await createBooking();
+    const { body } = await pay(booking);
+    fakeGateway.expire(body.data.payment.transaction.id);
+    await Payment.updateOne(
+      { _id: body.data.payment._id },
+      { 'transaction.authorizationExpiresAt': new Date(Date.now() - 1000) }
+    );
+
+    expect(await expireAuthorizations()).toBe(1);
+    expect((await Booking.findById(booking._id)).payment.status).toBe('expired');
+
+    const res = await pay(booking);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.payment.transaction.status).toBe('authorized');
+    expect(await Payment.countDocuments({ booking: booking._id })).toBe(1);
+  });
+
+  test('should complete a booking whose authorization expired and charge the driver afterwards', async () => {
+    const booking = await createBooking();
+    const { body } = await pay(booking);
+    await Payment.updateOne(
+      { _id: body.data.payment._id },
+      { 'transaction.authorizationExpiresAt': new Date(Date.now() - 1000) }
+    );
+
+    const res = await complete(booking);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.status).toBe('completed');
+    expect(res.body.data.payment.status).toBe('expired');
+
+    const retry = await pay(booking);
+
+    expect(retry.statusCode).toBe(200);
+    expect(retry.body.data.payment.transaction.status).toBe('completed');
+    expect(retry.body.data.booking.payment.status).toBe('completed');
+  });
+});
@@ -0,0 +1,144 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Settings = require('../models/Settings');
+const { generateToken } = require('../middleware/auth');
+const { fakeGateway, FAKE_PAYMENT_METHODS } = require('../utils/fakeGateway');
+
+describe('Payment gateways', () => {
+  let driver, admin, booking;
+
+  beforeEach(async () => {
+    fakeGateway.reset();
+    await Settings.initializeDefaultSettings();
+    await Settings.updateSetting('paymentGateway', 'fake');
+
+    const owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    admin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123!',
+      role: 'admin',
+      profile: { firstName: 'Admin', lastName: 'User' }
+    });
+
+    const charger = await Charger.create({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 10.00 },
+      status: 'approved'
+    });
+
+    const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+    booking = await Booking.create({
+      charger: charger._id,
+      user: driver._id,
+      owner: owner._id,
+      schedule: {
+        startTime,
+        endTime: new Date(startTime.getTime() + 2 * 60 * 60 * 1000)
+      },
+      pricing: { hourlyRate: 10.00, totalAmount: 20.00 },
+      status: 'pending'
+    });
+  });
+
+  const pay = (paymentMethodId = 'fake_card') => request(app)
+    .post('/api/payments/process')
+    .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+    .send({ bookingId: booking._id.toString(), paymentMethodId });
+
+  test('should authorize through the gateway selected in settings', async () => {
+    const res = await pay();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.payment.transaction).toMatchObject({ gateway: 'fake', status: 'authorized' });
+    expect(res.body.data.booking.status).toBe('confirmed');
+  });
+
+  test('should report declined payments', async () => {
+    const res = await pay(FAKE_PAYMENT_METHODS.DECLINED);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('PAYMENT_FAILED');
+    expect(await Payment.countDocuments({ booking: booking._id })).toBe(0);
+  });
+
+  test('should confirm payments once authentication completes', async () => {
+    const { body } = await pay(FAKE_PAYMENT_METHODS.REQUIRES_ACTION);
+    expect(body.data.requiresAction).toBe(true);
+
+    fakeGateway.authenticate(body.data.payment.transaction.id);
+    const res = await request(app)
+      .post(`/api/payments/${body.data.payment._id}/confirm`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.payment.transaction.status).toBe('authorized');
+    expect(res.body.data.booking.status).toBe('confirmed');
+  });
+
+  test('should release cancellations through the gateway that took the payment', async () => {
+    await pay();
+
+    const res = await request(app)
+      .delete(`/api/bookings/${booking._id}`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.refund).toMatchObject({ tier: 'full', amount: 20 });
+    expect((await Payment.findOne({ booking: booking._id })).transaction.status).toBe('voided');
+  });
+
+  test('should process partial admin refunds', async () => {
+    const { body } = await pay();
+    await Booking.updateOne({ _id: booking._id }, { status: 'active' });
+    await request(app)
+      .put(`/api/bookings/${booking._id}/status`)
+      .set('Authorization', `Bearer ${generateToken(admin._id)}`)
+      .send({ status: 'completed' });
+
+    const res = await request(app)
+      .post('/api/payments/admin/process-refund')
+      .set('Authorization', `Bearer ${generateToken(admin._id)}`)
+      .send({ paymentId: body.data.payment._id, amount: 5 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.payment.transaction).toMatchObject({ status: 'partially_refunded', refundAmount: 5 });
+    expect((await Booking.findById(booking._id)).payment.status).toBe('partially_refunded');
+  });
+
+  test('should not charge through a disabled gateway', async () => {
+    await Settings.updateSetting('paymentGateway', 'stripe');
+    await Settings.updateSetting('stripeEnabled', false);
+
+    const res = await pay();
+
+    expect(res.statusCode).toBe(400);
+    expect(await Payment.countDocuments({ booking: booking._id })).toBe(0);
+  });
+});
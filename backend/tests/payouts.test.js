@@ -0,0 +1,182 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+const mockStripe = {
+  accounts: { create: jest.fn(), retrieve: jest.fn() },
+  accountLinks: { create: jest.fn() },
+  transfers: { create: jest.fn() }
+};
+jest.mock('stripe', () => () => mockStripe);
+
+const app = require('../server');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const Payout = require('../models/Payout');
+const Notification = require('../models/Notification');
+const { generateToken } = require('../middleware/auth');
+const { runPayoutBatch, MAX_PAYOUT_ATTEMPTS } = require('../utils/payouts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Owner payouts', () => {
+  let owner, driver, admin;
+  const periodEnd = new Date('2024-06-03T00:00:00Z');
+
+  beforeEach(async () => {
+    Object.values(mockStripe).forEach(resource => Object.values(resource).forEach(mock => mock.mockReset()));
+    mockStripe.transfers.create.mockImplementation(async ({ amount }) => ({ id: `tr_${amount}`, amount }));
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' },
+      payoutAccount: { provider: 'stripe', accountId: 'acct_owner', status: 'active', payoutsEnabled: true }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    admin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123!',
+      role: 'admin',
+      profile: { firstName: 'Admin', lastName: 'User' }
+    });
+  });
+
+  // A $20 payment with a 10% platform fee, completed at `processedAt`
+  const createPayment = (processedAt, transaction = {}) => Payment.create({
+    booking: new mongoose.Types.ObjectId(),
+    user: driver._id,
+    owner: owner._id,
+    amount: { total: 20, platformFee: 2, ownerEarnings: 18 },
+    paymentMethod: { type: 'card' },
+    transaction: { id: `pi_${Date.now()}_${Math.random()}`, status: 'completed', gateway: 'stripe', processedAt, ...transaction }
+  });
+
+  test('should start onboarding with a new connected account', async () => {
+    const newOwner = await User.create({
+      email: 'new-owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'New', lastName: 'Owner' }
+    });
+    mockStripe.accounts.create.mockResolvedValue({ id: 'acct_new', payouts_enabled: false, details_submitted: false });
+    mockStripe.accountLinks.create.mockResolvedValue({ url: 'https://connect.stripe.com/setup/e/acct_new' });
+
+    const res = await request(app)
+      .post('/api/payouts/onboarding')
+      .set('Authorization', `Bearer ${generateToken(newOwner._id)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.url).toBe('https://connect.stripe.com/setup/e/acct_new');
+    expect((await User.findById(newOwner._id)).payoutAccount).toMatchObject({ accountId: 'acct_new', status: 'pending' });
+  });
+
+  test('should pay owners their earnings for the period once', async () => {
+    await createPayment(new Date(periodEnd.getTime() - 2 * DAY_MS));
+    await createPayment(new Date(periodEnd.getTime() - DAY_MS), { status: 'partially_refunded', refundAmount: 10 });
+    // Completed after the period ends, so left for next week
+    await createPayment(new Date(periodEnd.getTime() + DAY_MS));
+
+    expect(await runPayoutBatch(periodEnd)).toEqual({ paid: 1, failed: 0 });
+    expect(await runPayoutBatch(periodEnd)).toEqual({ paid: 0, failed: 0 });
+
+    const payouts = await Payout.find({ owner: owner._id });
+    expect(payouts).toHaveLength(1);
+    expect(payouts[0]).toMatchObject({ amount: 27, status: 'paid' });
+    expect(payouts[0].transfer.id).toBe('tr_2700');
+    expect(mockStripe.transfers.create).toHaveBeenCalledTimes(1);
+    expect(mockStripe.transfers.create).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 2700, destination: 'acct_owner' }),
+      expect.objectContaining({ idempotencyKey: expect.any(String) })
+    );
+  });
+
+  test('should deduct refunds made after a payout from the next one', async () => {
+    const refunded = await createPayment(new Date(periodEnd.getTime() - DAY_MS));
+    await runPayoutBatch(periodEnd);
+
+    refunded.transaction.status = 'partially_refunded';
+    refunded.transaction.refundAmount = 10;
+    refunded.transaction.refundedAt = new Date();
+    await refunded.save();
+    await createPayment(new Date(periodEnd.getTime() + DAY_MS));
+
+    const nextPeriodEnd = new Date(periodEnd.getTime() + 7 * DAY_MS);
+    await runPayoutBatch(nextPeriodEnd);
+
+    const payout = await Payout.findOne({ owner: owner._id, 'period.end': nextPeriodEnd });
+    expect(payout.amount).toBe(9);
+    expect(payout.period.start).toEqual(periodEnd);
+  });
+
+  test('should record failed transfers and let admins retry them', async () => {
+    await createPayment(new Date(periodEnd.getTime() - DAY_MS));
+    mockStripe.transfers.create.mockRejectedValueOnce(
+      Object.assign(new Error('Insufficient funds in Stripe account'), { type: 'StripeInvalidRequestError' })
+    );
+
+    expect(await runPayoutBatch(periodEnd)).toEqual({ paid: 0, failed: 1 });
+    const failed = await Payout.findOne({ owner: owner._id });
+    expect(failed).toMatchObject({ status: 'failed', failureReason: 'Insufficient funds in Stripe account' });
+
+    const res = await request(app)
+      .post(`/api/payouts/admin/${failed._id}/retry`)
+      .set('Authorization', `Bearer ${generateToken(admin._id)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'paid', attempts: 2 });
+
+    // Both attempts use the payout's key, so Stripe cannot transfer the money twice
+    const keys = mockStripe.transfers.create.mock.calls.map(([, options]) => options.idempotencyKey);
+    expect(keys).toEqual([`payout-${failed._id}`, `payout-${failed._id}`]);
+  });
+
+  test('should alert admins when a payout runs out of retries', async () => {
+    await createPayment(new Date(periodEnd.getTime() - DAY_MS));
+    mockStripe.transfers.create.mockRejectedValue(
+      Object.assign(new Error('Insufficient funds in Stripe account'), { type: 'StripeInvalidRequestError' })
+    );
+
+    await runPayoutBatch(periodEnd);
+    for (let attempt = 1; attempt < MAX_PAYOUT_ATTEMPTS; attempt++) {
+      // Let a day pass so the batch retries it
+      await Payout.collection.updateOne({ owner: owner._id }, { $set: { updatedAt: new Date(Date.now() - 2 * DAY_MS) } });
+      expect(await runPayoutBatch(periodEnd)).toEqual({ paid: 0, failed: 1 });
+    }
+
+    const failed = await Payout.findOne({ owner: owner._id });
+    expect(failed).toMatchObject({ status: 'failed', attempts: MAX_PAYOUT_ATTEMPTS });
+    expect(await Notification.findOne({ user: admin._id, title: 'Payout Needs Attention' })).not.toBeNull();
+
+    // No more automatic retries; the admin's retry still pays the owner
+    await Payout.collection.updateOne({ owner: owner._id }, { $set: { updatedAt: new Date(Date.now() - 2 * DAY_MS) } });
+    expect(await runPayoutBatch(periodEnd)).toEqual({ paid: 0, failed: 0 });
+
+    mockStripe.transfers.create.mockImplementation(async ({ amount }) => ({ id: `tr_${amount}`, amount }));
+    const res = await request(app)
+      .post(`/api/payouts/admin/${failed._id}/retry`)
+      .set('Authorization', `Bearer ${generateToken(admin._id)}`);
+    expect(res.body.data).toMatchObject({ status: 'paid', amount: 18 });
+  });
+
+  test('should show owners their payouts and unpaid balance', async () => {
+    await createPayment(new Date(periodEnd.getTime() - DAY_MS));
+    await runPayoutBatch(periodEnd);
+    await createPayment(new Date());
+
+    const res = await request(app)
+      .get('/api/payouts')
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.payouts).toHaveLength(1);
+    expect(res.body.data.balance.unpaid).toEqual([{ currency: 'usd', amount: 18 }]);
+  });
+});
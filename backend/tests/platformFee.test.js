@@ -0,0 +1,113 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Settings = require('../models/Settings');
+const { generateToken } = require('../middleware/auth');
+const { resolveFeePolicy, applyFeePolicy, validateFeeSetting } = require('../utils/platformFee');
+
+describe('Platform fee', () => {
+  let owner, driver, charger;
+
+  beforeEach(async () => {
+    await Settings.initializeDefaultSettings();
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    charger = await Charger.create({
+      owner: owner._id,
+      title: 'Fast Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'DC_Fast',
+        connector: 'CCS',
+        power: 50
+      },
+      pricing: { hourlyRate: 10.00 },
+      status: 'approved'
+    });
+  });
+
+  describe('resolveFeePolicy', () => {
+    test('should use the platformFee setting by default', async () => {
+      await Settings.updateSetting('platformFee', 12);
+
+      const policy = await resolveFeePolicy({ ownerId: owner._id, chargerType: 'DC_Fast' });
+
+      expect(policy).toEqual({ percentage: 12, source: 'default' });
+      expect(applyFeePolicy(25, policy)).toEqual({ platformFee: 3, ownerEarnings: 22 });
+    });
+
+    test('should prefer an owner override to a charger type override', async () => {
+      await Settings.updateSetting('platformFeeOverrides', {
+        chargerTypes: { DC_Fast: 20 },
+        owners: { [owner._id.toString()]: 8 }
+      });
+
+      const ownerPolicy = await resolveFeePolicy({ ownerId: owner._id, chargerType: 'DC_Fast' });
+      const typePolicy = await resolveFeePolicy({ ownerId: driver._id, chargerType: 'DC_Fast' });
+
+      expect(ownerPolicy).toMatchObject({ percentage: 8, source: 'owner' });
+      expect(typePolicy).toMatchObject({ percentage: 20, source: 'charger_type', reference: 'DC_Fast' });
+    });
+
+    test('should apply a lower promotional fee only while it is active', async () => {
+      await Settings.updateSetting('platformFeePromotions', [{
+        name: 'Launch week',
+        percentage: 5,
+        startsAt: '2024-06-01T00:00:00Z',
+        endsAt: '2024-06-08T00:00:00Z'
+      }]);
+
+      const during = await resolveFeePolicy({ chargerType: 'Level2', at: new Date('2024-06-03T00:00:00Z') });
+      const after = await resolveFeePolicy({ chargerType: 'Level2', at: new Date('2024-06-09T00:00:00Z') });
+
+      expect(during).toMatchObject({ percentage: 5, source: 'promotion', reference: 'Launch week' });
+      expect(after).toMatchObject({ percentage: 15, source: 'default' });
+    });
+  });
+
+  test('validateFeeSetting should reject out-of-range values', () => {
+    expect(validateFeeSetting('platformFee', 101)).toMatch(/between 0 and 100/);
+    expect(validateFeeSetting('platformFeeOverrides', { chargerTypes: { Level2: -1 } })).toMatch(/chargerTypes/);
+    expect(validateFeeSetting('platformFeePromotions', [{ name: 'Bad', percentage: 5 }])).toMatch(/start date/);
+    expect(validateFeeSetting('maintenanceMode', true)).toBeNull();
+  });
+
+  test('should stamp the applied fee policy on new bookings', async () => {
+    await Settings.updateSetting('platformFee', 10);
+
+    const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    start.setUTCMinutes(0, 0, 0);
+    const end = new Date(start.getTime() + 2 * 60 * 60 * 1000);
+
+    const res = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({ chargerId: charger._id, startTime: start.toISOString(), endTime: end.toISOString() });
+
+    expect(res.statusCode).toBe(201);
+
+    const booking = await Booking.findById(res.body.data._id);
+    expect(booking.pricing.totalAmount).toBe(20);
+    expect(booking.pricing.platformFee).toBe(2);
+    expect(booking.pricing.ownerEarnings).toBe(18);
+    expect(booking.pricing.feePolicy).toMatchObject({ percentage: 10, source: 'default' });
+  });
+});
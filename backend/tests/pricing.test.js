@@ -0,0 +1,167 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const { generateToken } = require('../middleware/auth');
+const { calculateBookingPrice } = require('../utils/pricing');
+
+describe('Booking pricing', () => {
+  let owner, driver;
+
+  beforeEach(async () => {
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+  });
+
+  const createCharger = (pricing) => Charger.create({
+    owner: owner._id,
+    title: 'Priced Charger',
+    location: {
+      address: '123 Main St',
+      coordinates: [-122.4194, 37.7749],
+      timezone: 'America/Los_Angeles'
+    },
+    specifications: {
+      type: 'Level2',
+      connector: 'J1772',
+      power: 7
+    },
+    pricing,
+    status: 'approved'
+  });
+
+  const peakPricing = {
+    hourlyRate: 2.00,
+    rules: [
+      { name: 'Weekday peak', daysOfWeek: [1, 2, 3, 4, 5], startTime: '16:00', endTime: '21:00', hourlyRate: 5.00 },
+      { name: 'Weekend', daysOfWeek: [0, 6], hourlyRate: 3.00 }
+    ]
+  };
+
+  describe('calculateBookingPrice', () => {
+    test('should bill time inside a rule window at the rule rate', async () => {
+      const charger = await createCharger(peakPricing);
+
+      // Monday 2024-01-08 15:00-22:00 Pacific
+      const price = calculateBookingPrice(
+        charger,
+        new Date('2024-01-08T15:00:00-08:00'),
+        new Date('2024-01-08T22:00:00-08:00')
+      );
+
+      expect(price.lineItems).toEqual([
+        { type: 'time', label: 'Standard rate', quantity: 2, unit: 'hour', rate: 2, amount: 4 },
+        { type: 'time', label: 'Weekday peak', quantity: 5, unit: 'hour', rate: 5, amount: 25 }
+      ]);
+      expect(price.totalAmount).toBe(29);
+    });
+
+    test('should apply weekend rules in the charger time zone', async () => {
+      const charger = await createCharger(peakPricing);
+
+      // Friday 23:00 to Saturday 01:00 Pacific (already Saturday in UTC throughout)
+      const price = calculateBookingPrice(
+        charger,
+        new Date('2024-01-12T23:00:00-08:00'),
+        new Date('2024-01-13T01:00:00-08:00')
+      );
+
+      expect(price.lineItems.map(item => [item.label, item.quantity])).toEqual([
+        ['Standard rate', 1],
+        ['Weekend', 1]
+      ]);
+      expect(price.totalAmount).toBe(5);
+    });
+
+    test('should add energy and session fees', async () => {
+      const charger = await createCharger({ hourlyRate: 2.00, perKwhRate: 0.25, sessionFee: 1.50 });
+      const start = new Date('2024-01-08T10:00:00-08:00');
+      const end = new Date('2024-01-08T12:00:00-08:00');
+
+      // Energy defaults to the charger's power over the session
+      const estimated = calculateBookingPrice(charger, start, end);
+      expect(estimated.estimatedKwh).toBe(14);
+      expect(estimated.totalAmount).toBe(4 + 3.5 + 1.5);
+
+      const requested = calculateBookingPrice(charger, start, end, { estimatedKwh: 10 });
+      expect(requested.lineItems.find(item => item.type === 'energy').amount).toBe(2.5);
+      expect(requested.totalAmount).toBe(8);
+    });
+
+    test('should top up to the minimum charge', async () => {
+      const charger = await createCharger({ hourlyRate: 2.00, minimumCharge: 5.00 });
+
+      const price = calculateBookingPrice(
+        charger,
+        new Date('2024-01-08T10:00:00-08:00'),
+        new Date('2024-01-08T11:00:00-08:00')
+      );
+
+      expect(price.lineItems[price.lineItems.length - 1]).toMatchObject({ type: 'minimum', amount: 3 });
+      expect(price.totalAmount).toBe(5);
+    });
+  });
+
+  test('should reject a pricing rule without days', async () => {
+    await expect(createCharger({
+      hourlyRate: 2.00,
+      rules: [{ name: 'Never', daysOfWeek: [], hourlyRate: 5.00 }]
+    })).rejects.toThrow('Pricing rule must apply to at least one day');
+  });
+
+  describe('GET /api/chargers/:id/quote', () => {
+    test('should quote local times in the charger time zone', async () => {
+      const charger = await createCharger(peakPricing);
+
+      const res = await request(app)
+        .get(`/api/chargers/${charger._id}/quote`)
+        .query({ startTime: '2024-01-08T20:00', endTime: '2024-01-08T22:00' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.startTime).toBe('2024-01-08T20:00:00-08:00');
+      expect(res.body.data.totalAmount).toBe(7);
+    });
+
+    test('should require start and end times', async () => {
+      const charger = await createCharger(peakPricing);
+
+      const res = await request(app).get(`/api/chargers/${charger._id}/quote`);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('POST /api/bookings', () => {
+    test('should store the itemised price on the booking', async () => {
+      const charger = await createCharger({ ...peakPricing, sessionFee: 1.00 });
+      const start = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+      start.setUTCMinutes(0, 0, 0);
+      const end = new Date(start.getTime() + 2 * 60 * 60 * 1000);
+
+      const res = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+        .send({ chargerId: charger._id, startTime: start.toISOString(), endTime: end.toISOString() });
+
+      expect(res.statusCode).toBe(201);
+
+      const booking = await Booking.findById(res.body.data._id);
+      const expected = calculateBookingPrice(charger, start, end);
+      expect(booking.pricing.lineItems).toHaveLength(expected.lineItems.length);
+      expect(booking.pricing.lineItems[booking.pricing.lineItems.length - 1].label).toBe('Session fee');
+      expect(booking.pricing.totalAmount).toBe(expected.totalAmount);
+    });
+  });
+});
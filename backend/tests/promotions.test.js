@@ -0,0 +1,210 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const PromoCode = require('../models/PromoCode');
+const WalletTransaction = require('../models/WalletTransaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const Settings = require('../models/Settings');
+const { generateToken } = require('../middleware/auth');
+const { validatePromotionSetting, moveReferralCredits } = require('../utils/promotions');
+
+describe('Promo codes and referral rewards', () => {
+  let owner, driver, admin, charger;
+
+  beforeEach(async () => {
+    await Settings.initializeDefaultSettings();
+    await Settings.updateSetting('platformFee', 10);
+    await Settings.updateSetting('referralRewards', { USD: 10 });
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    admin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123!',
+      role: 'admin',
+      profile: { firstName: 'Admin', lastName: 'User' }
+    });
+
+    charger = await Charger.create({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 10.00 },
+      status: 'approved'
+    });
+  });
+
+  // Book a two-hour ($20) session, a day apart for each offset
+  const book = (user, fields = {}, dayOffset = 0) => {
+    const startTime = new Date(Date.now() + (48 + dayOffset * 24) * 60 * 60 * 1000);
+    startTime.setUTCMinutes(0, 0, 0);
+    return request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${generateToken(user._id)}`)
+      .send({
+        chargerId: charger._id.toString(),
+        startTime: startTime.toISOString(),
+        endTime: new Date(startTime.getTime() + 2 * 60 * 60 * 1000).toISOString(),
+        ...fields
+      });
+  };
+
+  test('should take a promo code off the funding party\'s share and give its use back on cancellation', async () => {
+    const platformCode = await PromoCode.create({ code: 'WELCOME', discountType: 'fixed', value: 1.5, currency: 'USD' });
+    const ownerCode = await PromoCode.create({ code: 'HALFOFF', discountType: 'percent', value: 50, fundedBy: 'owner' });
+
+    const platformFunded = await book(driver, { promoCode: 'welcome' });
+    expect(platformFunded.statusCode).toBe(201);
+    expect(platformFunded.body.data.pricing).toMatchObject({
+      totalAmount: 18.5,
+      discount: 1.5,
+      platformFee: 0.5,
+      ownerEarnings: 18
+    });
+
+    const ownerFunded = await book(driver, { promoCode: 'HALFOFF' }, 1);
+    expect(ownerFunded.body.data.pricing).toMatchObject({ totalAmount: 10, platformFee: 2, ownerEarnings: 8 });
+    expect((await PromoCode.findById(ownerCode._id)).usedCount).toBe(1);
+
+    await request(app)
+      .delete(`/api/bookings/${platformFunded.body.data._id}`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .expect(200);
+    expect((await PromoCode.findById(platformCode._id)).usedCount).toBe(0);
+  });
+
+  test('should refuse promo codes that cannot be used on the booking', async () => {
+    const otherDriver = await User.create({
+      email: 'other@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Other', lastName: 'Driver' }
+    });
+    await PromoCode.create({ code: 'EXPIRED', discountType: 'percent', value: 10, expiresAt: new Date(Date.now() - 1000) });
+    await PromoCode.create({ code: 'ELSEWHERE', discountType: 'percent', value: 10, chargers: [new mongoose.Types.ObjectId()] });
+    await PromoCode.create({ code: 'ONCE', discountType: 'percent', value: 10, maxUses: 1 });
+    await PromoCode.create({ code: 'FIRST', discountType: 'percent', value: 10, firstBookingOnly: true });
+
+    expect((await book(driver, { promoCode: 'NOPE' })).body.message).toBe('Promo code not found');
+    expect((await book(driver, { promoCode: 'EXPIRED' })).body.message).toBe('This promo code has expired');
+    expect((await book(driver, { promoCode: 'ELSEWHERE' })).body.message).toBe('This promo code cannot be used on this charger');
+
+    expect((await book(driver, { promoCode: 'ONCE' })).statusCode).toBe(201);
+    const usedUp = await book(otherDriver, { promoCode: 'ONCE' }, 1);
+    expect(usedUp.statusCode).toBe(400);
+
+    expect((await book(driver, { promoCode: 'FIRST' }, 2)).body.message).toBe('This promo code is only for your first booking');
+    expect(await Booking.countDocuments()).toBe(1);
+  });
+
+  test('should credit the inviter\'s wallet when an invited driver completes a booking', async () => {
+    const referrer = driver;
+    const { body: { data: referral } } = await request(app)
+      .get('/api/users/referral')
+      .set('Authorization', `Bearer ${generateToken(referrer._id)}`)
+      .expect(200);
+
+    const registered = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email: 'friend@example.com',
+        password: 'Password123!',
+        role: 'ev_user',
+        firstName: 'Invited',
+        lastName: 'Friend',
+        referralCode: referral.code.toLowerCase()
+      })
+      .expect(201);
+    expect(registered.body.success).toBe(true);
+    const friend = await User.findOne({ email: 'friend@example.com' });
+    expect(friend.referral.referredBy.toString()).toBe(referrer._id.toString());
+
+    const booking = await book(friend);
+    await Booking.updateOne({ _id: booking.body.data._id }, { status: 'active' });
+    await request(app)
+      .put(`/api/bookings/${booking.body.data._id}/status`)
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`)
+      .send({ status: 'completed' })
+      .expect(200);
+    expect((await User.findById(referrer._id)).wallet.balances.get('USD')).toBe(10);
+
+    const reward = await WalletTransaction.findOne({ user: referrer._id, type: 'referral_reward' });
+    expect(reward.toObject()).toMatchObject({ amount: 10, currency: 'USD', balanceAfter: 10 });
+    expect(await LedgerEntry.findOne({ walletTransaction: reward._id, type: 'reward' })).not.toBeNull();
+  });
+
+  test('should move referral credit from before wallets into the wallet', async () => {
+    await User.collection.updateOne({ _id: driver._id }, { $set: { 'referral.credits': { USD: 7.5, EUR: 0 } } });
+
+    expect(await moveReferralCredits()).toBe(1);
+    expect(await moveReferralCredits()).toBe(0);
+
+    const raw = await User.collection.findOne({ _id: driver._id });
+    expect(raw.referral.credits).toBeUndefined();
+    expect((await User.findById(driver._id)).wallet.balances.get('USD')).toBe(7.5);
+    const moved = await WalletTransaction.findOne({ user: driver._id, type: 'referral_reward' });
+    expect(moved.amount).toBe(7.5);
+    expect(await LedgerEntry.findOne({ walletTransaction: moved._id, type: 'reward' })).not.toBeNull();
+
+    // A booking that took credit at checkout gives it back to the wallet when cancelled
+    const booking = await book(driver);
+    await Booking.collection.updateOne({ _id: booking.body.data._id }, {
+      $set: {
+        'pricing.discounts': [{ type: 'referral_credit', label: 'Referral credit', fundedBy: 'platform', amount: 4 }],
+        'pricing.discount': 4
+      }
+    });
+    await request(app)
+      .delete(`/api/bookings/${booking.body.data._id}`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .expect(200);
+    expect((await User.findById(driver._id)).wallet.balances.get('USD')).toBe(11.5);
+  });
+
+  test('should let admins manage promo codes and validate referral rewards', async () => {
+    const created = await request(app)
+      .post('/api/promo-codes')
+      .set('Authorization', `Bearer ${generateToken(admin._id)}`)
+      .send({ code: 'spring24', discountType: 'percent', value: 15, maxUses: 100 });
+    expect(created.statusCode).toBe(201);
+    expect(created.body.data.code).toBe('SPRING24');
+
+    const invalid = await request(app)
+      .post('/api/promo-codes')
+      .set('Authorization', `Bearer ${generateToken(admin._id)}`)
+      .send({ code: 'TENOFF', discountType: 'fixed', value: 10 });
+    expect(invalid.statusCode).toBe(400);
+
+    await request(app)
+      .get('/api/promo-codes')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .expect(403);
+
+    expect(validatePromotionSetting('referralRewards', { XYZ: 10 })).toMatch(/Unsupported currency/);
+    expect(validatePromotionSetting('referralRewards', { USD: -1 })).toMatch(/positive amount/);
+    expect(validatePromotionSetting('referralRewards', { USD: 10 })).toBeNull();
+  });
+});
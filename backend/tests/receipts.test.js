@@ -0,0 +1,130 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { generateToken } = require('../middleware/auth');
+
+// Collect a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Receipts and statements', () => {
+  let owner, driver, stranger, booking;
+
+  beforeEach(async () => {
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    stranger = await User.create({
+      email: 'stranger@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Some', lastName: 'One' }
+    });
+
+    const charger = await Charger.create({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 10.00 },
+      status: 'approved'
+    });
+
+    const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+    booking = await Booking.create({
+      charger: charger._id,
+      user: driver._id,
+      owner: owner._id,
+      schedule: {
+        startTime,
+        endTime: new Date(startTime.getTime() + 2 * 60 * 60 * 1000)
+      },
+      pricing: { hourlyRate: 10.00, totalAmount: 20.00 },
+      status: 'completed'
+    });
+  });
+
+  const createPayment = (status, overrides = {}) => Payment.create({
+    booking: overrides.booking || booking._id,
+    user: driver._id,
+    owner: owner._id,
+    amount: { total: 20, platformFee: 2, ownerEarnings: 18 },
+    paymentMethod: { type: 'card' },
+    transaction: { id: `fake_${Math.random()}`, status, gateway: 'fake', processedAt: new Date() }
+  });
+
+  const getReceipt = (payment, user) => request(app)
+    .get(`/api/payments/${payment._id}/receipt`)
+    .set('Authorization', `Bearer ${generateToken(user._id)}`)
+    .buffer(true)
+    .parse(binaryParser);
+
+  test('should number receipts once and return them as PDFs to the payer and owner', async () => {
+    const first = await createPayment('completed');
+    const second = await createPayment('partially_refunded', { booking: new mongoose.Types.ObjectId() });
+
+    const res = await getReceipt(first, driver);
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+
+    await getReceipt(second, owner).expect(200);
+    await getReceipt(first, owner).expect(200);
+
+    const year = new Date().getUTCFullYear();
+    expect((await Payment.findById(first._id)).receipt.number).toBe(`R-${year}-000001`);
+    expect((await Payment.findById(second._id)).receipt.number).toBe(`R-${year}-000002`);
+  });
+
+  test('should refuse receipts to other users and for payments not yet completed', async () => {
+    const completed = await createPayment('completed');
+    expect((await getReceipt(completed, stranger)).statusCode).toBe(403);
+
+    const authorized = await createPayment('authorized', { booking: new mongoose.Types.ObjectId() });
+    expect((await getReceipt(authorized, driver)).statusCode).toBe(400);
+  });
+
+  test('should return a monthly earnings statement to owners', async () => {
+    await createPayment('completed');
+    const month = new Date().toISOString().slice(0, 7);
+
+    const res = await request(app)
+      .get(`/api/payments/earnings/statement?month=${month}`)
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`)
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-disposition']).toBe(`attachment; filename="statement-${month}.pdf"`);
+
+    const invalid = await request(app)
+      .get('/api/payments/earnings/statement?month=2024-13')
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`);
+    expect(invalid.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,166 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Settings = require('../models/Settings');
+const Notification = require('../models/Notification');
+const LedgerEntry = require('../models/LedgerEntry');
+const { generateToken } = require('../middleware/auth');
+const { FAKE_PAYMENT_METHODS, fakeGateway } = require('../utils/fakeGateway');
+const { runBookingLifecycle } = require('../utils/bookingLifecycle');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+describe('Overstay and no-show fees', () => {
+  let owner, driver, charger;
+
+  beforeEach(async () => {
+    fakeGateway.reset();
+    await Settings.initializeDefaultSettings();
+    await Settings.updateSetting('paymentGateway', 'fake');
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    charger = await Charger.create({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 10.00 },
+      status: 'approved'
+    });
+  });
+
+  // A paid booking starting in 10 minutes, so it is confirmed and has an access code
+  const createConfirmedBooking = async () => {
+    const startTime = new Date(Date.now() + 10 * MINUTE_MS);
+    const booking = await Booking.create({
+      charger: charger._id,
+      user: driver._id,
+      owner: owner._id,
+      schedule: {
+        startTime,
+        endTime: new Date(startTime.getTime() + 2 * HOUR_MS)
+      },
+      pricing: { hourlyRate: 10.00, totalAmount: 20.00 },
+      status: 'pending'
+    });
+
+    await request(app)
+      .post('/api/payments/process')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({ bookingId: booking._id.toString(), paymentMethodId: 'fake_card' })
+      .expect(200);
+
+    return Booking.findById(booking._id);
+  };
+
+  // Check the driver in, then check out minutesOver past the end time
+  const checkOutLate = async (booking, minutesOver) => {
+    await request(app)
+      .post(`/api/bookings/${booking._id}/check-in`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({ accessCode: booking.accessCode })
+      .expect(200);
+    await Booking.updateOne({ _id: booking._id }, {
+      'schedule.startTime': new Date(Date.now() - 2 * HOUR_MS - minutesOver * MINUTE_MS),
+      'schedule.endTime': new Date(Date.now() - minutesOver * MINUTE_MS)
+    });
+
+    return request(app)
+      .post(`/api/bookings/${booking._id}/check-out`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .expect(200);
+  };
+
+  test('should charge the overstay fee past the grace period on check-out', async () => {
+    const booking = await createConfirmedBooking();
+
+    const res = await checkOutLate(booking, 30);
+
+    // 20 minutes past the 10 free ones, at 0.50 a minute
+    expect(res.body.data.overstayFee).toMatchObject({ type: 'overstay', amount: 10, minutes: 20, status: 'completed' });
+
+    const payment = await Payment.findOne({ booking: booking._id });
+    expect(payment.amount.total).toBe(30);
+    expect(payment.amount.captured).toBe(30);
+    expect(payment.amount.platformFee + payment.amount.ownerEarnings).toBeCloseTo(30);
+    expect(await LedgerEntry.countDocuments({ payment: payment._id, type: 'charge' })).toBe(2);
+
+    expect(await Notification.findOne({ user: driver._id, type: 'SESSION_FEE_CHARGED' })).not.toBeNull();
+    expect(await Notification.findOne({ user: owner._id, type: 'SESSION_FEE_CHARGED' })).not.toBeNull();
+  });
+
+  test('should not charge drivers who check out within the grace period', async () => {
+    const booking = await createConfirmedBooking();
+
+    const res = await checkOutLate(booking, 5);
+
+    expect(res.body.data.overstayFee).toBeNull();
+    expect((await Payment.findOne({ booking: booking._id })).amount.total).toBe(20);
+  });
+
+  test('should record an overstay fee the card declines as failed', async () => {
+    const booking = await createConfirmedBooking();
+    await Payment.updateOne({ booking: booking._id }, { 'paymentMethod.reference': FAKE_PAYMENT_METHODS.DECLINED });
+
+    const res = await checkOutLate(booking, 30);
+
+    expect(res.body.data.booking.status).toBe('completed');
+    expect(res.body.data.overstayFee).toMatchObject({ amount: 10, status: 'failed' });
+    expect((await Payment.findOne({ booking: booking._id })).amount.total).toBe(20);
+    expect(await Notification.findOne({ user: driver._id, type: 'SESSION_FEE_FAILED' })).not.toBeNull();
+  });
+
+  test('should keep the no-show fee when nobody checks in, and release the rest', async () => {
+    await Settings.updateSetting('noShowPolicy', { enabled: true, graceMinutes: 30, feePercentage: 50 });
+    const booking = await createConfirmedBooking();
+    const startTime = booking.schedule.startTime.getTime();
+
+    expect((await runBookingLifecycle(new Date(startTime + 20 * MINUTE_MS))).noShows).toBe(0);
+
+    const result = await runBookingLifecycle(new Date(startTime + 31 * MINUTE_MS));
+
+    expect(result.noShows).toBe(1);
+    const noShow = await Booking.findById(booking._id);
+    expect(noShow.status).toBe('no_show');
+    expect(noShow.payment.status).toBe('completed');
+
+    const payment = await Payment.findOne({ booking: booking._id });
+    expect(payment.amount.captured).toBe(10);
+    expect(payment.fees[0]).toMatchObject({ type: 'no_show', amount: 10, status: 'completed' });
+    expect(await Notification.findOne({ user: driver._id, type: 'BOOKING_NO_SHOW' })).not.toBeNull();
+    expect(await Notification.findOne({ user: owner._id, type: 'BOOKING_NO_SHOW' })).not.toBeNull();
+  });
+
+  test('should leave bookings without a check-in alone while no-shows are turned off', async () => {
+    const booking = await createConfirmedBooking();
+
+    const result = await runBookingLifecycle(new Date(booking.schedule.startTime.getTime() + 31 * MINUTE_MS));
+
+    expect(result.noShows).toBe(0);
+    expect((await Booking.findById(booking._id)).status).toBe('active');
+  });
+});
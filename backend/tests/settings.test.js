@@ -217,6 +217,32 @@ describe('Settings API', () => {
       expect(response.body.errors.some(e => e.includes('not found'))).toBe(true);
     });
     
+    test('should reject an invalid platform fee', async () => {
+      const response = await request(app)
+        .put('/api/settings/admin')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { platformFee: 150 } });
+      
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors.some(e => e.includes('between 0 and 100'))).toBe(true);
+      
+      const dbPlatformFee = await Settings.findOne({ key: 'platformFee' });
+      expect(dbPlatformFee.value).toBe(15);
+    });
+    
+    test('should reject an unknown payment gateway', async () => {
+      const response = await request(app)
+        .put('/api/settings/admin')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { paymentGateway: 'bitcoin' } });
+      
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors.some(e => e.includes('Payment gateway must be one of'))).toBe(true);
+      
+      const dbPaymentGateway = await Settings.findOne({ key: 'paymentGateway' });
+      expect(dbPaymentGateway.value).toBe('stripe');
+    });
+    
     test('should return 401 if not authenticated', async () => {
       const response = await request(app)
         .put('/api/settings/admin')
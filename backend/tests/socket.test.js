@@ -0,0 +1,193 @@
+const http = require('http');
+const request = require('supertest');
+const { io: Client } = require('socket.io-client');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Message = require('../models/Message');
+const { generateToken } = require('../middleware/auth');
+const { initSocket, closeSocket } = require('../utils/socket');
+
+let server;
+let baseUrl;
+let driver, owner, stranger, booking;
+let driverToken, ownerToken, strangerToken;
+const openClients = [];
+
+// Connect a client and wait for the handshake to finish
+const connectClient = (token) => {
+  return new Promise((resolve, reject) => {
+    const client = Client(baseUrl, {
+      auth: { token },
+      transports: ['websocket'],
+      reconnection: false
+    });
+    openClients.push(client);
+    client.on('connect', () => resolve(client));
+    client.on('connect_error', reject);
+  });
+};
+
+const emitWithAck = (client, event, payload) => {
+  return new Promise((resolve) => client.emit(event, payload, resolve));
+};
+
+const waitFor = (client, event) => {
+  return new Promise((resolve) => client.once(event, resolve));
+};
+
+beforeAll((done) => {
+  server = http.createServer(app);
+  initSocket(server);
+  server.listen(0, () => {
+    baseUrl = `http://localhost:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(async () => {
+  await closeSocket();
+});
+
+beforeEach(async () => {
+  driver = await User.create({
+    email: 'driver@example.com',
+    password: 'Password123!',
+    role: 'ev_user',
+    profile: { firstName: 'Drive', lastName: 'User' }
+  });
+
+  owner = await User.create({
+    email: 'owner@example.com',
+    password: 'Password123!',
+    role: 'charger_owner',
+    profile: { firstName: 'Charger', lastName: 'Owner' }
+  });
+
+  stranger = await User.create({
+    email: 'stranger@example.com',
+    password: 'Password123!',
+    role: 'ev_user',
+    profile: { firstName: 'Other', lastName: 'User' }
+  });
+
+  const charger = await Charger.create({
+    owner: owner._id,
+    title: 'Socket Test Charger',
+    location: {
+      address: '123 Main St',
+      coordinates: [-122.4194, 37.7749]
+    },
+    specifications: {
+      type: 'Level2',
+      connector: 'J1772',
+      power: 7.2
+    },
+    pricing: { hourlyRate: 5.00 },
+    status: 'approved'
+  });
+
+  const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  booking = await Booking.create({
+    charger: charger._id,
+    user: driver._id,
+    owner: owner._id,
+    schedule: {
+      startTime,
+      endTime: new Date(startTime.getTime() + 2 * 60 * 60 * 1000)
+    },
+    pricing: { hourlyRate: 5.00, totalAmount: 10.00 }
+  });
+
+  driverToken = generateToken(driver._id);
+  ownerToken = generateToken(owner._id);
+  strangerToken = generateToken(stranger._id);
+});
+
+afterEach(() => {
+  while (openClients.length) {
+    openClients.pop().close();
+  }
+});
+
+describe('Socket.io messaging', () => {
+  test('should reject connections without a valid token', async () => {
+    await expect(connectClient('not-a-token')).rejects.toThrow('Invalid authentication token.');
+  });
+
+  test('should only let booking participants join the conversation room', async () => {
+    const driverClient = await connectClient(driverToken);
+    const strangerClient = await connectClient(strangerToken);
+
+    const allowed = await emitWithAck(driverClient, 'booking:join', { bookingId: booking._id.toString() });
+    const denied = await emitWithAck(strangerClient, 'booking:join', { bookingId: booking._id.toString() });
+
+    expect(allowed.success).toBe(true);
+    expect(denied.success).toBe(false);
+  });
+
+  test('should push messages sent over REST to the booking room', async () => {
+    const ownerClient = await connectClient(ownerToken);
+    await emitWithAck(ownerClient, 'booking:join', { bookingId: booking._id.toString() });
+
+    const received = waitFor(ownerClient, 'message:new');
+
+    const res = await request(app)
+      .post('/api/messages')
+      .set('Authorization', `Bearer ${driverToken}`)
+      .send({ bookingId: booking._id, content: 'On my way' });
+
+    expect(res.statusCode).toBe(201);
+
+    const event = await received;
+    expect(event.bookingId).toBe(booking._id.toString());
+    expect(event.message.content).toBe('On my way');
+  });
+
+  test('should relay typing indicators to the other participant only', async () => {
+    const driverClient = await connectClient(driverToken);
+    const ownerClient = await connectClient(ownerToken);
+    await emitWithAck(driverClient, 'booking:join', { bookingId: booking._id.toString() });
+    await emitWithAck(ownerClient, 'booking:join', { bookingId: booking._id.toString() });
+
+    const typing = waitFor(ownerClient, 'typing');
+    driverClient.emit('typing:start', { bookingId: booking._id.toString() });
+
+    const event = await typing;
+    expect(event).toEqual({
+      bookingId: booking._id.toString(),
+      userId: driver._id.toString(),
+      isTyping: true
+    });
+  });
+
+  test('should set readAt and broadcast a read receipt', async () => {
+    const message = await Message.create({
+      booking: booking._id,
+      sender: driver._id,
+      recipient: owner._id,
+      content: 'Is the gate open?'
+    });
+
+    const driverClient = await connectClient(driverToken);
+    const ownerClient = await connectClient(ownerToken);
+    await emitWithAck(driverClient, 'booking:join', { bookingId: booking._id.toString() });
+    await emitWithAck(ownerClient, 'booking:join', { bookingId: booking._id.toString() });
+
+    const receipt = waitFor(driverClient, 'message:read');
+    const ack = await emitWithAck(ownerClient, 'message:read', {
+      bookingId: booking._id.toString(),
+      messageIds: [message._id.toString()]
+    });
+
+    expect(ack).toEqual({ success: true, data: { count: 1 } });
+
+    const event = await receipt;
+    expect(event.messageIds).toEqual([message._id.toString()]);
+    expect(event.readBy).toBe(owner._id.toString());
+
+    const updated = await Message.findById(message._id);
+    expect(updated.readAt).toBeDefined();
+  });
+});
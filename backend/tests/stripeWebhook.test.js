@@ -0,0 +1,208 @@
+const request = require('supertest');
+
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+
+let eventCounter = 0;
+
+// Build a Stripe event fixture around an API object
+const buildEvent = (type, object, id = `evt_test_${++eventCounter}`) => ({
+  id,
+  object: 'event',
+  type,
+  created: Math.floor(Date.now() / 1000),
+  data: { object }
+});
+
+// Post an event signed with the test secret, exactly as Stripe would
+const sendEvent = (event, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  return request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', stripe.webhooks.generateTestHeaderString({ payload, secret }))
+    .send(payload);
+};
+
+describe('Stripe webhook', () => {
+  let booking, payment;
+
+  beforeEach(async () => {
+    const owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    const driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    const charger = await Charger.create({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 10.00 },
+      status: 'approved'
+    });
+
+    const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+    booking = await Booking.create({
+      charger: charger._id,
+      user: driver._id,
+      owner: owner._id,
+      schedule: {
+        startTime,
+        endTime: new Date(startTime.getTime() + 2 * 60 * 60 * 1000)
+      },
+      pricing: { hourlyRate: 10.00, totalAmount: 20.00 },
+      status: 'pending'
+    });
+
+    // A payment that needed 3D Secure, so processPayment left it pending
+    payment = await Payment.create({
+      booking: booking._id,
+      user: driver._id,
+      owner: owner._id,
+      amount: {
+        total: 20.00,
+        platformFee: booking.pricing.platformFee,
+        ownerEarnings: booking.pricing.ownerEarnings
+      },
+      paymentMethod: { type: 'card' },
+      transaction: { id: 'pi_test_123', status: 'pending', gateway: 'stripe' }
+    });
+  });
+
+  test('should reject events with an invalid signature', async () => {
+    const res = await sendEvent(
+      buildEvent('payment_intent.succeeded', { id: 'pi_test_123' }),
+      'whsec_wrong_secret'
+    );
+
+    expect(res.statusCode).toBe(400);
+    expect((await Payment.findById(payment._id)).transaction.status).toBe('pending');
+  });
+
+  test('should complete the payment and confirm the booking when the intent succeeds', async () => {
+    const res = await sendEvent(buildEvent('payment_intent.succeeded', { id: 'pi_test_123', status: 'succeeded' }));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.handled).toBe(true);
+    expect((await Payment.findById(payment._id)).transaction.status).toBe('completed');
+
+    const updated = await Booking.findById(booking._id);
+    expect(updated.status).toBe('confirmed');
+    expect(updated.payment.status).toBe('completed');
+  });
+
+  test('should mark the payment failed when the intent fails', async () => {
+    await sendEvent(buildEvent('payment_intent.payment_failed', {
+      id: 'pi_test_123',
+      last_payment_error: { message: 'Your card was declined.' }
+    }));
+
+    expect((await Payment.findById(payment._id)).transaction.status).toBe('failed');
+    expect((await Booking.findById(booking._id)).payment.status).toBe('failed');
+  });
+
+  test('should record refunds issued from the Stripe dashboard', async () => {
+    await Payment.updateOne({ _id: payment._id }, { 'transaction.status': 'completed' });
+
+    await sendEvent(buildEvent('charge.refunded', {
+      id: 'ch_test_123',
+      payment_intent: 'pi_test_123',
+      amount_refunded: 500,
+      refunded: false
+    }));
+
+    const updated = await Payment.findById(payment._id);
+    expect(updated.transaction.status).toBe('partially_refunded');
+    expect(updated.transaction.refundAmount).toBe(5);
+    expect((await Booking.findById(booking._id)).payment.status).toBe('partially_refunded');
+  });
+
+  test('should keep wallet refunds when the card is refunded from the dashboard', async () => {
+    await Payment.updateOne({ _id: payment._id }, {
+      'transaction.status': 'partially_refunded',
+      'transaction.refundAmount': 5,
+      'transaction.walletRefundAmount': 5
+    });
+
+    await sendEvent(buildEvent('charge.refunded', {
+      id: 'ch_test_123',
+      payment_intent: 'pi_test_123',
+      amount_refunded: 300,
+      refunded: false
+    }));
+
+    const updated = await Payment.findById(payment._id);
+    expect(updated.transaction.status).toBe('partially_refunded');
+    expect(updated.transaction.refundAmount).toBe(8);
+  });
+
+  test('should record disputes and refund lost ones', async () => {
+    await Payment.updateOne({ _id: payment._id }, { 'transaction.status': 'completed' });
+    const dispute = {
+      id: 'dp_test_123',
+      payment_intent: 'pi_test_123',
+      amount: 2000,
+      reason: 'fraudulent',
+      status: 'needs_response',
+      created: Math.floor(Date.now() / 1000)
+    };
+
+    await sendEvent(buildEvent('charge.dispute.created', dispute));
+    expect((await Payment.findById(payment._id)).dispute).toMatchObject({ id: 'dp_test_123', reason: 'fraudulent' });
+
+    await sendEvent(buildEvent('charge.dispute.closed', { ...dispute, status: 'lost' }));
+    const updated = await Payment.findById(payment._id);
+    expect(updated.dispute.status).toBe('lost');
+    expect(updated.transaction.status).toBe('refunded');
+    expect(updated.transaction.refundAmount).toBe(20);
+  });
+
+  test('should apply each event only once', async () => {
+    await Payment.updateOne({ _id: payment._id }, { 'transaction.status': 'completed' });
+    const event = buildEvent('charge.refunded', {
+      id: 'ch_test_123',
+      payment_intent: 'pi_test_123',
+      amount_refunded: 500
+    });
+
+    await sendEvent(event);
+    // Another refund lands before Stripe redelivers the first event
+    await Payment.updateOne({ _id: payment._id }, { 'transaction.refundAmount': 8 });
+    const res = await sendEvent(event);
+
+    expect(res.body.data.duplicate).toBe(true);
+    expect((await Payment.findById(payment._id)).transaction.refundAmount).toBe(8);
+    expect(await WebhookEvent.countDocuments({ eventId: event.id, status: 'processed' })).toBe(1);
+  });
+
+  test('should acknowledge event types it does not handle', async () => {
+    const res = await sendEvent(buildEvent('customer.created', { id: 'cus_test_123' }));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.handled).toBe(false);
+  });
+});
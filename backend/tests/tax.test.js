@@ -0,0 +1,151 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const LedgerEntry = require('../models/LedgerEntry');
+const Settings = require('../models/Settings');
+const { generateToken } = require('../middleware/auth');
+const { fakeGateway } = require('../utils/fakeGateway');
+const { validateTaxSetting } = require('../utils/tax');
+
+describe('Sales tax and VAT', () => {
+  let owner, driver, admin;
+
+  beforeEach(async () => {
+    fakeGateway.reset();
+    await Settings.initializeDefaultSettings();
+    await Settings.updateSetting('paymentGateway', 'fake');
+    await Settings.updateSetting('platformFee', 10);
+    await Settings.updateSetting('taxRules', {
+      GB: { name: 'VAT', rate: 20, inclusive: true },
+      US: { name: 'Sales tax', rate: 5, inclusive: false },
+      'US-CA': { name: 'Sales tax', rate: 10, inclusive: false }
+    });
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    admin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123!',
+      role: 'admin',
+      profile: { firstName: 'Admin', lastName: 'User' }
+    });
+  });
+
+  const createCharger = (location) => Charger.create({
+    owner: owner._id,
+    title: 'Home Charger',
+    location: {
+      address: '123 Main St',
+      coordinates: [-122.4194, 37.7749],
+      ...location
+    },
+    specifications: {
+      type: 'Level2',
+      connector: 'J1772',
+      power: 7.2
+    },
+    pricing: { hourlyRate: 10.00 },
+    status: 'approved'
+  });
+
+  // Book a two-hour ($20 before tax) session
+  const book = async (charger) => {
+    const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+    startTime.setUTCMinutes(0, 0, 0);
+    const res = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({
+        chargerId: charger._id.toString(),
+        startTime: startTime.toISOString(),
+        endTime: new Date(startTime.getTime() + 2 * 60 * 60 * 1000).toISOString()
+      });
+
+    expect(res.statusCode).toBe(201);
+    return Booking.findById(res.body.data._id);
+  };
+
+  test('should add tax on top of the price, using the most specific jurisdiction', async () => {
+    const booking = await book(await createCharger({ country: 'US', region: 'CA' }));
+
+    expect(booking.pricing.totalAmount).toBe(22);
+    expect(booking.pricing.tax).toBe(2);
+    expect(booking.pricing.taxPolicy).toMatchObject({ jurisdiction: 'US-CA', rate: 10, inclusive: false });
+    // The fee is taken from the amount before tax
+    expect(booking.pricing.platformFee).toBe(2);
+    expect(booking.pricing.ownerEarnings).toBe(18);
+  });
+
+  test('should take tax out of prices that include it, and not tax untaxed jurisdictions', async () => {
+    const vat = await book(await createCharger({ country: 'GB' }));
+    expect(vat.pricing.totalAmount).toBe(20);
+    expect(vat.pricing.tax).toBe(3.33);
+    expect(vat.pricing.platformFee + vat.pricing.ownerEarnings).toBeCloseTo(16.67, 2);
+
+    const untaxed = await book(await createCharger({ country: 'CA' }));
+    expect(untaxed.pricing.tax).toBe(0);
+    expect(untaxed.pricing.totalAmount).toBe(20);
+  });
+
+  test('should record captured tax in the ledger and report it by jurisdiction', async () => {
+    const booking = await book(await createCharger({ country: 'US', region: 'CA' }));
+
+    await request(app)
+      .post('/api/payments/process')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({ bookingId: booking._id.toString(), paymentMethodId: 'fake_card' });
+
+    await Booking.updateOne({ _id: booking._id }, { status: 'active' });
+    await request(app)
+      .put(`/api/bookings/${booking._id}/status`)
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`)
+      .send({ status: 'completed' });
+
+    const payment = await Payment.findOne({ booking: booking._id });
+    expect(payment.transaction.status).toBe('completed');
+    expect(payment.amount).toMatchObject({ total: 22, tax: 2, platformFee: 2, ownerEarnings: 18 });
+
+    const charge = await LedgerEntry.findOne({ payment: payment._id, type: 'charge' });
+    expect(charge.lines.find(line => line.account === 'tax_payable').credit).toBe(2);
+
+    const res = await request(app)
+      .get('/api/payments/admin/stats')
+      .set('Authorization', `Bearer ${generateToken(admin._id)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.stats.tax).toBe(2);
+    expect(res.body.data.tax).toEqual([{
+      jurisdiction: 'US-CA',
+      name: 'Sales tax',
+      rate: 10,
+      currency: 'USD',
+      count: 1,
+      taxableAmount: 20,
+      taxCollected: 2,
+      taxRefunded: 0,
+      netTax: 2
+    }]);
+  });
+
+  test('validateTaxSetting should reject bad jurisdictions and rules', () => {
+    expect(validateTaxSetting('taxRules', { 'United Kingdom': { name: 'VAT', rate: 20, inclusive: true } })).toMatch(/country code/);
+    expect(validateTaxSetting('taxRules', { GB: { name: 'VAT', rate: 120, inclusive: true } })).toMatch(/between 0 and 100/);
+    expect(validateTaxSetting('taxRules', { GB: { name: 'VAT', rate: 20 } })).toMatch(/include the tax/);
+    expect(validateTaxSetting('taxRules', { GB: { name: 'VAT', rate: 20, inclusive: true } })).toBeNull();
+  });
+});
@@ -0,0 +1,251 @@
+const request = require('supertest');
+
+const mockStripe = {
+  customers: { create: jest.fn() },
+  paymentMethods: { attach: jest.fn(), list: jest.fn(), detach: jest.fn() }
+};
+jest.mock('stripe', () => () => mockStripe);
+
+const app = require('../server');
+const User = require('../models/User');
+const Charger = require('../models/Charger');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Settings = require('../models/Settings');
+const LedgerEntry = require('../models/LedgerEntry');
+const WalletTransaction = require('../models/WalletTransaction');
+const { generateToken } = require('../middleware/auth');
+const { FAKE_PAYMENT_METHODS, fakeGateway } = require('../utils/fakeGateway');
+
+describe('Wallet', () => {
+  let owner, driver, admin, charger;
+
+  beforeEach(async () => {
+    fakeGateway.reset();
+    Object.values(mockStripe).forEach(resource => Object.values(resource).forEach(mock => mock.mockReset()));
+    await Settings.initializeDefaultSettings();
+    await Settings.updateSetting('paymentGateway', 'fake');
+
+    owner = await User.create({
+      email: 'owner@example.com',
+      password: 'Password123!',
+      role: 'charger_owner',
+      profile: { firstName: 'Charger', lastName: 'Owner' }
+    });
+
+    driver = await User.create({
+      email: 'driver@example.com',
+      password: 'Password123!',
+      role: 'ev_user',
+      profile: { firstName: 'Ev', lastName: 'Driver' }
+    });
+
+    admin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123!',
+      role: 'admin',
+      profile: { firstName: 'Site', lastName: 'Admin' }
+    });
+
+    charger = await Charger.create({
+      owner: owner._id,
+      title: 'Home Charger',
+      location: {
+        address: '123 Main St',
+        coordinates: [-122.4194, 37.7749]
+      },
+      specifications: {
+        type: 'Level2',
+        connector: 'J1772',
+        power: 7.2
+      },
+      pricing: { hourlyRate: 10.00 },
+      status: 'approved'
+    });
+  });
+
+  const createBooking = (hoursUntilStart = 48) => {
+    const startTime = new Date(Date.now() + hoursUntilStart * 60 * 60 * 1000);
+    return Booking.create({
+      charger: charger._id,
+      user: driver._id,
+      owner: owner._id,
+      schedule: {
+        startTime,
+        endTime: new Date(startTime.getTime() + 2 * 60 * 60 * 1000)
+      },
+      pricing: { hourlyRate: 10.00, totalAmount: 20.00 },
+      status: 'pending'
+    });
+  };
+
+  const topUp = (amount) => request(app)
+    .post('/api/wallet/top-ups')
+    .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+    .send({ amount, currency: 'USD', paymentMethodId: 'fake_card' });
+
+  const payFromWallet = (booking) => request(app)
+    .post('/api/payments/process')
+    .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+    .send({ bookingId: booking._id.toString(), useWallet: true });
+
+  const complete = async (booking) => {
+    await Booking.updateOne({ _id: booking._id }, { status: 'active' });
+    return request(app)
+      .put(`/api/bookings/${booking._id}/status`)
+      .set('Authorization', `Bearer ${generateToken(owner._id)}`)
+      .send({ status: 'completed' });
+  };
+
+  const balance = async () => (await User.findById(driver._id)).wallet.balances.get('USD');
+
+  test('should add a card top-up to the balance and the history', async () => {
+    const res = await topUp(25);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.topUp).toMatchObject({ type: 'top_up', status: 'completed', amount: 25, balanceAfter: 25 });
+    expect(res.body.data.balances).toEqual([{ currency: 'USD', amount: 25 }]);
+
+    const entry = await LedgerEntry.findOne({ walletTransaction: res.body.data.topUp._id, type: 'top_up' });
+    expect(entry.lines.map(line => line.account).sort()).toEqual(['customer_wallet', 'gateway_clearing']);
+
+    const history = await request(app)
+      .get('/api/wallet/transactions')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .expect(200);
+    expect(history.body.data.transactions).toHaveLength(1);
+
+    const tooSmall = await topUp(1);
+    expect(tooSmall.statusCode).toBe(400);
+    expect(await balance()).toBe(25);
+  });
+
+  test('should not add a declined top-up to the balance', async () => {
+    const res = await request(app)
+      .post('/api/wallet/top-ups')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({ amount: 25, currency: 'USD', paymentMethodId: FAKE_PAYMENT_METHODS.DECLINED });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('PAYMENT_FAILED');
+    expect((await User.findById(driver._id)).wallet.balances.get('USD')).toBeUndefined();
+  });
+
+  test('should hold a booking paid from the wallet and take it when the booking completes', async () => {
+    await topUp(25);
+    const booking = await createBooking();
+
+    const res = await payFromWallet(booking);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.booking.status).toBe('confirmed');
+    expect(res.body.data.payment.transaction.gateway).toBe('wallet');
+    expect(await balance()).toBe(5);
+
+    await complete(booking).then(completed => expect(completed.statusCode).toBe(200));
+
+    const payment = await Payment.findOne({ booking: booking._id });
+    expect(payment.transaction.status).toBe('completed');
+    expect(payment.amount.captured).toBe(20);
+    expect(await balance()).toBe(5);
+
+    const charge = await LedgerEntry.findOne({ payment: payment._id, type: 'charge' });
+    const debits = charge.lines.filter(line => line.debit > 0).map(({ account, debit }) => ({ account, debit }));
+    expect(debits).toEqual([{ account: 'customer_wallet', debit: 20 }]);
+  });
+
+  test('should only take one payment when the same booking is paid twice at once', async () => {
+    await topUp(50);
+    const booking = await createBooking();
+
+    const responses = await Promise.all([payFromWallet(booking), payFromWallet(booking)]);
+
+    expect(responses.map(res => res.statusCode).sort()).toEqual([200, 400]);
+    expect(await Payment.countDocuments({ booking: booking._id })).toBe(1);
+    expect(await balance()).toBe(30);
+  });
+
+  test('should refuse a wallet payment the balance does not cover', async () => {
+    await topUp(10);
+    const booking = await createBooking();
+
+    const res = await payFromWallet(booking);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('PAYMENT_FAILED');
+    expect(await balance()).toBe(10);
+    expect((await Booking.findById(booking._id)).status).toBe('pending');
+  });
+
+  test('should release the hold when a wallet-paid booking is cancelled', async () => {
+    await topUp(25);
+    const booking = await createBooking();
+    await payFromWallet(booking);
+
+    await request(app)
+      .delete(`/api/bookings/${booking._id}`)
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .expect(200);
+
+    expect(await balance()).toBe(25);
+    const hold = await WalletTransaction.findOne({ booking: booking._id, type: 'payment' });
+    expect(hold.status).toBe('voided');
+  });
+
+  test('should refund a card payment as wallet credit when asked', async () => {
+    const booking = await createBooking();
+    await request(app)
+      .post('/api/payments/process')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .send({ bookingId: booking._id.toString(), paymentMethodId: 'fake_card' })
+      .expect(200);
+    await complete(booking);
+    const payment = await Payment.findOne({ booking: booking._id });
+
+    await request(app)
+      .post('/api/payments/admin/process-refund')
+      .set('Authorization', `Bearer ${generateToken(admin._id)}`)
+      .send({ paymentId: payment._id.toString(), amount: 5, refundTo: 'wallet' })
+      .expect(200);
+
+    expect(await balance()).toBe(5);
+    const refunded = await Payment.findById(payment._id);
+    expect(refunded.transaction.toObject()).toMatchObject({ refundAmount: 5, walletRefundAmount: 5 });
+
+    const refund = await LedgerEntry.findOne({ payment: payment._id, type: 'refund' });
+    const credits = refund.lines.filter(line => line.credit > 0).map(({ account, credit }) => ({ account, credit }));
+    expect(credits).toEqual([{ account: 'customer_wallet', credit: 5 }]);
+  });
+
+  test('should save cards to one Stripe customer and only remove the user\'s own', async () => {
+    mockStripe.customers.create.mockResolvedValue({ id: 'cus_driver' });
+    const card = { id: 'pm_visa', card: { brand: 'visa', last4: '4242', exp_month: 12, exp_year: 2030 } };
+    mockStripe.paymentMethods.attach.mockResolvedValue(card);
+    mockStripe.paymentMethods.list.mockResolvedValue({ data: [card] });
+
+    for (const paymentMethodId of ['pm_visa', 'pm_visa']) {
+      await request(app)
+        .post('/api/wallet/cards')
+        .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+        .send({ paymentMethodId })
+        .expect(201);
+    }
+    expect(mockStripe.customers.create).toHaveBeenCalledTimes(1);
+
+    const cards = await request(app)
+      .get('/api/wallet/cards')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .expect(200);
+    expect(cards.body.data).toEqual([{ id: 'pm_visa', brand: 'visa', last4: '4242', expMonth: 12, expYear: 2030 }]);
+
+    await request(app)
+      .delete('/api/wallet/cards/pm_other')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .expect(404);
+    await request(app)
+      .delete('/api/wallet/cards/pm_visa')
+      .set('Authorization', `Bearer ${generateToken(driver._id)}`)
+      .expect(200);
+    expect(mockStripe.paymentMethods.detach).toHaveBeenCalledWith('pm_visa');
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Booking Approval Utility
+ *
+ * Chargers are instant-book (Charger.bookingMode 'instant') or need the owner's
+ * approval ('approval'). An instant booking is confirmed as soon as it is paid.
+ * A booking on an approval charger is a request: the driver pays (the card is only
+ * authorized), and the booking is confirmed once the owner accepts it as well.
+ *
+ * The owner has the ownerResponseHours booking setting (default 24), and at most
+ * until the booking starts, to respond. Requests still waiting then are declined by
+ * the booking lifecycle job (utils/bookingLifecycle). Declining a request releases
+ * the driver's payment in full.
+ */
+
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Settings = require('../models/Settings');
+const { dispatchNotification, NOTIFICATION_EVENTS } = require('./notificationDispatcher');
+const { withBookingLock } = require('./bookingLock');
+const { releaseDiscounts } = require('./promotions');
+const {
+  getGateway,
+  refundPayment,
+  releaseAuthorization,
+  syncBookingPayment
+} = require('./paymentGateway');
+const { BadRequestError } = require('./errors');
+
+const DEFAULT_OWNER_RESPONSE_HOURS = 24;
+
+// Payment statuses that count as paid for a pending booking
+const PAID_STATUSES = ['authorized', 'completed'];
+
+/**
+ * Get how long an owner has to respond to a booking request
+ * @returns {Promise<number>} - Hours, from the ownerResponseHours booking setting
+ */
+const getOwnerResponseHours = async () => {
+  const configured = Number(await Settings.getSetting('ownerResponseHours'));
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_OWNER_RESPONSE_HOURS;
+};
+
+/**
+ * Get the approval a new booking on a charger starts with
+ * @param {Object} charger - Charger document
+ * @param {Date} startTime - Booking start
+ * @param {Date} now - Time the booking is made (default now)
+ * @returns {Promise<Object|undefined>} - Booking.approval, or undefined for instant-book chargers
+ */
+const getInitialApproval = async (charger, startTime, now = new Date()) => {
+  if (charger.bookingMode !== 'approval') return undefined;
+
+  const respondBy = new Date(now.getTime() + (await getOwnerResponseHours()) * 60 * 60 * 1000);
+  return {
+    status: 'awaiting',
+    respondBy: respondBy < startTime ? respondBy : startTime
+  };
+};
+
+/**
+ * Accept a booking request, confirming it if the driver has paid
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} - The booking after the update
+ */
+const acceptBooking = async (booking) => {
+  // Decided in the update itself, so a payment settling meanwhile is taken into account
+  const accepted = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: 'pending', 'approval.status': 'awaiting' },
+    [{
+      $set: {
+        'approval.status': 'accepted',
+        'approval.respondedAt': new Date(),
+        status: { $cond: [{ $in: ['$payment.status', PAID_STATUSES] }, 'confirmed', 'pending'] },
+        accessCode: { $ifNull: ['$accessCode', Booking.generateAccessCode()] }
+      }
+    }],
+    { new: true }
+  );
+  if (!accepted) {
+    throw new BadRequestError('This booking is not waiting for approval');
+  }
+
+  await dispatchNotification(
+    accepted.status === 'confirmed' ? NOTIFICATION_EVENTS.BOOKING_CONFIRMED : NOTIFICATION_EVENTS.BOOKING_ACCEPTED,
+    { booking: accepted }
+  );
+
+  return accepted;
+};
+
+/**
+ * Decline a booking request and release the driver's payment in full
+ * @param {Object} booking - Booking document
+ * @param {Object} options - { reason, expired: declined because the owner did not respond in time }
+ * @returns {Promise<Object>} - The declined booking
+ */
+const declineBooking = async (booking, { reason, expired = false } = {}) => {
+  // Hold the charger's booking lock so a concurrent decline or cancellation cannot release twice
+  const declined = await withBookingLock(booking.charger, async () => {
+    const current = await Booking.findById(booking._id);
+    if (!current || !current.isAwaitingApproval()) {
+      throw new BadRequestError('This booking is not waiting for approval');
+    }
+
+    // Release the payment before declining so a failed release leaves the request as it was
+    const payment = await Payment.findOne({ booking: current._id });
+    if (payment && payment.transaction.status === 'authorized') {
+      await releaseAuthorization(payment);
+      await syncBookingPayment(current, payment);
+    } else if (payment && payment.transaction.status === 'pending') {
+      await getGateway(payment.transaction.gateway).cancel(payment.transaction.id);
+      payment.transaction.status = 'voided';
+      await payment.save();
+      await syncBookingPayment(current, payment);
+    } else if (payment && payment.canBeRefunded()) {
+      await refundPayment(payment, payment.calculateRefund(100));
+      await syncBookingPayment(current, payment);
+    }
+
+    // An update rather than save(), as the deadline can fall on the start time
+    return Booking.findOneAndUpdate(
+      { _id: current._id, status: 'pending' },
+      {
+        $set: {
+          status: 'declined',
+          'approval.status': expired ? 'expired' : 'declined',
+          'approval.respondedAt': new Date(),
+          'approval.declineReason': reason || undefined
+        }
+      },
+      { new: true }
+    );
+  });
+
+  await releaseDiscounts(declined);
+  await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_DECLINED, { booking: declined, expired });
+
+  return declined;
+};
+
+/**
+ * Decline every request the owner has not responded to in time
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of requests declined
+ */
+const declineOverdueRequests = async (now) => {
+  const bookings = await Booking.find({
+    status: 'pending',
+    'approval.status': 'awaiting',
+    'approval.respondBy': { $lte: now }
+  });
+
+  let count = 0;
+  for (const booking of bookings) {
+    try {
+      await declineBooking(booking, { reason: 'The owner did not respond in time', expired: true });
+      count += 1;
+    } catch (error) {
+      console.error(`Could not decline booking ${booking._id}:`, error.message);
+    }
+  }
+  return count;
+};
+
+module.exports = {
+  getOwnerResponseHours,
+  getInitialApproval,
+  acceptBooking,
+  declineBooking,
+  declineOverdueRequests
+};
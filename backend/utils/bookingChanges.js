@@ -0,0 +1,343 @@
+/**
+ * Booking Changes Utility
+ *
+ * Lets drivers move a booking to other times, or extend a session that has started,
+ * without cancelling and booking again. The new times are checked against the
+ * charger's availability and its other bookings, and the booking is priced again
+ * with the fee and tax policies and promo codes it was booked with. The payment
+ * follows the new total (see repricePayment in utils/paymentGateway).
+ *
+ * Pending bookings, and any booking on an instant-book charger, change straight away.
+ * On chargers that need approval, a confirmed or active booking asks the owner
+ * instead: the change waits in Booking.modification until they accept or decline it.
+ * The owner has the ownerResponseHours booking setting (utils/bookingApproval), and
+ * at most until the booking starts (or, for an active one, ends), to respond; changes
+ * still waiting then are declined by the booking lifecycle job.
+ */
+
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { dispatchNotification, NOTIFICATION_EVENTS } = require('./notificationDispatcher');
+const { withBookingLock } = require('./bookingLock');
+const { calculateBookingPrice } = require('./pricing');
+const { resolveFeePolicy } = require('./platformFee');
+const { getRedeemedDiscounts, applyDiscounts } = require('./promotions');
+const { repricePayment, syncBookingPayment } = require('./paymentGateway');
+const { getOwnerResponseHours } = require('./bookingApproval');
+const { BadRequestError, ConflictError } = require('./errors');
+
+// Bookings whose times can still change
+const CHANGEABLE_STATUSES = ['pending', 'confirmed', 'active'];
+
+/**
+ * Check the new times asked for a booking
+ * A booking that has started keeps its start time and can only be extended, before it ends.
+ * @param {Object} booking - Booking document
+ * @param {Object} charger - The booking's Charger document
+ * @param {Object} times - { startTime, endTime } as Dates; startTime can be left out for active bookings
+ * @param {Date} now - Current time (default now)
+ * @returns {Object} - { startTime, endTime } the booking would have
+ * @throws {BadRequestError} If the booking cannot change or the charger is not available then
+ */
+const validateBookingChange = (booking, charger, { startTime, endTime }, now = new Date()) => {
+  if (!CHANGEABLE_STATUSES.includes(booking.status)) {
+    throw new BadRequestError(`Cannot change a booking with status ${booking.status}`);
+  }
+
+  const started = booking.status === 'active';
+  if (started && startTime && startTime.getTime() !== booking.schedule.startTime.getTime()) {
+    throw new BadRequestError('A session that has started can only be extended');
+  }
+  const start = started ? booking.schedule.startTime : startTime;
+
+  if (!start || !endTime || isNaN(start.getTime()) || isNaN(endTime.getTime())) {
+    throw new BadRequestError('Invalid date format');
+  }
+  if (start >= endTime) {
+    throw new BadRequestError('End time must be after start time');
+  }
+
+  if (started) {
+    if (now >= booking.schedule.endTime) {
+      throw new BadRequestError('This session has ended');
+    }
+    if (endTime <= booking.schedule.endTime) {
+      throw new BadRequestError('A session that has started can only be extended');
+    }
+  } else {
+    if (now >= booking.schedule.startTime) {
+      throw new BadRequestError('This booking has already started');
+    }
+    if (start < now) {
+      throw new BadRequestError('Start time must be in the future');
+    }
+    if (start.getTime() === booking.schedule.startTime.getTime() &&
+        endTime.getTime() === booking.schedule.endTime.getTime()) {
+      throw new BadRequestError('The booking already has these times');
+    }
+  }
+
+  if (charger.status !== 'approved') {
+    throw new BadRequestError('This charger is not available for booking');
+  }
+  const unavailable = charger.getUnavailableReason(start, endTime);
+  if (unavailable) {
+    throw new BadRequestError(unavailable);
+  }
+
+  return { startTime: start, endTime };
+};
+
+/**
+ * Check that no other booking holds the charger at the new times
+ * @param {Object} booking - Booking document
+ * @param {Object} times - { startTime, endTime }
+ * @returns {Promise<void>}
+ * @throws {ConflictError} If the time slot is taken
+ */
+const checkConflicts = async (booking, { startTime, endTime }) => {
+  const conflictingBookings = await Booking.findConflicts(booking.charger, startTime, endTime, booking._id);
+  if (conflictingBookings.length > 0) {
+    throw new ConflictError('This time slot is already booked');
+  }
+};
+
+/**
+ * Price a booking for new times, as it was priced when booked
+ * The energy estimate is scaled to the new length.
+ * @param {Object} booking - Booking document
+ * @param {Object} charger - The booking's Charger document
+ * @param {Object} times - { startTime, endTime }
+ * @returns {Promise<Object>} - The booking's new pricing fields: { hourlyRate, totalAmount, tax,
+ *   discount, discounts, platformFee, ownerEarnings, lineItems, estimatedKwh }
+ */
+const priceBookingChange = async (booking, charger, { startTime, endTime }) => {
+  const { pricing } = booking;
+  const scale = (endTime - startTime) / (booking.schedule.endTime - booking.schedule.startTime);
+
+  const price = calculateBookingPrice(charger, startTime, endTime, {
+    estimatedKwh: pricing.estimatedKwh ? pricing.estimatedKwh * scale : undefined,
+    taxPolicy: pricing.taxPolicy && pricing.taxPolicy.rate ? pricing.taxPolicy.toObject() : null
+  });
+
+  // Bookings made before fee policies were recorded take the one configured now
+  const feePolicy = pricing.feePolicy && pricing.feePolicy.percentage !== undefined
+    ? pricing.feePolicy
+    : await resolveFeePolicy({ ownerId: booking.owner, chargerType: charger.specifications.type });
+
+  const {
+    discount,
+    discounts,
+    tax,
+    totalAmount,
+    platformFee,
+    ownerEarnings
+  } = applyDiscounts(price, feePolicy, await getRedeemedDiscounts(booking));
+
+  return {
+    hourlyRate: price.hourlyRate,
+    totalAmount,
+    tax,
+    discount,
+    discounts,
+    platformFee,
+    ownerEarnings,
+    lineItems: price.lineItems,
+    estimatedKwh: price.estimatedKwh
+  };
+};
+
+/**
+ * Move a booking to new times, settling the difference in price with its payment
+ * Call while holding the charger's booking lock.
+ * @param {Object} booking - Booking document
+ * @param {Object} charger - The booking's Charger document
+ * @param {Object} times - { startTime, endTime } from validateBookingChange
+ * @returns {Promise<Object>} - The changed booking
+ * @throws {ConflictError} If the time slot is taken
+ */
+const applyBookingChange = async (booking, charger, times) => {
+  await checkConflicts(booking, times);
+
+  const payment = await Payment.findOne({ booking: booking._id });
+  if (payment && payment.transaction.status === 'pending') {
+    throw new BadRequestError('Finish paying for this booking before changing it');
+  }
+
+  // Settle the payment first so a failed charge leaves the booking as it was
+  const pricing = await priceBookingChange(booking, charger, times);
+  if (payment) {
+    await repricePayment(payment, pricing);
+  }
+
+  booking.schedule.startTime = times.startTime;
+  booking.schedule.endTime = times.endTime;
+  Object.assign(booking.pricing, pricing);
+  // A request the owner has not answered yet must still be answered before it starts
+  if (booking.isAwaitingApproval() && booking.approval.respondBy > times.startTime) {
+    booking.approval.respondBy = times.startTime;
+  }
+  await booking.save();
+
+  if (payment) {
+    await syncBookingPayment(booking, payment);
+  }
+
+  return booking;
+};
+
+/**
+ * Work out what changing a booking's times would do, without changing it
+ * @param {Object} booking - Booking document
+ * @param {Object} charger - The booking's Charger document
+ * @param {Object} times - { startTime, endTime } as Dates
+ * @returns {Promise<Object>} - { startTime, endTime, pricing, difference, requiresApproval }
+ */
+const previewBookingChange = async (booking, charger, times) => {
+  const checked = validateBookingChange(booking, charger, times);
+  await checkConflicts(booking, checked);
+  const pricing = await priceBookingChange(booking, charger, checked);
+
+  return {
+    ...checked,
+    pricing,
+    difference: Math.round((pricing.totalAmount - booking.pricing.totalAmount) * 100) / 100,
+    requiresApproval: charger.bookingMode === 'approval' && booking.status !== 'pending'
+  };
+};
+
+/**
+ * Change a booking's times, or ask the owner to when the charger needs approval
+ * @param {Object} booking - Booking document
+ * @param {Object} charger - The booking's Charger document
+ * @param {Object} times - { startTime, endTime } as Dates
+ * @returns {Promise<Object>} - { booking, requested: true if the owner has been asked }
+ */
+const modifyBooking = async (booking, charger, times) => {
+  // Hold the charger's booking lock so no other booking can take the time meanwhile
+  const result = await withBookingLock(booking.charger, async () => {
+    const current = await Booking.findById(booking._id);
+    if (!current) {
+      throw new BadRequestError('This booking no longer exists');
+    }
+    const now = new Date();
+    const checked = validateBookingChange(current, charger, times, now);
+
+    if (charger.bookingMode !== 'approval' || current.status === 'pending') {
+      return { booking: await applyBookingChange(current, charger, checked), requested: false };
+    }
+
+    // Checked now too, so the owner is not asked about times that are taken
+    await checkConflicts(current, checked);
+    const pricing = await priceBookingChange(current, charger, checked);
+    const respondBy = new Date(now.getTime() + (await getOwnerResponseHours()) * 60 * 60 * 1000);
+    const deadline = current.status === 'active' ? current.schedule.endTime : current.schedule.startTime;
+
+    current.modification = {
+      status: 'awaiting',
+      startTime: checked.startTime,
+      endTime: checked.endTime,
+      totalAmount: pricing.totalAmount,
+      requestedAt: now,
+      respondBy: respondBy < deadline ? respondBy : deadline
+    };
+    await current.save();
+
+    return { booking: current, requested: true };
+  });
+
+  await dispatchNotification(
+    result.requested ? NOTIFICATION_EVENTS.BOOKING_MODIFICATION_REQUESTED : NOTIFICATION_EVENTS.BOOKING_MODIFIED,
+    { booking: result.booking }
+  );
+
+  return result;
+};
+
+/**
+ * Accept the change of times a driver asked for, applying it
+ * @param {Object} booking - Booking document
+ * @param {Object} charger - The booking's Charger document
+ * @returns {Promise<Object>} - The changed booking
+ */
+const acceptBookingChange = async (booking, charger) => {
+  const accepted = await withBookingLock(booking.charger, async () => {
+    const current = await Booking.findById(booking._id);
+    const now = new Date();
+    if (!current || !current.isModificationAwaiting() || current.modification.respondBy <= now) {
+      throw new BadRequestError('This booking has no change waiting for approval');
+    }
+
+    const { startTime, endTime } = current.modification;
+    const checked = validateBookingChange(current, charger, { startTime, endTime }, now);
+    current.modification.status = 'accepted';
+    current.modification.respondedAt = now;
+
+    return applyBookingChange(current, charger, checked);
+  });
+
+  await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_MODIFIED, { booking: accepted });
+
+  return accepted;
+};
+
+/**
+ * Decline the change of times a driver asked for, keeping the booking as it was
+ * @param {Object} booking - Booking document
+ * @param {Object} options - { reason, expired: declined because the owner did not respond in time }
+ * @returns {Promise<Object>} - The booking after the update
+ */
+const declineBookingChange = async (booking, { reason, expired = false } = {}) => {
+  const declined = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: { $in: CHANGEABLE_STATUSES }, 'modification.status': 'awaiting' },
+    {
+      $set: {
+        'modification.status': expired ? 'expired' : 'declined',
+        'modification.respondedAt': new Date(),
+        'modification.declineReason': reason || undefined
+      }
+    },
+    { new: true }
+  );
+  if (!declined) {
+    throw new BadRequestError('This booking has no change waiting for approval');
+  }
+
+  await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_MODIFICATION_DECLINED, { booking: declined, expired });
+
+  return declined;
+};
+
+/**
+ * Decline every change of times the owner has not responded to in time
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of changes declined
+ */
+const declineOverdueChanges = async (now) => {
+  const bookings = await Booking.find({
+    status: { $in: CHANGEABLE_STATUSES },
+    'modification.status': 'awaiting',
+    'modification.respondBy': { $lte: now }
+  });
+
+  let count = 0;
+  for (const booking of bookings) {
+    try {
+      await declineBookingChange(booking, { reason: 'The owner did not respond in time', expired: true });
+      count += 1;
+    } catch (error) {
+      console.error(`Could not decline the change to booking ${booking._id}:`, error.message);
+    }
+  }
+  return count;
+};
+
+module.exports = {
+  validateBookingChange,
+  priceBookingChange,
+  previewBookingChange,
+  modifyBooking,
+  acceptBookingChange,
+  declineBookingChange,
+  declineOverdueChanges
+};
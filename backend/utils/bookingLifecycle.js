@@ -0,0 +1,222 @@
+/**
+ * Booking Lifecycle Utility
+ *
+ * Moves bookings through their lifecycle as time passes, run every minute by the
+ * job scheduler (utils/scheduler):
+ * - confirmed bookings become active at their start time
+ * - active bookings are completed after their end time, capturing their payment;
+ *   a driver still checked in (utils/checkIn) is checked out after the checkInPolicy
+ *   autoCheckOutMinutes instead, and drivers who checked out late are charged the
+ *   overstay fee (utils/sessionFees)
+ * - pending bookings that were not paid in time expire, releasing their time slot
+ * - booking requests, and changes of times (utils/bookingChanges), the owner did
+ *   not respond to in time are declined (utils/bookingApproval)
+ * - confirmed bookings nobody checked in to in time become no-shows, when the
+ *   noShowPolicy setting enables it (utils/sessionFees)
+ *
+ * Owners and admins can still make these changes by hand. Each change is made with
+ * a conditional update, so a booking changed by hand meanwhile is left alone.
+ */
+
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Settings = require('../models/Settings');
+const { dispatchNotification, NOTIFICATION_EVENTS } = require('./notificationDispatcher');
+const { withBookingLock } = require('./bookingLock');
+const { releaseDiscounts, rewardReferral } = require('./promotions');
+const { declineOverdueRequests } = require('./bookingApproval');
+const { declineOverdueChanges } = require('./bookingChanges');
+const { getCheckInPolicy } = require('./checkIn');
+const { chargeOverstayFee, chargeNoShows } = require('./sessionFees');
+const {
+  getGateway,
+  captureAuthorization,
+  syncBookingPayment,
+  expireAuthorization
+} = require('./paymentGateway');
+
+const DEFAULT_PAYMENT_WINDOW_MINUTES = 30;
+
+// Payment statuses that count as paid for a pending booking
+const PAID_STATUSES = ['authorized', 'completed'];
+
+/**
+ * Get how long a driver has to pay for a booking
+ * @returns {Promise<number>} - Minutes, from the paymentWindowMinutes booking setting
+ */
+const getPaymentWindowMinutes = async () => {
+  const configured = Number(await Settings.getSetting('paymentWindowMinutes'));
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_PAYMENT_WINDOW_MINUTES;
+};
+
+/**
+ * Complete a booking and capture its authorized payment, charging any overstay fee
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} - The completed booking
+ */
+const completeWithCapture = async (booking) => {
+  const payment = await Payment.findOne({ booking: booking._id });
+
+  // Capture before completing so a failed capture leaves the booking active
+  if (payment && payment.transaction.status === 'authorized') {
+    if (payment.isAuthorizationExpired()) {
+      // The session still completes; the driver is asked to pay again
+      await expireAuthorization(payment);
+      booking.payment.status = 'expired';
+    } else {
+      await captureAuthorization(payment, booking.pricing.totalAmount);
+      await syncBookingPayment(booking, payment);
+    }
+  }
+
+  booking.status = 'completed';
+  await booking.save();
+  await rewardReferral(booking);
+  await chargeOverstayFee(booking, payment);
+
+  return booking;
+};
+
+/**
+ * Activate confirmed bookings whose start time has come
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of bookings activated
+ */
+const activateDueBookings = async (now) => {
+  const bookings = await Booking.find({
+    status: 'confirmed',
+    'schedule.startTime': { $lte: now }
+  });
+
+  let count = 0;
+  for (const booking of bookings) {
+    if (!booking.shouldBeActivated(now)) continue;
+
+    const activated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'confirmed' },
+      { $set: { status: 'active' } },
+      { new: true }
+    );
+    if (!activated) continue;
+
+    count += 1;
+    // Sessions that have already ended are completed straight after, without a start notice
+    if (now <= activated.schedule.endTime) {
+      await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_STARTED, { booking: activated });
+    }
+  }
+  return count;
+};
+
+/**
+ * Complete active bookings whose end time has passed, capturing their payments
+ * A booking whose capture fails stays active and is tried again on the next run.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of bookings completed
+ */
+const completeDueBookings = async (now) => {
+  const { autoCheckOutMinutes } = await getCheckInPolicy();
+  const autoCheckOutMs = autoCheckOutMinutes * 60 * 1000;
+
+  const bookings = await Booking.find({
+    status: 'active',
+    'schedule.endTime': { $lt: now }
+  });
+
+  let count = 0;
+  for (const { _id: bookingId, charger } of bookings) {
+    try {
+      // Hold the charger's booking lock so an owner completing it by hand cannot capture twice
+      const completed = await withBookingLock(charger, async () => {
+        const booking = await Booking.findById(bookingId);
+        if (!booking || !booking.shouldBeCompleted(now, autoCheckOutMs)) return null;
+        if (booking.isCheckedIn()) {
+          booking.checkOut = { at: now, method: 'auto' };
+        }
+        return completeWithCapture(booking);
+      });
+      if (!completed) continue;
+
+      count += 1;
+      await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_COMPLETED, { booking: completed });
+    } catch (error) {
+      console.error(`Could not complete booking ${bookingId}:`, error.message);
+    }
+  }
+  return count;
+};
+
+/**
+ * Expire pending bookings not paid within the payment window, or by their start time
+ * A payment still waiting on authentication is cancelled at the gateway first, so it
+ * cannot go through afterwards; if the gateway refuses, the booking is tried again on
+ * the next run.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of bookings expired
+ */
+const expireUnpaidBookings = async (now) => {
+  const windowMinutes = await getPaymentWindowMinutes();
+  const createdBefore = new Date(now.getTime() - windowMinutes * 60 * 1000);
+
+  const unpaid = {
+    status: 'pending',
+    'payment.status': { $nin: PAID_STATUSES },
+    $or: [
+      { createdAt: { $lte: createdBefore } },
+      { 'schedule.startTime': { $lte: now } }
+    ]
+  };
+  const bookings = await Booking.find(unpaid);
+
+  let count = 0;
+  for (const booking of bookings) {
+    try {
+      const payment = await Payment.findOne({ booking: booking._id, 'transaction.status': 'pending' });
+      if (payment) {
+        await getGateway(payment.transaction.gateway).cancel(payment.transaction.id);
+        await Payment.updateOne(
+          { _id: payment._id, 'transaction.status': 'pending' },
+          { $set: { 'transaction.status': 'voided' } }
+        );
+      }
+
+      const expired = await Booking.findOneAndUpdate(
+        { ...unpaid, _id: booking._id },
+        { $set: { status: 'expired', 'payment.status': payment ? 'voided' : booking.payment.status } },
+        { new: true }
+      );
+      if (!expired) continue;
+
+      count += 1;
+      await releaseDiscounts(expired);
+      await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_EXPIRED, { booking: expired });
+    } catch (error) {
+      console.error(`Could not expire booking ${booking._id}:`, error.message);
+    }
+  }
+  return count;
+};
+
+/**
+ * Run every lifecycle transition that is due
+ * @param {Date} now - Time to check against (default now)
+ * @returns {Promise<Object>} - { activated, completed, expired, declined, noShows } booking counts
+ */
+const runBookingLifecycle = async (now = new Date()) => {
+  const expired = await expireUnpaidBookings(now);
+  const declined = await declineOverdueRequests(now) + await declineOverdueChanges(now);
+  // Before completing, so a session nobody turned up for is not completed instead
+  const noShows = await chargeNoShows(now);
+  const activated = await activateDueBookings(now);
+  const completed = await completeDueBookings(now);
+
+  return { activated, completed, expired, declined, noShows };
+};
+
+module.exports = {
+  completeWithCapture,
+  activateDueBookings,
+  completeDueBookings,
+  expireUnpaidBookings,
+  runBookingLifecycle
+};
@@ -0,0 +1,138 @@
+/**
+ * Booking Lock Utility
+ *
+ * Serialises booking writes per charger so the "check for conflicts, then save"
+ * sequence cannot interleave between concurrent requests.
+ *
+ * The lock is a lease stored on the charger document (Charger.bookingLock) and
+ * taken with a single atomic findOneAndUpdate, so it works on standalone MongoDB
+ * deployments without transactions and across multiple API replicas. Leases expire
+ * on their own, so a crashed request cannot block a charger forever. While the
+ * locked work runs, which can include slow gateway calls, the holder keeps renewing
+ * its lease so no other request can take the lock from under it.
+ */
+
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Charger = require('../models/Charger');
+const { ConflictError } = require('./errors');
+
+const LOCK_TTL_MS = 10 * 1000;
+const RENEW_INTERVAL_MS = LOCK_TTL_MS / 3;
+const RETRY_DELAY_MS = 50;
+const MAX_ATTEMPTS = 100;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Try to take the booking lock for a charger once
+ * @param {string} chargerId - Charger ID
+ * @param {string} token - Unique token identifying the holder
+ * @returns {Promise<boolean>} - True if the lock was acquired
+ */
+const acquireLock = async (chargerId, token) => {
+  const now = new Date();
+
+  const charger = await Charger.findOneAndUpdate(
+    {
+      _id: chargerId,
+      $or: [
+        { bookingLock: null },
+        { 'bookingLock.expiresAt': { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        bookingLock: {
+          token,
+          expiresAt: new Date(now.getTime() + LOCK_TTL_MS)
+        }
+      }
+    },
+    { new: true, projection: { _id: 1 } }
+  );
+
+  return !!charger;
+};
+
+/**
+ * Release the booking lock if it is still held by this token
+ * @param {string} chargerId - Charger ID
+ * @param {string} token - Token used to acquire the lock
+ * @returns {Promise<void>}
+ */
+const releaseLock = async (chargerId, token) => {
+  await Charger.updateOne(
+    { _id: chargerId, 'bookingLock.token': token },
+    { $unset: { bookingLock: 1 } }
+  );
+};
+
+/**
+ * Extend the lease on the booking lock if it is still held by this token
+ * @param {string} chargerId - Charger ID
+ * @param {string} token - Token used to acquire the lock
+ * @returns {Promise<void>}
+ */
+const renewLock = async (chargerId, token) => {
+  await Charger.updateOne(
+    { _id: chargerId, 'bookingLock.token': token },
+    { $set: { 'bookingLock.expiresAt': new Date(Date.now() + LOCK_TTL_MS) } }
+  );
+};
+
+/**
+ * Run a callback while holding the booking lock for a charger
+ * Waits for other holders to finish before giving up with a ConflictError,
+ * and renews the lease until the callback settles
+ * @param {string} chargerId - Charger ID
+ * @param {Function} callback - Async work to run while the lock is held
+ * @returns {Promise<*>} - The callback's result
+ * @throws {ConflictError} If the lock could not be acquired in time
+ */
+const withBookingLock = async (chargerId, callback) => {
+  const token = crypto.randomBytes(16).toString('hex');
+
+  let acquired = false;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS && !acquired; attempt++) {
+    acquired = await acquireLock(chargerId, token);
+    if (!acquired) {
+      await wait(RETRY_DELAY_MS);
+    }
+  }
+
+  if (!acquired) {
+    throw new ConflictError('This charger is handling another booking request. Please try again.');
+  }
+
+  const renewal = setInterval(() => {
+    renewLock(chargerId, token).catch(error => {
+      console.error(`Could not renew the booking lock on charger ${chargerId}:`, error.message);
+    });
+  }, RENEW_INTERVAL_MS);
+
+  try {
+    return await callback();
+  } finally {
+    clearInterval(renewal);
+    await releaseLock(chargerId, token);
+  }
+};
+
+/**
+ * Run a callback while holding the booking lock for the charger a payment's booking is on
+ * Payments whose booking no longer exists have nothing to race with, so run unlocked.
+ * @param {Object} payment - Payment document
+ * @param {Function} callback - Async work to run while the lock is held
+ * @returns {Promise<*>} - The callback's result
+ * @throws {ConflictError} If the lock could not be acquired in time
+ */
+const withPaymentLock = async (payment, callback) => {
+  const booking = await Booking.findById(payment.booking).select('charger');
+  return booking ? withBookingLock(booking.charger, callback) : callback();
+};
+
+module.exports = {
+  withBookingLock,
+  withPaymentLock
+};
@@ -0,0 +1,94 @@
+/**
+ * Cancellation Policy Utility
+ *
+ * Works out how much of a booking is refunded when it is cancelled, using the
+ * cancellationPolicy setting:
+ * - freeCancellationHours: full refund with at least this much notice
+ * - partialRefundHours: partialRefundPercentage refunded with at least this much notice
+ * - no refund with less notice
+ * Cancellations by an admin are always refunded in full.
+ */
+
+const Settings = require('../models/Settings');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Used for any part of the policy missing from Settings
+const DEFAULT_CANCELLATION_POLICY = {
+  freeCancellationHours: 24,
+  partialRefundHours: 12,
+  partialRefundPercentage: 50
+};
+
+/**
+ * Get the configured cancellation policy
+ * @returns {Promise<Object>} - { freeCancellationHours, partialRefundHours, partialRefundPercentage }
+ */
+const getCancellationPolicy = async () => {
+  const configured = await Settings.getSetting('cancellationPolicy');
+  const policy = { ...DEFAULT_CANCELLATION_POLICY };
+
+  if (configured && typeof configured === 'object') {
+    for (const key of Object.keys(DEFAULT_CANCELLATION_POLICY)) {
+      const value = Number(configured[key]);
+      if (Number.isFinite(value) && value >= 0) policy[key] = value;
+    }
+  }
+
+  policy.partialRefundPercentage = Math.min(policy.partialRefundPercentage, 100);
+  return policy;
+};
+
+/**
+ * Latest times at which a booking can be cancelled for a full or partial refund
+ * @param {Object} booking - Booking document
+ * @param {Object} policy - Policy from getCancellationPolicy
+ * @returns {Object} - { fullRefundUntil, partialRefundUntil }
+ */
+const getRefundDeadlines = (booking, policy) => {
+  const start = booking.schedule.startTime.getTime();
+  return {
+    fullRefundUntil: new Date(start - policy.freeCancellationHours * HOUR_MS),
+    partialRefundUntil: new Date(start - policy.partialRefundHours * HOUR_MS)
+  };
+};
+
+/**
+ * Work out the refund due if a booking is cancelled now
+ * @param {Object} booking - Booking document
+ * @param {Object|null} payment - The booking's Payment, if it has been paid
+ * @param {Object} policy - Policy from getCancellationPolicy
+ * @param {Object} options - { byAdmin: cancelled by an admin, at: time of cancellation (default now) }
+ * @returns {Object} - { tier ('full', 'partial' or 'none'), percentage, amount, hoursUntilStart }
+ */
+const calculateCancellationRefund = (booking, payment, policy, { byAdmin = false, at = new Date() } = {}) => {
+  const hoursUntilStart = (booking.schedule.startTime - at) / HOUR_MS;
+
+  let tier = 'none';
+  let percentage = 0;
+  if (byAdmin || hoursUntilStart >= policy.freeCancellationHours) {
+    tier = 'full';
+    percentage = 100;
+  } else if (hoursUntilStart >= policy.partialRefundHours && policy.partialRefundPercentage > 0) {
+    tier = 'partial';
+    percentage = policy.partialRefundPercentage;
+  }
+
+  // Only money that has actually been taken (or is held by an authorization) can be returned
+  const refundable = payment && (payment.transaction.status === 'authorized' || payment.canBeRefunded());
+  const amount = refundable ? payment.calculateRefund(percentage) : 0;
+
+  return {
+    tier,
+    percentage,
+    amount,
+    hoursUntilStart: Math.round(hoursUntilStart * 100) / 100
+  };
+};
+
+module.exports = {
+  DEFAULT_CANCELLATION_POLICY,
+  getCancellationPolicy,
+  getRefundDeadlines,
+  calculateCancellationRefund
+};
@@ -0,0 +1,188 @@
+/**
+ * Check-in Utility
+ *
+ * Records when a driver actually arrives at and leaves a charger. Checking in
+ * verifies the booking's access code, typed in or scanned from the QR code shown
+ * on the booking page, and makes the booking active. Checking out completes it and
+ * captures its payment.
+ *
+ * The checkInPolicy booking setting decides:
+ * - earlyMinutes: how long before the start time drivers can check in
+ * - geofenceMeters: how close to the charger drivers must be to check in (0 for anywhere)
+ * - autoCheckOutMinutes: how long after the end time a driver who never checked out
+ *   is checked out by the booking lifecycle job (utils/bookingLifecycle)
+ */
+
+const Booking = require('../models/Booking');
+const Settings = require('../models/Settings');
+const { dispatchNotification, NOTIFICATION_EVENTS } = require('./notificationDispatcher');
+const { withBookingLock } = require('./bookingLock');
+const { BadRequestError } = require('./errors');
+
+const DEFAULT_CHECK_IN_POLICY = {
+  earlyMinutes: 15,
+  geofenceMeters: 0,
+  autoCheckOutMinutes: 60
+};
+
+const QR_CODE_PREFIX = 'evchargershare:check-in';
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Get the check-in policy, filling in defaults for anything not configured
+ * @returns {Promise<Object>} - { earlyMinutes, geofenceMeters, autoCheckOutMinutes }
+ */
+const getCheckInPolicy = async () => {
+  const configured = (await Settings.getSetting('checkInPolicy')) || {};
+  return { ...DEFAULT_CHECK_IN_POLICY, ...configured };
+};
+
+/**
+ * Get the text of a booking's check-in QR code
+ * @param {Object} booking - Booking document
+ * @returns {string} - e.g. "evchargershare:check-in:<booking id>:<access code>"
+ */
+const getCheckInQrCode = (booking) => `${QR_CODE_PREFIX}:${booking._id}:${booking.accessCode}`;
+
+/**
+ * Read the booking and access code from a scanned check-in QR code
+ * @param {string} qrCode - Scanned text
+ * @returns {Object|null} - { bookingId, accessCode }, or null if it is not a check-in code
+ */
+const parseCheckInQrCode = (qrCode) => {
+  if (typeof qrCode !== 'string' || !qrCode.startsWith(`${QR_CODE_PREFIX}:`)) return null;
+
+  const [bookingId, accessCode] = qrCode.slice(QR_CODE_PREFIX.length + 1).split(':');
+  return bookingId && accessCode ? { bookingId, accessCode } : null;
+};
+
+/**
+ * Get the great-circle distance between two points
+ * @param {number[]} from - [longitude, latitude]
+ * @param {number[]} to - [longitude, latitude]
+ * @returns {number} - Distance in meters
+ */
+const distanceInMeters = ([fromLng, fromLat], [toLng, toLat]) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(toLat - fromLat);
+  const dLng = toRadians(toLng - fromLng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(fromLat)) * Math.cos(toRadians(toLat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Check a driver in, making the booking active
+ * @param {Object} booking - Booking document, with its charger populated
+ * @param {Object} options - { accessCode, qrCode, coordinates: [longitude, latitude], userId, isDriver, now }
+ * @returns {Promise<Object>} - The checked-in booking
+ * @throws {BadRequestError} If the code is wrong, it is too early or late, or the driver is too far away
+ */
+const checkIn = async (booking, { accessCode, qrCode, coordinates, userId, isDriver, now = new Date() }) => {
+  if (!['confirmed', 'active'].includes(booking.status)) {
+    throw new BadRequestError('Only confirmed bookings can be checked in');
+  }
+  if (booking.checkIn && booking.checkIn.at) {
+    throw new BadRequestError('This booking is already checked in');
+  }
+
+  let code = accessCode;
+  if (qrCode) {
+    const scanned = parseCheckInQrCode(qrCode);
+    if (!scanned || scanned.bookingId !== booking._id.toString()) {
+      throw new BadRequestError('This QR code is not for this booking');
+    }
+    code = scanned.accessCode;
+  }
+  if (!code) {
+    throw new BadRequestError('Access code or QR code is required');
+  }
+  if (!booking.accessCode || String(code).trim().toUpperCase() !== booking.accessCode.toUpperCase()) {
+    throw new BadRequestError('Invalid access code');
+  }
+
+  const policy = await getCheckInPolicy();
+  const opensAt = new Date(booking.schedule.startTime.getTime() - policy.earlyMinutes * 60 * 1000);
+  if (now < opensAt) {
+    throw new BadRequestError(`Check-in opens ${policy.earlyMinutes} minutes before the booking starts`);
+  }
+  if (now >= booking.schedule.endTime) {
+    throw new BadRequestError('This booking has ended');
+  }
+
+  // The distance is recorded whenever the location is sent, but only enforced for drivers
+  const hasLocation = Array.isArray(coordinates) && coordinates.length === 2 &&
+    coordinates.every(value => Number.isFinite(Number(value)));
+  const distance = hasLocation
+    ? Math.round(distanceInMeters(coordinates.map(Number), booking.charger.location.coordinates))
+    : undefined;
+  if (isDriver && policy.geofenceMeters > 0) {
+    if (!hasLocation) {
+      throw new BadRequestError('Your location is needed to check in');
+    }
+    if (distance > policy.geofenceMeters) {
+      throw new BadRequestError(`You must be within ${policy.geofenceMeters} meters of the charger to check in`);
+    }
+  }
+
+  const checkedIn = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: { $in: ['confirmed', 'active'] }, 'checkIn.at': null },
+    {
+      $set: {
+        status: 'active',
+        checkIn: {
+          at: now,
+          by: userId,
+          method: qrCode ? 'qr_code' : 'access_code',
+          distanceMeters: distance
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!checkedIn) {
+    throw new BadRequestError('This booking is already checked in');
+  }
+
+  if (isDriver) {
+    await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_CHECKED_IN, { booking: checkedIn });
+  }
+
+  return checkedIn;
+};
+
+/**
+ * Check a driver out, completing the booking and capturing its payment
+ * @param {Object} booking - Booking document
+ * @param {Object} options - { userId, now }
+ * @returns {Promise<Object>} - The completed booking
+ * @throws {BadRequestError} If the driver is not checked in
+ */
+const checkOut = async (booking, { userId, now = new Date() }) => {
+  // Required here, as bookingLifecycle requires this module for the auto check-out window
+  const { completeWithCapture } = require('./bookingLifecycle');
+
+  // Hold the charger's booking lock so the lifecycle job cannot complete it at the same time
+  const completed = await withBookingLock(booking.charger, async () => {
+    const current = await Booking.findById(booking._id);
+    if (!current || current.status !== 'active' || !current.isCheckedIn()) {
+      throw new BadRequestError('This booking is not checked in');
+    }
+
+    current.checkOut = { at: now, by: userId, method: 'manual' };
+    return completeWithCapture(current);
+  });
+
+  await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_COMPLETED, { booking: completed });
+
+  return completed;
+};
+
+module.exports = {
+  getCheckInPolicy,
+  getCheckInQrCode,
+  parseCheckInQrCode,
+  distanceInMeters,
+  checkIn,
+  checkOut
+};
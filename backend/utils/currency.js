@@ -0,0 +1,170 @@
+/**
+ * Currency Utility
+ *
+ * Bookings are priced, charged and paid out in their charger's currency. Reports
+ * that total amounts across currencies convert them to a reporting currency with
+ * rates admins maintain in Settings:
+ * - reportingCurrency: the currency reports are totalled in, e.g. 'USD'
+ * - exchangeRates: { EUR: 1.08, GBP: 1.27 }, the value of one unit of each
+ *   currency in the reporting currency
+ *
+ * Amounts in a currency with no rate are left out of converted totals and listed
+ * as unconverted, so a report never silently adds up different currencies.
+ */
+
+const Settings = require('../models/Settings');
+
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD'];
+
+// Currency of records created before bookings carried one
+const DEFAULT_CURRENCY = 'USD';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Normalise a currency code, which payments store in lower case and chargers in upper case
+ * @param {string} currency - Currency code (may be missing on older records)
+ * @returns {string} - Upper-case currency code
+ */
+const normalizeCurrency = (currency) => (currency || DEFAULT_CURRENCY).toUpperCase();
+
+/**
+ * Format an amount in its currency, e.g. "$12.50" or "€12.50"
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code, in either case (may be missing on older records)
+ * @returns {string} - Formatted amount
+ */
+const formatMoney = (amount, currency) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: normalizeCurrency(currency)
+}).format(amount || 0);
+
+/**
+ * Check a currency setting before it is saved
+ * @param {string} key - Setting key
+ * @param {*} value - New value
+ * @returns {string|null} - Error message, or null if the value is valid (or not a currency setting)
+ */
+const validateCurrencySetting = (key, value) => {
+  if (key === 'reportingCurrency') {
+    return SUPPORTED_CURRENCIES.includes(value) ? null : `Reporting currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`;
+  }
+
+  if (key === 'exchangeRates') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'Exchange rates must be an object of currency codes to rates';
+    }
+    for (const [currency, rate] of Object.entries(value)) {
+      if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        return `Unsupported currency '${currency}' in exchange rates`;
+      }
+      if (typeof rate !== 'number' || !(rate > 0)) {
+        return `Exchange rate for ${currency} must be a positive number`;
+      }
+    }
+    return null;
+  }
+
+  return null;
+};
+
+/**
+ * Get the reporting currency and the rates to convert into it
+ * @returns {Promise<Object>} - { reportingCurrency, rates } where rates includes the reporting currency at 1
+ */
+const getExchangeRates = async () => {
+  const [reportingCurrency, rates] = await Promise.all([
+    Settings.getSetting('reportingCurrency'),
+    Settings.getSetting('exchangeRates')
+  ]);
+  const currency = normalizeCurrency(reportingCurrency);
+
+  return {
+    reportingCurrency: currency,
+    rates: { ...(rates || {}), [currency]: 1 }
+  };
+};
+
+/**
+ * Convert an amount to the reporting currency
+ * @param {number} amount - Amount in `currency`
+ * @param {string} currency - Currency code
+ * @param {Object} exchangeRates - From getExchangeRates
+ * @returns {number|null} - Converted amount, or null if there is no rate for the currency
+ */
+const convertAmount = (amount, currency, exchangeRates) => {
+  const rate = exchangeRates.rates[normalizeCurrency(currency)];
+  return rate ? roundCurrency((amount || 0) * rate) : null;
+};
+
+/**
+ * Total per-currency figures in the reporting currency
+ * @param {Array} rows - [{ currency, <field>: number, ... }], e.g. from a $group on currency
+ * @param {Array} fields - Names of the amount fields to convert and total; other
+ *   numbers (such as counts) are only added up per currency
+ * @param {Object} exchangeRates - From getExchangeRates
+ * @returns {Object} - { reportingCurrency, totals: { <field>: amount }, byCurrency: [row], unconverted: [currency] }
+ */
+const summarizeByCurrency = (rows, fields, exchangeRates) => {
+  const totals = Object.fromEntries(fields.map(field => [field, 0]));
+  const byCurrency = {};
+  const unconverted = new Set();
+
+  // Older records without a currency are merged into the default currency's row
+  for (const { currency: code, ...values } of rows) {
+    const currency = normalizeCurrency(code);
+    const merged = byCurrency[currency] || {};
+    for (const [key, value] of Object.entries(values)) {
+      if (typeof value === 'number') merged[key] = roundCurrency((merged[key] || 0) + value);
+    }
+    byCurrency[currency] = merged;
+  }
+
+  for (const [currency, amounts] of Object.entries(byCurrency)) {
+    for (const field of fields) {
+      const converted = convertAmount(amounts[field], currency, exchangeRates);
+      if (converted === null) {
+        unconverted.add(currency);
+      } else {
+        totals[field] = roundCurrency(totals[field] + converted);
+      }
+    }
+  }
+
+  return {
+    reportingCurrency: exchangeRates.reportingCurrency,
+    totals,
+    byCurrency: Object.entries(byCurrency).map(([currency, amounts]) => ({ currency, ...amounts })),
+    unconverted: [...unconverted]
+  };
+};
+
+/**
+ * Build an aggregation expression that converts an amount to the reporting currency
+ * Amounts in a currency with no rate evaluate to null, which $sum and $avg skip.
+ * @param {string} amountField - Field path of the amount, e.g. '$pricing.totalAmount'
+ * @param {string} currencyField - Field path of its currency, e.g. '$pricing.currency'
+ * @param {Object} exchangeRates - From getExchangeRates
+ * @returns {Object} - Aggregation expression
+ */
+const toReportingCurrencyExpression = (amountField, currencyField, exchangeRates) => ({
+  $switch: {
+    branches: Object.entries(exchangeRates.rates).map(([currency, rate]) => ({
+      case: { $eq: [{ $toUpper: { $ifNull: [currencyField, DEFAULT_CURRENCY] } }, currency] },
+      then: { $multiply: [amountField, rate] }
+    })),
+    default: null
+  }
+});
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  formatMoney,
+  validateCurrencySetting,
+  getExchangeRates,
+  convertAmount,
+  summarizeByCurrency,
+  toReportingCurrencyExpression
+};
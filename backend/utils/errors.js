@@ -44,6 +44,13 @@ class RateLimitError extends AppError {
   }
 }
 
+class PaymentGatewayError extends AppError {
+  constructor(message = 'Payment gateway error', gateway = null) {
+    super(message, 400);
+    this.gateway = gateway;
+  }
+}
+
 module.exports = {
   AppError,
   BadRequestError,
@@ -51,5 +58,6 @@ module.exports = {
   ForbiddenError,
   NotFoundError,
   ConflictError,
-  RateLimitError
+  RateLimitError,
+  PaymentGatewayError
 };
@@ -0,0 +1,152 @@
+/**
+ * Fake Payment Gateway
+ *
+ * Keeps charges in memory so the whole payment flow can run in development and
+ * tests without network access. Like Stripe's test cards, the payment method ID
+ * picks the outcome (see FAKE_PAYMENT_METHODS); any other ID is charged successfully.
+ * Never used in production.
+ */
+
+const crypto = require('crypto');
+const { PaymentGatewayError } = require('./errors');
+
+const FAKE_PAYMENT_METHODS = {
+  DECLINED: 'fake_declined',
+  // Waits for authenticate(), like a card that needs 3-D Secure
+  REQUIRES_ACTION: 'fake_requires_action'
+};
+
+// Matches Stripe's capture window for card authorizations
+const AUTHORIZATION_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+const transactions = new Map();
+
+const generateId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+// Find a transaction, failing like a real gateway does for unknown IDs
+const findTransaction = (transactionId) => {
+  const transaction = transactions.get(transactionId);
+  if (!transaction) {
+    throw new PaymentGatewayError(`No such transaction: ${transactionId}`, 'fake');
+  }
+  return transaction;
+};
+
+// Describe a transaction in the gateway-neutral charge format
+const toCharge = (transaction) => {
+  const requiresAction = transaction.status === 'pending';
+
+  return {
+    id: transaction.id,
+    status: transaction.status,
+    authorizationExpiresAt: transaction.authorizationExpiresAt,
+    paymentMethod: {
+      type: 'card',
+      last4: '4242',
+      brand: 'visa',
+      reference: transaction.paymentMethodId
+    },
+    requiresAction,
+    clientSecret: requiresAction ? `${transaction.id}_secret` : undefined,
+    nextAction: requiresAction ? { type: 'fake_authentication' } : undefined,
+    failureReason: transaction.failureReason
+  };
+};
+
+const fakeGateway = {
+  name: 'fake',
+
+  async charge({ amount, paymentMethodId, capture = true }) {
+    if (paymentMethodId === FAKE_PAYMENT_METHODS.DECLINED) {
+      throw new PaymentGatewayError('Your card was declined.', 'fake');
+    }
+
+    const transaction = {
+      id: generateId('fake_pay'),
+      amount,
+      refundedAmount: 0,
+      paymentMethodId,
+      capture,
+      authorizationExpiresAt: capture ? undefined : new Date(Date.now() + AUTHORIZATION_PERIOD_MS),
+      status: paymentMethodId === FAKE_PAYMENT_METHODS.REQUIRES_ACTION ? 'pending' : (capture ? 'completed' : 'authorized')
+    };
+    transactions.set(transaction.id, transaction);
+
+    return toCharge(transaction);
+  },
+
+  async getStatus(transactionId) {
+    return toCharge(findTransaction(transactionId));
+  },
+
+  async capture(transactionId, amount) {
+    const transaction = findTransaction(transactionId);
+    if (transaction.status !== 'authorized') {
+      throw new PaymentGatewayError(`Cannot capture a ${transaction.status} charge`, 'fake');
+    }
+    if (amount > transaction.amount) {
+      throw new PaymentGatewayError('Capture amount exceeds the amount authorized', 'fake');
+    }
+
+    transaction.amount = amount;
+    transaction.status = 'completed';
+    return toCharge(transaction);
+  },
+
+  async refund(transactionId, amount) {
+    const transaction = findTransaction(transactionId);
+    if (transaction.status !== 'completed') {
+      throw new PaymentGatewayError('Only completed charges can be refunded', 'fake');
+    }
+
+    const refundedAmount = Math.round((transaction.refundedAmount + amount) * 100) / 100;
+    if (refundedAmount > transaction.amount) {
+      throw new PaymentGatewayError('Refund amount exceeds the amount charged', 'fake');
+    }
+
+    transaction.refundedAmount = refundedAmount;
+    return { id: generateId('fake_refund'), amount };
+  },
+
+  async cancel(transactionId) {
+    const transaction = findTransaction(transactionId);
+    if (transaction.status === 'authorized') {
+      transaction.status = 'voided';
+      return;
+    }
+    if (transaction.status !== 'pending') {
+      throw new PaymentGatewayError(`Cannot cancel a ${transaction.status} charge`, 'fake');
+    }
+
+    transaction.status = 'failed';
+    transaction.failureReason = 'Payment was cancelled';
+  },
+
+  // Complete or fail a charge waiting on authentication, as the customer's bank would
+  authenticate(transactionId, succeeded = true) {
+    const transaction = findTransaction(transactionId);
+    if (transaction.status !== 'pending') return;
+
+    transaction.status = succeeded ? (transaction.capture ? 'completed' : 'authorized') : 'failed';
+    transaction.failureReason = succeeded ? undefined : 'Authentication failed';
+  },
+
+  // Let an authorization lapse, as the card issuer does once the capture window closes
+  expire(transactionId) {
+    const transaction = findTransaction(transactionId);
+    if (transaction.status !== 'authorized') return;
+
+    transaction.status = 'expired';
+    transaction.authorizationExpiresAt = new Date();
+  },
+
+  // Forget every charge
+  reset() {
+    transactions.clear();
+  }
+};
+
+module.exports = {
+  FAKE_PAYMENT_METHODS,
+  fakeGateway
+};
@@ -0,0 +1,483 @@
+/**
+ * Ledger Utility
+ *
+ * Keeps the double-entry ledger (models/LedgerEntry) in step with payments, payouts
+ * and wallets:
+ * - charge: debit gateway_clearing (customer_wallet for payments from the wallet) with
+ *   the amount taken, credit platform_revenue with the platform fee, owner_payable with
+ *   the owner's earnings and tax_payable with the tax; fees charged later are a further
+ *   charge for what they added
+ * - refund: the reverse, split between the fee, the owner's earnings and the tax in the
+ *   same proportion as the charge; refunds to the wallet credit customer_wallet
+ * - payout: debit owner_payable, credit gateway_clearing
+ * - top_up: debit gateway_clearing, credit customer_wallet
+ * - reward: debit platform_revenue, which funds referral rewards, credit customer_wallet
+ *
+ * Payment code calls recordPaymentLedger / recordPayoutLedger / recordWalletLedger
+ * after every change to a record's money. Entries are derived from the record's
+ * current state and referenced uniquely, so recording the same payment again only
+ * adds what is missing. Like notifications, recording failures are logged and never
+ * break the calling request; the reconciliation report shows anything that was missed.
+ *
+ * Each entry is in its record's currency, and balances are kept per currency;
+ * reports convert them with the admin-maintained exchange rates.
+ */
+
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payment = require('../models/Payment');
+const Payout = require('../models/Payout');
+const WalletTransaction = require('../models/WalletTransaction');
+const { normalizeCurrency, getExchangeRates, summarizeByCurrency } = require('./currency');
+
+const LEDGER_ACCOUNTS = {
+  GATEWAY_CLEARING: 'gateway_clearing',
+  PLATFORM_REVENUE: 'platform_revenue',
+  OWNER_PAYABLE: 'owner_payable',
+  TAX_PAYABLE: 'tax_payable',
+  CUSTOMER_WALLET: 'customer_wallet'
+};
+
+// Wallet transactions recorded on their own; payments from the wallet are recorded with their Payment
+const WALLET_ENTRY_TYPES = {
+  top_up: { type: 'top_up', debit: LEDGER_ACCOUNTS.GATEWAY_CLEARING },
+  referral_reward: { type: 'reward', debit: LEDGER_ACCOUNTS.PLATFORM_REVENUE }
+};
+
+// Payment statuses in which money has been taken from the driver
+const CHARGED_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const toCents = (amount) => Math.round((amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Write a journal entry unless one with the same reference exists
+ * @param {Object} entry - LedgerEntry fields; zero lines are dropped
+ * @returns {Promise<Object|null>} - The entry, or null if it was already recorded
+ */
+const postEntry = async (entry) => {
+  try {
+    return await LedgerEntry.create({
+      ...entry,
+      lines: entry.lines.filter(line => line.debit > 0 || line.credit > 0)
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Sum what the ledger has recorded for a payment
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Object>} - Cents: { charged, chargedFee, chargedEarnings, chargedTax,
+ *   refundedFee, refundedEarnings, refundedTax, refundedToWallet }
+ */
+const getRecordedPayment = async (paymentId) => {
+  const entries = await LedgerEntry.find({ payment: paymentId });
+  const recorded = {
+    charged: 0,
+    chargedFee: 0,
+    chargedEarnings: 0,
+    chargedTax: 0,
+    refundedFee: 0,
+    refundedEarnings: 0,
+    refundedTax: 0,
+    refundedToWallet: 0
+  };
+  const fundingAccounts = [LEDGER_ACCOUNTS.GATEWAY_CLEARING, LEDGER_ACCOUNTS.CUSTOMER_WALLET];
+
+  for (const entry of entries) {
+    for (const line of entry.lines) {
+      if (entry.type === 'charge' && fundingAccounts.includes(line.account)) {
+        recorded.charged += toCents(line.debit);
+      } else if (entry.type === 'charge' && line.account === LEDGER_ACCOUNTS.PLATFORM_REVENUE) {
+        recorded.chargedFee += toCents(line.credit);
+      } else if (entry.type === 'charge' && line.account === LEDGER_ACCOUNTS.OWNER_PAYABLE) {
+        recorded.chargedEarnings += toCents(line.credit);
+      } else if (entry.type === 'charge' && line.account === LEDGER_ACCOUNTS.TAX_PAYABLE) {
+        recorded.chargedTax += toCents(line.credit);
+      } else if (entry.type === 'refund' && line.account === LEDGER_ACCOUNTS.PLATFORM_REVENUE) {
+        recorded.refundedFee += toCents(line.debit);
+      } else if (entry.type === 'refund' && line.account === LEDGER_ACCOUNTS.OWNER_PAYABLE) {
+        recorded.refundedEarnings += toCents(line.debit);
+      } else if (entry.type === 'refund' && line.account === LEDGER_ACCOUNTS.TAX_PAYABLE) {
+        recorded.refundedTax += toCents(line.debit);
+      } else if (entry.type === 'refund' && line.account === LEDGER_ACCOUNTS.CUSTOMER_WALLET) {
+        recorded.refundedToWallet += toCents(line.credit);
+      }
+    }
+  }
+
+  return recorded;
+};
+
+/**
+ * Record a payment's charge and refunds in the ledger, adding whatever is missing
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Array>} - Entries written
+ */
+const recordPaymentLedger = async (payment) => {
+  try {
+    if (!CHARGED_STATUSES.includes(payment.transaction.status)) return [];
+
+    const written = [];
+    const fromWallet = payment.transaction.gateway === 'wallet';
+    const base = {
+      payment: payment._id,
+      owner: payment.owner,
+      currency: payment.currency || 'usd'
+    };
+
+    // Fees charged after the payment (see utils/sessionFees) raise its total, and are
+    // recorded as a further charge for the difference
+    const totalCents = toCents(payment.amount.total);
+    const charged = await getRecordedPayment(payment._id);
+    if (totalCents > charged.charged) {
+      const first = charged.charged === 0;
+      const charge = await postEntry({
+        ...base,
+        type: 'charge',
+        reference: first ? `charge:${payment._id}` : `charge:${payment._id}:${totalCents}`,
+        description: `${first ? 'Charge' : 'Fees'} for booking ${payment.booking}`,
+        occurredAt: first ? (payment.transaction.processedAt || new Date()) : new Date(),
+        lines: [
+          {
+            account: fromWallet ? LEDGER_ACCOUNTS.CUSTOMER_WALLET : LEDGER_ACCOUNTS.GATEWAY_CLEARING,
+            debit: fromCents(totalCents - charged.charged)
+          },
+          { account: LEDGER_ACCOUNTS.PLATFORM_REVENUE, credit: fromCents(toCents(payment.amount.platformFee) - charged.chargedFee) },
+          { account: LEDGER_ACCOUNTS.OWNER_PAYABLE, credit: fromCents(toCents(payment.amount.ownerEarnings) - charged.chargedEarnings) },
+          { account: LEDGER_ACCOUNTS.TAX_PAYABLE, credit: fromCents(toCents(payment.amount.tax) - charged.chargedTax) }
+        ]
+      });
+      if (charge) written.push(charge);
+    }
+
+    // Refunds are recorded as the difference between the payment's running refund total and the ledger's
+    const refundedCents = toCents(payment.transaction.refundAmount);
+    if (refundedCents > 0) {
+      const share = (amount) => Math.round(toCents(amount) * refundedCents / toCents(payment.amount.total));
+      const refundedEarnings = share(payment.amount.ownerEarnings);
+      const refundedTax = share(payment.amount.tax);
+      const recorded = await getRecordedPayment(payment._id);
+      const earnings = refundedEarnings - recorded.refundedEarnings;
+      const tax = refundedTax - recorded.refundedTax;
+      const fee = refundedCents - refundedEarnings - refundedTax - recorded.refundedFee;
+      // Payments from the wallet are always refunded to it; card payments can be
+      const walletRefundedCents = fromWallet ? refundedCents : toCents(payment.transaction.walletRefundAmount);
+      const toWallet = walletRefundedCents - recorded.refundedToWallet;
+
+      if (earnings + tax + fee > 0) {
+        const refund = await postEntry({
+          ...base,
+          type: 'refund',
+          reference: `refund:${payment._id}:${refundedCents}`,
+          description: `Refund for booking ${payment.booking}`,
+          occurredAt: payment.transaction.refundedAt || new Date(),
+          lines: [
+            { account: LEDGER_ACCOUNTS.PLATFORM_REVENUE, debit: fromCents(fee) },
+            { account: LEDGER_ACCOUNTS.OWNER_PAYABLE, debit: fromCents(earnings) },
+            { account: LEDGER_ACCOUNTS.TAX_PAYABLE, debit: fromCents(tax) },
+            { account: LEDGER_ACCOUNTS.GATEWAY_CLEARING, credit: fromCents(earnings + tax + fee - toWallet) },
+            { account: LEDGER_ACCOUNTS.CUSTOMER_WALLET, credit: fromCents(toWallet) }
+          ]
+        });
+        if (refund) written.push(refund);
+      }
+    }
+
+    return written;
+  } catch (error) {
+    console.error(`Failed to record payment ${payment._id} in the ledger:`, error);
+    return [];
+  }
+};
+
+/**
+ * Record a paid payout in the ledger
+ * @param {Object} payout - Payout document
+ * @returns {Promise<Object|null>} - Entry written, or null
+ */
+const recordPayoutLedger = async (payout) => {
+  try {
+    if (payout.status !== 'paid') return null;
+
+    return await postEntry({
+      type: 'payout',
+      reference: `payout:${payout._id}`,
+      payout: payout._id,
+      owner: payout.owner,
+      currency: payout.currency,
+      description: `Payout ${payout.transfer && payout.transfer.id ? payout.transfer.id : payout._id}`,
+      occurredAt: payout.paidAt || new Date(),
+      lines: [
+        { account: LEDGER_ACCOUNTS.OWNER_PAYABLE, debit: payout.amount },
+        { account: LEDGER_ACCOUNTS.GATEWAY_CLEARING, credit: payout.amount }
+      ]
+    });
+  } catch (error) {
+    console.error(`Failed to record payout ${payout._id} in the ledger:`, error);
+    return null;
+  }
+};
+
+/**
+ * Record a completed top-up or referral reward in the ledger
+ * @param {Object} walletTransaction - WalletTransaction document
+ * @returns {Promise<Object|null>} - Entry written, or null
+ */
+const recordWalletLedger = async (walletTransaction) => {
+  try {
+    const entryType = WALLET_ENTRY_TYPES[walletTransaction.type];
+    if (!entryType || walletTransaction.status !== 'completed') return null;
+
+    return await postEntry({
+      type: entryType.type,
+      reference: `${entryType.type}:${walletTransaction._id}`,
+      walletTransaction: walletTransaction._id,
+      currency: walletTransaction.currency,
+      description: walletTransaction.description,
+      occurredAt: walletTransaction.createdAt || new Date(),
+      lines: [
+        { account: entryType.debit, debit: walletTransaction.amount },
+        { account: LEDGER_ACCOUNTS.CUSTOMER_WALLET, credit: walletTransaction.amount }
+      ]
+    });
+  } catch (error) {
+    console.error(`Failed to record wallet transaction ${walletTransaction._id} in the ledger:`, error);
+    return null;
+  }
+};
+
+/**
+ * Get platform revenue (fees less refunded fees) from the ledger
+ * @param {Object} dateFilter - Optional occurredAt filter, e.g. { $gte: date }
+ * @returns {Promise<Object>} - { revenue, reportingCurrency, byCurrency, unconverted, charges }
+ *   where revenue is in the reporting currency and charges counts charge entries
+ */
+const getPlatformRevenue = async (dateFilter = null) => {
+  const match = dateFilter ? { occurredAt: dateFilter } : {};
+  const totals = await LedgerEntry.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': LEDGER_ACCOUNTS.PLATFORM_REVENUE } },
+    {
+      $group: {
+        _id: '$currency',
+        revenue: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } }
+      }
+    }
+  ]);
+  const summary = summarizeByCurrency(
+    totals.map(({ _id, revenue }) => ({ currency: _id, revenue })),
+    ['revenue'],
+    await getExchangeRates()
+  );
+
+  return {
+    revenue: summary.totals.revenue,
+    reportingCurrency: summary.reportingCurrency,
+    byCurrency: summary.byCurrency,
+    unconverted: summary.unconverted,
+    charges: await LedgerEntry.countDocuments({ ...match, type: 'charge' })
+  };
+};
+
+/**
+ * Compare the ledger with the payment and payout records it should reflect
+ * @param {Object} options - { startDate, endDate } limit the payments, payouts and entries checked
+ * @returns {Promise<Object>} - Reconciliation report
+ */
+const reconcileLedger = async ({ startDate, endDate } = {}) => {
+  const range = {};
+  if (startDate) range.$gte = new Date(startDate);
+  if (endDate) range.$lte = new Date(endDate);
+  const hasRange = Object.keys(range).length > 0;
+  const entryMatch = hasRange ? { occurredAt: range } : {};
+
+  // Trial balance per currency: every entry balances, so total debits must equal total credits
+  const currencies = await LedgerEntry.distinct('currency', entryMatch);
+  const trialBalance = [];
+  for (const currency of currencies.sort()) {
+    const accounts = await LedgerEntry.getAccountBalances({ ...entryMatch, currency });
+    const totalDebits = Object.values(accounts).reduce((sum, account) => sum + toCents(account.debits), 0);
+    const totalCredits = Object.values(accounts).reduce((sum, account) => sum + toCents(account.credits), 0);
+    const net = (account) => fromCents(toCents(accounts[account].credits) - toCents(accounts[account].debits));
+
+    trialBalance.push({
+      currency,
+      accounts,
+      totalDebits: fromCents(totalDebits),
+      totalCredits: fromCents(totalCredits),
+      balanced: totalDebits === totalCredits,
+      grossVolume: accounts[LEDGER_ACCOUNTS.GATEWAY_CLEARING].debits,
+      platformRevenue: net(LEDGER_ACCOUNTS.PLATFORM_REVENUE),
+      ownerPayable: net(LEDGER_ACCOUNTS.OWNER_PAYABLE),
+      taxPayable: net(LEDGER_ACCOUNTS.TAX_PAYABLE),
+      walletBalance: net(LEDGER_ACCOUNTS.CUSTOMER_WALLET)
+    });
+  }
+
+  const unbalancedEntries = await LedgerEntry.aggregate([
+    { $match: entryMatch },
+    {
+      $project: {
+        reference: 1,
+        currency: 1,
+        debits: { $round: [{ $sum: '$lines.debit' }, 2] },
+        credits: { $round: [{ $sum: '$lines.credit' }, 2] }
+      }
+    },
+    { $match: { $expr: { $ne: ['$debits', '$credits'] } } }
+  ]);
+
+  // Payments: the ledger's charge and refunds should match each payment
+  const paymentQuery = { 'transaction.status': { $in: CHARGED_STATUSES } };
+  if (hasRange) paymentQuery['transaction.processedAt'] = range;
+  const payments = await Payment.find(paymentQuery);
+  const ledgerPaymentIds = await LedgerEntry.distinct('payment', { ...entryMatch, payment: { $ne: null } });
+  const paymentIds = new Set(payments.map(payment => payment._id.toString()));
+  const orphanIds = ledgerPaymentIds.filter(id => !paymentIds.has(id.toString()));
+  const orphanPayments = await Payment.find({ _id: { $in: orphanIds } });
+
+  const paymentDiscrepancies = [];
+  for (const payment of [...payments, ...orphanPayments]) {
+    const charged = CHARGED_STATUSES.includes(payment.transaction.status);
+    const expected = {
+      charged: charged ? toCents(payment.amount.total) : 0,
+      refunded: charged ? toCents(payment.transaction.refundAmount) : 0
+    };
+    const recorded = await getRecordedPayment(payment._id);
+    const recordedRefund = recorded.refundedFee + recorded.refundedEarnings + recorded.refundedTax;
+
+    if (expected.charged !== recorded.charged || expected.refunded !== recordedRefund) {
+      paymentDiscrepancies.push({
+        payment: payment._id,
+        status: payment.transaction.status,
+        currency: payment.currency,
+        expected: { charged: fromCents(expected.charged), refunded: fromCents(expected.refunded) },
+        recorded: { charged: fromCents(recorded.charged), refunded: fromCents(recordedRefund) }
+      });
+    }
+  }
+
+  // Payouts: every paid payout should have exactly its amount recorded
+  const payoutQuery = { status: 'paid' };
+  if (hasRange) payoutQuery.paidAt = range;
+  const payouts = await Payout.find(payoutQuery);
+  const payoutEntries = await LedgerEntry.find({ type: 'payout', payout: { $in: payouts.map(payout => payout._id) } });
+
+  const payoutDiscrepancies = [];
+  for (const payout of payouts) {
+    const entry = payoutEntries.find(item => item.payout.equals(payout._id));
+    const recorded = entry ? entry.lines.reduce((sum, line) => sum + toCents(line.debit), 0) : 0;
+
+    if (recorded !== toCents(payout.amount)) {
+      payoutDiscrepancies.push({
+        payout: payout._id,
+        currency: payout.currency,
+        expected: payout.amount,
+        recorded: fromCents(recorded)
+      });
+    }
+  }
+
+  // Wallets: every completed top-up and referral reward should have exactly its amount recorded
+  const walletQuery = { type: { $in: Object.keys(WALLET_ENTRY_TYPES) }, status: 'completed' };
+  if (hasRange) walletQuery.createdAt = range;
+  const walletTransactions = await WalletTransaction.find(walletQuery);
+  const walletEntries = await LedgerEntry.find({
+    walletTransaction: { $in: walletTransactions.map(transaction => transaction._id) }
+  });
+
+  const walletDiscrepancies = [];
+  for (const transaction of walletTransactions) {
+    const entry = walletEntries.find(item => item.walletTransaction.equals(transaction._id));
+    const recorded = entry ? entry.lines.reduce((sum, line) => sum + toCents(line.debit), 0) : 0;
+
+    if (recorded !== toCents(transaction.amount)) {
+      walletDiscrepancies.push({
+        walletTransaction: transaction._id,
+        type: transaction.type,
+        currency: transaction.currency,
+        expected: transaction.amount,
+        recorded: fromCents(recorded)
+      });
+    }
+  }
+
+  // Owners: what the ledger says each owner is owed in each currency, against
+  // their earnings less payouts (all time)
+  const ownerBalances = await LedgerEntry.aggregate([
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': LEDGER_ACCOUNTS.OWNER_PAYABLE } },
+    {
+      $group: {
+        _id: { owner: '$owner', currency: '$currency' },
+        balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } }
+      }
+    }
+  ]);
+  const ownerDiscrepancies = [];
+  for (const { _id: { owner: ownerId, currency }, balance } of ownerBalances) {
+    const inCurrency = (record) => normalizeCurrency(record.currency) === normalizeCurrency(currency);
+    const ownerPayments = await Payment.find({ owner: ownerId, 'transaction.status': { $in: CHARGED_STATUSES } });
+    const earnings = ownerPayments.filter(inCurrency)
+      .reduce((sum, payment) => sum + toCents(payment.getNetOwnerEarnings()), 0);
+    const ownerPayouts = await Payout.find({ owner: new mongoose.Types.ObjectId(ownerId), status: 'paid' });
+    const paidOut = ownerPayouts.filter(inCurrency).reduce((sum, payout) => sum + toCents(payout.amount), 0);
+    const expected = earnings - paidOut;
+
+    // A cent either way is rounding in the refund split
+    if (Math.abs(expected - toCents(balance)) > 1) {
+      ownerDiscrepancies.push({
+        owner: ownerId,
+        currency,
+        expected: fromCents(expected),
+        recorded: fromCents(toCents(balance))
+      });
+    }
+  }
+
+  const discrepancies = unbalancedEntries.length + paymentDiscrepancies.length +
+    payoutDiscrepancies.length + walletDiscrepancies.length + ownerDiscrepancies.length;
+
+  // Headline figures in the reporting currency
+  const totals = summarizeByCurrency(
+    trialBalance.map(({ currency, grossVolume, platformRevenue, ownerPayable, taxPayable, walletBalance }) => ({
+      currency, grossVolume, platformRevenue, ownerPayable, taxPayable, walletBalance
+    })),
+    ['grossVolume', 'platformRevenue', 'ownerPayable', 'taxPayable', 'walletBalance'],
+    await getExchangeRates()
+  );
+
+  return {
+    period: { startDate: range.$gte || null, endDate: range.$lte || null },
+    reconciled: discrepancies === 0 && trialBalance.every(balance => balance.balanced),
+    trialBalance,
+    summary: {
+      ...totals.totals,
+      reportingCurrency: totals.reportingCurrency,
+      unconvertedCurrencies: totals.unconverted,
+      paymentsChecked: payments.length + orphanPayments.length,
+      payoutsChecked: payouts.length,
+      walletTransactionsChecked: walletTransactions.length,
+      discrepancies
+    },
+    unbalancedEntries,
+    paymentDiscrepancies,
+    payoutDiscrepancies,
+    walletDiscrepancies,
+    ownerDiscrepancies
+  };
+};
+
+module.exports = {
+  LEDGER_ACCOUNTS,
+  recordPaymentLedger,
+  recordPayoutLedger,
+  recordWalletLedger,
+  getPlatformRevenue,
+  reconcileLedger
+};
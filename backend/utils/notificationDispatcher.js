@@ -0,0 +1,446 @@
+/**
+ * Notification Dispatcher
+ *
+ * Central entry point for domain events that users should hear about.
+ * Controllers call dispatchNotification(event, payload) and this module decides:
+ * - Who is notified (booking parties, payer, or all admins)
+ * - Which Notification type is stored in-app
+ * - Which email is sent through notificationService.sendEmail
+ *
+ * Each recipient's notificationSettings decide which channels are used.
+ * Dispatch failures are logged and never break the calling request.
+ */
+
+const User = require('../models/User');
+const { sendEmail, createInAppNotification } = require('./notificationService');
+const { getReceiptAttachments } = require('./receipts');
+const { formatMoney } = require('./currency');
+
+// Domain events controllers can dispatch
+const NOTIFICATION_EVENTS = {
+  BOOKING_CREATED: 'BOOKING_CREATED',
+  BOOKING_CONFIRMED: 'BOOKING_CONFIRMED',
+  BOOKING_ACCEPTED: 'BOOKING_ACCEPTED',
+  BOOKING_DECLINED: 'BOOKING_DECLINED',
+  BOOKING_CANCELLED: 'BOOKING_CANCELLED',
+  BOOKING_MODIFIED: 'BOOKING_MODIFIED',
+  BOOKING_MODIFICATION_REQUESTED: 'BOOKING_MODIFICATION_REQUESTED',
+  BOOKING_MODIFICATION_DECLINED: 'BOOKING_MODIFICATION_DECLINED',
+  BOOKING_STARTED: 'BOOKING_STARTED',
+  BOOKING_CHECKED_IN: 'BOOKING_CHECKED_IN',
+  BOOKING_COMPLETED: 'BOOKING_COMPLETED',
+  BOOKING_EXPIRED: 'BOOKING_EXPIRED',
+  BOOKING_NO_SHOW: 'BOOKING_NO_SHOW',
+  PAYMENT_PROCESSED: 'PAYMENT_PROCESSED',
+  PAYMENT_FAILED: 'PAYMENT_FAILED',
+  PAYMENT_REFUNDED: 'PAYMENT_REFUNDED',
+  SESSION_FEE_CHARGED: 'SESSION_FEE_CHARGED',
+  REFUND_REQUESTED: 'REFUND_REQUESTED',
+  PAYMENT_DISPUTED: 'PAYMENT_DISPUTED',
+  PAYOUT_PAID: 'PAYOUT_PAID',
+  PAYOUT_FAILED: 'PAYOUT_FAILED',
+  PAYOUT_RETRIES_EXHAUSTED: 'PAYOUT_RETRIES_EXHAUSTED',
+  REFERRAL_REWARDED: 'REFERRAL_REWARDED',
+  MESSAGE_REPORTED: 'MESSAGE_REPORTED'
+};
+
+// User.notificationSettings keys that control each category
+// Categories without an entry (e.g. admin alerts) are always delivered
+const CHANNEL_SETTINGS = {
+  booking: { inApp: 'pushBookingUpdates', email: 'emailBookingUpdates' },
+  message: { inApp: 'pushMessages', email: 'emailMessages' }
+};
+
+const formatTime = (date) => new Date(date).toLocaleString();
+
+// Messages can quote text users wrote, such as cancellation and decline reasons
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const bookingWindow = (booking) =>
+  `${formatTime(booking.schedule.startTime)} - ${formatTime(booking.schedule.endTime)}`;
+
+/**
+ * Event handlers
+ * Each returns (or resolves to) the notifications to deliver. A notification targets either
+ * `recipients` (user IDs) or `recipientRole` (every active user with that role),
+ * and may carry email `attachments`.
+ */
+const eventHandlers = {
+  [NOTIFICATION_EVENTS.BOOKING_CREATED]: ({ booking }) => [{
+    recipients: [booking.owner],
+    type: 'BOOKING_CREATED',
+    category: 'booking',
+    subject: 'New Booking Request - EvChargerShare',
+    message: booking.approval && booking.approval.status === 'awaiting'
+      ? `You have a new booking request for ${bookingWindow(booking)}. Please accept or decline it by ${formatTime(booking.approval.respondBy)}.`
+      : `You have a new booking request for ${bookingWindow(booking)}.`,
+    link: `/bookings/${booking._id}`,
+    data: { bookingId: booking._id }
+  }],
+
+  [NOTIFICATION_EVENTS.BOOKING_CONFIRMED]: ({ booking }) => [{
+    recipients: [booking.user],
+    type: 'BOOKING_CONFIRMED',
+    category: 'booking',
+    subject: 'Charging Session Confirmed - EvChargerShare',
+    message: `Your booking for ${bookingWindow(booking)} has been confirmed.`,
+    link: `/bookings/${booking._id}`,
+    data: { bookingId: booking._id }
+  }],
+
+  [NOTIFICATION_EVENTS.BOOKING_ACCEPTED]: ({ booking }) => [{
+    recipients: [booking.user],
+    type: 'BOOKING_ACCEPTED',
+    category: 'booking',
+    subject: 'Booking Request Accepted - EvChargerShare',
+    message: `Your booking request for ${bookingWindow(booking)} has been accepted. Pay for it to confirm your booking.`,
+    link: `/bookings/${booking._id}`,
+    data: { bookingId: booking._id }
+  }],
+
+  [NOTIFICATION_EVENTS.BOOKING_DECLINED]: ({ booking, expired }) => [{
+    recipients: [booking.user],
+    type: 'BOOKING_DECLINED',
+    category: 'booking',
+    subject: 'Booking Request Declined - EvChargerShare',
+    message: expired
+      ? `Your booking request for ${bookingWindow(booking)} was declined because the owner did not respond in time. Any payment has been released.`
+      : `Your booking request for ${bookingWindow(booking)} was declined.${booking.approval.declineReason ? ` Reason: ${booking.approval.declineReason}` : ''} Any payment has been released.`,
+    link: `/bookings/${booking._id}`,
+    data: { bookingId: booking._id }
+  }],
+
+  [NOTIFICATION_EVENTS.BOOKING_CANCELLED]: ({ booking, cancelledBy, reason }) => {
+    // Tell whichever party did not cancel; admins cancelling notify both
+    const recipients = [booking.user, booking.owner].filter(
+      id => !cancelledBy || id.toString() !== cancelledBy.toString()
+    );
+
+    return [{
+      recipients,
+      type: 'BOOKING_CANCELLED',
+      category: 'booking',
+      subject: 'Booking Cancelled - EvChargerShare',
+      message: `The booking for ${bookingWindow(booking)} has been cancelled.${reason ? ` Reason: ${reason}` : ''}`,
+      link: `/bookings/${booking._id}`,
+      data: { bookingId: booking._id, reason }
+    }];
+  },
+
+  [NOTIFICATION_EVENTS.BOOKING_MODIFIED]: ({ booking }) => [{
+    recipients: [booking.user, booking.owner],
+    type: 'BOOKING_MODIFIED',
+    category: 'booking',
+    subject: 'Booking Changed - EvChargerShare',
+    message: `The booking has been changed to ${bookingWindow(booking)}. The new total is ${formatMoney(booking.pricing.totalAmount, booking.pricing.currency)}.`,
+    link: `/bookings/${booking._id}`,
+    data: { bookingId: booking._id }
+  }],
+
+  [NOTIFICATION_EVENTS.BOOKING_MODIFICATION_REQUESTED]: ({ booking }) => [{
+    recipients: [booking.owner],
+    type: 'BOOKING_MODIFICATION_REQUESTED',
+    category: 'booking',
+    subject: 'Booking Change Requested - EvChargerShare',
+    message: `The driver for ${bookingWindow(booking)} would like to change it to ${formatTime(booking.modification.startTime)} - ${formatTime(booking.modification.endTime)}. Please accept or decline the change by ${formatTime(booking.modification.respondBy)}.`,
+    link: `/bookings/${booking._id}`,
+    data: { bookingId: booking._id }
+  }],
+
+  [NOTIFICATION_EVENTS.BOOKING_MODIFICATION_DECLINED]: ({ booking, expired }) => [{
+    recipients: [booking.user],
+    type: 'BOOKING_MODIFICATION_DECLINED',
+    category: 'booking',
+    subject: 'Booking Change Declined - EvChargerShare',
+    message: expired
+      ? `Your change to the booking for ${bookingWindow(booking)} was declined because the owner did not respond in time. The booking is unchanged.`
+      : `Your change to the booking for ${bookingWindow(booking)} was declined.${booking.modification.declineReason ? ` Reason: ${booking.modification.declineReason}` : ''} The booking is unchanged.`,
+    link: `/bookings/${booking._id}`,
+    data: { bookingId: booking._id }
+  }],
+
+  [NOTIFICATION_EVENTS.BOOKING_STARTED]: ({ booking }) => [{
+    recipients: [booking.user, booking.owner],
+    type: 'BOOKING_STARTED',
+    category: 'booking',
+    subject: 'Charging Session Started - EvChargerShare',
+    message: `The charging session for ${bookingWindow(booking)} has started.`,
+    link: `/bookings/${booking._id}`,
+    data: { bookingId: booking._id }
+  }],
+
+  [NOTIFICATION_EVENTS.BOOKING_CHECKED_IN]: ({ booking }) => {
+    const lateMinutes = booking.getLateArrivalMinutes();
+    return [{
+      recipients: [booking.owner],
+      type: 'BOOKING_CHECKED_IN',
+      category: 'booking',
+      subject: 'Driver Checked In - EvChargerShare',
+      message: `The driver for ${bookingWindow(booking)} has checked in${lateMinutes > 0 ? `, ${lateMinutes} minutes late` : ''}.`,
+      link: `/bookings/${booking._id}`,
+      data: { bookingId: booking._id }
+    }];
+  },
+
+  [NOTIFICATION_EVENTS.BOOKING_EXPIRED]: ({ booking }) => [{
+    recipients: [booking.user],
+    type: 'BOOKING_EXPIRED',
+    category: 'booking',
+    subject: 'Booking Expired - EvChargerShare',
+    message: `Your booking for ${bookingWindow(booking)} expired because it was not paid in time. The time slot has been released.`,
+    link: `/bookings/${booking._id}`,
+    data: { bookingId: booking._id }
+  }],
+
+  [NOTIFICATION_EVENTS.BOOKING_NO_SHOW]: ({ booking, fee }) => [
+    {
+      recipients: [booking.user],
+      type: 'BOOKING_NO_SHOW',
+      category: 'booking',
+      subject: 'Missed Booking - EvChargerShare',
+      message: `You did not check in for your booking for ${bookingWindow(booking)}, so it has been marked as a no-show.${fee > 0 ? ` A no-show fee of ${formatMoney(fee, booking.pricing.currency)} was kept and the rest of your payment released.` : ''}`,
+      link: `/bookings/${booking._id}`,
+      data: { bookingId: booking._id }
+    },
+    {
+      recipients: [booking.owner],
+      type: 'BOOKING_NO_SHOW',
+      category: 'booking',
+      subject: 'Driver Did Not Show Up - EvChargerShare',
+      message: `The driver for ${bookingWindow(booking)} did not check in and the booking has been marked as a no-show.${fee > 0 ? ` They were charged a no-show fee of ${formatMoney(fee, booking.pricing.currency)}.` : ''}`,
+      link: `/bookings/${booking._id}`,
+      data: { bookingId: booking._id }
+    }
+  ],
+
+  [NOTIFICATION_EVENTS.BOOKING_COMPLETED]: ({ booking }) => [{
+    recipients: [booking.user, booking.owner],
+    type: 'BOOKING_COMPLETED',
+    category: 'booking',
+    subject: 'Charging Session Completed - EvChargerShare',
+    message: `The charging session for ${bookingWindow(booking)} has been completed.`,
+    link: `/bookings/${booking._id}`,
+    data: { bookingId: booking._id }
+  }],
+
+  [NOTIFICATION_EVENTS.PAYMENT_PROCESSED]: async ({ payment }) => [{
+    recipients: [payment.user],
+    type: 'PAYMENT_PROCESSED',
+    category: 'booking',
+    subject: 'Payment Confirmation - EvChargerShare',
+    message: `Your payment of ${formatMoney(payment.amount.total, payment.currency)} has been processed successfully. Your receipt is attached.`,
+    link: `/bookings/${payment.booking}`,
+    data: { paymentId: payment._id, bookingId: payment.booking },
+    attachments: await getReceiptAttachments(payment)
+  }],
+
+  [NOTIFICATION_EVENTS.PAYMENT_FAILED]: ({ booking, reason }) => [{
+    recipients: [booking.user],
+    type: 'PAYMENT_FAILED',
+    category: 'booking',
+    subject: 'Payment Failed - EvChargerShare',
+    message: `Your payment for the booking on ${formatTime(booking.schedule.startTime)} could not be processed.${reason ? ` ${reason}` : ''}`,
+    link: `/bookings/${booking._id}`,
+    data: { bookingId: booking._id }
+  }],
+
+  [NOTIFICATION_EVENTS.SESSION_FEE_CHARGED]: ({ payment, fee }) => {
+    const label = fee.type === 'no_show' ? 'a no-show fee' : `an overstay fee for ${fee.minutes} minutes`;
+    const charged = fee.status === 'completed';
+    const type = charged ? 'SESSION_FEE_CHARGED' : 'SESSION_FEE_FAILED';
+    const link = `/bookings/${payment.booking}`;
+    const data = { paymentId: payment._id, bookingId: payment.booking };
+    return [
+      {
+        recipients: [payment.user],
+        type,
+        category: 'booking',
+        subject: charged ? 'Fee Charged - EvChargerShare' : 'Fee Payment Failed - EvChargerShare',
+        message: charged
+          ? `You have been charged ${formatMoney(fee.amount, payment.currency)} as ${label}.`
+          : `We could not charge you ${formatMoney(fee.amount, payment.currency)} as ${label}.${fee.failureReason ? ` ${fee.failureReason}` : ''}`,
+        link,
+        data
+      },
+      {
+        recipients: [payment.owner],
+        type,
+        category: 'booking',
+        subject: charged ? 'Fee Charged - EvChargerShare' : 'Fee Payment Failed - EvChargerShare',
+        message: charged
+          ? `The driver was charged ${formatMoney(fee.amount, payment.currency)} as ${label}. Your share is added to your earnings.`
+          : `The driver could not be charged ${formatMoney(fee.amount, payment.currency)} as ${label}.`,
+        link,
+        data
+      }
+    ];
+  },
+
+  [NOTIFICATION_EVENTS.PAYMENT_REFUNDED]: ({ payment, refundAmount, toWallet }) => [{
+    recipients: [payment.user],
+    type: 'PAYMENT_REFUNDED',
+    category: 'booking',
+    subject: 'Refund Processed - EvChargerShare',
+    message: toWallet || payment.transaction.gateway === 'wallet'
+      ? `A refund of ${formatMoney(refundAmount, payment.currency)} for your booking has been added to your wallet.`
+      : `A refund of ${formatMoney(refundAmount, payment.currency)} has been issued for your booking.`,
+    link: `/bookings/${payment.booking}`,
+    data: { paymentId: payment._id, bookingId: payment.booking, refundAmount }
+  }],
+
+  [NOTIFICATION_EVENTS.PAYMENT_DISPUTED]: ({ payment }) => [{
+    recipientRole: 'admin',
+    type: 'SYSTEM_NOTIFICATION',
+    title: 'Payment Disputed',
+    subject: 'Payment Disputed - EvChargerShare',
+    message: `A payment of ${formatMoney(payment.amount.total, payment.currency)} has been disputed. Reason: ${payment.dispute.reason || 'not given'}`,
+    link: '/admin/payments',
+    data: { paymentId: payment._id, bookingId: payment.booking, disputeId: payment.dispute.id }
+  }],
+
+  [NOTIFICATION_EVENTS.PAYOUT_PAID]: ({ payout }) => [{
+    recipients: [payout.owner],
+    type: 'PAYOUT_PAID',
+    subject: 'Payout Sent - EvChargerShare',
+    message: `A payout of ${formatMoney(payout.amount, payout.currency)} has been sent to your payout account.`,
+    link: '/dashboard',
+    data: { payoutId: payout._id, amount: payout.amount }
+  }],
+
+  [NOTIFICATION_EVENTS.PAYOUT_FAILED]: ({ payout }) => [{
+    recipients: [payout.owner],
+    type: 'PAYOUT_FAILED',
+    subject: 'Payout Failed - EvChargerShare',
+    message: `Your payout of ${formatMoney(payout.amount, payout.currency)} could not be sent. ${payout.failureReason || ''} Please check your payout account.`,
+    link: '/dashboard',
+    data: { payoutId: payout._id, amount: payout.amount }
+  }],
+
+  [NOTIFICATION_EVENTS.PAYOUT_RETRIES_EXHAUSTED]: ({ payout }) => [{
+    recipientRole: 'admin',
+    type: 'SYSTEM_NOTIFICATION',
+    title: 'Payout Needs Attention',
+    subject: 'Payout Failed After All Retries - EvChargerShare',
+    message: `A payout of ${formatMoney(payout.amount, payout.currency)} failed ${payout.attempts} times and will not be retried automatically. ${payout.failureReason || ''} Retry it once the problem is fixed.`,
+    link: '/admin/payments',
+    data: { payoutId: payout._id, ownerId: payout.owner, amount: payout.amount }
+  }],
+
+  [NOTIFICATION_EVENTS.REFERRAL_REWARDED]: ({ referrerId, invitee, amount, currency }) => [{
+    recipients: [referrerId],
+    type: 'REFERRAL_REWARDED',
+    subject: 'You Earned Referral Credit - EvChargerShare',
+    message: `${invitee.profile.firstName} completed their first charge, so ${formatMoney(amount, currency)} of credit has been added to your wallet.`,
+    link: '/account',
+    data: { amount, currency }
+  }],
+
+  [NOTIFICATION_EVENTS.REFUND_REQUESTED]: ({ payment, reason }) => [{
+    recipientRole: 'admin',
+    type: 'SYSTEM_NOTIFICATION',
+    title: 'Refund Requested',
+    subject: 'Refund Request Pending Review - EvChargerShare',
+    message: `A refund of ${formatMoney(payment.amount.total, payment.currency)} was requested. Reason: ${reason}`,
+    link: '/admin/payments',
+    data: { paymentId: payment._id, bookingId: payment.booking, reason }
+  }],
+
+  [NOTIFICATION_EVENTS.MESSAGE_REPORTED]: ({ message, reason }) => [{
+    recipientRole: 'admin',
+    type: 'SYSTEM_NOTIFICATION',
+    title: 'Message Reported',
+    subject: 'Reported Message Pending Review - EvChargerShare',
+    message: `A message was reported for moderation. Reason: ${reason}`,
+    link: '/admin/moderation',
+    data: { messageId: message._id, bookingId: message.booking, reason }
+  }]
+};
+
+/**
+ * Load the users a notification is addressed to
+ * @param {Object} notification - Notification produced by an event handler
+ * @returns {Promise<Array>} - Recipient user documents
+ */
+const resolveRecipients = (notification) => {
+  const select = 'email role profile.firstName notificationSettings';
+
+  if (notification.recipientRole) {
+    return User.find({ role: notification.recipientRole, status: 'active' }).select(select);
+  }
+
+  const ids = notification.recipients.map(recipient => recipient._id || recipient);
+  return User.find({ _id: { $in: ids } }).select(select);
+};
+
+/**
+ * Deliver one notification to one user on the channels they allow
+ * @param {Object} user - Recipient user document
+ * @param {Object} notification - Notification produced by an event handler
+ * @returns {Promise<Object>} - Which channels were used
+ */
+const deliver = async (user, notification) => {
+  const settingKeys = CHANNEL_SETTINGS[notification.category];
+  const preferences = user.notificationSettings || {};
+  const inApp = !settingKeys || preferences[settingKeys.inApp] !== false;
+  const email = !settingKeys || preferences[settingKeys.email] !== false;
+
+  if (inApp) {
+    await createInAppNotification(
+      user._id,
+      notification.type,
+      notification.message,
+      notification.data,
+      { title: notification.title, link: notification.link }
+    );
+  }
+
+  if (email && user.email) {
+    const url = `${process.env.FRONTEND_URL || ''}${notification.link || ''}`;
+    const text = `Hello ${user.profile?.firstName || ''},\n\n${notification.message}\n\nView details: ${url}\n\nThe EvChargerShare Team`;
+    const html = `
+    <p>Hello ${escapeHtml(user.profile?.firstName || '')},</p>
+    <p>${escapeHtml(notification.message)}</p>
+    <p><a href="${escapeHtml(url)}">View details</a></p>
+    <p>The EvChargerShare Team</p>
+  `;
+
+    await sendEmail(user.email, notification.subject, text, html, notification.attachments);
+  }
+
+  return { userId: user._id, type: notification.type, inApp, email };
+};
+
+/**
+ * Dispatch a domain event to everyone who should hear about it
+ * @param {string} event - Event name (use NOTIFICATION_EVENTS constants)
+ * @param {Object} payload - Event data (booking, payment, message, reason, ...)
+ * @returns {Promise<Array>} - Delivery results, one per recipient
+ */
+const dispatchNotification = async (event, payload = {}) => {
+  try {
+    const handler = eventHandlers[event];
+    if (!handler) {
+      throw new Error(`Unknown notification event: ${event}`);
+    }
+
+    const results = [];
+    for (const notification of await handler(payload)) {
+      const recipients = await resolveRecipients(notification);
+      for (const user of recipients) {
+        results.push(await deliver(user, notification));
+      }
+    }
+
+    return results;
+  } catch (error) {
+    console.error('[NOTIFICATION DISPATCH ERROR]', error);
+    // Don't throw error - notifications should not break the application flow
+    return [];
+  }
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  dispatchNotification
+};
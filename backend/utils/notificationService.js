@@ -3,11 +3,44 @@
  * 
  * This utility provides functions to send notifications to users through various channels:
  * - Email notifications
- * - In-app notifications (to be stored in database)
+ * - In-app notifications (stored in the Notification collection and pushed over Socket.io)
  * - Push notifications (for future implementation)
  */
 
 const nodemailer = require('nodemailer');
+const Notification = require('../models/Notification');
+const { emitToUser } = require('./socket');
+
+// Default in-app titles by notification type
+const NOTIFICATION_TITLES = {
+  BOOKING_CREATED: 'New Booking Request',
+  BOOKING_CONFIRMED: 'Booking Confirmed',
+  BOOKING_ACCEPTED: 'Booking Request Accepted',
+  BOOKING_DECLINED: 'Booking Request Declined',
+  BOOKING_CANCELLED: 'Booking Cancelled',
+  BOOKING_MODIFIED: 'Booking Changed',
+  BOOKING_MODIFICATION_REQUESTED: 'Booking Change Requested',
+  BOOKING_MODIFICATION_DECLINED: 'Booking Change Declined',
+  BOOKING_STARTED: 'Charging Session Started',
+  BOOKING_CHECKED_IN: 'Driver Checked In',
+  BOOKING_COMPLETED: 'Booking Completed',
+  BOOKING_EXPIRED: 'Booking Expired',
+  BOOKING_NO_SHOW: 'Booking Missed',
+  PAYMENT_PROCESSED: 'Payment Received',
+  PAYMENT_REFUNDED: 'Refund Processed',
+  PAYMENT_FAILED: 'Payment Failed',
+  SESSION_FEE_CHARGED: 'Fee Charged',
+  SESSION_FEE_FAILED: 'Fee Payment Failed',
+  PAYOUT_PAID: 'Payout Sent',
+  PAYOUT_FAILED: 'Payout Failed',
+  REFERRAL_REWARDED: 'Referral Credit Earned',
+  MESSAGE_RECEIVED: 'New Message',
+  RATING_RECEIVED: 'New Rating',
+  CHARGER_APPROVED: 'Charger Approved',
+  CHARGER_REJECTED: 'Charger Rejected',
+  USER_ROLE_UPDATED: 'Role Updated',
+  SYSTEM_NOTIFICATION: 'System Notification'
+};
 
 // Create a test email transporter for development
 // In production, you would use a real email service
@@ -43,9 +76,10 @@ const createTransporter = () => {
  * @param {string} subject - Email subject
  * @param {string} text - Plain text email content
  * @param {string} html - HTML email content
+ * @param {Array} attachments - Optional Nodemailer attachments, e.g. [{ filename, content }]
  * @returns {Promise<Object>} - Email send result
  */
-const sendEmail = async (to, subject, text, html) => {
+const sendEmail = async (to, subject, text, html, attachments = []) => {
   try {
     const transporter = createTransporter();
     
@@ -54,7 +88,8 @@ const sendEmail = async (to, subject, text, html) => {
       to,
       subject,
       text,
-      html
+      html,
+      attachments
     };
     
     // In test environment, don't actually send emails
@@ -80,32 +115,30 @@ const sendEmail = async (to, subject, text, html) => {
 /**
  * Create an in-app notification
  * @param {string} userId - User ID to notify
- * @param {string} type - Notification type
+ * @param {string} type - Notification type (one of the Notification model types)
  * @param {string} message - Notification message
  * @param {Object} data - Additional notification data
+ * @param {Object} options - Optional title and link
  * @returns {Promise<Object>} - Created notification
  */
-const createInAppNotification = async (userId, type, message, data = {}) => {
+const createInAppNotification = async (userId, type, message, data = {}, options = {}) => {
   try {
-    // In a production environment, we would store this in a database
-    // For now, we'll just log it to the console
-    
-    const notification = {
-      userId,
+    const notification = await Notification.createNotification({
+      user: userId,
       type,
+      title: options.title || NOTIFICATION_TITLES[type] || NOTIFICATION_TITLES.SYSTEM_NOTIFICATION,
       message,
       data,
-      read: false,
-      createdAt: new Date()
-    };
+      link: options.link || null
+    });
     
-    // In development/test, just log to console
+    // In development/test, also log to console
     if (process.env.NODE_ENV !== 'production') {
       console.log('[IN-APP NOTIFICATION]', JSON.stringify(notification, null, 2));
     }
     
-    // In production, we would save to database
-    // await Notification.create(notification);
+    // Push to any open sessions
+    emitToUser(userId.toString(), 'notification:new', notification);
     
     return notification;
   } catch (error) {
@@ -210,7 +243,7 @@ const sendPaymentConfirmation = async (user, payment) => {
   // Create in-app notification
   await createInAppNotification(
     user._id,
-    'PAYMENT_CONFIRMED',
+    'PAYMENT_PROCESSED',
     `Payment of ${payment.amount} ${payment.currency} processed successfully`,
     { paymentId: payment._id }
   );
@@ -245,7 +278,7 @@ const sendRefundNotification = async (user, payment, refundAmount) => {
   // Create in-app notification
   await createInAppNotification(
     user._id,
-    'REFUND_PROCESSED',
+    'PAYMENT_REFUNDED',
     `Refund of ${refundAmount} ${payment.currency} processed`,
     { paymentId: payment._id }
   );
@@ -0,0 +1,464 @@
+/**
+ * Payment Gateway Utility
+ *
+ * Payment code talks to gateways only through this interface, never a gateway SDK:
+ * - charge({ amount, currency, paymentMethodId, customerId, description, metadata, capture, offSession })
+ *   -> charge (capture: false only authorizes the amount; customerId is the user's
+ *   saved-card customer, if the gateway has one; offSession: the driver is not there
+ *   to authenticate)
+ * - getStatus(transactionId) -> charge
+ * - capture(transactionId, amount) -> charge; takes up to the authorized amount and
+ *   releases the rest. The returned ID replaces the transaction ID.
+ * - refund(transactionId, amount) -> { id, amount }
+ * - cancel(transactionId) -> abandons a charge still waiting on the customer, or
+ *   voids an authorization
+ * A charge is { id, status ('completed', 'authorized', 'pending', 'expired' or
+ * 'failed'), authorizationExpiresAt, paymentMethod ({ type, last4, brand, reference:
+ * the gateway's ID for charging it again }), requiresAction, clientSecret, nextAction,
+ * failureReason }. Requests the gateway rejects throw PaymentGatewayError.
+ *
+ * Bookings are paid by authorizing the total when they are confirmed and capturing
+ * the final amount when they complete; cancellations release the authorization, and
+ * a booking whose times change to cost more is authorized again for its new total.
+ *
+ * New payments use the gateway named by the paymentGateway setting, or the wallet
+ * gateway when the driver pays from their wallet balance. Existing payments always
+ * go back through the gateway recorded on them. Card payments can be refunded to
+ * the driver's wallet instead of the card.
+ */
+
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const { BadRequestError, PaymentGatewayError } = require('./errors');
+const { dispatchNotification, NOTIFICATION_EVENTS } = require('./notificationDispatcher');
+const { recordPaymentLedger } = require('./ledger');
+const { applyFeePolicy } = require('./platformFee');
+const { getIncludedTax } = require('./tax');
+const { stripeGateway } = require('./stripeGateway');
+const { paypalGateway } = require('./paypalGateway');
+const { fakeGateway } = require('./fakeGateway');
+const { walletGateway } = require('./walletGateway');
+const { creditWallet } = require('./wallet');
+
+const DEFAULT_PAYMENT_GATEWAY = 'stripe';
+
+const PAYMENT_GATEWAYS = {
+  stripe: stripeGateway,
+  paypal: paypalGateway,
+  fake: fakeGateway,
+  wallet: walletGateway
+};
+
+// Gateways that take new payments from cards; the wallet is chosen per payment instead
+const CARD_GATEWAYS = ['stripe', 'paypal', 'fake'];
+
+// Settings that switch each real gateway on and off
+const GATEWAY_ENABLED_SETTINGS = {
+  stripe: 'stripeEnabled',
+  paypal: 'paypalEnabled'
+};
+
+/**
+ * Get a gateway by name
+ * @param {string} name - Gateway name, e.g. payment.transaction.gateway
+ * @returns {Object} - Gateway
+ */
+const getGateway = (name) => {
+  const gateway = PAYMENT_GATEWAYS[name];
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return gateway;
+};
+
+/**
+ * Get the gateway new payments should use
+ * @returns {Promise<Object>} - Gateway
+ */
+const getActiveGateway = async () => {
+  const name = (await Settings.getSetting('paymentGateway')) || DEFAULT_PAYMENT_GATEWAY;
+
+  if (name === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment gateway cannot be used in production');
+  }
+
+  const gateway = getGateway(name);
+  const enabledSetting = GATEWAY_ENABLED_SETTINGS[name];
+  if (enabledSetting && (await Settings.getSetting(enabledSetting)) === false) {
+    throw new BadRequestError('Payments are currently unavailable');
+  }
+
+  return gateway;
+};
+
+/**
+ * Validate a gateway setting before it is saved
+ * @param {string} key - Setting key
+ * @param {*} value - New value
+ * @returns {string|null} - Error message, or null if the value is valid (or not a gateway setting)
+ */
+const validateGatewaySetting = (key, value) => {
+  if (key === 'paymentGateway' && !CARD_GATEWAYS.includes(value)) {
+    return `Payment gateway must be one of: ${CARD_GATEWAYS.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Refund part or all of a payment through its gateway and record it on the payment
+ * @param {Object} payment - Payment document
+ * @param {number} amount - Amount to refund
+ * @param {Object} options - { toWallet: credit the driver's wallet instead of refunding the card }
+ * @returns {Promise<Object>} - Gateway refund, or { id, amount } of the wallet credit
+ */
+const refundPayment = async (payment, amount, { toWallet = false } = {}) => {
+  let refund;
+  if (toWallet && payment.transaction.gateway !== 'wallet') {
+    const credit = await creditWallet(payment.user, payment.currency, amount, {
+      type: 'refund',
+      description: 'Refund of a booking payment',
+      booking: payment.booking,
+      payment: payment._id
+    });
+    refund = { id: credit._id.toString(), amount };
+    payment.transaction.walletRefundAmount =
+      Math.round(((payment.transaction.walletRefundAmount || 0) + amount) * 100) / 100;
+  } else {
+    refund = await getGateway(payment.transaction.gateway).refund(payment.transaction.id, amount);
+  }
+
+  const refundAmount = Math.round(((payment.transaction.refundAmount || 0) + amount) * 100) / 100;
+  payment.transaction.refundAmount = refundAmount;
+  payment.transaction.refundedAt = new Date();
+  payment.transaction.status = refundAmount >= payment.amount.total ? 'refunded' : 'partially_refunded';
+  await payment.save();
+  await recordPaymentLedger(payment);
+
+  return refund;
+};
+
+/**
+ * Get the platform fee percentage to split further amounts of a payment with
+ * @param {Object} payment - Payment document
+ * @returns {number} - The percentage recorded when the booking was priced, or the proportion
+ *   the booking was split in if a discount came out of one party's share
+ */
+const getFeePercentage = (payment) => {
+  const net = payment.amount.total - (payment.amount.tax || 0);
+  return payment.amount.feePolicy && payment.amount.feePolicy.percentage !== undefined &&
+    !payment.amount.discount
+    ? payment.amount.feePolicy.percentage
+    : (net > 0 ? payment.amount.platformFee / net * 100 : 0);
+};
+
+/**
+ * Capture part or all of an authorized payment and record it on the payment
+ * The tax, platform fee and owner earnings are split again for the captured amount.
+ * @param {Object} payment - Payment document with an authorized transaction
+ * @param {number} amount - Amount to capture, at most the amount authorized
+ * @returns {Promise<Object>} - Payment after the capture
+ */
+const captureAuthorization = async (payment, amount) => {
+  const capturedAmount = Math.round(Math.min(amount, payment.amount.authorized) * 100) / 100;
+  const charge = await getGateway(payment.transaction.gateway).capture(payment.transaction.id, capturedAmount);
+
+  const percentage = getFeePercentage(payment);
+  // The captured amount includes tax at the booking's rate, however it was priced
+  const tax = payment.amount.taxPolicy && payment.amount.taxPolicy.rate
+    ? getIncludedTax(capturedAmount, payment.amount.taxPolicy)
+    : 0;
+  const { platformFee, ownerEarnings } = applyFeePolicy(capturedAmount - tax, { percentage });
+
+  payment.amount.total = capturedAmount;
+  payment.amount.tax = tax;
+  payment.amount.captured = capturedAmount;
+  payment.amount.platformFee = platformFee;
+  payment.amount.ownerEarnings = ownerEarnings;
+  payment.transaction.id = charge.id;
+  payment.transaction.status = 'completed';
+  payment.transaction.capturedAt = new Date();
+  payment.transaction.processedAt = payment.transaction.capturedAt;
+  await payment.save();
+  await recordPaymentLedger(payment);
+
+  await dispatchNotification(NOTIFICATION_EVENTS.PAYMENT_PROCESSED, { payment });
+
+  return payment;
+};
+
+/**
+ * Release an authorized payment, capturing only the part the driver still owes
+ * @param {Object} payment - Payment document with an authorized transaction
+ * @param {number} keepAmount - Amount to capture (e.g. a cancellation fee); 0 voids the authorization
+ * @returns {Promise<Object>} - Payment after the release
+ */
+const releaseAuthorization = async (payment, keepAmount = 0) => {
+  // Nothing is held any more once the authorization has lapsed
+  if (payment.isAuthorizationExpired()) {
+    payment.transaction.status = 'expired';
+    await payment.save();
+    return payment;
+  }
+
+  if (keepAmount > 0) {
+    return captureAuthorization(payment, keepAmount);
+  }
+
+  await getGateway(payment.transaction.gateway).cancel(payment.transaction.id);
+  payment.transaction.status = 'voided';
+  await payment.save();
+
+  return payment;
+};
+
+/**
+ * Bring a booking's payment in line with its new price after its times changed
+ * An authorization that does not cover the new total is replaced by one for the new
+ * total, authorized off-session with the same card or wallet; a lower total is simply
+ * captured for less when the booking completes. A payment already captured is refunded
+ * what the total went down by. Unpaid bookings are paid at the new price.
+ * @param {Object} payment - Payment document
+ * @param {Object} pricing - The booking's new { totalAmount, tax, platformFee, ownerEarnings, discount }
+ * @returns {Promise<Object>} - Payment after the change
+ * @throws {BadRequestError} If a payment already captured would have to go up
+ */
+const repricePayment = async (payment, pricing) => {
+  const { status, gateway } = payment.transaction;
+  const total = pricing.totalAmount;
+
+  if (['completed', 'partially_refunded'].includes(status)) {
+    const paid = Math.round((payment.amount.total - (payment.transaction.refundAmount || 0)) * 100) / 100;
+    if (total > paid) {
+      throw new BadRequestError('This booking has already been charged, so it cannot cost more; book the extra time separately');
+    }
+    if (total < paid) {
+      await refundPayment(payment, Math.round((paid - total) * 100) / 100);
+    }
+    return payment;
+  }
+  if (status !== 'authorized') return payment;
+
+  if (total > payment.amount.authorized || payment.isAuthorizationExpired()) {
+    const provider = getGateway(gateway);
+    const user = gateway === 'stripe' ? await User.findById(payment.user) : null;
+    const charge = await provider.charge({
+      amount: total,
+      currency: payment.currency,
+      paymentMethodId: payment.paymentMethod.reference,
+      customerId: user && user.wallet ? user.wallet.stripeCustomerId : undefined,
+      description: `Booking #${payment.booking} for charger`,
+      metadata: {
+        bookingId: payment.booking.toString(),
+        userId: payment.user.toString()
+      },
+      capture: false,
+      offSession: true
+    });
+    if (charge.status !== 'authorized') {
+      await provider.cancel(charge.id);
+      throw new PaymentGatewayError(charge.failureReason || 'The new amount needs to be authenticated', gateway);
+    }
+
+    // Release the old hold; if the gateway refuses, drop the new one so only one is held
+    if (!payment.isAuthorizationExpired()) {
+      try {
+        await provider.cancel(payment.transaction.id);
+      } catch (error) {
+        await provider.cancel(charge.id);
+        throw error;
+      }
+    }
+
+    payment.transaction.id = charge.id;
+    payment.transaction.authorizedAt = new Date();
+    payment.transaction.authorizationExpiresAt = charge.authorizationExpiresAt;
+    payment.amount.authorized = total;
+  }
+
+  payment.amount.total = total;
+  payment.amount.tax = pricing.tax || 0;
+  payment.amount.platformFee = pricing.platformFee;
+  payment.amount.ownerEarnings = pricing.ownerEarnings;
+  payment.amount.discount = pricing.discount || 0;
+  await payment.save();
+
+  return payment;
+};
+
+/**
+ * Copy the payment's transaction status onto its booking
+ * Uses an update rather than save() so bookings that have already started,
+ * which no longer pass the future start time validation, can still be reconciled.
+ * @param {Object} booking - Booking document (may be null)
+ * @param {Object} payment - Payment document
+ * @param {Object} changes - Other booking fields to set (e.g. { status: 'confirmed' })
+ * @returns {Promise<void>}
+ */
+const syncBookingPayment = async (booking, payment, changes = {}) => {
+  if (!booking) return;
+
+  const update = {
+    'payment.status': payment.transaction.status,
+    'payment.transactionId': payment.transaction.id,
+    'payment.processedAt': payment.transaction.processedAt,
+    ...changes
+  };
+  // save() would have given a newly confirmed booking its access code
+  if (update.status === 'confirmed' && !booking.accessCode) {
+    update.accessCode = Booking.generateAccessCode();
+  }
+  await Booking.updateOne({ _id: booking._id }, { $set: update });
+  booking.set(update);
+};
+
+/**
+ * Mark a pending payment completed, confirming its booking if that was pending and approved
+ * The transition is atomic, so a payment settled by both the confirm endpoint and
+ * a webhook is only completed (and notified) once.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object|null>} - { payment, booking } after the update, or null if the payment was no longer pending
+ */
+const completePendingPayment = async (payment) => {
+  const completed = await Payment.findOneAndUpdate(
+    { _id: payment._id, 'transaction.status': 'pending' },
+    { $set: { 'transaction.status': 'completed', 'transaction.processedAt': new Date() } },
+    { new: true }
+  );
+  if (!completed) return null;
+  await recordPaymentLedger(completed);
+
+  const booking = await Booking.findById(completed.booking);
+  // Bookings waiting for the owner's approval are confirmed when the owner accepts them
+  const confirmed = booking && booking.status === 'pending' && !booking.isAwaitingApproval();
+  await syncBookingPayment(booking, completed, confirmed ? { status: 'confirmed' } : {});
+
+  await dispatchNotification(NOTIFICATION_EVENTS.PAYMENT_PROCESSED, { payment: completed });
+  if (confirmed) {
+    await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_CONFIRMED, { booking });
+  }
+
+  return { payment: completed, booking };
+};
+
+/**
+ * Mark a pending payment authorized once the customer has completed authentication,
+ * confirming its booking if that was pending and approved
+ * @param {Object} payment - Payment document
+ * @param {Date} authorizationExpiresAt - When the gateway releases the authorization
+ * @returns {Promise<Object|null>} - { payment, booking } after the update, or null if the payment was no longer pending
+ */
+const authorizePendingPayment = async (payment, authorizationExpiresAt) => {
+  const authorized = await Payment.findOneAndUpdate(
+    { _id: payment._id, 'transaction.status': 'pending' },
+    {
+      $set: {
+        'transaction.status': 'authorized',
+        'transaction.authorizedAt': new Date(),
+        'transaction.authorizationExpiresAt': authorizationExpiresAt,
+        'amount.authorized': payment.amount.total
+      }
+    },
+    { new: true }
+  );
+  if (!authorized) return null;
+
+  const booking = await Booking.findById(authorized.booking);
+  // Bookings waiting for the owner's approval are confirmed when the owner accepts them
+  const confirmed = booking && booking.status === 'pending' && !booking.isAwaitingApproval();
+  await syncBookingPayment(booking, authorized, confirmed ? { status: 'confirmed' } : {});
+
+  if (confirmed) {
+    await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_CONFIRMED, { booking });
+  }
+
+  return { payment: authorized, booking };
+};
+
+/**
+ * Mark a pending payment failed and tell the driver
+ * @param {Object} payment - Payment document
+ * @param {string} reason - Failure reason from the gateway
+ * @returns {Promise<Object|null>} - { payment, booking } after the update, or null if the payment was no longer pending
+ */
+const failPendingPayment = async (payment, reason) => {
+  const failed = await Payment.findOneAndUpdate(
+    { _id: payment._id, 'transaction.status': 'pending' },
+    { $set: { 'transaction.status': 'failed' } },
+    { new: true }
+  );
+  if (!failed) return null;
+
+  const booking = await Booking.findById(failed.booking);
+  await syncBookingPayment(booking, failed);
+
+  if (booking) {
+    await dispatchNotification(NOTIFICATION_EVENTS.PAYMENT_FAILED, { booking, reason });
+  }
+
+  return { payment: failed, booking };
+};
+
+/**
+ * Mark an authorization the gateway has released as expired and ask the driver to pay again
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object|null>} - { payment, booking } after the update, or null if the payment was no longer authorized
+ */
+const expireAuthorization = async (payment) => {
+  const expired = await Payment.findOneAndUpdate(
+    { _id: payment._id, 'transaction.status': 'authorized' },
+    { $set: { 'transaction.status': 'expired' } },
+    { new: true }
+  );
+  if (!expired) return null;
+
+  const booking = await Booking.findById(expired.booking);
+  await syncBookingPayment(booking, expired);
+
+  if (booking) {
+    await dispatchNotification(NOTIFICATION_EVENTS.PAYMENT_FAILED, {
+      booking,
+      reason: 'The card authorization for this booking has expired; please authorize the payment again'
+    });
+  }
+
+  return { payment: expired, booking };
+};
+
+/**
+ * Expire every authorization whose capture window has closed
+ * @param {Date} at - Time to check against (default now)
+ * @returns {Promise<number>} - Number of payments expired
+ */
+const expireAuthorizations = async (at = new Date()) => {
+  const payments = await Payment.find({
+    'transaction.status': 'authorized',
+    'transaction.authorizationExpiresAt': { $lte: at }
+  });
+
+  let count = 0;
+  for (const payment of payments) {
+    if (await expireAuthorization(payment)) count += 1;
+  }
+  return count;
+};
+
+module.exports = {
+  DEFAULT_PAYMENT_GATEWAY,
+  PAYMENT_GATEWAYS,
+  getGateway,
+  getActiveGateway,
+  validateGatewaySetting,
+  getFeePercentage,
+  refundPayment,
+  captureAuthorization,
+  releaseAuthorization,
+  repricePayment,
+  syncBookingPayment,
+  authorizePendingPayment,
+  completePendingPayment,
+  failPendingPayment,
+  expireAuthorization,
+  expireAuthorizations
+};
@@ -0,0 +1,255 @@
+/**
+ * Payout Utility
+ *
+ * Pays charger owners their earnings in weekly batches through Stripe Connect.
+ * A batch covers payments completed before the start of the week (Monday 00:00 UTC)
+ * and transfers each onboarded owner their earnings net of refunds, less whatever
+ * earlier payouts already settled. A refund on a payment that was already paid out
+ * is deducted from the owner's next payout; if nothing is left to pay, the balance
+ * carries forward to the following week. Earnings are paid in the currency the
+ * bookings were charged in, with a separate payout for each currency.
+ *
+ * Failed transfers are retried by later batches, at most once a day, until
+ * MAX_PAYOUT_ATTEMPTS. The payments a payout covers stay settled by it, so once
+ * its retries run out admins are alerted to retry it by hand. Running a batch
+ * again for the same period changes nothing.
+ */
+
+const Payment = require('../models/Payment');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const { PaymentGatewayError } = require('./errors');
+const { stripeGateway } = require('./stripeGateway');
+const { dispatchNotification, NOTIFICATION_EVENTS } = require('./notificationDispatcher');
+const { recordPayoutLedger } = require('./ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAYOUT_PERIOD_DAYS = 7;
+const MAX_PAYOUT_ATTEMPTS = 3;
+const PAYOUT_RETRY_DELAY_MS = DAY_MS;
+
+// Payment statuses whose owner earnings are due to the owner
+const PAYABLE_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the end of the latest complete payout period
+ * @param {Date} at - Time to check (default now)
+ * @returns {Date} - The most recent Monday 00:00 UTC at or before `at`
+ */
+const getPayoutPeriodEnd = (at = new Date()) => {
+  const end = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate()));
+  // getUTCDay() counts from Sunday; step back to Monday
+  end.setUTCDate(end.getUTCDate() - ((end.getUTCDay() + 6) % 7));
+  return end;
+};
+
+/**
+ * Get when the next payout batch runs
+ * @param {Date} at - Time to check (default now)
+ * @returns {Date} - Next Monday 00:00 UTC
+ */
+const getNextPayoutDate = (at = new Date()) =>
+  new Date(getPayoutPeriodEnd(at).getTime() + PAYOUT_PERIOD_DAYS * DAY_MS);
+
+/**
+ * Work out what an owner is owed for payments completed before a date
+ * Payments are grouped by currency; each currency is paid out separately.
+ * @param {string} ownerId - Owner's user ID
+ * @param {Date} until - Only payments completed before this are included
+ * @returns {Promise<Array>} - [{ currency, items, amount }] where items are Payout items
+ */
+const getPayoutItems = async (ownerId, until) => {
+  const payments = await Payment.find({
+    owner: ownerId,
+    'transaction.status': { $in: PAYABLE_STATUSES },
+    'transaction.processedAt': { $lt: until },
+    // Skip payments already settled, unless refunded or charged a fee since
+    $or: [
+      { 'payout.settledAt': { $exists: false } },
+      { $expr: { $gt: ['$transaction.refundedAt', '$payout.settledAt'] } },
+      { $expr: { $gt: [{ $max: '$fees.chargedAt' }, '$payout.settledAt'] } }
+    ]
+  });
+
+  const groups = new Map();
+  for (const payment of payments) {
+    const earnings = payment.getNetOwnerEarnings();
+    const previouslyPaid = (payment.payout && payment.payout.amount) || 0;
+    const amount = roundCurrency(earnings - previouslyPaid);
+
+    if (amount !== 0) {
+      const currency = payment.currency || 'usd';
+      if (!groups.has(currency)) groups.set(currency, []);
+      groups.get(currency).push({ payment: payment._id, earnings, previouslyPaid, amount });
+    }
+  }
+
+  return [...groups.entries()].map(([currency, items]) => ({
+    currency,
+    items,
+    amount: roundCurrency(items.reduce((sum, item) => sum + item.amount, 0))
+  }));
+};
+
+/**
+ * Transfer a payout to its owner's connected account and record the outcome
+ * @param {Object} payout - Payout document (pending or failed)
+ * @param {Object} owner - Owner's user document
+ * @returns {Promise<Object>} - Payout after the attempt
+ */
+const sendPayout = async (payout, owner) => {
+  payout.attempts += 1;
+  payout.transfer.destination = owner.payoutAccount && owner.payoutAccount.accountId;
+
+  try {
+    if (!payout.transfer.destination) {
+      throw new PaymentGatewayError('The owner has no payout account', 'stripe');
+    }
+
+    const transfer = await stripeGateway.transfer({
+      amount: payout.amount,
+      currency: payout.currency,
+      destination: payout.transfer.destination,
+      metadata: {
+        payoutId: payout._id.toString(),
+        ownerId: owner._id.toString()
+      },
+      // One key per payout, so a retry after a lost response replays the original transfer
+      idempotencyKey: `payout-${payout._id}`
+    });
+
+    payout.status = 'paid';
+    payout.transfer.id = transfer.id;
+    payout.paidAt = new Date();
+    payout.failureReason = undefined;
+  } catch (error) {
+    if (!(error instanceof PaymentGatewayError)) throw error;
+
+    payout.status = 'failed';
+    payout.failureReason = error.message;
+  }
+
+  await payout.save();
+  await recordPayoutLedger(payout);
+
+  await dispatchNotification(
+    payout.status === 'paid' ? NOTIFICATION_EVENTS.PAYOUT_PAID : NOTIFICATION_EVENTS.PAYOUT_FAILED,
+    { payout }
+  );
+
+  // Batches stop retrying now; the owner's earnings wait on an admin retry
+  if (payout.status === 'failed' && payout.attempts >= MAX_PAYOUT_ATTEMPTS) {
+    await dispatchNotification(NOTIFICATION_EVENTS.PAYOUT_RETRIES_EXHAUSTED, { payout });
+  }
+
+  return payout;
+};
+
+/**
+ * Create and send an owner's payouts for a period, one per currency they earned in
+ * @param {Object} owner - Owner's user document
+ * @param {Date} periodEnd - End of the payout period
+ * @returns {Promise<Array>} - Payouts sent; currencies with nothing owed, or already paid for the period, are skipped
+ */
+const createOwnerPayouts = async (owner, periodEnd) => {
+  // Refunds made after this are picked up by the next payout
+  const settledAt = new Date();
+  const groups = await getPayoutItems(owner._id, periodEnd);
+  const payouts = [];
+
+  for (const { currency, items, amount } of groups) {
+    if (amount <= 0) continue;
+
+    const previous = await Payout.findLatestForOwner(owner._id, currency);
+
+    let payout;
+    try {
+      payout = await Payout.create({
+        owner: owner._id,
+        amount,
+        currency,
+        period: {
+          start: previous ? previous.period.end : undefined,
+          end: periodEnd
+        },
+        items
+      });
+    } catch (error) {
+      // Another batch run has already paid this period
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    await Payment.bulkWrite(items.map(item => ({
+      updateOne: {
+        filter: { _id: item.payment },
+        update: {
+          $set: {
+            'payout.amount': item.earnings,
+            'payout.lastPayout': payout._id,
+            'payout.settledAt': settledAt
+          }
+        }
+      }
+    })));
+
+    payouts.push(await sendPayout(payout, owner));
+  }
+
+  return payouts;
+};
+
+/**
+ * Pay every onboarded owner for the latest complete period, and retry failed payouts
+ * @param {Date} periodEnd - End of the payout period (default: the latest Monday 00:00 UTC)
+ * @returns {Promise<Object>} - { paid, failed } payout counts
+ */
+const runPayoutBatch = async (periodEnd = getPayoutPeriodEnd()) => {
+  const summary = { paid: 0, failed: 0 };
+  const count = (payout) => {
+    if (payout) summary[payout.status === 'paid' ? 'paid' : 'failed'] += 1;
+  };
+
+  const retries = await Payout.find({
+    status: 'failed',
+    attempts: { $lt: MAX_PAYOUT_ATTEMPTS },
+    updatedAt: { $lte: new Date(Date.now() - PAYOUT_RETRY_DELAY_MS) }
+  });
+  for (const payout of retries) {
+    count(await sendPayout(payout, await User.findById(payout.owner)));
+  }
+
+  const owners = await User.find({ 'payoutAccount.payoutsEnabled': true });
+  for (const owner of owners) {
+    (await createOwnerPayouts(owner, periodEnd)).forEach(count);
+  }
+
+  return summary;
+};
+
+/**
+ * Record a connected account's latest state on its owner
+ * @param {Object} user - Owner's user document
+ * @param {Object} account - Account from stripeGateway (provider, accountId, status, payoutsEnabled)
+ * @returns {Promise<Object>} - Saved user
+ */
+const updatePayoutAccount = async (user, account) => {
+  const onboardedAt = (user.payoutAccount && user.payoutAccount.onboardedAt) ||
+    (account.payoutsEnabled ? new Date() : undefined);
+
+  user.payoutAccount = { ...account, onboardedAt };
+  return user.save();
+};
+
+module.exports = {
+  MAX_PAYOUT_ATTEMPTS,
+  getPayoutPeriodEnd,
+  getNextPayoutDate,
+  getPayoutItems,
+  sendPayout,
+  createOwnerPayouts,
+  runPayoutBatch,
+  updatePayoutAccount
+};
@@ -0,0 +1,191 @@
+/**
+ * PayPal Payment Gateway
+ *
+ * Captures or authorizes PayPal orders through the Orders v2 REST API. The buyer
+ * creates and approves the order with the PayPal JavaScript SDK, and its order ID
+ * is sent as the payment method ID. Transaction IDs are authorization IDs until
+ * the payment is captured, then capture IDs, which PayPal refunds against.
+ *
+ * Configured with PAYPAL_CLIENT_ID and PAYPAL_CLIENT_SECRET; PAYPAL_API_URL
+ * defaults to the sandbox.
+ */
+
+const { PaymentGatewayError } = require('./errors');
+
+const PAYPAL_API_URL = process.env.PAYPAL_API_URL || 'https://api-m.sandbox.paypal.com';
+
+// Payment transaction status for each capture status; anything else has failed.
+// Refunded captures were still charged successfully.
+const CAPTURE_STATUSES = {
+  COMPLETED: 'completed',
+  PARTIALLY_REFUNDED: 'completed',
+  REFUNDED: 'completed',
+  PENDING: 'pending'
+};
+
+// Payment transaction status for each authorization status; anything else has failed
+const AUTHORIZATION_STATUSES = {
+  CREATED: 'authorized',
+  PENDING: 'pending',
+  CAPTURED: 'completed',
+  PARTIALLY_CAPTURED: 'completed',
+  EXPIRED: 'expired'
+};
+
+let accessToken = null;
+
+/**
+ * Get an OAuth access token, reusing it until shortly before it expires
+ * @returns {Promise<string>} - Access token
+ */
+const getAccessToken = async () => {
+  if (accessToken && accessToken.expiresAt > Date.now()) {
+    return accessToken.value;
+  }
+
+  if (!process.env.PAYPAL_CLIENT_ID || !process.env.PAYPAL_CLIENT_SECRET) {
+    throw new Error('PayPal is not configured: set PAYPAL_CLIENT_ID and PAYPAL_CLIENT_SECRET');
+  }
+
+  const credentials = Buffer.from(`${process.env.PAYPAL_CLIENT_ID}:${process.env.PAYPAL_CLIENT_SECRET}`).toString('base64');
+  const response = await fetch(`${PAYPAL_API_URL}/v1/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: 'grant_type=client_credentials'
+  });
+  const body = await response.json();
+
+  if (!response.ok) {
+    throw new Error(`PayPal authentication failed: ${body.error_description || response.status}`);
+  }
+
+  accessToken = {
+    value: body.access_token,
+    expiresAt: Date.now() + (body.expires_in - 60) * 1000
+  };
+  return accessToken.value;
+};
+
+/**
+ * Call the PayPal REST API
+ * @param {string} method - HTTP method
+ * @param {string} path - API path
+ * @param {Object} body - JSON body, if any
+ * @returns {Promise<Object>} - Response body
+ */
+const paypalRequest = async (method, path, body) => {
+  const response = await fetch(`${PAYPAL_API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${await getAccessToken()}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const detail = data.details && data.details[0];
+    const error = new PaymentGatewayError(
+      (detail && detail.description) || data.message || `PayPal request failed with status ${response.status}`,
+      'paypal'
+    );
+    error.httpStatus = response.status;
+    throw error;
+  }
+  return data;
+};
+
+// Describe a capture in the gateway-neutral charge format
+const toCharge = (capture) => ({
+  id: capture.id,
+  status: CAPTURE_STATUSES[capture.status] || 'failed',
+  paymentMethod: {
+    type: 'paypal',
+    brand: 'paypal'
+  },
+  requiresAction: false,
+  failureReason: capture.status_details?.reason
+});
+
+// Describe an authorization in the gateway-neutral charge format
+const authorizationToCharge = (authorization) => ({
+  ...toCharge(authorization),
+  status: AUTHORIZATION_STATUSES[authorization.status] || 'failed',
+  authorizationExpiresAt: authorization.expiration_time ? new Date(authorization.expiration_time) : undefined
+});
+
+const paypalGateway = {
+  name: 'paypal',
+
+  async charge({ amount, currency = 'usd', paymentMethodId: orderId, capture = true }) {
+    const order = await paypalRequest('GET', `/v2/checkout/orders/${orderId}`);
+    const orderAmount = order.purchase_units?.[0]?.amount || {};
+
+    // The order is created in the browser, so check it is for this booking's price
+    if (Number(orderAmount.value) !== amount || orderAmount.currency_code !== currency.toUpperCase()) {
+      throw new PaymentGatewayError('PayPal order amount does not match the booking total', 'paypal');
+    }
+    if (order.status !== 'APPROVED') {
+      throw new PaymentGatewayError('PayPal order has not been approved by the buyer', 'paypal');
+    }
+
+    // The order's intent (CAPTURE or AUTHORIZE) must match, as it is fixed when the order is created
+    if (!capture) {
+      const authorized = await paypalRequest('POST', `/v2/checkout/orders/${orderId}/authorize`);
+      return authorizationToCharge(authorized.purchase_units[0].payments.authorizations[0]);
+    }
+
+    const captured = await paypalRequest('POST', `/v2/checkout/orders/${orderId}/capture`);
+    return toCharge(captured.purchase_units[0].payments.captures[0]);
+  },
+
+  async getStatus(transactionId) {
+    // The ID is an authorization until the payment is captured
+    try {
+      const authorization = await paypalRequest('GET', `/v2/payments/authorizations/${transactionId}`);
+      return authorizationToCharge(authorization);
+    } catch (error) {
+      if (error.httpStatus !== 404) throw error;
+    }
+
+    const capture = await paypalRequest('GET', `/v2/payments/captures/${transactionId}`);
+    return toCharge(capture);
+  },
+
+  async capture(transactionId, amount) {
+    const authorization = await paypalRequest('GET', `/v2/payments/authorizations/${transactionId}`);
+    const capture = await paypalRequest('POST', `/v2/payments/authorizations/${transactionId}/capture`, {
+      amount: {
+        value: amount.toFixed(2),
+        currency_code: authorization.amount.currency_code
+      },
+      // Releases whatever is left of the authorization
+      final_capture: true
+    });
+    return toCharge(capture);
+  },
+
+  async refund(transactionId, amount) {
+    const capture = await paypalRequest('GET', `/v2/payments/captures/${transactionId}`);
+    const refund = await paypalRequest('POST', `/v2/payments/captures/${transactionId}/refund`, {
+      amount: {
+        value: amount.toFixed(2),
+        currency_code: capture.amount.currency_code
+      }
+    });
+    return { id: refund.id, amount };
+  },
+
+  async cancel(transactionId) {
+    // Only authorizations can be voided; pending captures cannot be withdrawn
+    await paypalRequest('POST', `/v2/payments/authorizations/${transactionId}/void`);
+  }
+};
+
+module.exports = {
+  paypalGateway
+};
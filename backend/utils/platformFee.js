@@ -0,0 +1,134 @@
+/**
+ * Platform Fee Utility
+ *
+ * Resolves the platform fee percentage for a booking from Settings:
+ * - platformFee: the default percentage
+ * - platformFeeOverrides: { chargerTypes: { Level2: 12 }, owners: { <ownerId>: 8 } },
+ *   where an owner override takes precedence over a charger type override
+ * - platformFeePromotions: [{ name, percentage, startsAt, endsAt, chargerTypes }],
+ *   applied while active if lower than the fee that would otherwise apply
+ *
+ * The resolved policy is stamped on bookings and payments so later changes to
+ * the settings do not alter fees that have already been agreed.
+ */
+
+const Settings = require('../models/Settings');
+
+// Used when the platformFee setting has not been initialised
+const DEFAULT_PLATFORM_FEE_PERCENTAGE = 15;
+
+const FEE_POLICY_SOURCES = ['default', 'charger_type', 'owner', 'promotion'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const isValidPercentage = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+/**
+ * Check a fee setting before it is saved
+ * @param {string} key - Setting key
+ * @param {*} value - New value
+ * @returns {string|null} - Error message, or null if the value is valid (or not a fee setting)
+ */
+const validateFeeSetting = (key, value) => {
+  if (key === 'platformFee') {
+    return isValidPercentage(value) ? null : 'Platform fee must be a percentage between 0 and 100';
+  }
+
+  if (key === 'platformFeeOverrides') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'Platform fee overrides must be an object with chargerTypes and owners';
+    }
+    for (const group of ['chargerTypes', 'owners']) {
+      const overrides = value[group] || {};
+      if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return `Platform fee overrides for ${group} must be an object`;
+      }
+      if (!Object.values(overrides).every(isValidPercentage)) {
+        return `Platform fee overrides for ${group} must be percentages between 0 and 100`;
+      }
+    }
+    return null;
+  }
+
+  if (key === 'platformFeePromotions') {
+    if (!Array.isArray(value)) {
+      return 'Platform fee promotions must be a list';
+    }
+    for (const promotion of value) {
+      if (!promotion || !promotion.name || !isValidPercentage(promotion.percentage)) {
+        return 'Each platform fee promotion needs a name and a percentage between 0 and 100';
+      }
+      const startsAt = new Date(promotion.startsAt);
+      const endsAt = new Date(promotion.endsAt);
+      if (isNaN(startsAt.getTime()) || isNaN(endsAt.getTime()) || endsAt <= startsAt) {
+        return `Promotion "${promotion.name}" needs a start date before its end date`;
+      }
+    }
+    return null;
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the platform fee policy that applies to a booking
+ * @param {Object} params - { ownerId, chargerType, at (Date the fee is agreed, default now) }
+ * @returns {Promise<Object>} - { percentage, source, reference }
+ */
+const resolveFeePolicy = async ({ ownerId, chargerType, at = new Date() }) => {
+  const [basePercentage, overrides, promotions] = await Promise.all([
+    Settings.getSetting('platformFee'),
+    Settings.getSetting('platformFeeOverrides'),
+    Settings.getSetting('platformFeePromotions')
+  ]);
+
+  let policy = {
+    percentage: isValidPercentage(basePercentage) ? basePercentage : DEFAULT_PLATFORM_FEE_PERCENTAGE,
+    source: 'default'
+  };
+
+  const chargerTypeOverride = overrides?.chargerTypes?.[chargerType];
+  if (isValidPercentage(chargerTypeOverride)) {
+    policy = { percentage: chargerTypeOverride, source: 'charger_type', reference: chargerType };
+  }
+
+  const ownerOverride = ownerId && overrides?.owners?.[ownerId.toString()];
+  if (isValidPercentage(ownerOverride)) {
+    policy = { percentage: ownerOverride, source: 'owner', reference: ownerId.toString() };
+  }
+
+  // Promotions only ever lower the fee; the lowest active one wins
+  for (const promotion of Array.isArray(promotions) ? promotions : []) {
+    const active = new Date(promotion.startsAt) <= at && at < new Date(promotion.endsAt);
+    const applies = !Array.isArray(promotion.chargerTypes) || promotion.chargerTypes.length === 0 ||
+      promotion.chargerTypes.includes(chargerType);
+
+    if (active && applies && isValidPercentage(promotion.percentage) && promotion.percentage < policy.percentage) {
+      policy = { percentage: promotion.percentage, source: 'promotion', reference: promotion.name };
+    }
+  }
+
+  return policy;
+};
+
+/**
+ * Split a booking total into the platform fee and the owner's earnings
+ * @param {number} totalAmount - Amount the driver pays
+ * @param {Object} policy - Fee policy from resolveFeePolicy
+ * @returns {Object} - { platformFee, ownerEarnings }
+ */
+const applyFeePolicy = (totalAmount, policy) => {
+  const platformFee = roundCurrency(totalAmount * policy.percentage / 100);
+  return {
+    platformFee,
+    ownerEarnings: roundCurrency(totalAmount - platformFee)
+  };
+};
+
+module.exports = {
+  DEFAULT_PLATFORM_FEE_PERCENTAGE,
+  FEE_POLICY_SOURCES,
+  validateFeeSetting,
+  resolveFeePolicy,
+  applyFeePolicy
+};
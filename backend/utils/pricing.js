@@ -0,0 +1,143 @@
+/**
+ * Booking Pricing Utility
+ *
+ * Computes the itemised price of a charging session from a charger's pricing:
+ * - Time charges at the base hourlyRate, or at a time-of-use rule's rate inside
+ *   that rule's weekly window (evaluated in the charger's time zone)
+ * - An optional per-kWh energy fee and per-session fee
+ * - A minimum charge that tops up the total when the items come to less
+ * - Tax under the charger's tax policy (see utils/tax), added to the total unless
+ *   the rates already include it
+ */
+
+const { expandWeeklyWindows } = require('./weeklySchedule');
+const { applyTaxPolicy } = require('./tax');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Split a session into hours billed at each rate
+ * @param {Object} charger - Charger document
+ * @param {Date} startTime - Session start
+ * @param {Date} endTime - Session end
+ * @returns {Array} - [{ rule (null for the base rate), hours }] in rule order, base rate first
+ */
+const getHoursByRate = (charger, startTime, endTime) => {
+  const rules = charger.pricing.rules || [];
+  const occurrences = expandWeeklyWindows(rules, startTime, endTime, charger.getTimeZone());
+
+  // Instants at which the applicable rate can change
+  const boundaries = [...new Set(
+    [startTime, endTime, ...occurrences.flatMap(occurrence => [occurrence.start, occurrence.end])]
+      .map(time => new Date(time).getTime())
+      .filter(time => time >= startTime.getTime() && time <= endTime.getTime())
+  )].sort((a, b) => a - b);
+
+  const hours = new Map();
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const midpoint = (boundaries[i] + boundaries[i + 1]) / 2;
+
+    // Earlier rules take precedence where windows overlap
+    let ruleIndex = -1;
+    for (const occurrence of occurrences) {
+      if (occurrence.start.getTime() <= midpoint && midpoint < occurrence.end.getTime()) {
+        const index = rules.indexOf(occurrence.entry);
+        if (ruleIndex === -1 || index < ruleIndex) ruleIndex = index;
+      }
+    }
+
+    const segmentHours = (boundaries[i + 1] - boundaries[i]) / HOUR_MS;
+    hours.set(ruleIndex, (hours.get(ruleIndex) || 0) + segmentHours);
+  }
+
+  return [...hours.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([ruleIndex, ruleHours]) => ({ rule: ruleIndex === -1 ? null : rules[ruleIndex], hours: ruleHours }));
+};
+
+/**
+ * Calculate the itemised price of a booking
+ * @param {Object} charger - Charger document
+ * @param {Date} startTime - Session start
+ * @param {Date} endTime - Session end
+ * @param {Object} options - { estimatedKwh, taxPolicy } estimatedKwh is the energy the
+ *   driver expects to draw, defaulting to the charger's power over the whole session;
+ *   taxPolicy comes from resolveTaxPolicy (none if left out)
+ * @returns {Object} - { hourlyRate, currency, lineItems, estimatedKwh, subtotal, tax, taxPolicy, totalAmount }
+ */
+const calculateBookingPrice = (charger, startTime, endTime, options = {}) => {
+  const pricing = charger.pricing;
+  const lineItems = [];
+
+  for (const { rule, hours } of getHoursByRate(charger, startTime, endTime)) {
+    const rate = rule ? rule.hourlyRate : pricing.hourlyRate;
+    lineItems.push({
+      type: 'time',
+      label: rule ? rule.name : 'Standard rate',
+      quantity: Math.round(hours * 100) / 100,
+      unit: 'hour',
+      rate,
+      amount: roundCurrency(hours * rate)
+    });
+  }
+
+  let estimatedKwh;
+  if (pricing.perKwhRate > 0) {
+    const durationHours = (endTime - startTime) / HOUR_MS;
+    estimatedKwh = Math.round((options.estimatedKwh || charger.specifications.power * durationHours) * 100) / 100;
+    lineItems.push({
+      type: 'energy',
+      label: 'Energy (estimated)',
+      quantity: estimatedKwh,
+      unit: 'kWh',
+      rate: pricing.perKwhRate,
+      amount: roundCurrency(estimatedKwh * pricing.perKwhRate)
+    });
+  }
+
+  if (pricing.sessionFee > 0) {
+    lineItems.push({
+      type: 'session',
+      label: 'Session fee',
+      quantity: 1,
+      unit: 'session',
+      rate: pricing.sessionFee,
+      amount: roundCurrency(pricing.sessionFee)
+    });
+  }
+
+  const subtotal = roundCurrency(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  if (pricing.minimumCharge > subtotal) {
+    const adjustment = roundCurrency(pricing.minimumCharge - subtotal);
+    lineItems.push({
+      type: 'minimum',
+      label: 'Minimum charge adjustment',
+      quantity: 1,
+      unit: 'session',
+      rate: adjustment,
+      amount: adjustment
+    });
+  }
+
+  const taxPolicy = options.taxPolicy || null;
+  const amount = roundCurrency(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  const { tax, totalAmount } = applyTaxPolicy(amount, taxPolicy);
+
+  return {
+    hourlyRate: pricing.hourlyRate,
+    currency: pricing.currency || 'USD',
+    lineItems,
+    estimatedKwh,
+    subtotal: amount,
+    tax,
+    taxPolicy,
+    totalAmount
+  };
+};
+
+module.exports = {
+  roundCurrency,
+  calculateBookingPrice
+};
@@ -0,0 +1,382 @@
+/**
+ * Promotions Utility
+ *
+ * Promo codes (models/PromoCode) that admins create: a percentage or fixed amount
+ * off a booking, with optional usage limits, validity dates, a first-booking-only
+ * rule and the chargers they can be used on.
+ *
+ * Discounts come off the price before tax, so tax is charged on what the driver
+ * pays. Each is funded by the platform, out of its fee, or by the owner, out of
+ * their earnings, as its promo code says. A discount is limited to what is left of
+ * that share, so neither the fee nor the earnings go negative, and never takes a
+ * price below MINIMUM_CHARGE. The promo code use is taken when the booking is saved
+ * and given back if it is cancelled.
+ *
+ * Referral rewards: when a user someone invited completes their first booking, the
+ * inviter's wallet is credited with the reward the referralRewards setting gives for
+ * the booking's currency, e.g. { USD: 10, EUR: 8 }. The platform funds it.
+ *
+ * Rewards used to be credit taken off the driver's next booking. Older bookings may
+ * still have a referral_credit discount: it keeps its amount off when the booking
+ * is priced again, and goes to the driver's wallet if the booking is cancelled.
+ * Unspent credit balances are moved to wallets by moveReferralCredits
+ * (scripts/migrateReferralCredits.js).
+ */
+
+const Settings = require('../models/Settings');
+const PromoCode = require('../models/PromoCode');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const { BadRequestError } = require('./errors');
+const { SUPPORTED_CURRENCIES } = require('./currency');
+const { applyFeePolicy } = require('./platformFee');
+const { applyTaxPolicy } = require('./tax');
+const { creditWallet } = require('./wallet');
+const { recordWalletLedger } = require('./ledger');
+const { dispatchNotification, NOTIFICATION_EVENTS } = require('./notificationDispatcher');
+
+// Gateways will not take smaller charges
+const MINIMUM_CHARGE = 0.5;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Round down to the cent, ignoring floating-point noise just below it
+const floorCurrency = (amount) => Math.floor(amount * 100 + 1e-6) / 100;
+
+/**
+ * Check a promotion setting before it is saved
+ * @param {string} key - Setting key
+ * @param {*} value - New value
+ * @returns {string|null} - Error message, or null if the value is valid (or not a promotion setting)
+ */
+const validatePromotionSetting = (key, value) => {
+  if (key !== 'referralRewards') return null;
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'Referral rewards must be an object of currency codes to amounts';
+  }
+  for (const [currency, amount] of Object.entries(value)) {
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      return `Unsupported currency '${currency}' in referral rewards`;
+    }
+    if (typeof amount !== 'number' || amount < 0) {
+      return `Referral reward for ${currency} must be a positive amount`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check that a driver can use a promo code on a booking
+ * @param {string} code - Code as the driver entered it
+ * @param {Object} params - { userId, charger, currency, at (default now) }
+ * @returns {Promise<Object>} - PromoCode document
+ * @throws {BadRequestError} - If the code does not exist or cannot be used on this booking
+ */
+const checkPromoCode = async (code, { userId, charger, currency, at = new Date() }) => {
+  const promo = await PromoCode.findByCode(code);
+
+  if (!promo || !promo.active) {
+    throw new BadRequestError('Promo code not found');
+  }
+  if (promo.startsAt && at < promo.startsAt) {
+    throw new BadRequestError('This promo code is not active yet');
+  }
+  if (promo.expiresAt && at >= promo.expiresAt) {
+    throw new BadRequestError('This promo code has expired');
+  }
+  if (promo.maxUses && promo.usedCount >= promo.maxUses) {
+    throw new BadRequestError('This promo code has been used up');
+  }
+  if (promo.chargers.length > 0 && !promo.chargers.some(id => id.equals(charger._id))) {
+    throw new BadRequestError('This promo code cannot be used on this charger');
+  }
+  if (promo.discountType === 'fixed' && promo.currency !== currency) {
+    throw new BadRequestError(`This promo code can only be used on bookings in ${promo.currency}`);
+  }
+
+  // Cancelled bookings do not count towards either limit
+  const bookings = { user: userId, status: { $ne: 'cancelled' } };
+  if (promo.firstBookingOnly && await Booking.exists(bookings)) {
+    throw new BadRequestError('This promo code is only for your first booking');
+  }
+  const uses = await Booking.countDocuments({ ...bookings, 'pricing.discounts.promoCode': promo._id });
+  if (uses >= promo.maxUsesPerUser) {
+    throw new BadRequestError('You have already used this promo code');
+  }
+
+  return promo;
+};
+
+/**
+ * Gather the discounts a driver can have on a booking, in the order they apply
+ * @param {Object} params - { userId, charger, currency, promoCode (code entered, optional) }
+ * @returns {Promise<Array>} - [{ type, label, promoCode, code, fundedBy, percentOff | amountOff }]
+ * @throws {BadRequestError} - If the promo code cannot be used
+ */
+const getBookingDiscounts = async ({ userId, charger, currency, promoCode }) => {
+  const discounts = [];
+
+  if (promoCode) {
+    const promo = await checkPromoCode(promoCode, { userId, charger, currency });
+    discounts.push({
+      type: 'promo_code',
+      label: `Promo code ${promo.code}`,
+      promoCode: promo._id,
+      code: promo.code,
+      fundedBy: promo.fundedBy,
+      ...(promo.discountType === 'percent' ? { percentOff: promo.value } : { amountOff: promo.value })
+    });
+  }
+
+  return discounts;
+};
+
+/**
+ * Gather the discounts a booking was given, to price it again when its times change
+ * Their promo code uses were taken when it was booked, so the codes are not checked again.
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Array>} - In the form getBookingDiscounts returns
+ */
+const getRedeemedDiscounts = async (booking) => {
+  const discounts = [];
+
+  for (const { type, label, promoCode, code, fundedBy, amount } of booking.pricing.discounts || []) {
+    // The credit was taken when it was booked; it cannot grow with the new price
+    if (type === 'referral_credit') {
+      discounts.push({ type, label, fundedBy, amountOff: amount });
+      continue;
+    }
+
+    const promo = await PromoCode.findById(promoCode);
+    if (!promo) continue;
+    discounts.push({
+      type,
+      label,
+      promoCode,
+      code,
+      fundedBy,
+      ...(promo.discountType === 'percent' ? { percentOff: promo.value } : { amountOff: promo.value })
+    });
+  }
+
+  return discounts;
+};
+
+/**
+ * Take discounts off a priced booking and split what is left between the fee and earnings
+ * @param {Object} price - From calculateBookingPrice
+ * @param {Object} feePolicy - From resolveFeePolicy
+ * @param {Array} discounts - From getBookingDiscounts
+ * @returns {Object} - { discount, discounts, tax, totalAmount, platformFee, ownerEarnings } where
+ *   discounts have the amount each took, leaving out any that took nothing
+ */
+const applyDiscounts = (price, feePolicy, discounts = []) => {
+  const { platformFee, ownerEarnings } = applyFeePolicy(price.totalAmount - price.tax, feePolicy);
+
+  // Each share in the terms of the line items, which include tax when the rates do
+  const taxFactor = price.taxPolicy && price.taxPolicy.inclusive ? 1 + price.taxPolicy.rate / 100 : 1;
+  const room = { platform: platformFee * taxFactor, owner: ownerEarnings * taxFactor };
+  let available = Math.max(price.subtotal - MINIMUM_CHARGE, 0);
+
+  const applied = [];
+  for (const { percentOff, amountOff, ...discount } of discounts) {
+    const requested = percentOff !== undefined
+      ? roundCurrency(price.subtotal * percentOff / 100)
+      : amountOff;
+    const amount = floorCurrency(Math.min(requested, room[discount.fundedBy], available));
+    if (amount <= 0) continue;
+
+    room[discount.fundedBy] -= amount;
+    available -= amount;
+    applied.push({ ...discount, amount });
+  }
+
+  const discount = roundCurrency(applied.reduce((sum, item) => sum + item.amount, 0));
+  const { tax, totalAmount } = applyTaxPolicy(roundCurrency(price.subtotal - discount), price.taxPolicy);
+  const net = roundCurrency(totalAmount - tax);
+
+  // The owner keeps their earnings less what they fund, and the platform the rest
+  const ownerFunded = applied
+    .filter(item => item.fundedBy === 'owner')
+    .reduce((sum, item) => sum + item.amount, 0);
+  const earnings = Math.min(Math.max(roundCurrency(ownerEarnings - ownerFunded / taxFactor), 0), net);
+
+  return {
+    discount,
+    discounts: applied,
+    tax,
+    totalAmount,
+    platformFee: roundCurrency(net - earnings),
+    ownerEarnings: earnings
+  };
+};
+
+/**
+ * Add referral credit from before rewards went to the wallet to a user's wallet
+ * @param {string} userId - User ID
+ * @param {string} currency - Currency code
+ * @param {number} amount - Credit to add
+ * @param {Object} details - WalletTransaction fields: { description, booking }
+ * @returns {Promise<void>}
+ */
+const creditLegacyReferral = async (userId, currency, amount, details) => {
+  const credit = await creditWallet(userId, currency, amount, { ...details, type: 'referral_reward' });
+  await recordWalletLedger(credit);
+};
+
+/**
+ * Give back promo code uses taken for a booking's discounts
+ * @param {Object} booking - Booking document
+ * @param {Array} discounts - The discounts to give back
+ * @returns {Promise<void>}
+ */
+const giveBack = async (booking, discounts) => {
+  for (const discount of discounts) {
+    if (discount.type === 'referral_credit') {
+      await creditLegacyReferral(booking.user, booking.pricing.currency || 'USD', discount.amount, {
+        description: 'Referral credit returned from a cancelled booking',
+        booking: booking._id
+      });
+    } else {
+      await PromoCode.release(discount.promoCode);
+    }
+  }
+};
+
+/**
+ * Take the promo code use a new booking's discounts need
+ * Call just before saving the booking, and releaseDiscounts if the save fails.
+ * @param {Object} booking - Unsaved booking document
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} - If the code was used up since the booking was priced
+ */
+const redeemDiscounts = async (booking) => {
+  const taken = [];
+
+  try {
+    for (const discount of booking.pricing.discounts) {
+      if (!await PromoCode.redeem(discount.promoCode)) {
+        throw new BadRequestError(`Promo code ${discount.code} has been used up`);
+      }
+      taken.push(discount);
+    }
+  } catch (error) {
+    await giveBack(booking, taken);
+    throw error;
+  }
+};
+
+/**
+ * Give back the promo code use of a cancelled booking, or one that failed to save
+ * Safe to call more than once; only the first call gives anything back.
+ * @param {Object} booking - Booking document
+ * @returns {Promise<void>}
+ */
+const releaseDiscounts = async (booking) => {
+  try {
+    if (!booking.pricing.discounts || booking.pricing.discounts.length === 0) return;
+
+    // A booking that failed to save has nothing to mark
+    if (!booking.isNew) {
+      const { modifiedCount } = await Booking.updateOne(
+        { _id: booking._id, 'pricing.discountsReleasedAt': null },
+        { $set: { 'pricing.discountsReleasedAt': new Date() } }
+      );
+      if (modifiedCount === 0) return;
+    }
+
+    await giveBack(booking, booking.pricing.discounts);
+  } catch (error) {
+    console.error(`Failed to release the discounts of booking ${booking._id}:`, error);
+  }
+};
+
+/**
+ * Credit the wallet of the user who invited a driver, the first time the driver completes a booking
+ * @param {Object} booking - Completed booking
+ * @returns {Promise<number>} - Credit awarded, 0 if none
+ */
+const rewardReferral = async (booking) => {
+  try {
+    const currency = booking.pricing.currency || 'USD';
+    const rewards = (await Settings.getSetting('referralRewards')) || {};
+    const reward = rewards[currency];
+    if (!(reward > 0)) return 0;
+
+    // Claim the reward atomically so completing two bookings at once only pays it once
+    const invitee = await User.findOneAndUpdate(
+      { _id: booking.user, 'referral.referredBy': { $ne: null }, 'referral.rewardedAt': null },
+      { $set: { 'referral.rewardedAt': new Date() } }
+    );
+    if (!invitee) return 0;
+
+    const credit = await creditWallet(invitee.referral.referredBy, currency, reward, {
+      type: 'referral_reward',
+      description: `Referral reward for inviting ${invitee.profile.firstName}`,
+      booking: booking._id
+    });
+    await recordWalletLedger(credit);
+    await dispatchNotification(NOTIFICATION_EVENTS.REFERRAL_REWARDED, {
+      referrerId: invitee.referral.referredBy,
+      invitee,
+      amount: reward,
+      currency
+    });
+
+    return reward;
+  } catch (error) {
+    console.error(`Failed to reward the referral for booking ${booking._id}:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Move referral credit balances from before rewards went to the wallet into wallets
+ * Safe to run more than once: each balance is cleared before it is credited, so it only moves once.
+ * @returns {Promise<number>} - Number of balances moved
+ */
+const moveReferralCredits = async () => {
+  let moved = 0;
+
+  // The balances are no longer in the User schema, so they are read from the collection
+  const users = User.collection.find(
+    { 'referral.credits': { $exists: true } },
+    { projection: { 'referral.credits': 1 } }
+  );
+  for await (const user of users) {
+    for (const [currency, balance] of Object.entries(user.referral.credits || {})) {
+      const { modifiedCount } = await User.collection.updateOne(
+        { _id: user._id, [`referral.credits.${currency}`]: balance },
+        { $unset: { [`referral.credits.${currency}`]: '' } }
+      );
+      const amount = floorCurrency(balance);
+      if (modifiedCount === 0 || !(amount > 0)) continue;
+
+      await creditLegacyReferral(user._id, currency, amount, {
+        description: 'Referral credit moved to your wallet'
+      });
+      moved += 1;
+    }
+
+    await User.collection.updateOne(
+      { _id: user._id, 'referral.credits': {} },
+      { $unset: { 'referral.credits': '' } }
+    );
+  }
+
+  return moved;
+};
+
+module.exports = {
+  MINIMUM_CHARGE,
+  validatePromotionSetting,
+  checkPromoCode,
+  getBookingDiscounts,
+  getRedeemedDiscounts,
+  applyDiscounts,
+  redeemDiscounts,
+  releaseDiscounts,
+  rewardReferral,
+  moveReferralCredits
+};
@@ -0,0 +1,319 @@
+/**
+ * Receipts Utility
+ *
+ * Renders the PDFs drivers and owners keep for their records:
+ * - Receipts for completed payments, numbered R-<year>-<sequence> when first issued.
+ *   A receipt always shows the payment as it stands, including any refunds since.
+ * - Monthly earnings statements for charger owners, covering payments completed
+ *   and payouts sent in a calendar month (UTC).
+ *
+ * Amounts are shown in the payment's currency; dates in the charger's time zone.
+ */
+
+const PDFDocument = require('pdfkit');
+const Payment = require('../models/Payment');
+const Payout = require('../models/Payout');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Counter = require('../models/Counter');
+const { BadRequestError } = require('./errors');
+const { getDefaultTimeZone } = require('./timezone');
+const { formatMoney } = require('./currency');
+
+// Payment statuses that have a receipt
+const RECEIPT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const formatDate = (date, timeZone) => new Date(date).toLocaleString('en-US', {
+  timeZone,
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+const fullName = (user) => (user ? `${user.profile.firstName} ${user.profile.lastName}` : '');
+
+/**
+ * Give a payment its receipt number, if it does not have one yet
+ * @param {Object} payment - Payment document in one of RECEIPT_STATUSES
+ * @returns {Promise<Object>} - Payment with `receipt` set
+ */
+const issueReceipt = async (payment) => {
+  if (!RECEIPT_STATUSES.includes(payment.transaction.status)) {
+    throw new BadRequestError('Receipts are only available for completed payments');
+  }
+  if (payment.receipt && payment.receipt.number) return payment;
+
+  const issuedAt = new Date();
+  const year = issuedAt.getUTCFullYear();
+  const sequence = await Counter.next(`receipt:${year}`);
+  const number = `R-${year}-${String(sequence).padStart(6, '0')}`;
+
+  // Another request may have issued the receipt first; its number stands
+  await Payment.updateOne(
+    { _id: payment._id, 'receipt.number': { $exists: false } },
+    { $set: { receipt: { number, issuedAt } } }
+  );
+  const { receipt } = await Payment.findById(payment._id).select('receipt');
+  payment.set('receipt', receipt);
+
+  return payment;
+};
+
+/**
+ * Gather what a receipt shows about a payment
+ * @param {Object} payment - Payment document with a receipt
+ * @returns {Promise<Object>} - Receipt contents
+ */
+const buildReceipt = async (payment) => {
+  const [booking, user, owner] = await Promise.all([
+    Booking.findById(payment.booking).populate('charger', 'title location'),
+    User.findById(payment.user).select('email profile.firstName profile.lastName'),
+    User.findById(payment.owner).select('profile.firstName profile.lastName')
+  ]);
+  const charger = booking && booking.charger;
+  const refunded = payment.transaction.refundAmount || 0;
+
+  // The booking's price breakdown, or a single hourly line for bookings priced before it existed
+  const lines = [];
+  if (booking && booking.pricing.lineItems.length) {
+    lines.push(...booking.pricing.lineItems.map(item => item.toObject()));
+  } else if (booking) {
+    lines.push({
+      label: 'Charging',
+      quantity: booking.schedule.duration,
+      unit: 'hour',
+      rate: booking.pricing.hourlyRate,
+      amount: booking.pricing.totalAmount
+    });
+  }
+  // Promo codes and referral credit come off the lines
+  if (booking && lines.length) {
+    lines.push(...booking.pricing.discounts.map(discount => ({ label: discount.label, amount: -discount.amount })));
+  }
+  // Tax added on top of the rates is charged on top of the lines
+  const addedTax = payment.amount.taxPolicy && payment.amount.taxPolicy.inclusive === false ? payment.amount.tax || 0 : 0;
+  // A capture for less than the booking price, e.g. a cancellation fee
+  const adjustment = roundCurrency(payment.amount.total - addedTax - lines.reduce((sum, line) => sum + line.amount, 0));
+  if (lines.length && adjustment !== 0) {
+    lines.push({ label: 'Adjustment on completion', amount: adjustment });
+  }
+
+  return {
+    number: payment.receipt.number,
+    issuedAt: payment.receipt.issuedAt,
+    paidAt: payment.transaction.processedAt,
+    currency: payment.currency,
+    timeZone: charger && charger.getTimeZone ? charger.getTimeZone() : getDefaultTimeZone(),
+    customer: { name: fullName(user), email: user && user.email },
+    host: fullName(owner),
+    charger: charger ? { title: charger.title, address: charger.location.address } : null,
+    schedule: booking ? booking.schedule : null,
+    lines,
+    tax: payment.amount.tax || 0,
+    taxPolicy: payment.amount.taxPolicy && payment.amount.taxPolicy.name ? payment.amount.taxPolicy : null,
+    platformFee: payment.amount.platformFee,
+    total: payment.amount.total,
+    refunded,
+    refundedAt: payment.transaction.refundedAt,
+    netPaid: roundCurrency(payment.amount.total - refunded),
+    paymentMethod: payment.paymentMethod
+  };
+};
+
+/**
+ * Render a PDF document to a buffer
+ * @param {Function} draw - Called with the PDFKit document to lay out its content
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  draw(doc);
+  doc.end();
+});
+
+// A label on the left and a value right-aligned on the same line
+const row = (doc, label, value, options = {}) => {
+  const y = doc.y;
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica');
+  doc.text(label, 50, y, { width: 345 });
+  doc.text(value, 395, y, { width: 150, align: 'right' });
+  doc.font('Helvetica');
+};
+
+const heading = (doc, title, subtitle) => {
+  doc.font('Helvetica-Bold').fontSize(20).text('EvChargerShare');
+  doc.fontSize(14).text(title);
+  doc.font('Helvetica').fontSize(10);
+  if (subtitle) doc.text(subtitle);
+  doc.moveDown();
+};
+
+/**
+ * Render a payment's receipt as a PDF, issuing its number if needed
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object>} - { filename, content: Buffer }
+ */
+const generateReceiptPdf = async (payment) => {
+  await issueReceipt(payment);
+  const receipt = await buildReceipt(payment);
+  const money = (amount) => formatMoney(amount, receipt.currency);
+
+  const content = await renderPdf((doc) => {
+    heading(doc, `Receipt ${receipt.number}`, `Issued ${formatDate(receipt.issuedAt, receipt.timeZone)}`);
+
+    doc.text(`Billed to: ${receipt.customer.name}${receipt.customer.email ? ` <${receipt.customer.email}>` : ''}`);
+    doc.text(`Host: ${receipt.host}`);
+    if (receipt.charger) {
+      doc.text(`Charger: ${receipt.charger.title}`);
+      doc.text(`Address: ${receipt.charger.address}`);
+    }
+    if (receipt.schedule) {
+      doc.text(`Session: ${formatDate(receipt.schedule.startTime, receipt.timeZone)} - ${formatDate(receipt.schedule.endTime, receipt.timeZone)} (${receipt.timeZone})`);
+      doc.text(`Duration: ${receipt.schedule.duration} hours`);
+    }
+    doc.moveDown();
+
+    for (const line of receipt.lines) {
+      const quantity = line.unit ? ` (${line.quantity} ${line.unit} x ${money(line.rate)})` : '';
+      row(doc, `${line.label}${quantity}`, money(line.amount));
+    }
+    row(doc, 'Platform fee (included)', money(receipt.platformFee));
+    if (receipt.taxPolicy) {
+      const included = receipt.taxPolicy.inclusive ? ', included' : '';
+      row(doc, `${receipt.taxPolicy.name} (${receipt.taxPolicy.rate}%${included})`, money(receipt.tax));
+    } else {
+      row(doc, 'Tax', money(receipt.tax));
+    }
+    doc.moveDown(0.5);
+    row(doc, 'Total charged', money(receipt.total), { bold: true });
+
+    if (receipt.refunded > 0) {
+      row(doc, `Refunded${receipt.refundedAt ? ` on ${formatDate(receipt.refundedAt, receipt.timeZone)}` : ''}`, `-${money(receipt.refunded)}`);
+      row(doc, 'Net paid', money(receipt.netPaid), { bold: true });
+    }
+    doc.moveDown();
+
+    const method = receipt.paymentMethod || {};
+    doc.text(`Paid ${receipt.paidAt ? formatDate(receipt.paidAt, receipt.timeZone) : ''} by ${method.brand || method.type || 'card'}${method.last4 ? ` ending ${method.last4}` : ''}`);
+  });
+
+  return { filename: `receipt-${receipt.number}.pdf`, content };
+};
+
+/**
+ * Render the receipt as an email attachment for a payment confirmation
+ * Failures are logged so the confirmation is still sent without it.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Array>} - Nodemailer attachments
+ */
+const getReceiptAttachments = async (payment) => {
+  try {
+    const { filename, content } = await generateReceiptPdf(payment);
+    return [{ filename, content, contentType: 'application/pdf' }];
+  } catch (error) {
+    console.error('[RECEIPT ERROR]', error);
+    return [];
+  }
+};
+
+/**
+ * Render an owner's earnings statement for a calendar month as a PDF
+ * @param {string} ownerId - Charger owner
+ * @param {number} year - e.g. 2024
+ * @param {number} month - 1-12
+ * @returns {Promise<Object>} - { filename, content: Buffer }
+ */
+const generateStatementPdf = async (ownerId, year, month) => {
+  const start = new Date(Date.UTC(year, month - 1, 1));
+  const end = new Date(Date.UTC(year, month, 1));
+
+  const [owner, payments, payouts] = await Promise.all([
+    User.findById(ownerId).select('email profile.firstName profile.lastName'),
+    Payment.find({
+      owner: ownerId,
+      'transaction.status': { $in: RECEIPT_STATUSES },
+      'transaction.processedAt': { $gte: start, $lt: end }
+    })
+      .populate({ path: 'booking', select: 'charger', populate: { path: 'charger', select: 'title' } })
+      .sort({ 'transaction.processedAt': 1 }),
+    Payout.find({ owner: ownerId, status: 'paid', paidAt: { $gte: start, $lt: end } }).sort({ paidAt: 1 })
+  ]);
+
+  // Totals are kept per currency, never added across currencies
+  const totals = {};
+  for (const payment of payments) {
+    const total = totals[payment.currency] || { gross: 0, tax: 0, platformFees: 0, refunded: 0, earnings: 0, payouts: 0 };
+    total.gross = roundCurrency(total.gross + payment.amount.total);
+    total.tax = roundCurrency(total.tax + (payment.amount.tax || 0));
+    total.platformFees = roundCurrency(total.platformFees + payment.amount.platformFee);
+    total.refunded = roundCurrency(total.refunded + (payment.transaction.refundAmount || 0));
+    total.earnings = roundCurrency(total.earnings + payment.getNetOwnerEarnings());
+    totals[payment.currency] = total;
+  }
+  for (const payout of payouts) {
+    const total = totals[payout.currency] || { gross: 0, tax: 0, platformFees: 0, refunded: 0, earnings: 0, payouts: 0 };
+    total.payouts = roundCurrency(total.payouts + payout.amount);
+    totals[payout.currency] = total;
+  }
+
+  const period = start.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const timeZone = 'UTC';
+
+  const content = await renderPdf((doc) => {
+    heading(doc, `Earnings Statement - ${period}`, `${fullName(owner)}${owner && owner.email ? ` <${owner.email}>` : ''}`);
+
+    doc.font('Helvetica-Bold').text('Payments');
+    doc.font('Helvetica');
+    if (!payments.length) doc.text('No payments this month.');
+    for (const payment of payments) {
+      const charger = payment.booking && payment.booking.charger ? payment.booking.charger.title : 'Charger';
+      const refunded = payment.transaction.refundAmount
+        ? `, refunded ${formatMoney(payment.transaction.refundAmount, payment.currency)}`
+        : '';
+      row(
+        doc,
+        `${formatDate(payment.transaction.processedAt, timeZone)}  ${charger}` +
+          ` (${formatMoney(payment.amount.total, payment.currency)}, fee ${formatMoney(payment.amount.platformFee, payment.currency)}${refunded})`,
+        formatMoney(payment.getNetOwnerEarnings(), payment.currency)
+      );
+    }
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text('Payouts');
+    doc.font('Helvetica');
+    if (!payouts.length) doc.text('No payouts this month.');
+    for (const payout of payouts) {
+      row(doc, `${formatDate(payout.paidAt, timeZone)}  Transfer ${payout.transfer && payout.transfer.id ? payout.transfer.id : ''}`, formatMoney(payout.amount, payout.currency));
+    }
+    doc.moveDown();
+
+    for (const [currency, total] of Object.entries(totals)) {
+      doc.font('Helvetica-Bold').text(`Totals (${currency.toUpperCase()})`);
+      doc.font('Helvetica');
+      row(doc, 'Gross bookings', formatMoney(total.gross, currency));
+      row(doc, 'Tax collected by the platform', `-${formatMoney(total.tax, currency)}`);
+      row(doc, 'Platform fees', `-${formatMoney(total.platformFees, currency)}`);
+      row(doc, 'Refunded to drivers', formatMoney(total.refunded, currency));
+      row(doc, 'Earnings net of refunds', formatMoney(total.earnings, currency), { bold: true });
+      row(doc, 'Paid out this month', formatMoney(total.payouts, currency));
+      doc.moveDown();
+    }
+  });
+
+  return { filename: `statement-${year}-${String(month).padStart(2, '0')}.pdf`, content };
+};
+
+module.exports = {
+  RECEIPT_STATUSES,
+  issueReceipt,
+  buildReceipt,
+  generateReceiptPdf,
+  getReceiptAttachments,
+  generateStatementPdf
+};
@@ -0,0 +1,111 @@
+/**
+ * Job Scheduler
+ *
+ * Runs recurring background jobs, such as moving bookings through their lifecycle
+ * (utils/bookingLifecycle), expiring card authorizations and paying owners.
+ *
+ * Each job's next run time is kept in MongoDB (ScheduledJob), so schedules survive
+ * restarts. Before running, an instance takes a lease on the job with a single atomic
+ * update, so with several API replicas each run happens on only one of them. A lease
+ * that is never released, e.g. because the instance crashed, lapses on its own.
+ *
+ * Jobs are defined with defineJob and run by startScheduler, which checks for due
+ * jobs every 30 seconds. A job that throws is logged and runs again at its next time.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+
+// Identifies this server instance on the leases it takes
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const jobs = new Map();
+let timer = null;
+
+/**
+ * Define a recurring job
+ * @param {string} name - Unique job name, e.g. 'booking-lifecycle'
+ * @param {Object} options - { interval: ms between runs, handler: async (now) => result, lease: ms (default 10 minutes) }
+ */
+const defineJob = (name, { interval, handler, lease = DEFAULT_LEASE_MS }) => {
+  jobs.set(name, { name, interval, handler, lease });
+};
+
+/**
+ * Run a job if it is due and no other instance is running it
+ * @param {string} name - Job name
+ * @param {Date} now - Time to run at (default now)
+ * @returns {Promise<Object|null>} - { result } or { error }, or null if the job did not run
+ */
+const runJob = async (name, now = new Date()) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const claimed = await ScheduledJob.claim(name, INSTANCE_ID, now, job.lease);
+  if (!claimed) return null;
+
+  const nextRunAt = new Date(now.getTime() + job.interval);
+  try {
+    const result = await job.handler(now);
+    await claimed.finish(nextRunAt, { result });
+    return { result };
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error.message);
+    await claimed.finish(nextRunAt, { error });
+    return { error };
+  }
+};
+
+/**
+ * Run every defined job that is due, one at a time
+ * @param {Date} now - Time to run at (default now)
+ * @returns {Promise<Object>} - Outcome of each job that ran, by name
+ */
+const runDueJobs = async (now = new Date()) => {
+  const outcomes = {};
+  for (const name of jobs.keys()) {
+    const outcome = await runJob(name, now);
+    if (outcome) outcomes[name] = outcome;
+  }
+  return outcomes;
+};
+
+/**
+ * Start checking for due jobs
+ */
+const startScheduler = () => {
+  if (timer) return;
+
+  const tick = async () => {
+    try {
+      await runDueJobs();
+    } catch (error) {
+      console.error('Job scheduler failed:', error.message);
+    }
+  };
+
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+};
+
+/**
+ * Stop checking for due jobs; a run in progress finishes
+ */
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  defineJob,
+  runJob,
+  runDueJobs,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,247 @@
+/**
+ * Session Fees Utility
+ *
+ * Charges drivers who hold a charger longer than they booked it, or who never
+ * turn up, using the check-in and check-out times recorded by utils/checkIn.
+ *
+ * The overstayPolicy booking setting decides the overstay fee: feePerMinute for
+ * every minute a driver checks out past the end time, after graceMinutes, up to
+ * maxFee. It is charged off-session to the card (or wallet) the booking was paid
+ * with once the session's payment has been captured, as a separate gateway charge.
+ *
+ * The noShowPolicy booking setting decides no-shows: when enabled, a confirmed
+ * booking nobody has checked in to graceMinutes after its start becomes a no_show
+ * and feePercentage of its total is kept, releasing or refunding the rest. The
+ * booking lifecycle job (utils/bookingLifecycle) looks for them.
+ *
+ * Fees are split between the platform and the owner like the booking itself and
+ * are recorded in Payment.fees. A fee the gateway declines is recorded as failed.
+ * Drivers and owners are notified either way.
+ */
+
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const { dispatchNotification, NOTIFICATION_EVENTS } = require('./notificationDispatcher');
+const { withBookingLock } = require('./bookingLock');
+const { recordPaymentLedger } = require('./ledger');
+const { applyFeePolicy } = require('./platformFee');
+const {
+  getGateway,
+  getFeePercentage,
+  refundPayment,
+  releaseAuthorization,
+  syncBookingPayment
+} = require('./paymentGateway');
+const { PaymentGatewayError } = require('./errors');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const DEFAULT_OVERSTAY_POLICY = {
+  graceMinutes: 10,
+  feePerMinute: 0.5,
+  maxFee: 30
+};
+
+const DEFAULT_NO_SHOW_POLICY = {
+  enabled: false,
+  graceMinutes: 30,
+  feePercentage: 50
+};
+
+const FEE_DESCRIPTIONS = {
+  overstay: 'Overstay fee',
+  no_show: 'No-show fee'
+};
+
+/**
+ * Get the overstay policy, filling in defaults for anything not configured
+ * @returns {Promise<Object>} - { graceMinutes, feePerMinute, maxFee }
+ */
+const getOverstayPolicy = async () => {
+  const configured = (await Settings.getSetting('overstayPolicy')) || {};
+  return { ...DEFAULT_OVERSTAY_POLICY, ...configured };
+};
+
+/**
+ * Get the no-show policy, filling in defaults for anything not configured
+ * @returns {Promise<Object>} - { enabled, graceMinutes, feePercentage }
+ */
+const getNoShowPolicy = async () => {
+  const configured = (await Settings.getSetting('noShowPolicy')) || {};
+  return { ...DEFAULT_NO_SHOW_POLICY, ...configured };
+};
+
+/**
+ * Calculate the overstay fee for a checked-out booking
+ * @param {Object} booking - Booking document
+ * @param {Object} policy - Overstay policy
+ * @returns {Object} - { minutes: chargeable minutes past the grace period, amount }
+ */
+const calculateOverstayFee = (booking, policy) => {
+  const minutes = Math.max(0, booking.getOverstayMinutes() - policy.graceMinutes);
+  const amount = minutes * policy.feePerMinute;
+  return {
+    minutes,
+    amount: roundCurrency(policy.maxFee > 0 ? Math.min(amount, policy.maxFee) : amount)
+  };
+};
+
+/**
+ * Charge a fee to the card or wallet a booking was paid with, recording it on its payment
+ * @param {Object} payment - Completed Payment document
+ * @param {Object} fee - { type: 'overstay' or 'no_show', amount, minutes }
+ * @returns {Promise<Object>} - The recorded fee, with a status of 'completed' or 'failed'
+ */
+const chargeSessionFee = async (payment, { type, amount, minutes }) => {
+  const { gateway } = payment.transaction;
+  const fee = { type, amount, minutes, chargedAt: new Date() };
+
+  try {
+    const user = gateway === 'stripe' ? await User.findById(payment.user) : null;
+    const charge = await getGateway(gateway).charge({
+      amount,
+      currency: payment.currency,
+      paymentMethodId: payment.paymentMethod.reference,
+      customerId: user && user.wallet ? user.wallet.stripeCustomerId : undefined,
+      description: `${FEE_DESCRIPTIONS[type]} for booking ${payment.booking}`,
+      metadata: {
+        bookingId: payment.booking.toString(),
+        userId: payment.user.toString()
+      },
+      capture: true,
+      offSession: true
+    });
+    if (charge.status !== 'completed') {
+      throw new PaymentGatewayError(charge.failureReason || 'The card needs the driver to authenticate the fee', gateway);
+    }
+
+    // No tax is added to fees, and the platform keeps the same share as of the booking
+    const { platformFee, ownerEarnings } = applyFeePolicy(amount, { percentage: getFeePercentage(payment) });
+    payment.amount.total = roundCurrency(payment.amount.total + amount);
+    payment.amount.captured = roundCurrency((payment.amount.captured || 0) + amount);
+    payment.amount.platformFee = roundCurrency(payment.amount.platformFee + platformFee);
+    payment.amount.ownerEarnings = roundCurrency(payment.amount.ownerEarnings + ownerEarnings);
+    fee.status = 'completed';
+    fee.transactionId = charge.id;
+  } catch (error) {
+    if (!(error instanceof PaymentGatewayError)) throw error;
+    fee.status = 'failed';
+    fee.failureReason = error.message;
+  }
+
+  payment.fees.push(fee);
+  await payment.save();
+  await recordPaymentLedger(payment);
+
+  const recorded = payment.fees[payment.fees.length - 1];
+  await dispatchNotification(NOTIFICATION_EVENTS.SESSION_FEE_CHARGED, { payment, fee: recorded });
+
+  return recorded;
+};
+
+/**
+ * Charge the overstay fee for a booking the driver has checked out of, if any is due
+ * @param {Object} booking - Completed Booking document
+ * @param {Object} payment - The booking's Payment document
+ * @returns {Promise<Object|null>} - The recorded fee, or null if none was charged
+ */
+const chargeOverstayFee = async (booking, payment) => {
+  if (!booking.checkOut || !booking.checkOut.at) return null;
+  if (!payment || payment.transaction.status !== 'completed') return null;
+  if (payment.fees.some(fee => fee.type === 'overstay')) return null;
+
+  const { minutes, amount } = calculateOverstayFee(booking, await getOverstayPolicy());
+  if (amount <= 0) return null;
+
+  return chargeSessionFee(payment, { type: 'overstay', amount, minutes });
+};
+
+/**
+ * Mark a booking nobody checked in to as a no-show, keeping the no-show fee
+ * @param {Object} booking - Booking document
+ * @param {Object} policy - No-show policy
+ * @returns {Promise<Object|null>} - { booking, fee }, or null if the booking no longer qualifies
+ */
+const markNoShow = async (booking, policy) => withBookingLock(booking.charger, async () => {
+  const current = await Booking.findById(booking._id);
+  if (!current || !['confirmed', 'active'].includes(current.status) || (current.checkIn && current.checkIn.at)) {
+    return null;
+  }
+
+  // Keep the fee before marking the booking so a failed capture leaves it for the next run
+  const payment = await Payment.findOne({ booking: current._id });
+  const feeAmount = roundCurrency(current.pricing.totalAmount * policy.feePercentage / 100);
+  let kept = 0;
+  if (payment && payment.transaction.status === 'authorized') {
+    await releaseAuthorization(payment, feeAmount);
+    kept = payment.transaction.status === 'completed' ? payment.amount.captured : 0;
+  } else if (payment && payment.canBeRefunded()) {
+    const paid = roundCurrency(payment.amount.total - (payment.transaction.refundAmount || 0));
+    if (paid > feeAmount) {
+      await refundPayment(payment, roundCurrency(paid - feeAmount));
+    }
+    kept = Math.min(feeAmount, paid);
+  }
+
+  if (kept > 0) {
+    payment.fees.push({
+      type: 'no_show',
+      amount: kept,
+      status: 'completed',
+      transactionId: payment.transaction.id,
+      chargedAt: new Date()
+    });
+    await payment.save();
+  }
+
+  if (payment) {
+    await syncBookingPayment(current, payment, { status: 'no_show' });
+  } else {
+    await Booking.updateOne({ _id: current._id }, { $set: { status: 'no_show' } });
+    current.status = 'no_show';
+  }
+
+  return { booking: current, fee: kept };
+});
+
+/**
+ * Mark every booking nobody checked in to in time as a no-show
+ * Does nothing unless the noShowPolicy setting is enabled.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of bookings marked
+ */
+const chargeNoShows = async (now) => {
+  const policy = await getNoShowPolicy();
+  if (!policy.enabled) return 0;
+
+  const bookings = await Booking.find({
+    status: { $in: ['confirmed', 'active'] },
+    'checkIn.at': null,
+    'schedule.startTime': { $lte: new Date(now.getTime() - policy.graceMinutes * 60 * 1000) }
+  });
+
+  let count = 0;
+  for (const booking of bookings) {
+    try {
+      const noShow = await markNoShow(booking, policy);
+      if (!noShow) continue;
+
+      count += 1;
+      await dispatchNotification(NOTIFICATION_EVENTS.BOOKING_NO_SHOW, noShow);
+    } catch (error) {
+      console.error(`Could not mark booking ${booking._id} as a no-show:`, error.message);
+    }
+  }
+  return count;
+};
+
+module.exports = {
+  getOverstayPolicy,
+  getNoShowPolicy,
+  calculateOverstayFee,
+  chargeSessionFee,
+  chargeOverstayFee,
+  chargeNoShows
+};
@@ -0,0 +1,246 @@
+/**
+ * Socket.io Server
+ *
+ * Pushes booking conversation events to connected clients in real time:
+ * - New messages (message:new)
+ * - Typing indicators (typing)
+ * - Read receipts (message:read)
+ *
+ * Clients authenticate with the same JWT as the REST API and join one room per
+ * booking they take part in. Messages are still created through POST /api/messages,
+ * so the REST routes keep working when a client cannot hold a socket open.
+ */
+
+const { Server } = require('socket.io');
+const Booking = require('../models/Booking');
+const Message = require('../models/Message');
+const { getUserFromToken } = require('../middleware/auth');
+
+let io = null;
+
+const bookingRoom = (bookingId) => `booking:${bookingId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Check whether a user takes part in a booking conversation
+ * @param {Object} booking - Booking document
+ * @param {Object} user - Authenticated user
+ * @returns {boolean} - True if the user is the driver, the owner or an admin
+ */
+const canAccessBooking = (booking, user) => {
+  return booking.user.equals(user._id) ||
+         booking.owner.equals(user._id) ||
+         user.role === 'admin';
+};
+
+/**
+ * Extract the access token from a socket handshake
+ * @param {Object} handshake - Socket.io handshake
+ * @returns {string|undefined} - JWT access token
+ */
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth?.token) {
+    return handshake.auth.token;
+  }
+
+  const header = handshake.headers?.authorization;
+  if (header?.startsWith('Bearer')) {
+    return header.split(' ')[1];
+  }
+
+  return undefined;
+};
+
+/**
+ * Emit an event to everyone in a booking conversation
+ * @param {string} bookingId - Booking ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+const emitToBooking = (bookingId, event, payload) => {
+  if (!io) return;
+  io.to(bookingRoom(bookingId)).emit(event, payload);
+};
+
+/**
+ * Emit an event to every socket a user has open
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!io) return;
+  io.to(userRoom(userId)).emit(event, payload);
+};
+
+/**
+ * Push a newly created message to the booking room and the recipient
+ * The recipient's personal room lets their conversation list update even
+ * when the conversation is not open
+ * @param {Object} message - Saved message with sender populated
+ */
+const emitNewMessage = (message) => {
+  if (!io) return;
+  const bookingId = message.booking.toString();
+  const recipientId = (message.recipient._id || message.recipient).toString();
+
+  io.to(bookingRoom(bookingId))
+    .to(userRoom(recipientId))
+    .emit('message:new', { bookingId, message });
+};
+
+/**
+ * Push a read receipt to the booking room
+ * @param {string} bookingId - Booking ID
+ * @param {Array} messageIds - IDs of the messages that were read
+ * @param {string} readBy - ID of the user who read them
+ * @param {Date} readAt - Time the messages were read
+ */
+const emitReadReceipt = (bookingId, messageIds, readBy, readAt) => {
+  if (!io || messageIds.length === 0) return;
+  emitToBooking(bookingId.toString(), 'message:read', {
+    bookingId: bookingId.toString(),
+    messageIds: messageIds.map(id => id.toString()),
+    readBy: readBy.toString(),
+    readAt
+  });
+};
+
+/**
+ * Register the conversation event handlers for a connected socket
+ * @param {Object} socket - Authenticated socket
+ */
+const registerHandlers = (socket) => {
+  const { user } = socket;
+
+  socket.join(userRoom(user._id));
+
+  socket.on('booking:join', async ({ bookingId } = {}, ack = () => {}) => {
+    try {
+      const booking = bookingId && await Booking.findById(bookingId).select('user owner');
+
+      if (!booking) {
+        return ack({ success: false, error: 'Booking not found' });
+      }
+
+      if (!canAccessBooking(booking, user)) {
+        return ack({ success: false, error: 'Not authorized to join this conversation' });
+      }
+
+      socket.join(bookingRoom(bookingId));
+      ack({ success: true });
+    } catch (error) {
+      ack({ success: false, error: 'Failed to join conversation' });
+    }
+  });
+
+  socket.on('booking:leave', ({ bookingId } = {}) => {
+    if (bookingId) {
+      socket.leave(bookingRoom(bookingId));
+    }
+  });
+
+  const relayTyping = (isTyping) => ({ bookingId } = {}) => {
+    const room = bookingRoom(bookingId);
+    if (!bookingId || !socket.rooms.has(room)) return;
+
+    socket.to(room).emit('typing', {
+      bookingId,
+      userId: user._id.toString(),
+      isTyping
+    });
+  };
+
+  socket.on('typing:start', relayTyping(true));
+  socket.on('typing:stop', relayTyping(false));
+
+  socket.on('message:read', async ({ bookingId, messageIds } = {}, ack = () => {}) => {
+    try {
+      if (!bookingId || !socket.rooms.has(bookingRoom(bookingId)) || !Array.isArray(messageIds)) {
+        return ack({ success: false, error: 'Join the conversation before sending read receipts' });
+      }
+
+      // Only messages addressed to this user that are still unread
+      const unread = await Message.find({
+        _id: { $in: messageIds },
+        booking: bookingId,
+        recipient: user._id,
+        readAt: { $exists: false }
+      }).select('_id');
+
+      const unreadIds = unread.map(message => message._id);
+      const readAt = new Date();
+
+      if (unreadIds.length > 0) {
+        await Message.updateMany({ _id: { $in: unreadIds } }, { readAt });
+        emitReadReceipt(bookingId, unreadIds, user._id, readAt);
+      }
+
+      ack({ success: true, data: { count: unreadIds.length } });
+    } catch (error) {
+      ack({ success: false, error: 'Failed to mark messages as read' });
+    }
+  });
+};
+
+/**
+ * Attach a Socket.io server to an HTTP server
+ * @param {Object} server - Node HTTP server
+ * @returns {Object} - Socket.io server instance
+ */
+const initSocket = (server) => {
+  io = new Server(server, {
+    cors: {
+      origin: '*',
+      methods: ['GET', 'POST']
+    }
+  });
+
+  // Authenticate the handshake with the REST API's JWT
+  io.use(async (socket, next) => {
+    const token = getHandshakeToken(socket.handshake);
+
+    if (!token) {
+      return next(new Error('Access denied. No token provided.'));
+    }
+
+    try {
+      socket.user = await getUserFromToken(token);
+      next();
+    } catch (error) {
+      next(new Error('Invalid authentication token.'));
+    }
+  });
+
+  io.on('connection', registerHandlers);
+
+  return io;
+};
+
+/**
+ * Get the active Socket.io server
+ * @returns {Object|null} - Socket.io server, or null if not initialized
+ */
+const getIO = () => io;
+
+/**
+ * Close the Socket.io server
+ * @returns {Promise<void>}
+ */
+const closeSocket = () => {
+  return new Promise((resolve) => {
+    if (!io) return resolve();
+    io.close(() => resolve());
+    io = null;
+  });
+};
+
+module.exports = {
+  initSocket,
+  getIO,
+  closeSocket,
+  emitToBooking,
+  emitToUser,
+  emitNewMessage,
+  emitReadReceipt
+};
@@ -0,0 +1,223 @@
+/**
+ * Stripe Payment Gateway
+ *
+ * Card payments through Stripe PaymentIntents, confirmed on the server. Cards
+ * that need 3-D Secure come back pending, with the client secret the frontend
+ * passes to stripe.handleNextAction. Authorizations use manual capture and
+ * expire after Stripe's capture window (7 days for most cards).
+ *
+ * Drivers' saved cards are PaymentMethods attached to a Stripe customer per user;
+ * payments by a user with a customer are made on it, so saved cards can be charged.
+ *
+ * Owner payouts use Stripe Connect: each owner onboards an Express connected
+ * account, and payouts are transfers from the platform balance to it.
+ */
+
+const { PaymentGatewayError } = require('./errors');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || '');
+
+// Payment transaction status for each PaymentIntent status; anything else has failed
+const PAYMENT_INTENT_STATUSES = {
+  succeeded: 'completed',
+  requires_capture: 'authorized',
+  requires_action: 'pending',
+  processing: 'pending'
+};
+
+// Used when Stripe does not report a card's capture deadline
+const AUTHORIZATION_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+const CARD_BRANDS = ['visa', 'mastercard', 'amex', 'discover'];
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// Describe a saved card
+const toSavedCard = (paymentMethod) => ({
+  id: paymentMethod.id,
+  brand: paymentMethod.card?.brand,
+  last4: paymentMethod.card?.last4,
+  expMonth: paymentMethod.card?.exp_month,
+  expYear: paymentMethod.card?.exp_year
+});
+
+// Describe a connected account as a User.payoutAccount
+const toPayoutAccount = (account) => ({
+  provider: 'stripe',
+  accountId: account.id,
+  status: account.payouts_enabled ? 'active' : (account.details_submitted ? 'restricted' : 'pending'),
+  payoutsEnabled: Boolean(account.payouts_enabled)
+});
+
+/**
+ * Run a Stripe request, reporting Stripe errors as gateway errors
+ * @param {Function} request - Async function making the request
+ * @returns {Promise<*>} - The request's result
+ */
+const callStripe = async (request) => {
+  try {
+    return await request();
+  } catch (error) {
+    if (error.type && error.type.startsWith('Stripe')) {
+      throw new PaymentGatewayError(error.message, 'stripe');
+    }
+    throw error;
+  }
+};
+
+// Describe a PaymentIntent in the gateway-neutral charge format
+const toCharge = (paymentIntent) => {
+  const card = paymentIntent.payment_method?.card || {};
+  const requiresAction = paymentIntent.status === 'requires_action';
+  // Stripe cancels authorizations itself when the capture window closes
+  const expired = paymentIntent.status === 'canceled' && paymentIntent.cancellation_reason === 'automatic';
+  const captureBefore = paymentIntent.latest_charge?.payment_method_details?.card?.capture_before;
+
+  return {
+    id: paymentIntent.id,
+    status: expired ? 'expired' : (PAYMENT_INTENT_STATUSES[paymentIntent.status] || 'failed'),
+    authorizationExpiresAt: paymentIntent.capture_method === 'manual'
+      ? new Date(captureBefore ? captureBefore * 1000 : paymentIntent.created * 1000 + AUTHORIZATION_PERIOD_MS)
+      : undefined,
+    paymentMethod: {
+      type: 'card',
+      last4: card.last4,
+      brand: CARD_BRANDS.includes(card.brand) ? card.brand : undefined,
+      reference: typeof paymentIntent.payment_method === 'string'
+        ? paymentIntent.payment_method
+        : paymentIntent.payment_method?.id
+    },
+    requiresAction,
+    clientSecret: requiresAction ? paymentIntent.client_secret : undefined,
+    nextAction: requiresAction ? paymentIntent.next_action : undefined,
+    failureReason: paymentIntent.last_payment_error?.message
+  };
+};
+
+const stripeGateway = {
+  name: 'stripe',
+
+  async charge({ amount, currency = 'usd', paymentMethodId, customerId, description, metadata, capture = true, offSession = false }) {
+    const paymentIntent = await callStripe(() => stripe.paymentIntents.create({
+      amount: toCents(amount),
+      currency,
+      payment_method: paymentMethodId,
+      customer: customerId,
+      payment_method_types: ['card'],
+      capture_method: capture ? 'automatic' : 'manual',
+      confirm: true,
+      // Off-session charges cannot ask for 3-D Secure; others let the frontend
+      // complete it with stripe.handleNextAction
+      ...(offSession ? { off_session: true } : { use_stripe_sdk: true }),
+      expand: ['payment_method', 'latest_charge'],
+      description,
+      metadata
+    }));
+    return toCharge(paymentIntent);
+  },
+
+  async getStatus(transactionId) {
+    const paymentIntent = await callStripe(() => stripe.paymentIntents.retrieve(transactionId, {
+      expand: ['latest_charge']
+    }));
+    return toCharge(paymentIntent);
+  },
+
+  async capture(transactionId, amount) {
+    const paymentIntent = await callStripe(() => stripe.paymentIntents.capture(transactionId, {
+      amount_to_capture: toCents(amount)
+    }));
+    return toCharge(paymentIntent);
+  },
+
+  async refund(transactionId, amount) {
+    const refund = await callStripe(() => stripe.refunds.create({
+      payment_intent: transactionId,
+      amount: toCents(amount),
+      reason: 'requested_by_customer'
+    }));
+    return { id: refund.id, amount };
+  },
+
+  async cancel(transactionId) {
+    await callStripe(() => stripe.paymentIntents.cancel(transactionId));
+  },
+
+  // Create a customer to save a user's cards to (Stripe-only)
+  async createCustomer({ email, name, metadata }) {
+    const customer = await callStripe(() => stripe.customers.create({ email, name, metadata }));
+    return customer.id;
+  },
+
+  // List the cards saved to a customer (Stripe-only)
+  async listSavedCards(customerId) {
+    const paymentMethods = await callStripe(() => stripe.paymentMethods.list({
+      customer: customerId,
+      type: 'card'
+    }));
+    return paymentMethods.data.map(toSavedCard);
+  },
+
+  // Save a card, created by Stripe.js in the browser, to a customer (Stripe-only)
+  async saveCard(customerId, paymentMethodId) {
+    const paymentMethod = await callStripe(() => stripe.paymentMethods.attach(paymentMethodId, {
+      customer: customerId
+    }));
+    return toSavedCard(paymentMethod);
+  },
+
+  // Remove a saved card from its customer (Stripe-only)
+  async removeCard(paymentMethodId) {
+    await callStripe(() => stripe.paymentMethods.detach(paymentMethodId));
+  },
+
+  // Verify a webhook request's signature and parse its event (Stripe-only)
+  constructWebhookEvent(payload, signature, secret) {
+    return stripe.webhooks.constructEvent(payload, signature, secret);
+  },
+
+  // Create a connected account for an owner's payouts (Stripe-only)
+  async createConnectedAccount({ email, metadata }) {
+    const account = await callStripe(() => stripe.accounts.create({
+      type: 'express',
+      email,
+      capabilities: { transfers: { requested: true } },
+      metadata
+    }));
+    return toPayoutAccount(account);
+  },
+
+  // Get a one-time link to Stripe's hosted onboarding for a connected account (Stripe-only)
+  async createOnboardingLink(accountId, { refreshUrl, returnUrl }) {
+    const accountLink = await callStripe(() => stripe.accountLinks.create({
+      account: accountId,
+      refresh_url: refreshUrl,
+      return_url: returnUrl,
+      type: 'account_onboarding'
+    }));
+    return accountLink.url;
+  },
+
+  // Get whether a connected account can receive payouts yet (Stripe-only)
+  async getConnectedAccount(accountId) {
+    const account = await callStripe(() => stripe.accounts.retrieve(accountId));
+    return toPayoutAccount(account);
+  },
+
+  // Move money from the platform balance to a connected account (Stripe-only)
+  async transfer({ amount, currency = 'usd', destination, metadata, idempotencyKey }) {
+    const transfer = await callStripe(() => stripe.transfers.create({
+      amount: toCents(amount),
+      currency,
+      destination,
+      metadata
+    }, { idempotencyKey }));
+    return { id: transfer.id, amount };
+  },
+
+  // Describe a connected account from a webhook event as a User.payoutAccount (Stripe-only)
+  toPayoutAccount
+};
+
+module.exports = {
+  stripeGateway
+};
@@ -0,0 +1,192 @@
+/**
+ * Stripe Webhook Utility
+ *
+ * Reconciles Payment and Booking records with outcomes Stripe reports
+ * asynchronously: payments and wallet top-ups that are authorized, succeed or
+ * fail after the checkout request, authorizations Stripe releases when they expire, refunds
+ * issued from the Stripe dashboard, disputes (chargebacks), and owners'
+ * connected accounts becoming able to receive payouts.
+ *
+ * Each handler is safe to run more than once for the same event; the
+ * controller additionally records processed event IDs (see models/WebhookEvent).
+ */
+
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const { dispatchNotification, NOTIFICATION_EVENTS } = require('./notificationDispatcher');
+const { stripeGateway } = require('./stripeGateway');
+const {
+  syncBookingPayment,
+  authorizePendingPayment,
+  completePendingPayment,
+  failPendingPayment,
+  expireAuthorization
+} = require('./paymentGateway');
+const { updatePayoutAccount } = require('./payouts');
+const { completePendingTopUp, failPendingTopUp } = require('./wallet');
+const { recordPaymentLedger } = require('./ledger');
+
+const fromCents = (amount) => Math.round(amount) / 100;
+
+/**
+ * Find the payment and booking for a PaymentIntent
+ * @param {string} paymentIntentId - Stripe PaymentIntent ID
+ * @returns {Promise<Object>} - { payment, booking }; both null if the payment is unknown
+ */
+const findByPaymentIntent = async (paymentIntentId) => {
+  const payment = paymentIntentId ? await Payment.findOne({ 'transaction.id': paymentIntentId, 'transaction.gateway': 'stripe' }) : null;
+  const booking = payment ? await Booking.findById(payment.booking) : null;
+  return { payment, booking };
+};
+
+/**
+ * Find the wallet top-up for a PaymentIntent
+ * @param {string} paymentIntentId - Stripe PaymentIntent ID
+ * @returns {Promise<Object|null>} - WalletTransaction, or null if the PaymentIntent is not a top-up
+ */
+const findTopUp = (paymentIntentId) => WalletTransaction.findOne({
+  type: 'top_up',
+  'gatewayTransaction.gateway': 'stripe',
+  'gatewayTransaction.id': paymentIntentId
+});
+
+const eventHandlers = {
+  // Sent when an authorization that needed 3-D Secure is ready to capture
+  'payment_intent.amount_capturable_updated': async (paymentIntent) => {
+    const { payment } = await findByPaymentIntent(paymentIntent.id);
+    if (!payment) return;
+
+    // Re-read the PaymentIntent for the card's capture deadline
+    const charge = await stripeGateway.getStatus(paymentIntent.id);
+    await authorizePendingPayment(payment, charge.authorizationExpiresAt);
+  },
+
+  'payment_intent.succeeded': async (paymentIntent) => {
+    const { payment } = await findByPaymentIntent(paymentIntent.id);
+    if (payment) {
+      await completePendingPayment(payment);
+      return;
+    }
+
+    const topUp = await findTopUp(paymentIntent.id);
+    if (topUp) await completePendingTopUp(topUp);
+  },
+
+  'payment_intent.payment_failed': async (paymentIntent) => {
+    const reason = paymentIntent.last_payment_error && paymentIntent.last_payment_error.message;
+    const { payment } = await findByPaymentIntent(paymentIntent.id);
+    if (payment) {
+      await failPendingPayment(payment, reason);
+      return;
+    }
+
+    const topUp = await findTopUp(paymentIntent.id);
+    if (topUp) await failPendingTopUp(topUp, reason);
+  },
+
+  'payment_intent.canceled': async (paymentIntent) => {
+    // Voids we requested are already recorded; Stripe cancels expired authorizations automatically
+    if (paymentIntent.cancellation_reason !== 'automatic') return;
+
+    const { payment } = await findByPaymentIntent(paymentIntent.id);
+    if (payment) await expireAuthorization(payment);
+  },
+
+  'charge.refunded': async (charge) => {
+    const { payment, booking } = await findByPaymentIntent(charge.payment_intent);
+    if (!payment) return;
+
+    // Stripe reports the running total of card refunds, so replaying an event changes nothing.
+    // Refunds credited to the wallet are not in it, and are added back to the recorded total.
+    const walletRefundAmount = payment.transaction.walletRefundAmount || 0;
+    const cardRefundAmount = Math.min(fromCents(charge.amount_refunded), payment.amount.total - walletRefundAmount);
+    const previousAmount = payment.transaction.refundAmount || 0;
+    if (cardRefundAmount <= previousAmount - walletRefundAmount) return;
+    const refundAmount = Math.round((cardRefundAmount + walletRefundAmount) * 100) / 100;
+
+    payment.transaction.refundAmount = refundAmount;
+    payment.transaction.refundedAt = new Date();
+    payment.transaction.status = refundAmount >= payment.amount.total ? 'refunded' : 'partially_refunded';
+    await payment.save();
+    await recordPaymentLedger(payment);
+    await syncBookingPayment(booking, payment);
+
+    await dispatchNotification(NOTIFICATION_EVENTS.PAYMENT_REFUNDED, {
+      payment,
+      refundAmount: Math.round((refundAmount - previousAmount) * 100) / 100
+    });
+  },
+
+  'charge.dispute.created': async (dispute) => {
+    const { payment } = await findByPaymentIntent(dispute.payment_intent);
+    if (!payment || (payment.dispute && payment.dispute.id === dispute.id)) return;
+
+    payment.dispute = {
+      id: dispute.id,
+      status: dispute.status,
+      reason: dispute.reason,
+      amount: fromCents(dispute.amount),
+      openedAt: new Date(dispute.created * 1000)
+    };
+    await payment.save();
+
+    await dispatchNotification(NOTIFICATION_EVENTS.PAYMENT_DISPUTED, { payment });
+  },
+
+  // Sent as an owner completes Stripe's hosted onboarding
+  'account.updated': async (account) => {
+    const user = await User.findOne({ 'payoutAccount.accountId': account.id });
+    if (user) await updatePayoutAccount(user, stripeGateway.toPayoutAccount(account));
+  },
+
+  'charge.dispute.closed': async (dispute) => {
+    const { payment, booking } = await findByPaymentIntent(dispute.payment_intent);
+    if (!payment) return;
+
+    payment.dispute = {
+      ...(payment.toObject().dispute || {}),
+      id: dispute.id,
+      status: dispute.status,
+      reason: dispute.reason,
+      amount: fromCents(dispute.amount),
+      closedAt: new Date()
+    };
+
+    // A lost dispute returns the disputed amount to the cardholder
+    if (dispute.status === 'lost') {
+      const refundAmount = Math.min(
+        Math.max(payment.transaction.refundAmount || 0, fromCents(dispute.amount)),
+        payment.amount.total
+      );
+      payment.transaction.refundAmount = refundAmount;
+      payment.transaction.refundedAt = new Date();
+      payment.transaction.status = refundAmount >= payment.amount.total ? 'refunded' : 'partially_refunded';
+    }
+
+    await payment.save();
+    if (dispute.status === 'lost') {
+      await recordPaymentLedger(payment);
+      await syncBookingPayment(booking, payment);
+    }
+  }
+};
+
+/**
+ * Apply a verified Stripe event
+ * @param {Object} event - Stripe event
+ * @returns {Promise<boolean>} - True if the event type is handled, false if it was ignored
+ */
+const handleStripeEvent = async (event) => {
+  const handler = eventHandlers[event.type];
+  if (!handler) return false;
+
+  await handler(event.data.object);
+  return true;
+};
+
+module.exports = {
+  STRIPE_WEBHOOK_EVENTS: Object.keys(eventHandlers),
+  handleStripeEvent
+};
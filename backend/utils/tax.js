@@ -0,0 +1,117 @@
+/**
+ * Tax Utility
+ *
+ * Resolves the sales tax or VAT on a booking from the taxRules setting, keyed by
+ * the charger's jurisdiction: its country, or country and region.
+ * - taxRules: { "GB": { name: "VAT", rate: 20, inclusive: true },
+ *               "US-CA": { name: "Sales tax", rate: 7.25, inclusive: false } }
+ *   A country-and-region rule takes precedence over its country's rule. Chargers
+ *   in a jurisdiction with no rule are not taxed.
+ * - inclusive: the charger's rates already include the tax, which is shown as the
+ *   part of the price it makes up. Otherwise it is added on top.
+ *
+ * The tax policy is stamped on bookings and payments like the fee policy, so later
+ * changes to the rules do not alter bookings that have already been priced. The
+ * platform fee and owner earnings split the amount net of tax; the tax is held by
+ * the platform until it is filed.
+ */
+
+const Settings = require('../models/Settings');
+
+// e.g. "GB" or "US-CA"
+const JURISDICTION_PATTERN = /^[A-Z]{2}(-[A-Z0-9]{1,3})?$/;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Check a tax setting before it is saved
+ * @param {string} key - Setting key
+ * @param {*} value - New value
+ * @returns {string|null} - Error message, or null if the value is valid (or not a tax setting)
+ */
+const validateTaxSetting = (key, value) => {
+  if (key !== 'taxRules') return null;
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'Tax rules must be an object of jurisdictions to rules';
+  }
+  for (const [jurisdiction, rule] of Object.entries(value)) {
+    if (!JURISDICTION_PATTERN.test(jurisdiction)) {
+      return `Tax jurisdiction '${jurisdiction}' must be a country code, optionally with a region (e.g. GB or US-CA)`;
+    }
+    if (!rule || typeof rule.name !== 'string' || !rule.name.trim()) {
+      return `Tax rule for ${jurisdiction} needs a name`;
+    }
+    if (typeof rule.rate !== 'number' || rule.rate < 0 || rule.rate > 100) {
+      return `Tax rate for ${jurisdiction} must be a percentage between 0 and 100`;
+    }
+    if (typeof rule.inclusive !== 'boolean') {
+      return `Tax rule for ${jurisdiction} must say whether prices include the tax`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Get a charger's tax jurisdictions, most specific first
+ * @param {Object} charger - Charger document
+ * @returns {Array} - e.g. ['US-CA', 'US'], or [] if the charger has no country
+ */
+const getJurisdictions = (charger) => {
+  const { country, region } = (charger && charger.location) || {};
+  if (!country) return [];
+  return region ? [`${country}-${region}`, country] : [country];
+};
+
+/**
+ * Resolve the tax policy that applies to bookings of a charger
+ * @param {Object} charger - Charger document
+ * @returns {Promise<Object|null>} - { jurisdiction, name, rate, inclusive }, or null if untaxed
+ */
+const resolveTaxPolicy = async (charger) => {
+  const jurisdictions = getJurisdictions(charger);
+  if (jurisdictions.length === 0) return null;
+
+  const rules = (await Settings.getSetting('taxRules')) || {};
+  const jurisdiction = jurisdictions.find(code => rules[code]);
+  if (!jurisdiction) return null;
+
+  const { name, rate, inclusive } = rules[jurisdiction];
+  return { jurisdiction, name, rate, inclusive };
+};
+
+/**
+ * Work out the tax in a gross amount, i.e. one that already includes it
+ * @param {number} grossAmount - Amount including tax
+ * @param {Object|null} policy - Tax policy
+ * @returns {number} - Tax
+ */
+const getIncludedTax = (grossAmount, policy) => {
+  if (!policy || !policy.rate) return 0;
+  return roundCurrency(grossAmount * policy.rate / (100 + policy.rate));
+};
+
+/**
+ * Apply a tax policy to a price
+ * @param {number} amount - Price from the charger's rates
+ * @param {Object|null} policy - Tax policy from resolveTaxPolicy
+ * @returns {Object} - { tax, totalAmount } where totalAmount is what the driver pays
+ */
+const applyTaxPolicy = (amount, policy) => {
+  if (!policy || !policy.rate) return { tax: 0, totalAmount: amount };
+
+  if (policy.inclusive) {
+    return { tax: getIncludedTax(amount, policy), totalAmount: amount };
+  }
+
+  const tax = roundCurrency(amount * policy.rate / 100);
+  return { tax, totalAmount: roundCurrency(amount + tax) };
+};
+
+module.exports = {
+  validateTaxSetting,
+  getJurisdictions,
+  resolveTaxPolicy,
+  getIncludedTax,
+  applyTaxPolicy
+};
@@ -0,0 +1,191 @@
+/**
+ * Time Zone Utility
+ *
+ * Helpers for working with wall-clock times in a charger's IANA time zone
+ * (e.g. "America/Los_Angeles") independently of the server's own zone.
+ * Built on Intl.DateTimeFormat, so daylight saving transitions are handled
+ * by the runtime's time zone database.
+ */
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached formatter that splits instants into wall-clock parts for a zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Check whether a string is a time zone name the runtime understands
+ * @param {string} timeZone - Time zone name to check
+ * @returns {boolean} - True if valid
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Time zone used for chargers that have not set one
+ * @returns {string} - DEFAULT_TIMEZONE if set, otherwise the server's zone
+ */
+const getDefaultTimeZone = () => {
+  if (isValidTimeZone(process.env.DEFAULT_TIMEZONE)) {
+    return process.env.DEFAULT_TIMEZONE;
+  }
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+};
+
+/**
+ * Get the wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second, dayOfWeek (0 = Sunday) }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    dayOfWeek: WEEKDAYS[parts.weekday]
+  };
+};
+
+/**
+ * Get a time zone's offset from UTC at a given instant
+ * @param {Date} date - Instant to check
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} - Offset in minutes (e.g. -480 for PST)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const wholeSeconds = instant.getTime() - instant.getUTCMilliseconds();
+  return Math.round((asUtc - wholeSeconds) / 60000);
+};
+
+/**
+ * Convert a wall-clock time in a time zone to an instant
+ * Times skipped by a DST jump resolve forward; repeated times resolve to the first occurrence.
+ * @param {Object} wallTime - { year, month (1-12), day, hour = 0, minute = 0, second = 0 }
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} - Matching instant
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Offsets either side of the date cover any transition on that day.
+  // Larger offsets give earlier instants, so try them first.
+  const offsets = [...new Set([
+    getTimeZoneOffset(new Date(asUtc - DAY_MS), timeZone),
+    getTimeZoneOffset(new Date(asUtc + DAY_MS), timeZone)
+  ])].sort((a, b) => b - a);
+
+  for (const offset of offsets) {
+    const candidate = new Date(asUtc - offset * 60000);
+    if (getTimeZoneOffset(candidate, timeZone) === offset) {
+      return candidate;
+    }
+  }
+
+  // The wall time falls in a DST gap: apply the offset from before the jump
+  return new Date(asUtc - Math.min(...offsets) * 60000);
+};
+
+/**
+ * Format a UTC offset as ±HH:MM
+ * @param {number} offsetMinutes - Offset in minutes
+ * @returns {string} - Formatted offset
+ */
+const formatOffset = (offsetMinutes) => {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+/**
+ * Format an instant as an ISO 8601 string in a time zone with an explicit offset
+ * @param {Date} date - Instant to format
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} - e.g. "2024-01-08T08:00:00-08:00"
+ */
+const formatInTimeZone = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getTimeZoneOffset(date, timeZone);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}${formatOffset(offset)}`;
+};
+
+// ISO dates and date-times without a "Z" or ±HH:MM suffix are wall-clock times
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+/**
+ * Parse a date-time, reading values without an explicit offset as wall-clock time in a zone
+ * A bare date (YYYY-MM-DD) is midnight at the start of that day in the zone
+ * @param {string|Date} value - ISO 8601 string or Date
+ * @param {string} timeZone - IANA time zone used when the value has no offset
+ * @returns {Date} - Parsed instant (Invalid Date if unparseable)
+ */
+const parseInTimeZone = (value, timeZone) => {
+  if (typeof value === 'string') {
+    const match = value.trim().match(LOCAL_DATE_TIME);
+    if (match) {
+      const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+      return zonedTimeToUtc({
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: Number(hour),
+        minute: Number(minute),
+        second: Number(second)
+      }, timeZone);
+    }
+  }
+  return new Date(value);
+};
+
+module.exports = {
+  isValidTimeZone,
+  getDefaultTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  formatOffset,
+  formatInTimeZone,
+  parseInTimeZone
+};
@@ -0,0 +1,173 @@
+/**
+ * Wallet Utility
+ *
+ * Each user has a wallet (User.wallet) holding prepaid credit per currency, from:
+ * - top-ups, charged to a card through the active payment gateway
+ * - refunds the driver chose to take as credit instead of back to their card
+ * - referral rewards (see utils/promotions)
+ *
+ * Bookings can be paid from the wallet through the wallet gateway (utils/walletGateway),
+ * when the balance in the booking's currency covers the whole total. Every change to a
+ * balance is kept as a WalletTransaction, the wallet's history. Balances are changed
+ * atomically, so concurrent payments cannot spend the same credit twice.
+ *
+ * Cards are saved to a Stripe customer created for the user the first time they save one.
+ */
+
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const { NotFoundError } = require('./errors');
+const { normalizeCurrency } = require('./currency');
+const { recordWalletLedger } = require('./ledger');
+const { stripeGateway } = require('./stripeGateway');
+
+// Limits on a single top-up, in the currency topped up
+const MIN_TOP_UP = 5;
+const MAX_TOP_UP = 500;
+
+// Round down to the cent, ignoring floating-point noise just below it
+const floorCurrency = (amount) => Math.floor(amount * 100 + 1e-6) / 100;
+
+/**
+ * Get a user's wallet balance in a currency
+ * @param {Object} user - User document
+ * @param {string} currency - Currency code, e.g. 'USD'
+ * @returns {number} - Balance, rounded down to the cent
+ */
+const getWalletBalance = (user, currency) => {
+  const balances = user && user.wallet && user.wallet.balances;
+  const balance = balances ? balances.get(normalizeCurrency(currency)) || 0 : 0;
+  return floorCurrency(Math.max(balance, 0));
+};
+
+/**
+ * Get a user's wallet balances in every currency they hold credit in
+ * @param {Object} user - User document
+ * @returns {Array} - [{ currency, amount }]
+ */
+const getWalletBalances = (user) => {
+  const balances = user.wallet && user.wallet.balances;
+  return [...(balances ? balances.keys() : [])]
+    .map(currency => ({ currency, amount: getWalletBalance(user, currency) }))
+    .filter(balance => balance.amount > 0);
+};
+
+/**
+ * Add money to a wallet and record it in the history
+ * @param {string} userId - User ID
+ * @param {string} currency - Currency code
+ * @param {number} amount - Amount to add
+ * @param {Object} details - WalletTransaction fields: { type, description, booking, payment }
+ * @returns {Promise<Object>} - WalletTransaction
+ */
+const creditWallet = async (userId, currency, amount, details) => {
+  const code = normalizeCurrency(currency);
+  const user = await User.creditWallet(userId, code, amount);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return WalletTransaction.create({
+    ...details,
+    user: userId,
+    currency: code,
+    amount,
+    balanceAfter: getWalletBalance(user, code)
+  });
+};
+
+/**
+ * Take money from a wallet and record it in the history
+ * @param {string} userId - User ID
+ * @param {string} currency - Currency code
+ * @param {number} amount - Amount to take
+ * @param {Object} details - WalletTransaction fields: { type, status, description, booking }
+ * @returns {Promise<Object|null>} - WalletTransaction, or null if the balance does not cover the amount
+ */
+const debitWallet = async (userId, currency, amount, details) => {
+  const code = normalizeCurrency(currency);
+  const user = await User.debitWallet(userId, code, amount);
+  if (!user) return null;
+
+  return WalletTransaction.create({
+    ...details,
+    user: userId,
+    currency: code,
+    amount: -amount,
+    balanceAfter: getWalletBalance(user, code)
+  });
+};
+
+/**
+ * Add a pending top-up to the wallet once its card charge has completed
+ * The transition is atomic, so a top-up settled by both the confirm endpoint and
+ * a webhook is only credited once.
+ * @param {Object} topUp - WalletTransaction with type top_up
+ * @returns {Promise<Object|null>} - The top-up after the update, or null if it was no longer pending
+ */
+const completePendingTopUp = async (topUp) => {
+  const completed = await WalletTransaction.findOneAndUpdate(
+    { _id: topUp._id, type: 'top_up', status: 'pending' },
+    { $set: { status: 'completed' } },
+    { new: true }
+  );
+  if (!completed) return null;
+
+  const user = await User.creditWallet(completed.user, completed.currency, completed.amount);
+  completed.balanceAfter = getWalletBalance(user, completed.currency);
+  await completed.save();
+  await recordWalletLedger(completed);
+
+  return completed;
+};
+
+/**
+ * Mark a pending top-up failed
+ * @param {Object} topUp - WalletTransaction with type top_up
+ * @param {string} reason - Failure reason from the gateway
+ * @returns {Promise<Object|null>} - The top-up after the update, or null if it was no longer pending
+ */
+const failPendingTopUp = (topUp, reason) => WalletTransaction.findOneAndUpdate(
+  { _id: topUp._id, type: 'top_up', status: 'pending' },
+  { $set: { status: 'failed', failureReason: reason } },
+  { new: true }
+);
+
+/**
+ * Get the Stripe customer a user's cards are saved to, creating it the first time
+ * @param {Object} user - User document
+ * @returns {Promise<string>} - Stripe customer ID
+ */
+const getStripeCustomerId = async (user) => {
+  if (user.wallet && user.wallet.stripeCustomerId) {
+    return user.wallet.stripeCustomerId;
+  }
+
+  const customerId = await stripeGateway.createCustomer({
+    email: user.email,
+    name: `${user.profile.firstName} ${user.profile.lastName}`,
+    metadata: { userId: user._id.toString() }
+  });
+
+  // Keep the customer another request created first
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, 'wallet.stripeCustomerId': null },
+    { $set: { 'wallet.stripeCustomerId': customerId } },
+    { new: true }
+  ) || await User.findById(user._id);
+  user.set('wallet.stripeCustomerId', updated.wallet.stripeCustomerId);
+
+  return updated.wallet.stripeCustomerId;
+};
+
+module.exports = {
+  MIN_TOP_UP,
+  MAX_TOP_UP,
+  getWalletBalance,
+  getWalletBalances,
+  creditWallet,
+  debitWallet,
+  completePendingTopUp,
+  failPendingTopUp,
+  getStripeCustomerId
+};
@@ -0,0 +1,128 @@
+/**
+ * Wallet Payment Gateway
+ *
+ * Pays bookings from the driver's wallet balance (see utils/wallet), behind the same
+ * interface as the card gateways. Authorizing holds the amount by taking it from the
+ * balance; capturing keeps part of it and releases the rest, and cancelling releases
+ * all of it. Refunds go back to the wallet. Holds do not expire.
+ *
+ * The transaction ID is the ID of the payment's WalletTransaction.
+ */
+
+const WalletTransaction = require('../models/WalletTransaction');
+const { PaymentGatewayError } = require('./errors');
+const { creditWallet, debitWallet } = require('./wallet');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Find a payment hold, failing like a card gateway does for unknown IDs
+const findHold = async (transactionId) => {
+  const hold = await WalletTransaction.findOne({ _id: transactionId, type: 'payment' });
+  if (!hold) {
+    throw new PaymentGatewayError(`No such transaction: ${transactionId}`, 'wallet');
+  }
+  return hold;
+};
+
+// Describe a hold in the gateway-neutral charge format
+const toCharge = (hold) => ({
+  id: hold._id.toString(),
+  status: hold.status,
+  paymentMethod: { type: 'wallet' },
+  requiresAction: false
+});
+
+const walletGateway = {
+  name: 'wallet',
+
+  async charge({ amount, currency, description, metadata = {}, capture = true }) {
+    const hold = await debitWallet(metadata.userId, currency, amount, {
+      type: 'payment',
+      status: capture ? 'completed' : 'authorized',
+      captured: capture ? amount : undefined,
+      description,
+      booking: metadata.bookingId
+    });
+    if (!hold) {
+      throw new PaymentGatewayError('Your wallet balance does not cover this payment', 'wallet');
+    }
+    return toCharge(hold);
+  },
+
+  async getStatus(transactionId) {
+    return toCharge(await findHold(transactionId));
+  },
+
+  async capture(transactionId, amount) {
+    const hold = await findHold(transactionId);
+    const held = -hold.amount;
+    if (amount > held) {
+      throw new PaymentGatewayError('Capture amount exceeds the amount held', 'wallet');
+    }
+
+    const captured = await WalletTransaction.findOneAndUpdate(
+      { _id: hold._id, status: 'authorized' },
+      { $set: { status: 'completed', captured: amount } },
+      { new: true }
+    );
+    if (!captured) {
+      throw new PaymentGatewayError(`Cannot capture a ${hold.status} payment`, 'wallet');
+    }
+
+    const released = roundCurrency(held - amount);
+    if (released > 0) {
+      await creditWallet(hold.user, hold.currency, released, {
+        type: 'release',
+        description: 'Unused part of a booking payment',
+        booking: hold.booking
+      });
+    }
+    return toCharge(captured);
+  },
+
+  async refund(transactionId, amount) {
+    // Counted on the hold atomically, so concurrent refunds cannot exceed what was captured
+    const refunded = await WalletTransaction.findOneAndUpdate(
+      {
+        _id: transactionId,
+        type: 'payment',
+        status: 'completed',
+        $expr: { $lte: [{ $add: ['$refunded', amount] }, { $add: ['$captured', 0.005] }] }
+      },
+      { $inc: { refunded: amount } },
+      { new: true }
+    );
+    if (!refunded) {
+      throw new PaymentGatewayError('Refund amount exceeds the amount charged', 'wallet');
+    }
+
+    const refund = await creditWallet(refunded.user, refunded.currency, amount, {
+      type: 'refund',
+      description: 'Refund of a booking payment',
+      booking: refunded.booking
+    });
+    return { id: refund._id.toString(), amount };
+  },
+
+  async cancel(transactionId) {
+    const voided = await WalletTransaction.findOneAndUpdate(
+      { _id: transactionId, type: 'payment', status: 'authorized' },
+      { $set: { status: 'voided' } },
+      { new: true }
+    );
+    if (!voided) {
+      const hold = await findHold(transactionId);
+      throw new PaymentGatewayError(`Cannot cancel a ${hold.status} payment`, 'wallet');
+    }
+
+    await creditWallet(voided.user, voided.currency, -voided.amount, {
+      type: 'release',
+      description: 'Booking payment released',
+      booking: voided.booking
+    });
+  }
+};
+
+module.exports = {
+  walletGateway
+};
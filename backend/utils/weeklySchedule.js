@@ -0,0 +1,128 @@
+/**
+ * Weekly Schedule Utility
+ *
+ * Turns recurring "HH:MM"-"HH:MM" windows on days of the week (availability
+ * schedules, pricing rules) into absolute time ranges in a charger's time zone.
+ * An end time at or before the start time runs past midnight into the next day,
+ * and "24:00" means the end of the day.
+ */
+
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const WEEK_MINUTES = 7 * DAY_MINUTES;
+
+// HH:MM, with "24:00" allowed as the end of a day
+const TIME_PATTERN = /^(([0-1]?[0-9]|2[0-3]):[0-5][0-9]|24:00)$/;
+
+/**
+ * Convert an "HH:MM" string to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} - Minutes after midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Minutes after the start of its day at which a window starts and ends
+ * @param {Object} entry - { startTime, endTime }
+ * @returns {Object} - { start, end }, with end past 1440 for overnight windows
+ */
+const toWindowMinutes = (entry) => {
+  const start = toMinutes(entry.startTime);
+  let end = toMinutes(entry.endTime);
+  if (end <= start) end += DAY_MINUTES;
+  return { start, end };
+};
+
+/**
+ * Wall-clock time a number of minutes after the start of a calendar day
+ * @param {number} day - UTC-midnight timestamp identifying the calendar day
+ * @param {number} minutes - Minutes after midnight (may exceed one day)
+ * @returns {Object} - { year, month, day, hour, minute }
+ */
+const toWallTime = (day, minutes) => {
+  const date = new Date(day + Math.floor(minutes / DAY_MINUTES) * DAY_MS);
+  const minuteOfDay = minutes % DAY_MINUTES;
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: Math.floor(minuteOfDay / 60),
+    minute: minuteOfDay % 60
+  };
+};
+
+/**
+ * Calendar date (YYYY-MM-DD) of a UTC-midnight timestamp
+ * @param {number} timestamp - UTC-midnight timestamp
+ * @returns {string} - Date key
+ */
+const toDateKey = (timestamp) => new Date(timestamp).toISOString().split('T')[0];
+
+/**
+ * Combine sorted { start, end } intervals that overlap or touch
+ * @param {Array} windows - Intervals sorted by start
+ * @returns {Array} - Merged intervals
+ */
+const mergeWindows = (windows) => windows.reduce((merged, window) => {
+  const previous = merged[merged.length - 1];
+  if (previous && window.start <= previous.end) {
+    previous.end = new Date(Math.max(previous.end, window.end));
+  } else {
+    merged.push({ ...window });
+  }
+  return merged;
+}, []);
+
+/**
+ * Find the occurrences of weekly windows that overlap a time range
+ * @param {Array} entries - Windows with `dayOfWeek` or `daysOfWeek`, `startTime` and `endTime`
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @param {string} timeZone - IANA time zone the windows are expressed in
+ * @returns {Array} - Occurrences as { entry, date, dayOfWeek, start, end }, sorted by start
+ */
+const expandWeeklyWindows = (entries, from, to, timeZone) => {
+  const occurrences = [];
+
+  // Start a day early so overnight windows from the previous local day are included
+  const first = getZonedParts(from, timeZone);
+  const last = getZonedParts(to, timeZone);
+  const lastDay = Date.UTC(last.year, last.month - 1, last.day);
+
+  for (let day = Date.UTC(first.year, first.month - 1, first.day) - DAY_MS; day <= lastDay; day += DAY_MS) {
+    const dayOfWeek = new Date(day).getUTCDay();
+
+    for (const entry of entries) {
+      const days = Array.isArray(entry.daysOfWeek) ? entry.daysOfWeek : [entry.dayOfWeek];
+      if (!days.includes(dayOfWeek)) continue;
+
+      const minutes = toWindowMinutes(entry);
+      const start = zonedTimeToUtc(toWallTime(day, minutes.start), timeZone);
+      const end = zonedTimeToUtc(toWallTime(day, minutes.end), timeZone);
+
+      if (start < to && end > from) {
+        occurrences.push({ entry, date: toDateKey(day), dayOfWeek, start, end });
+      }
+    }
+  }
+
+  return occurrences.sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+  DAY_MS,
+  DAY_MINUTES,
+  WEEK_MINUTES,
+  TIME_PATTERN,
+  toMinutes,
+  toWindowMinutes,
+  toWallTime,
+  toDateKey,
+  mergeWindows,
+  expandWeeklyWindows
+};
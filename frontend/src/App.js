@@ -39,6 +39,7 @@ import AdminUserManagementPage from './pages/AdminUserManagementPage';
 import AdminBookingManagementPage from './pages/AdminBookingManagementPage';
 import AdminAnalyticsPage from './pages/AdminAnalyticsPage';
 import AdminPaymentManagementPage from './pages/AdminPaymentManagementPage';
+import AdminPromoCodesPage from './pages/AdminPromoCodesPage';
 import AdminSystemSettingsPage from './pages/AdminSystemSettingsPage';
 import AdminModerationPage from './pages/AdminModerationPage';
 
@@ -175,6 +176,11 @@ function App() {
                   <AdminPaymentManagementPage />
                 </ProtectedRoute>
               } />
+              <Route path="/admin/promo-codes" element={
+                <ProtectedRoute requiredRole="admin">
+                  <AdminPromoCodesPage />
+                </ProtectedRoute>
+              } />
               <Route path="/admin/settings" element={
                 <ProtectedRoute requiredRole="admin">
                   <AdminSystemSettingsPage />
@@ -19,6 +19,7 @@ import {
   ElectricCar as ChargersIcon,
   BookOnline as BookingsIcon,
   Payment as PaymentsIcon,
+  LocalOffer as PromoCodesIcon,
   Settings as SettingsIcon,
   Assessment as AnalyticsIcon,
   Security as SecurityIcon,
@@ -63,6 +64,12 @@ const AdminLayout = ({ children }) => {
       path: '/admin/payments',
       description: 'Handle payments and refunds'
     },
+    {
+      text: 'Promo Codes',
+      icon: <PromoCodesIcon />,
+      path: '/admin/promo-codes',
+      description: 'Create and manage discount codes'
+    },
     {
       text: 'Analytics',
       icon: <AnalyticsIcon />,
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import { CardElement, useElements, useStripe } from '@stripe/react-stripe-js';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  CircularProgress,
+  FormControlLabel,
+  Radio,
+  RadioGroup,
+  Typography
+} from '@mui/material';
+import { AccountBalanceWallet, CreditCard } from '@mui/icons-material';
+import { paymentAPI, walletAPI } from '../services/api';
+import { formatMoney } from '../utils/currency';
+
+// Payment for a booking by card, saved card or wallet balance. Must be rendered inside
+// Stripe's <Elements> provider.
+const BookingPaymentForm = ({ bookingId, amount, currency = 'USD', onPaid, capture = false }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState('');
+  const [walletBalance, setWalletBalance] = useState(0);
+  const [savedCards, setSavedCards] = useState([]);
+  // 'wallet', 'new' or the ID of a saved card
+  const [source, setSource] = useState('new');
+  const [saveNewCard, setSaveNewCard] = useState(false);
+
+  useEffect(() => {
+    const fetchPaymentOptions = async () => {
+      try {
+        const [walletResponse, cardsResponse] = await Promise.all([
+          walletAPI.getWallet(),
+          walletAPI.getSavedCards()
+        ]);
+        const balance = walletResponse.data.data.balances
+          .find(entry => entry.currency === (currency || 'USD').toUpperCase());
+        const cards = cardsResponse.data.data;
+        setWalletBalance(balance ? balance.amount : 0);
+        setSavedCards(cards);
+
+        // The wallet can only pay the whole amount
+        if (balance && balance.amount >= amount) {
+          setSource('wallet');
+        } else if (cards.length > 0) {
+          setSource(cards[0].id);
+        }
+      } catch (err) {
+        console.error('Error fetching payment options:', err);
+      }
+    };
+
+    fetchPaymentOptions();
+  }, [amount, currency]);
+
+  const getPaymentData = async () => {
+    if (source === 'wallet') {
+      return { useWallet: true };
+    }
+    if (source !== 'new') {
+      return { paymentMethodId: source };
+    }
+
+    const { error: cardError, paymentMethod } = await stripe.createPaymentMethod({
+      type: 'card',
+      card: elements.getElement(CardElement)
+    });
+    if (cardError) {
+      throw new Error(cardError.message);
+    }
+    if (saveNewCard) {
+      await walletAPI.saveCard(paymentMethod.id);
+    }
+    return { paymentMethodId: paymentMethod.id };
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!stripe || !elements) return;
+
+    setProcessing(true);
+    setError('');
+    try {
+      let response = await paymentAPI.processPayment(bookingId, await getPaymentData());
+      let result = response.data.data;
+
+      // The card's bank wants 3-D Secure: show its challenge, then let the server check the outcome
+      if (result.requiresAction) {
+        const { error: actionError } = await stripe.handleNextAction({ clientSecret: result.clientSecret });
+        if (actionError) {
+          setError(actionError.message);
+          return;
+        }
+
+        response = await paymentAPI.confirmPayment(result.payment._id);
+        result = response.data.data;
+      }
+
+      onPaid(result);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || err.response?.data?.message || err.message || 'Payment failed. Please try again.');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} sx={{ mt: 2 }}>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {(walletBalance > 0 || savedCards.length > 0) && (
+        <RadioGroup value={source} onChange={(e) => setSource(e.target.value)} sx={{ mb: 1 }}>
+          {walletBalance > 0 && (
+            <FormControlLabel
+              value="wallet"
+              control={<Radio />}
+              disabled={walletBalance < amount}
+              label={`Wallet balance (${formatMoney(walletBalance, currency)}${walletBalance < amount ? ', not enough' : ''})`}
+            />
+          )}
+          {savedCards.map(card => (
+            <FormControlLabel
+              key={card.id}
+              value={card.id}
+              control={<Radio />}
+              label={`${card.brand ? card.brand.toUpperCase() : 'Card'} ending ${card.last4} (${card.expMonth}/${card.expYear})`}
+            />
+          ))}
+          <FormControlLabel value="new" control={<Radio />} label="New card" />
+        </RadioGroup>
+      )}
+
+      {source === 'new' && (
+        <>
+          <Box sx={{ p: 1.5, mb: 1, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+            <CardElement options={{ hidePostalCode: true }} />
+          </Box>
+          <FormControlLabel
+            control={<Checkbox size="small" checked={saveNewCard} onChange={(e) => setSaveNewCard(e.target.checked)} />}
+            label="Save this card for next time"
+          />
+        </>
+      )}
+
+      {!capture && source !== 'wallet' && (
+        <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 2 }}>
+          Your card is authorized now and charged when the session is completed.
+        </Typography>
+      )}
+
+      <Button
+        type="submit"
+        variant="contained"
+        fullWidth
+        startIcon={processing ? <CircularProgress size={20} /> : source === 'wallet' ? <AccountBalanceWallet /> : <CreditCard />}
+        disabled={!stripe || processing}
+      >
+        {processing ? 'Processing...' : `${capture || source === 'wallet' ? 'Pay' : 'Authorize'} ${formatMoney(amount, currency)}`}
+      </Button>
+    </Box>
+  );
+};
+
+export default BookingPaymentForm;
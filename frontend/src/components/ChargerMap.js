@@ -9,6 +9,7 @@ import 'leaflet/dist/leaflet.css';
 import markerIcon from 'leaflet/dist/images/marker-icon.png';
 import markerIconRetina from 'leaflet/dist/images/marker-icon-2x.png';
 import markerShadow from 'leaflet/dist/images/marker-shadow.png';
+import { formatMoney } from '../utils/currency';
 
 // Create custom marker icon
 const customIcon = new Icon({
@@ -80,7 +81,7 @@ const ChargerMap = ({ chargers, center, zoom = 13, height = 500 }) => {
                   {charger.location?.address || 'No address provided'}
                 </Typography>
                 <Typography variant="body2" mt={1}>
-                  <strong>${charger.pricing?.hourlyRate?.toFixed(2) || '0.00'}/hour</strong> • {charger.specifications?.power || 0} kW
+                  <strong>{formatMoney(charger.pricing?.hourlyRate, charger.pricing?.currency)}/hour</strong> • {charger.specifications?.power || 0} kW
                 </Typography>
                 <Button 
                   component={Link}
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { CardElement, useElements, useStripe } from '@stripe/react-stripe-js';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  CircularProgress,
+  FormControlLabel,
+  MenuItem,
+  Radio,
+  RadioGroup,
+  TextField
+} from '@mui/material';
+import { AccountBalanceWallet } from '@mui/icons-material';
+import { walletAPI } from '../services/api';
+import { formatMoney } from '../utils/currency';
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD'];
+
+// Add money to the wallet by saved or new card. Must be rendered inside Stripe's <Elements> provider.
+const WalletTopUpForm = ({ savedCards = [], limits = { min: 5, max: 500 }, onToppedUp }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+  const [amount, setAmount] = useState('25');
+  const [currency, setCurrency] = useState('USD');
+  // 'new' or the ID of a saved card
+  const [source, setSource] = useState(savedCards.length > 0 ? savedCards[0].id : 'new');
+  const [saveNewCard, setSaveNewCard] = useState(false);
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState('');
+
+  const value = Number(amount);
+  const validAmount = value >= limits.min && value <= limits.max;
+
+  const getPaymentMethodId = async () => {
+    if (source !== 'new') return source;
+
+    const { error: cardError, paymentMethod } = await stripe.createPaymentMethod({
+      type: 'card',
+      card: elements.getElement(CardElement)
+    });
+    if (cardError) {
+      throw new Error(cardError.message);
+    }
+    if (saveNewCard) {
+      await walletAPI.saveCard(paymentMethod.id);
+    }
+    return paymentMethod.id;
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!stripe || !elements) return;
+
+    setProcessing(true);
+    setError('');
+    try {
+      const paymentMethodId = await getPaymentMethodId();
+      let response = await walletAPI.topUp({ amount: value, currency, paymentMethodId });
+      let result = response.data.data;
+
+      // The card's bank wants 3-D Secure: show its challenge, then let the server check the outcome
+      if (result.requiresAction) {
+        const { error: actionError } = await stripe.handleNextAction({ clientSecret: result.clientSecret });
+        if (actionError) {
+          setError(actionError.message);
+          return;
+        }
+
+        response = await walletAPI.confirmTopUp(result.topUp._id);
+        result = response.data.data;
+      }
+
+      onToppedUp(result);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || err.response?.data?.message || err.message || 'Top-up failed. Please try again.');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} sx={{ mt: 1 }}>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <TextField
+          label="Amount"
+          type="number"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          error={amount !== '' && !validAmount}
+          helperText={`Between ${formatMoney(limits.min, currency)} and ${formatMoney(limits.max, currency)}`}
+          inputProps={{ min: limits.min, max: limits.max, step: '0.01' }}
+          fullWidth
+        />
+        <TextField
+          select
+          label="Currency"
+          value={currency}
+          onChange={(e) => setCurrency(e.target.value)}
+          sx={{ minWidth: 120 }}
+        >
+          {CURRENCIES.map(code => (
+            <MenuItem key={code} value={code}>{code}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {savedCards.length > 0 && (
+        <RadioGroup value={source} onChange={(e) => setSource(e.target.value)} sx={{ mb: 1 }}>
+          {savedCards.map(card => (
+            <FormControlLabel
+              key={card.id}
+              value={card.id}
+              control={<Radio />}
+              label={`${card.brand ? card.brand.toUpperCase() : 'Card'} ending ${card.last4} (${card.expMonth}/${card.expYear})`}
+            />
+          ))}
+          <FormControlLabel value="new" control={<Radio />} label="New card" />
+        </RadioGroup>
+      )}
+
+      {source === 'new' && (
+        <>
+          <Box sx={{ p: 1.5, mb: 1, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+            <CardElement options={{ hidePostalCode: true }} />
+          </Box>
+          <FormControlLabel
+            control={<Checkbox size="small" checked={saveNewCard} onChange={(e) => setSaveNewCard(e.target.checked)} />}
+            label="Save this card for next time"
+          />
+        </>
+      )}
+
+      <Button
+        type="submit"
+        variant="contained"
+        fullWidth
+        sx={{ mt: 1 }}
+        startIcon={processing ? <CircularProgress size={20} /> : <AccountBalanceWallet />}
+        disabled={!stripe || processing || !validAmount}
+      >
+        {processing ? 'Processing...' : `Add ${formatMoney(validAmount ? value : 0, currency)}`}
+      </Button>
+    </Box>
+  );
+};
+
+export default WalletTopUpForm;
@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { toast } from 'react-toastify';
 import { authAPI, userAPI } from '../services/api';
+import { disconnectSocket } from '../services/socket';
 
 const AuthContext = createContext();
 
@@ -158,6 +159,7 @@ export const AuthProvider = ({ children }) => {
   const logout = () => {
     // Client-side cleanup only - no API call needed for JWT
     localStorage.removeItem('token');
+    disconnectSocket();
     setUser(null);
     toast.info('You have been logged out');
   };
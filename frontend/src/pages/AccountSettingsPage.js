@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
+import { Elements } from '@stripe/react-stripe-js';
 import { useAuth } from '../contexts/AuthContext';
-import { userAPI } from '../services/api';
+import { userAPI, walletAPI } from '../services/api';
 import {
   Box,
   Typography,
@@ -24,7 +25,17 @@ import {
   DialogContentText,
   DialogActions,
   CircularProgress,
-  Chip
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
 } from '@mui/material';
 import {
   Person,
@@ -36,9 +47,24 @@ import {
   Edit,
   PhotoCamera,
   Save,
-  Cancel
+  Cancel,
+  CardGiftcard,
+  ContentCopy,
+  AccountBalanceWallet,
+  Add
 } from '@mui/icons-material';
 import LoadingSpinner from '../components/LoadingSpinner';
+import WalletTopUpForm from '../components/WalletTopUpForm';
+import { formatMoney } from '../utils/currency';
+import { stripePromise } from '../utils/stripe';
+
+const WALLET_TRANSACTION_LABELS = {
+  top_up: 'Top-up',
+  payment: 'Booking payment',
+  release: 'Released hold',
+  refund: 'Refund',
+  referral_reward: 'Referral reward'
+};
 
 const AccountSettingsPage = () => {
   const { user } = useAuth();
@@ -77,6 +103,15 @@ const AccountSettingsPage = () => {
   const [avatarFile, setAvatarFile] = useState(null);
   const [avatarPreview, setAvatarPreview] = useState('');
   
+  // Referral code
+  const [referral, setReferral] = useState(null);
+
+  // Wallet balance, saved cards and history
+  const [wallet, setWallet] = useState(null);
+  const [savedCards, setSavedCards] = useState([]);
+  const [walletTransactions, setWalletTransactions] = useState([]);
+  const [topUpDialogOpen, setTopUpDialogOpen] = useState(false);
+  
   // Delete account dialog
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [deleteConfirmText, setDeleteConfirmText] = useState('');
@@ -99,6 +134,67 @@ const AccountSettingsPage = () => {
     }
   }, [user]);
 
+  useEffect(() => {
+    const fetchReferral = async () => {
+      try {
+        const response = await userAPI.getReferral();
+        if (response.data.success) {
+          setReferral(response.data.data);
+        }
+      } catch (err) {
+        console.error('Error fetching referral:', err);
+      }
+    };
+
+    fetchReferral();
+  }, []);
+
+  const fetchWallet = async () => {
+    try {
+      const [walletResponse, cardsResponse, transactionsResponse] = await Promise.all([
+        walletAPI.getWallet(),
+        walletAPI.getSavedCards(),
+        walletAPI.getTransactions({ limit: 10 })
+      ]);
+      setWallet(walletResponse.data.data);
+      setSavedCards(cardsResponse.data.data);
+      setWalletTransactions(transactionsResponse.data.data.transactions);
+    } catch (err) {
+      console.error('Error fetching wallet:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchWallet();
+  }, []);
+
+  const handleToppedUp = ({ topUp }) => {
+    setTopUpDialogOpen(false);
+    setSuccess(topUp.status === 'completed'
+      ? `${formatMoney(topUp.amount, topUp.currency)} added to your wallet`
+      : 'Your top-up is being processed');
+    fetchWallet();
+  };
+
+  const handleRemoveCard = async (cardId) => {
+    try {
+      await walletAPI.removeCard(cardId);
+      setSavedCards(prev => prev.filter(card => card.id !== cardId));
+      setSuccess('Card removed');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to remove the card');
+    }
+  };
+
+  const handleCopyReferralLink = async () => {
+    try {
+      await navigator.clipboard.writeText(referral.link);
+      setSuccess('Invitation link copied');
+    } catch (err) {
+      setError('Could not copy the link');
+    }
+  };
+
   const handleProfileChange = (field, value) => {
     setProfileData(prev => ({
       ...prev,
@@ -565,8 +661,157 @@ const AccountSettingsPage = () => {
             </CardContent>
           </Card>
         </Grid>
+
+        {/* Invite Friends */}
+        {referral && (
+          <Grid item xs={12} md={6}>
+            <Card>
+              <CardHeader
+                title="Invite Friends"
+                avatar={<CardGiftcard />}
+              />
+              <CardContent>
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                  {Object.keys(referral.rewards).length > 0
+                    ? `When a friend you invite completes their first charge, you earn ${Object.entries(referral.rewards)
+                      .map(([currency, amount]) => formatMoney(amount, currency)).join(' / ')} in your wallet.`
+                    : 'Share your code with friends who drive electric.'}
+                </Typography>
+
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, my: 2 }}>
+                  <Chip label={referral.code} color="primary" />
+                  <Button size="small" startIcon={<ContentCopy />} onClick={handleCopyReferralLink}>
+                    Copy Invitation Link
+                  </Button>
+                </Box>
+
+                <Typography variant="body2">
+                  Friends invited: {referral.invited} ({referral.rewarded} completed a charge)
+                </Typography>
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+
+        {/* Wallet */}
+        {wallet && (
+          <Grid item xs={12}>
+            <Card>
+              <CardHeader
+                title="Wallet"
+                avatar={<AccountBalanceWallet />}
+                action={
+                  <Button
+                    startIcon={<Add />}
+                    onClick={() => setTopUpDialogOpen(true)}
+                    disabled={!stripePromise}
+                  >
+                    Add Money
+                  </Button>
+                }
+              />
+              <CardContent>
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+                  {wallet.balances.length > 0 ? (
+                    wallet.balances.map(balance => (
+                      <Chip
+                        key={balance.currency}
+                        label={formatMoney(balance.amount, balance.currency)}
+                        color="primary"
+                      />
+                    ))
+                  ) : (
+                    <Typography variant="body2">No balance yet</Typography>
+                  )}
+                </Box>
+                <Typography variant="caption" color="text.secondary">
+                  Pay for bookings from your balance when it covers the total. Refunds can be added here instead of going back to your card.
+                </Typography>
+
+                {savedCards.length > 0 && (
+                  <>
+                    <Typography variant="subtitle2" sx={{ mt: 3 }}>Saved Cards</Typography>
+                    <List dense>
+                      {savedCards.map(card => (
+                        <ListItem key={card.id}>
+                          <ListItemText
+                            primary={`${card.brand ? card.brand.toUpperCase() : 'Card'} ending ${card.last4}`}
+                            secondary={`Expires ${card.expMonth}/${card.expYear}`}
+                          />
+                          <ListItemSecondaryAction>
+                            <IconButton edge="end" onClick={() => handleRemoveCard(card.id)}>
+                              <Delete />
+                            </IconButton>
+                          </ListItemSecondaryAction>
+                        </ListItem>
+                      ))}
+                    </List>
+                  </>
+                )}
+
+                <Typography variant="subtitle2" sx={{ mt: 3 }}>Recent Activity</Typography>
+                {walletTransactions.length > 0 ? (
+                  <TableContainer>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Date</TableCell>
+                          <TableCell>Type</TableCell>
+                          <TableCell>Description</TableCell>
+                          <TableCell align="right">Amount</TableCell>
+                          <TableCell align="right">Balance</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {walletTransactions.map(transaction => (
+                          <TableRow key={transaction._id}>
+                            <TableCell>{new Date(transaction.createdAt).toLocaleDateString()}</TableCell>
+                            <TableCell>
+                              {WALLET_TRANSACTION_LABELS[transaction.type] || transaction.type}
+                              {!['completed', 'authorized'].includes(transaction.status) && (
+                                <Chip label={transaction.status} size="small" sx={{ ml: 1 }} />
+                              )}
+                            </TableCell>
+                            <TableCell>{transaction.description}</TableCell>
+                            <TableCell align="right" sx={{ color: transaction.amount < 0 ? 'error.main' : 'success.main' }}>
+                              {transaction.amount > 0 ? '+' : ''}{formatMoney(transaction.amount, transaction.currency)}
+                            </TableCell>
+                            <TableCell align="right">
+                              {transaction.balanceAfter !== undefined ? formatMoney(transaction.balanceAfter, transaction.currency) : '-'}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                ) : (
+                  <Typography variant="body2" color="text.secondary">No wallet activity yet</Typography>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
       </Grid>
 
+      {/* Top-up Dialog */}
+      <Dialog open={topUpDialogOpen} onClose={() => setTopUpDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Add Money to Wallet</DialogTitle>
+        <DialogContent>
+          {stripePromise && (
+            <Elements stripe={stripePromise}>
+              <WalletTopUpForm
+                savedCards={savedCards}
+                limits={wallet?.topUpLimits}
+                onToppedUp={handleToppedUp}
+              />
+            </Elements>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTopUpDialogOpen(false)}>Cancel</Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Delete Account Dialog */}
       <Dialog open={deleteDialogOpen} onClose={() => setDeleteDialogOpen(false)}>
         <DialogTitle>Delete Account</DialogTitle>
@@ -75,7 +75,7 @@ const AdminAnalyticsPage = () => {
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD'
+      currency: analytics?.overview?.reportingCurrency || 'USD'
     }).format(amount || 0);
   };
 
@@ -183,7 +183,7 @@ const AdminAnalyticsPage = () => {
           </Grid>
           <Grid item xs={12} sm={6} md={3}>
             <StatCard
-              title="Total Revenue"
+              title="Platform Revenue"
               value={formatCurrency(analytics.overview.totalRevenue)}
               icon={<RevenueIcon fontSize="large" />}
               color="warning"
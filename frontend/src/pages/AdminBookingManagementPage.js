@@ -359,6 +359,9 @@ const AdminBookingManagementPage = () => {
                 <MenuItem value="in-progress">In Progress</MenuItem>
                 <MenuItem value="completed">Completed</MenuItem>
                 <MenuItem value="cancelled">Cancelled</MenuItem>
+                <MenuItem value="expired">Expired</MenuItem>
+                <MenuItem value="declined">Declined</MenuItem>
+                <MenuItem value="no_show">No-show</MenuItem>
               </Select>
             </FormControl>
           </Grid>
@@ -51,7 +51,9 @@ import {
   Warning as WarningIcon,
   CheckCircle as SuccessIcon,
   Cancel as CancelIcon,
-  Pending as PendingIcon
+  Pending as PendingIcon,
+  Balance as BalanceIcon,
+  Receipt as TaxIcon
 } from '@mui/icons-material';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
@@ -95,6 +97,12 @@ const AdminPaymentManagementPage = () => {
     limit: 10,
     totalPayments: 0
   });
+  const [reconciliation, setReconciliation] = useState(null);
+  const [reconciling, setReconciling] = useState(false);
+  const [reconciliationRange, setReconciliationRange] = useState({
+    startDate: null,
+    endDate: null
+  });
 
   useEffect(() => {
     fetchPayments();
@@ -152,6 +160,24 @@ const AdminPaymentManagementPage = () => {
     }
   };
 
+  const handleRunReconciliation = async () => {
+    try {
+      setReconciling(true);
+      const params = {
+        startDate: reconciliationRange.startDate ? format(reconciliationRange.startDate, 'yyyy-MM-dd') : undefined,
+        endDate: reconciliationRange.endDate ? format(reconciliationRange.endDate, 'yyyy-MM-dd') : undefined
+      };
+
+      const response = await adminAPI.getLedgerReconciliation(params);
+      setReconciliation(response.data.data);
+    } catch (error) {
+      console.error('Error running reconciliation:', error);
+      toast.error(error.response?.data?.message || 'Failed to run reconciliation');
+    } finally {
+      setReconciling(false);
+    }
+  };
+
   const handleViewPaymentDetails = async (paymentId) => {
     try {
       const response = await adminAPI.getPaymentDetails(paymentId);
@@ -209,11 +235,12 @@ const AdminPaymentManagementPage = () => {
     }
   };
 
-  const formatCurrency = (amount) => {
+  // Summary figures are in the reporting currency; a payment's own amounts are in its currency
+  const formatCurrency = (amount, currency = summary.reportingCurrency) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD'
-    }).format(amount);
+      currency: (currency || 'USD').toUpperCase()
+    }).format(amount || 0);
   };
 
   const StatCard = ({ title, value, icon, color = 'primary', subtitle }) => (
@@ -266,19 +293,19 @@ const AdminPaymentManagementPage = () => {
                   <ListItem>
                     <ListItemText
                       primary="Amount"
-                      secondary={formatCurrency(selectedPayment.payment.amount.total)}
+                      secondary={formatCurrency(selectedPayment.payment.amount.total, selectedPayment.payment.currency)}
                     />
                   </ListItem>
                   <ListItem>
                     <ListItemText
                       primary="Platform Fee"
-                      secondary={formatCurrency(selectedPayment.payment.amount.platformFee)}
+                      secondary={formatCurrency(selectedPayment.payment.amount.platformFee, selectedPayment.payment.currency)}
                     />
                   </ListItem>
                   <ListItem>
                     <ListItemText
                       primary="Owner Earning"
-                      secondary={formatCurrency(selectedPayment.payment.amount.ownerEarning)}
+                      secondary={formatCurrency(selectedPayment.payment.amount.ownerEarning, selectedPayment.payment.currency)}
                     />
                   </ListItem>
                   <ListItem>
@@ -332,41 +359,32 @@ const AdminPaymentManagementPage = () => {
                 </List>
               </Grid>
 
-              {/* Stripe Details */}
-              {selectedPayment.stripePaymentDetails && (
+              {/* Gateway Details */}
+              {selectedPayment.gatewayDetails && (
                 <Grid item xs={12}>
                   <Divider sx={{ my: 2 }} />
-                  <Typography variant="h6" gutterBottom>Stripe Payment Details</Typography>
+                  <Typography variant="h6" gutterBottom>Gateway Details</Typography>
                   <List dense>
                     <ListItem>
                       <ListItemText
-                        primary="Stripe Payment ID"
-                        secondary={selectedPayment.stripePaymentDetails.id}
+                        primary="Gateway"
+                        secondary={selectedPayment.gatewayDetails.gateway}
                       />
                     </ListItem>
                     <ListItem>
                       <ListItemText
-                        primary="Payment Method"
-                        secondary={selectedPayment.stripePaymentDetails.paymentMethod || 'N/A'}
+                        primary="Transaction ID"
+                        secondary={selectedPayment.gatewayDetails.id}
+                      />
+                    </ListItem>
+                    <ListItem>
+                      <ListItemText
+                        primary="Gateway Status"
+                        secondary={selectedPayment.gatewayDetails.failureReason
+                          ? `${selectedPayment.gatewayDetails.status} (${selectedPayment.gatewayDetails.failureReason})`
+                          : selectedPayment.gatewayDetails.status}
                       />
                     </ListItem>
-                    {selectedPayment.stripePaymentDetails.receiptUrl && (
-                      <ListItem>
-                        <ListItemText
-                          primary="Receipt"
-                          secondary={
-                            <Button
-                              size="small"
-                              href={selectedPayment.stripePaymentDetails.receiptUrl}
-                              target="_blank"
-                              startIcon={<ReceiptIcon />}
-                            >
-                              View Receipt
-                            </Button>
-                          }
-                        />
-                      </ListItem>
-                    )}
                   </List>
                 </Grid>
               )}
@@ -378,7 +396,7 @@ const AdminPaymentManagementPage = () => {
                   <Typography variant="h6" gutterBottom>Refund Information</Typography>
                   <Alert severity="info">
                     <Typography variant="body2">
-                      <strong>Refunded Amount:</strong> {formatCurrency(selectedPayment.payment.transaction.refundAmount)}<br />
+                      <strong>Refunded Amount:</strong> {formatCurrency(selectedPayment.payment.transaction.refundAmount, selectedPayment.payment.currency)}<br />
                       <strong>Refund Date:</strong> {format(new Date(selectedPayment.payment.transaction.refundDate), 'PPpp')}<br />
                       <strong>Reason:</strong> {selectedPayment.payment.transaction.refundReason}
                     </Typography>
@@ -427,7 +445,7 @@ const AdminPaymentManagementPage = () => {
             value={refundData.amount}
             onChange={(e) => setRefundData(prev => ({ ...prev, amount: e.target.value }))}
             margin="normal"
-            helperText={selectedPayment ? `Maximum: ${formatCurrency(selectedPayment.payment.amount.total)}` : ''}
+            helperText={selectedPayment ? `Maximum: ${formatCurrency(selectedPayment.payment.amount.total, selectedPayment.payment.currency)}` : ''}
           />
           <TextField
             fullWidth
@@ -604,10 +622,10 @@ const AdminPaymentManagementPage = () => {
                     </TableCell>
                     <TableCell>
                       <Typography variant="body2" fontWeight="bold">
-                        {formatCurrency(payment.amount.total)}
+                        {formatCurrency(payment.amount.total, payment.currency)}
                       </Typography>
                       <Typography variant="caption" color="textSecondary">
-                        Fee: {formatCurrency(payment.amount.platformFee)}
+                        Fee: {formatCurrency(payment.amount.platformFee, payment.currency)}
                       </Typography>
                     </TableCell>
                     <TableCell>
@@ -629,7 +647,7 @@ const AdminPaymentManagementPage = () => {
                     <TableCell>
                       {payment.transaction.refunded ? (
                         <Chip
-                          label={formatCurrency(payment.transaction.refundAmount)}
+                          label={formatCurrency(payment.transaction.refundAmount, payment.currency)}
                           color="warning"
                           size="small"
                           icon={<RefundIcon />}
@@ -713,7 +731,7 @@ const AdminPaymentManagementPage = () => {
                       </Box>
                     </TableCell>
                     <TableCell>
-                      {formatCurrency(payment.amount.total)}
+                      {formatCurrency(payment.amount.total, payment.currency)}
                     </TableCell>
                     <TableCell>
                       {format(new Date(payment.refund?.requestedAt), 'PPp')}
@@ -760,6 +778,190 @@ const AdminPaymentManagementPage = () => {
     </Box>
   );
 
+  const ReconciliationTab = () => (
+    <Box>
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Ledger Reconciliation
+        </Typography>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          Checks that the ledger balances and matches every payment, refund and payout.
+          Owner balances are always checked across all time.
+        </Typography>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} sm={6} md={3}>
+            <LocalizationProvider dateAdapter={AdapterDateFns}>
+              <DatePicker
+                label="Start Date"
+                value={reconciliationRange.startDate}
+                onChange={(date) => setReconciliationRange(prev => ({ ...prev, startDate: date }))}
+                slotProps={{ textField: { size: 'small', fullWidth: true } }}
+              />
+            </LocalizationProvider>
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <LocalizationProvider dateAdapter={AdapterDateFns}>
+              <DatePicker
+                label="End Date"
+                value={reconciliationRange.endDate}
+                onChange={(date) => setReconciliationRange(prev => ({ ...prev, endDate: date }))}
+                slotProps={{ textField: { size: 'small', fullWidth: true } }}
+              />
+            </LocalizationProvider>
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <Button
+              fullWidth
+              variant="contained"
+              startIcon={reconciling ? <CircularProgress size={20} /> : <BalanceIcon />}
+              onClick={handleRunReconciliation}
+              disabled={reconciling}
+            >
+              Run Reconciliation
+            </Button>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      {reconciliation && (
+        <>
+          <Alert severity={reconciliation.reconciled ? 'success' : 'error'} sx={{ mb: 3 }}>
+            {reconciliation.reconciled
+              ? 'The ledger balances and matches all payments and payouts.'
+              : `Found ${reconciliation.summary.discrepancies} discrepancies.`}
+          </Alert>
+
+          <Grid container spacing={3} sx={{ mb: 3 }}>
+            <Grid item xs={12} sm={6} md={3}>
+              <StatCard
+                title="Platform Revenue"
+                value={formatCurrency(reconciliation.summary.platformRevenue, reconciliation.summary.reportingCurrency)}
+                icon={<TrendingUpIcon fontSize="large" />}
+                color="success"
+                subtitle="Fees less refunded fees"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <StatCard
+                title="Gross Volume"
+                value={formatCurrency(reconciliation.summary.grossVolume, reconciliation.summary.reportingCurrency)}
+                icon={<CardIcon fontSize="large" />}
+                color="primary"
+                subtitle={`${reconciliation.summary.paymentsChecked} payments checked`}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <StatCard
+                title="Owed to Owners"
+                value={formatCurrency(reconciliation.summary.ownerPayable, reconciliation.summary.reportingCurrency)}
+                icon={<BankIcon fontSize="large" />}
+                color="info"
+                subtitle={`${reconciliation.summary.payoutsChecked} payouts checked`}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <StatCard
+                title="Tax Payable"
+                value={formatCurrency(reconciliation.summary.taxPayable, reconciliation.summary.reportingCurrency)}
+                icon={<TaxIcon fontSize="large" />}
+                color="warning"
+                subtitle="Collected less refunded tax"
+              />
+            </Grid>
+          </Grid>
+
+          {reconciliation.trialBalance.map((balance) => (
+            <Paper key={balance.currency} sx={{ mb: 3 }}>
+              <Typography variant="h6" sx={{ p: 2 }}>
+                Trial Balance ({balance.currency.toUpperCase()})
+              </Typography>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Account</TableCell>
+                      <TableCell align="right">Debits</TableCell>
+                      <TableCell align="right">Credits</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {Object.entries(balance.accounts).map(([account, totals]) => (
+                      <TableRow key={account}>
+                        <TableCell>{account.replace(/_/g, ' ')}</TableCell>
+                        <TableCell align="right">{formatCurrency(totals.debits, balance.currency)}</TableCell>
+                        <TableCell align="right">{formatCurrency(totals.credits, balance.currency)}</TableCell>
+                      </TableRow>
+                    ))}
+                    <TableRow>
+                      <TableCell><strong>Total</strong></TableCell>
+                      <TableCell align="right"><strong>{formatCurrency(balance.totalDebits, balance.currency)}</strong></TableCell>
+                      <TableCell align="right"><strong>{formatCurrency(balance.totalCredits, balance.currency)}</strong></TableCell>
+                    </TableRow>
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </Paper>
+          ))}
+
+          {reconciliation.summary.discrepancies > 0 && (
+            <Paper>
+              <Typography variant="h6" sx={{ p: 2 }}>
+                Discrepancies
+              </Typography>
+              <List dense>
+                {reconciliation.unbalancedEntries.map((entry) => (
+                  <ListItem key={entry._id}>
+                    <ListItemIcon><WarningIcon color="error" /></ListItemIcon>
+                    <ListItemText
+                      primary={`Unbalanced entry ${entry.reference}`}
+                      secondary={`Debits ${formatCurrency(entry.debits, entry.currency)}, credits ${formatCurrency(entry.credits, entry.currency)}`}
+                    />
+                  </ListItem>
+                ))}
+                {reconciliation.paymentDiscrepancies.map((item) => (
+                  <ListItem key={item.payment}>
+                    <ListItemIcon><WarningIcon color="warning" /></ListItemIcon>
+                    <ListItemText
+                      primary={`Payment ${item.payment.slice(-8)} (${item.status})`}
+                      secondary={`Expected ${formatCurrency(item.expected.charged, item.currency)} charged, ${formatCurrency(item.expected.refunded, item.currency)} refunded; ledger has ${formatCurrency(item.recorded.charged, item.currency)} charged, ${formatCurrency(item.recorded.refunded, item.currency)} refunded`}
+                    />
+                  </ListItem>
+                ))}
+                {reconciliation.payoutDiscrepancies.map((item) => (
+                  <ListItem key={item.payout}>
+                    <ListItemIcon><WarningIcon color="warning" /></ListItemIcon>
+                    <ListItemText
+                      primary={`Payout ${item.payout.slice(-8)}`}
+                      secondary={`Expected ${formatCurrency(item.expected, item.currency)}; ledger has ${formatCurrency(item.recorded, item.currency)}`}
+                    />
+                  </ListItem>
+                ))}
+                {reconciliation.walletDiscrepancies.map((item) => (
+                  <ListItem key={item.walletTransaction}>
+                    <ListItemIcon><WarningIcon color="warning" /></ListItemIcon>
+                    <ListItemText
+                      primary={`Wallet ${item.type.replace(/_/g, ' ')} ${item.walletTransaction.slice(-8)}`}
+                      secondary={`Expected ${formatCurrency(item.expected, item.currency)}; ledger has ${formatCurrency(item.recorded, item.currency)}`}
+                    />
+                  </ListItem>
+                ))}
+                {reconciliation.ownerDiscrepancies.map((item) => (
+                  <ListItem key={`${item.owner}-${item.currency}`}>
+                    <ListItemIcon><WarningIcon color="warning" /></ListItemIcon>
+                    <ListItemText
+                      primary={`Owner ${item.owner.slice(-8)} balance`}
+                      secondary={`Expected ${formatCurrency(item.expected, item.currency)} owed; ledger has ${formatCurrency(item.recorded, item.currency)}`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            </Paper>
+          )}
+        </>
+      )}
+    </Box>
+  );
+
   return (
     <AdminLayout>
       <Box sx={{ p: 3 }}>
@@ -792,10 +994,19 @@ const AdminPaymentManagementPage = () => {
               </Box>
             }
           />
+          <Tab
+            label={
+              <Box display="flex" alignItems="center" gap={1}>
+                <BalanceIcon />
+                Reconciliation
+              </Box>
+            }
+          />
         </Tabs>
 
         {activeTab === 0 && <PaymentsTab />}
         {activeTab === 1 && <RefundRequestsTab />}
+        {activeTab === 2 && <ReconciliationTab />}
 
         <PaymentDetailsDialog />
         <RefundDialog />
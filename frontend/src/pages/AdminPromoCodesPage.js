@@ -0,0 +1,416 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TablePagination,
+  TableRow,
+  Typography,
+  Button,
+  Chip,
+  IconButton,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  Checkbox,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Grid,
+  CircularProgress
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import adminAPI from '../services/adminAPI';
+import AdminLayout from '../components/AdminLayout';
+import { formatMoney } from '../utils/currency';
+
+const EMPTY_FORM = {
+  code: '',
+  description: '',
+  discountType: 'percent',
+  value: '',
+  currency: 'USD',
+  fundedBy: 'platform',
+  maxUses: '',
+  maxUsesPerUser: 1,
+  firstBookingOnly: false,
+  chargers: '',
+  startsAt: '',
+  expiresAt: ''
+};
+
+// Dates are edited as local date-times without seconds
+const toInputDate = (date) => (date ? new Date(date).toISOString().slice(0, 16) : '');
+
+const describeDiscount = (promoCode) => (promoCode.discountType === 'percent'
+  ? `${promoCode.value}% off`
+  : `${formatMoney(promoCode.value, promoCode.currency)} off`);
+
+const AdminPromoCodesPage = () => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [pagination, setPagination] = useState({ page: 0, limit: 20, total: 0 });
+  const [search, setSearch] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    fetchPromoCodes();
+  }, [pagination.page, pagination.limit, search]);
+
+  const fetchPromoCodes = async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getPromoCodes({
+        page: pagination.page + 1,
+        limit: pagination.limit,
+        ...(search && { search })
+      });
+
+      setPromoCodes(response.data.data.promoCodes);
+      setPagination(prev => ({ ...prev, total: response.data.data.pagination.total }));
+    } catch (error) {
+      console.error('Error fetching promo codes:', error);
+      toast.error('Failed to load promo codes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenDialog = (promoCode = null) => {
+    setEditing(promoCode);
+    setForm(promoCode ? {
+      ...EMPTY_FORM,
+      ...promoCode,
+      description: promoCode.description || '',
+      currency: promoCode.currency || 'USD',
+      maxUses: promoCode.maxUses || '',
+      chargers: promoCode.chargers.map(charger => charger._id).join(', '),
+      startsAt: toInputDate(promoCode.startsAt),
+      expiresAt: toInputDate(promoCode.expiresAt)
+    } : EMPTY_FORM);
+    setDialogOpen(true);
+  };
+
+  const handleFormChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    const data = {
+      code: form.code.trim(),
+      description: form.description,
+      discountType: form.discountType,
+      value: Number(form.value),
+      currency: form.discountType === 'fixed' ? form.currency : undefined,
+      fundedBy: form.fundedBy,
+      maxUses: form.maxUses ? Number(form.maxUses) : null,
+      maxUsesPerUser: Number(form.maxUsesPerUser) || 1,
+      firstBookingOnly: form.firstBookingOnly,
+      chargers: form.chargers.split(',').map(id => id.trim()).filter(Boolean),
+      startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : null,
+      expiresAt: form.expiresAt ? new Date(form.expiresAt).toISOString() : null
+    };
+
+    try {
+      setSaving(true);
+      if (editing) {
+        await adminAPI.updatePromoCode(editing._id, data);
+        toast.success('Promo code updated');
+      } else {
+        await adminAPI.createPromoCode(data);
+        toast.success('Promo code created');
+      }
+      setDialogOpen(false);
+      fetchPromoCodes();
+    } catch (error) {
+      console.error('Error saving promo code:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.message || 'Failed to save promo code');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (promoCode) => {
+    try {
+      await adminAPI.updatePromoCode(promoCode._id, { active: !promoCode.active });
+      fetchPromoCodes();
+    } catch (error) {
+      console.error('Error updating promo code:', error);
+      toast.error('Failed to update promo code');
+    }
+  };
+
+  const renderDialog = () => (
+    <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+      <DialogTitle>{editing ? `Edit ${editing.code}` : 'New Promo Code'}</DialogTitle>
+      <DialogContent>
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              label="Code"
+              value={form.code}
+              onChange={(e) => handleFormChange('code', e.target.value.toUpperCase())}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <FormControl fullWidth>
+              <InputLabel>Funded By</InputLabel>
+              <Select
+                value={form.fundedBy}
+                onChange={(e) => handleFormChange('fundedBy', e.target.value)}
+                label="Funded By"
+              >
+                <MenuItem value="platform">Platform (out of the fee)</MenuItem>
+                <MenuItem value="owner">Owner (out of earnings)</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Description"
+              value={form.description}
+              onChange={(e) => handleFormChange('description', e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <FormControl fullWidth>
+              <InputLabel>Type</InputLabel>
+              <Select
+                value={form.discountType}
+                onChange={(e) => handleFormChange('discountType', e.target.value)}
+                label="Type"
+              >
+                <MenuItem value="percent">Percentage</MenuItem>
+                <MenuItem value="fixed">Fixed amount</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              fullWidth
+              type="number"
+              label={form.discountType === 'percent' ? 'Percent Off' : 'Amount Off'}
+              value={form.value}
+              onChange={(e) => handleFormChange('value', e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <FormControl fullWidth disabled={form.discountType !== 'fixed'}>
+              <InputLabel>Currency</InputLabel>
+              <Select
+                value={form.currency}
+                onChange={(e) => handleFormChange('currency', e.target.value)}
+                label="Currency"
+              >
+                {['USD', 'EUR', 'GBP', 'CAD'].map(currency => (
+                  <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Total Uses"
+              helperText="Leave empty for unlimited"
+              value={form.maxUses}
+              onChange={(e) => handleFormChange('maxUses', e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Uses per Driver"
+              value={form.maxUsesPerUser}
+              onChange={(e) => handleFormChange('maxUsesPerUser', e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              type="datetime-local"
+              label="Starts"
+              InputLabelProps={{ shrink: true }}
+              value={form.startsAt}
+              onChange={(e) => handleFormChange('startsAt', e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              type="datetime-local"
+              label="Expires"
+              InputLabelProps={{ shrink: true }}
+              value={form.expiresAt}
+              onChange={(e) => handleFormChange('expiresAt', e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Charger IDs"
+              helperText="Comma-separated; leave empty for all chargers"
+              value={form.chargers}
+              onChange={(e) => handleFormChange('chargers', e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={form.firstBookingOnly}
+                  onChange={(e) => handleFormChange('firstBookingOnly', e.target.checked)}
+                />
+              }
+              label="First booking only"
+            />
+          </Grid>
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+        <Button
+          onClick={handleSave}
+          color="primary"
+          variant="contained"
+          disabled={saving || !form.code.trim() || !form.value}
+        >
+          {saving ? <CircularProgress size={20} /> : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+
+  return (
+    <AdminLayout>
+      <Box sx={{ flexGrow: 1 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+          <Typography variant="h4" component="h1">
+            Promo Codes
+          </Typography>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => handleOpenDialog()}>
+            New Promo Code
+          </Button>
+        </Box>
+
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <TextField
+            fullWidth
+            placeholder="Search codes..."
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPagination(prev => ({ ...prev, page: 0 }));
+            }}
+          />
+        </Paper>
+
+        <Paper>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Code</TableCell>
+                  <TableCell>Discount</TableCell>
+                  <TableCell>Funded By</TableCell>
+                  <TableCell>Uses</TableCell>
+                  <TableCell>Rules</TableCell>
+                  <TableCell>Valid</TableCell>
+                  <TableCell>Active</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {loading ? (
+                  <TableRow>
+                    <TableCell colSpan={8} align="center">
+                      <CircularProgress />
+                    </TableCell>
+                  </TableRow>
+                ) : promoCodes.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={8} align="center">
+                      No promo codes yet
+                    </TableCell>
+                  </TableRow>
+                ) : promoCodes.map((promoCode) => (
+                  <TableRow key={promoCode._id}>
+                    <TableCell>
+                      <Typography variant="body2" fontWeight="bold">{promoCode.code}</Typography>
+                      <Typography variant="caption" color="text.secondary">{promoCode.description}</Typography>
+                    </TableCell>
+                    <TableCell>{describeDiscount(promoCode)}</TableCell>
+                    <TableCell sx={{ textTransform: 'capitalize' }}>{promoCode.fundedBy}</TableCell>
+                    <TableCell>
+                      {promoCode.usedCount}{promoCode.maxUses ? ` / ${promoCode.maxUses}` : ''}
+                    </TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                        <Chip size="small" label={`${promoCode.maxUsesPerUser} per driver`} />
+                        {promoCode.firstBookingOnly && <Chip size="small" label="First booking" />}
+                        {promoCode.chargers.length > 0 && (
+                          <Chip size="small" label={promoCode.chargers.map(charger => charger.title).join(', ')} />
+                        )}
+                      </Box>
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">
+                        {promoCode.startsAt ? new Date(promoCode.startsAt).toLocaleDateString() : 'Now'}
+                        {' - '}
+                        {promoCode.expiresAt ? new Date(promoCode.expiresAt).toLocaleDateString() : 'No expiry'}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Switch checked={promoCode.active} onChange={() => handleToggleActive(promoCode)} />
+                    </TableCell>
+                    <TableCell>
+                      <IconButton size="small" onClick={() => handleOpenDialog(promoCode)}>
+                        <EditIcon />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={pagination.total}
+            page={pagination.page}
+            onPageChange={(event, page) => setPagination(prev => ({ ...prev, page }))}
+            rowsPerPage={pagination.limit}
+            onRowsPerPageChange={(event) => setPagination(prev => ({
+              ...prev,
+              limit: parseInt(event.target.value, 10),
+              page: 0
+            }))}
+          />
+        </Paper>
+
+        {renderDialog()}
+      </Box>
+    </AdminLayout>
+  );
+};
+
+export default AdminPromoCodesPage;
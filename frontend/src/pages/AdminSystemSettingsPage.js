@@ -39,6 +39,44 @@ import { toast } from 'react-toastify';
 import adminAPI from '../services/adminAPI';
 import AdminLayout from '../components/AdminLayout';
 
+// Edits list-valued and deeply nested settings (e.g. fee overrides and promotions) as JSON
+const JsonSettingField = ({ label, value, onChange, size }) => {
+  const [text, setText] = useState(JSON.stringify(value, null, 2));
+  const [parseError, setParseError] = useState('');
+
+  useEffect(() => {
+    setText(JSON.stringify(value, null, 2));
+    setParseError('');
+  }, [value]);
+
+  const handleBlur = () => {
+    try {
+      onChange(JSON.parse(text));
+      setParseError('');
+    } catch (e) {
+      setParseError('Invalid JSON');
+    }
+  };
+
+  return (
+    <TextField
+      fullWidth
+      multiline
+      minRows={3}
+      label={label}
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={handleBlur}
+      error={!!parseError}
+      helperText={parseError || 'JSON'}
+      size={size}
+      margin={size ? 'none' : 'normal'}
+      variant="outlined"
+      InputProps={{ sx: { fontFamily: 'monospace' } }}
+    />
+  );
+};
+
 const AdminSystemSettingsPage = () => {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -107,7 +145,14 @@ const AdminSystemSettingsPage = () => {
         });
       });
 
-      await adminAPI.updateSystemSettings({ settings: flatSettings });
+      const response = await adminAPI.updateSystemSettings({ settings: flatSettings });
+      
+      // Settings the server rejected (e.g. a fee outside 0-100%) keep their old values
+      if (response.data.errors?.length > 0) {
+        response.data.errors.forEach(message => toast.error(message));
+        await fetchSettings();
+        return;
+      }
       
       // Update original settings to reflect saved state
       setOriginalSettings(JSON.parse(JSON.stringify(settings)));
@@ -168,6 +213,17 @@ const AdminSystemSettingsPage = () => {
   const renderSettingField = (category, key, value) => {
     const settingKey = key;
     
+    if (Array.isArray(value)) {
+      return (
+        <JsonSettingField
+          key={settingKey}
+          label={getSettingLabel(key)}
+          value={value}
+          onChange={(newValue) => handleSettingChange(category, key, newValue)}
+        />
+      );
+    }
+    
     // Handle object values by rendering nested fields
     if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
       return (
@@ -288,6 +344,17 @@ const AdminSystemSettingsPage = () => {
   const renderNestedSettingField = (category, parentKey, subKey, subValue) => {
     const fullKey = `${parentKey}.${subKey}`;
     
+    if (typeof subValue === 'object' && subValue !== null) {
+      return (
+        <JsonSettingField
+          label={getSettingLabel(subKey)}
+          value={subValue}
+          onChange={(newValue) => handleNestedSettingChange(category, parentKey, subKey, newValue)}
+          size="small"
+        />
+      );
+    }
+    
     if (typeof subValue === 'boolean') {
       return (
         <FormControlLabel
@@ -435,8 +502,8 @@ const AdminSystemSettingsPage = () => {
                 <AccordionDetails>
                   <Grid container spacing={2}>
                     {Object.entries(categorySettings).map(([key, value]) => {
-                      // For object settings, use full width
-                      const isObjectSetting = typeof value === 'object' && value !== null && !Array.isArray(value);
+                      // For object and list settings, use full width
+                      const isObjectSetting = typeof value === 'object' && value !== null;
                       return (
                         <Grid item xs={12} md={isObjectSetting ? 12 : 6} key={key}>
                           {renderSettingField(category, key, value)}
@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
+import { Elements } from '@stripe/react-stripe-js';
+import { QRCodeSVG } from 'qrcode.react';
 import { useAuth } from '../contexts/AuthContext';
-import { bookingAPI, ratingAPI } from '../services/api';
+import { bookingAPI, paymentAPI, ratingAPI } from '../services/api';
 import {
   Box,
   Typography,
@@ -22,7 +24,10 @@ import {
   CircularProgress,
   Alert,
   Rating,
-  TextField
+  TextField,
+  RadioGroup,
+  Radio,
+  FormControlLabel
 } from '@mui/material';
 import {
   CalendarToday,
@@ -36,9 +41,22 @@ import {
   Star,
   Person,
   Phone,
-  Email
+  Email,
+  Login,
+  Logout
 } from '@mui/icons-material';
 import LoadingSpinner from '../components/LoadingSpinner';
+import BookingPaymentForm from '../components/BookingPaymentForm';
+import { formatMoney } from '../utils/currency';
+import { saveBlob } from '../utils/download';
+import { stripePromise } from '../utils/stripe';
+
+// e.g. "Peak (2.5 hours × $4.00)"; flat fees are shown by label alone
+const formatLineItem = (item, currency) => {
+  if (item.unit === 'session') return item.label;
+  const unit = item.unit === 'hour' && item.quantity !== 1 ? 'hours' : item.unit;
+  return `${item.label} (${item.quantity} ${unit} × ${formatMoney(item.rate, currency)})`;
+};
 
 const BookingDetailPage = () => {
   const { id } = useParams();
@@ -52,6 +70,22 @@ const BookingDetailPage = () => {
   const [cancelDialogOpen, setCancelDialogOpen] = useState(false);
   const [cancelLoading, setCancelLoading] = useState(false);
   const [cancelError, setCancelError] = useState('');
+  const [cancellationPreview, setCancellationPreview] = useState(null);
+  const [refundTo, setRefundTo] = useState('card');
+
+  // Check-in state
+  const [access, setAccess] = useState(null);
+  const [checkInCode, setCheckInCode] = useState('');
+  const [checkInLoading, setCheckInLoading] = useState(false);
+  const [checkInError, setCheckInError] = useState('');
+  
+  // Change of times state
+  const [changeDialogOpen, setChangeDialogOpen] = useState(false);
+  const [changeStart, setChangeStart] = useState('');
+  const [changeEnd, setChangeEnd] = useState('');
+  const [changePreview, setChangePreview] = useState(null);
+  const [changeLoading, setChangeLoading] = useState(false);
+  const [changeError, setChangeError] = useState('');
   
   // Review state
   const [reviewDialogOpen, setReviewDialogOpen] = useState(false);
@@ -78,26 +112,163 @@ const BookingDetailPage = () => {
     fetchBookingDetails();
   }, [id]);
 
-  const handleCancelClick = () => {
+  // The driver's access code and check-in QR code, once the booking is confirmed
+  const isDriver = Boolean(user && booking && booking.user?._id === user._id);
+  const hasAccess = isDriver && ['confirmed', 'active'].includes(booking?.status);
+  useEffect(() => {
+    if (!hasAccess) return;
+    bookingAPI.getAccessCode(id)
+      .then(response => setAccess(response.data.data))
+      .catch(err => console.error('Error fetching access code:', err));
+  }, [id, hasAccess]);
+
+  // Resolves to [longitude, latitude], or undefined if the browser cannot tell
+  const getCurrentCoordinates = () => new Promise(resolve => {
+    if (!navigator.geolocation) return resolve(undefined);
+    navigator.geolocation.getCurrentPosition(
+      position => resolve([position.coords.longitude, position.coords.latitude]),
+      () => resolve(undefined),
+      { timeout: 10000 }
+    );
+  });
+
+  const handleCheckIn = async () => {
+    setCheckInLoading(true);
+    setCheckInError('');
+    try {
+      const response = await bookingAPI.checkIn(id, {
+        accessCode: isDriver ? access?.accessCode : checkInCode,
+        coordinates: isDriver ? await getCurrentCoordinates() : undefined
+      });
+      const { booking: checkedIn } = response.data.data;
+      setBooking(prev => ({ ...prev, status: checkedIn.status, checkIn: checkedIn.checkIn }));
+    } catch (err) {
+      setCheckInError(err.response?.data?.message || 'Failed to check in');
+    } finally {
+      setCheckInLoading(false);
+    }
+  };
+
+  const handleCheckOut = async () => {
+    setCheckInLoading(true);
+    setCheckInError('');
+    try {
+      const response = await bookingAPI.checkOut(id);
+      const { booking: completed, overstayFee } = response.data.data;
+      setBooking(prev => ({
+        ...prev,
+        status: completed.status,
+        payment: completed.payment,
+        checkOut: completed.checkOut,
+        fees: overstayFee ? [...(prev.fees || []), overstayFee] : prev.fees
+      }));
+    } catch (err) {
+      setCheckInError(err.response?.data?.error?.message || err.response?.data?.message || 'Failed to check out');
+    } finally {
+      setCheckInLoading(false);
+    }
+  };
+
+  // datetime-local inputs take the browser's local time without an offset
+  const toLocalInputValue = (date) => {
+    const value = new Date(date);
+    return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  };
+
+  const getChangeTimes = () => ({
+    startTime: booking.status === 'active' ? undefined : new Date(changeStart).toISOString(),
+    endTime: new Date(changeEnd).toISOString()
+  });
+
+  const handleChangeClick = () => {
+    setChangeStart(toLocalInputValue(booking.schedule.startTime));
+    setChangeEnd(toLocalInputValue(booking.schedule.endTime));
+    setChangePreview(null);
+    setChangeError('');
+    setChangeDialogOpen(true);
+  };
+
+  const handleChangePreview = async () => {
+    setChangeLoading(true);
+    setChangeError('');
+    try {
+      const response = await bookingAPI.getChangePreview(id, getChangeTimes());
+      setChangePreview(response.data.data);
+    } catch (err) {
+      setChangePreview(null);
+      setChangeError(err.response?.data?.message || 'These times are not available');
+    } finally {
+      setChangeLoading(false);
+    }
+  };
+
+  const handleChangeConfirm = async () => {
+    setChangeLoading(true);
+    setChangeError('');
+    try {
+      const response = await bookingAPI.changeSchedule(id, getChangeTimes());
+      const changed = response.data.data;
+      setBooking(prev => ({
+        ...prev,
+        schedule: changed.schedule,
+        pricing: changed.pricing,
+        payment: changed.payment,
+        modification: changed.modification
+      }));
+      setChangeDialogOpen(false);
+    } catch (err) {
+      setChangeError(err.response?.data?.error?.message || err.response?.data?.message || 'Failed to change the booking');
+    } finally {
+      setChangeLoading(false);
+    }
+  };
+
+  const handleCancelClick = async () => {
     setCancelDialogOpen(true);
     setCancelError('');
+    setCancellationPreview(null);
+    setRefundTo('card');
+
+    // Show the refund the cancellation policy allows before the user confirms
+    try {
+      const response = await bookingAPI.getCancellationPreview(id);
+      if (response.data.success) {
+        setCancellationPreview(response.data.data);
+      }
+    } catch (err) {
+      console.error('Error fetching cancellation preview:', err);
+    }
   };
 
   const handleCancelConfirm = async () => {
     setCancelLoading(true);
     setCancelError('');
     try {
-      const response = await bookingAPI.cancel(id);
+      const response = await bookingAPI.cancel(id, refundTo === 'wallet' ? { refundTo } : undefined);
       if (response.data.success) {
-        setBooking(response.data.data);
+        const { booking: cancelledBooking } = response.data.data;
+        setBooking(prev => ({ ...prev, status: cancelledBooking.status, payment: cancelledBooking.payment }));
+        setCancelDialogOpen(false);
       } else {
         setCancelError(response.data.message || 'Failed to cancel booking');
       }
     } catch (err) {
-      setCancelError('An error occurred while cancelling the booking');
+      setCancelError(err.response?.data?.error?.message || err.response?.data?.message || 'An error occurred while cancelling the booking');
     } finally {
       setCancelLoading(false);
-      setCancelDialogOpen(false);
+    }
+  };
+
+  const handlePaid = ({ booking: paidBooking, payment }) => {
+    setBooking(prev => ({ ...prev, status: paidBooking.status, payment: paidBooking.payment, paymentId: payment?._id }));
+  };
+
+  const handleDownloadReceipt = async () => {
+    try {
+      const response = await paymentAPI.getReceipt(booking.paymentId);
+      saveBlob(response.data, `receipt-${booking._id}.pdf`);
+    } catch (err) {
+      setError('Failed to download the receipt. Please try again.');
     }
   };
 
@@ -201,9 +372,24 @@ const BookingDetailPage = () => {
 
   const isUpcoming = new Date(booking.schedule.startTime) > new Date();
   const isPast = new Date(booking.schedule.endTime) < new Date();
-  const canCancel = booking.status === 'confirmed' && isUpcoming;
+  const canCancel = ['pending', 'confirmed'].includes(booking.status) && isUpcoming;
+  // Upcoming bookings can move; a session that has started can only be extended
+  const canChange = isDriver && (
+    (['pending', 'confirmed'].includes(booking.status) && isUpcoming) ||
+    (booking.status === 'active' && !isPast)
+  );
+  const changeAwaiting = ['confirmed', 'active'].includes(booking.status) && booking.modification?.status === 'awaiting';
   const canReview = booking.status === 'completed' && !booking.hasReview;
+  const checkedIn = Boolean(booking.checkIn?.at);
+  const canCheckIn = ['confirmed', 'active'].includes(booking.status) && !checkedIn && !isPast;
+  const canCheckOut = booking.status === 'active' && checkedIn && !booking.checkOut?.at;
   const isOwner = user && booking.charger && user._id === booking.charger.owner;
+  // A session whose authorization lapsed before it completed is charged afterwards
+  const settlingCompleted = booking.status === 'completed' && ['expired', 'failed'].includes(booking.payment?.status);
+  const canPay = !isOwner && (settlingCompleted || (
+    ['pending', 'confirmed'].includes(booking.status) && isUpcoming &&
+    ['pending', 'failed', 'voided', 'expired', undefined].includes(booking.payment?.status)
+  ));
 
   return (
     <Box>
@@ -229,12 +415,12 @@ const BookingDetailPage = () => {
                 {booking.charger.title}
               </Typography>
               <Chip 
-                label={booking.status} 
+                label={booking.status === 'no_show' ? 'no-show' : booking.status} 
                 color={
                   booking.status === 'confirmed' ? 'success' : 
                   booking.status === 'pending' ? 'warning' : 
                   booking.status === 'completed' ? 'info' :
-                  booking.status === 'cancelled' ? 'error' : 'default'
+                  ['cancelled', 'no_show'].includes(booking.status) ? 'error' : 'default'
                 }
               />
             </Box>
@@ -248,6 +434,14 @@ const BookingDetailPage = () => {
 
             <Typography variant="h6" gutterBottom>Booking Information</Typography>
             
+            {changeAwaiting && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                A change to {formatDateTime(booking.modification.startTime)} - {formatDateTime(booking.modification.endTime)}
+                {' '}({formatMoney(booking.modification.totalAmount, booking.pricing?.currency)}) is waiting for the owner's approval
+                until {formatDateTime(booking.modification.respondBy)}.
+              </Alert>
+            )}
+            
             <Grid container spacing={2}>
               <Grid item xs={12} sm={6}>
                 <Typography variant="subtitle2" color="text.secondary">Start Time</Typography>
@@ -274,6 +468,31 @@ const BookingDetailPage = () => {
                 <Typography variant="body1">{new Date(booking.createdAt).toLocaleDateString()}</Typography>
               </Grid>
               
+              {checkedIn && (
+                <Grid item xs={12} sm={6}>
+                  <Typography variant="subtitle2" color="text.secondary">Checked In</Typography>
+                  <Typography variant="body1">
+                    {formatDateTime(booking.checkIn.at)}
+                    {new Date(booking.checkIn.at) > new Date(booking.schedule.startTime) && (
+                      ` (${Math.round((new Date(booking.checkIn.at) - new Date(booking.schedule.startTime)) / 60000)} min late)`
+                    )}
+                  </Typography>
+                </Grid>
+              )}
+              
+              {booking.checkOut?.at && (
+                <Grid item xs={12} sm={6}>
+                  <Typography variant="subtitle2" color="text.secondary">Checked Out</Typography>
+                  <Typography variant="body1">
+                    {formatDateTime(booking.checkOut.at)}
+                    {booking.checkOut.method === 'auto' && ' (automatically)'}
+                    {new Date(booking.checkOut.at) > new Date(booking.schedule.endTime) && (
+                      ` (${Math.round((new Date(booking.checkOut.at) - new Date(booking.schedule.endTime)) / 60000)} min over)`
+                    )}
+                  </Typography>
+                </Grid>
+              )}
+              
               {booking.cancelledAt && (
                 <Grid item xs={12} sm={6}>
                   <Typography variant="subtitle2" color="text.secondary">Cancelled On</Typography>
@@ -335,13 +554,6 @@ const BookingDetailPage = () => {
             </Typography>
             
             <List dense>
-              <ListItem>
-                <ListItemText 
-                  primary="Price per hour" 
-                  secondary={`$${booking.charger.pricing?.hourlyRate?.toFixed(2) || '0.00'}`} 
-                />
-              </ListItem>
-              
               <ListItem>
                 <ListItemText 
                   primary="Duration" 
@@ -349,15 +561,60 @@ const BookingDetailPage = () => {
                 />
               </ListItem>
               
+              {booking.pricing?.lineItems?.length > 0 ? (
+                booking.pricing.lineItems.map((item) => (
+                  <ListItem key={`${item.type}-${item.label}`}>
+                    <ListItemText 
+                      primary={formatLineItem(item, booking.pricing.currency)} 
+                      secondary={formatMoney(item.amount, booking.pricing.currency)} 
+                    />
+                  </ListItem>
+                ))
+              ) : (
+                <ListItem>
+                  <ListItemText 
+                    primary="Price per hour" 
+                    secondary={formatMoney(booking.charger.pricing?.hourlyRate, booking.pricing?.currency)} 
+                  />
+                </ListItem>
+              )}
+              
+              {(booking.pricing?.discounts || []).map((discount) => (
+                <ListItem key={discount.label}>
+                  <ListItemText 
+                    primary={discount.label} 
+                    secondary={`-${formatMoney(discount.amount, booking.pricing.currency)}`} 
+                  />
+                </ListItem>
+              ))}
+              
+              {booking.pricing?.tax > 0 && (
+                <ListItem>
+                  <ListItemText 
+                    primary={`${booking.pricing.taxPolicy?.name || 'Tax'} (${booking.pricing.taxPolicy?.rate}%${booking.pricing.taxPolicy?.inclusive ? ', included' : ''})`} 
+                    secondary={formatMoney(booking.pricing.tax, booking.pricing.currency)} 
+                  />
+                </ListItem>
+              )}
+              
               <Divider component="li" />
               
               <ListItem>
                 <ListItemText 
                   primary={<Typography variant="subtitle1" fontWeight="bold">Total</Typography>} 
-                  secondary={<Typography variant="subtitle1" fontWeight="bold">${booking.pricing?.totalAmount?.toFixed(2) || '0.00'}</Typography>} 
+                  secondary={<Typography variant="subtitle1" fontWeight="bold">{formatMoney(booking.pricing?.totalAmount, booking.pricing?.currency)}</Typography>} 
                 />
               </ListItem>
               
+              {(booking.fees || []).map((fee) => (
+                <ListItem key={fee._id}>
+                  <ListItemText 
+                    primary={fee.type === 'no_show' ? 'No-show fee' : `Overstay fee (${fee.minutes} min)`} 
+                    secondary={`${formatMoney(fee.amount, booking.pricing?.currency)}${fee.status === 'failed' ? ' (payment failed)' : ''}`} 
+                  />
+                </ListItem>
+              ))}
+              
               <ListItem>
                 <ListItemText 
                   primary="Payment Status" 
@@ -365,25 +622,105 @@ const BookingDetailPage = () => {
                     <Chip 
                       size="small" 
                       label={booking.payment?.status || 'Pending'} 
-                      color={booking.payment?.status === 'paid' ? 'success' : 'warning'}
+                      color={
+                        booking.payment?.status === 'completed' ? 'success' :
+                        booking.payment?.status === 'authorized' ? 'info' : 'warning'
+                      }
                     />
                   } 
                 />
               </ListItem>
             </List>
             
-            {booking.payment?.status === 'paid' && (
+            {canPay && (
+              stripePromise ? (
+                <Elements stripe={stripePromise}>
+                  <BookingPaymentForm
+                    bookingId={booking._id}
+                    amount={booking.pricing?.totalAmount || 0}
+                    currency={booking.pricing?.currency}
+                    capture={settlingCompleted}
+                    onPaid={handlePaid}
+                  />
+                </Elements>
+              ) : (
+                <Alert severity="info" sx={{ mt: 1 }}>
+                  Card payments are not available right now.
+                </Alert>
+              )
+            )}
+            
+            {booking.paymentId && ['completed', 'partially_refunded', 'refunded'].includes(booking.payment?.status) && (
               <Button 
                 variant="outlined" 
                 fullWidth 
                 startIcon={<Receipt />}
                 sx={{ mt: 1 }}
+                onClick={handleDownloadReceipt}
               >
-                View Receipt
+                Download Receipt
               </Button>
             )}
           </Paper>
 
+          {(canCheckIn || canCheckOut) && (
+            <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                {canCheckOut ? <Logout sx={{ mr: 1, verticalAlign: 'middle' }} /> : <Login sx={{ mr: 1, verticalAlign: 'middle' }} />}
+                {canCheckOut ? 'Charging Session' : 'Check In'}
+              </Typography>
+
+              {checkInError && <Alert severity="error" sx={{ mb: 2 }}>{checkInError}</Alert>}
+
+              {canCheckIn && isDriver && access && (
+                <Box textAlign="center" mb={2}>
+                  <Typography variant="subtitle2" color="text.secondary">Access Code</Typography>
+                  <Typography variant="h4" fontFamily="monospace" gutterBottom>{access.accessCode}</Typography>
+                  <QRCodeSVG value={access.qrCode} size={160} />
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                    Check in when you arrive, or show this code to the owner. Your location may be needed.
+                  </Typography>
+                </Box>
+              )}
+
+              {canCheckIn && !isDriver && (
+                <TextField
+                  label="Driver's access code"
+                  fullWidth
+                  value={checkInCode}
+                  onChange={(e) => setCheckInCode(e.target.value)}
+                  sx={{ mb: 2 }}
+                />
+              )}
+
+              {canCheckIn && (
+                <Button
+                  variant="contained"
+                  color="primary"
+                  fullWidth
+                  startIcon={checkInLoading ? <CircularProgress size={20} /> : <Login />}
+                  disabled={checkInLoading || (isDriver ? !access : !checkInCode)}
+                  onClick={handleCheckIn}
+                >
+                  Check In
+                </Button>
+              )}
+
+              {canCheckOut && (
+                <Button
+                  variant="contained"
+                  color="secondary"
+                  fullWidth
+                  startIcon={checkInLoading ? <CircularProgress size={20} /> : <Logout />}
+                  disabled={checkInLoading}
+                  onClick={handleCheckOut}
+                >
+                  Check Out
+                </Button>
+              )}
+            </Paper>
+          )}
+
           {isOwner ? (
             <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
               <Typography variant="h6" gutterBottom>
@@ -444,6 +781,19 @@ const BookingDetailPage = () => {
                 </Button>
               )}
               
+              {canChange && (
+                <Button 
+                  variant="outlined" 
+                  color="primary" 
+                  fullWidth 
+                  startIcon={<AccessTime />}
+                  onClick={handleChangeClick}
+                  sx={{ mb: 2 }}
+                >
+                  {booking.status === 'active' ? 'Extend Session' : 'Change Times'}
+                </Button>
+              )}
+              
               {canReview && (
                 <Button 
                   variant="contained" 
@@ -456,7 +806,7 @@ const BookingDetailPage = () => {
                 </Button>
               )}
               
-              {!canCancel && !canReview && (
+              {!canCancel && !canChange && !canReview && (
                 <Button 
                   variant="contained" 
                   color="primary" 
@@ -482,14 +832,41 @@ const BookingDetailPage = () => {
           {cancelError && <Alert severity="error" sx={{ mb: 2 }}>{cancelError}</Alert>}
           
           <DialogContentText>
-            Are you sure you want to cancel your booking at {booking.charger.name} on {new Date(booking.startTime).toLocaleDateString()}?
-            
-            {new Date(booking.startTime) <= new Date(Date.now() + 24 * 60 * 60 * 1000) && (
-              <Box component="span" sx={{ display: 'block', mt: 2, color: 'error.main', fontWeight: 'bold' }}>
-                Warning: This booking is within 24 hours. You may be charged a cancellation fee.
-              </Box>
-            )}
+            Are you sure you want to cancel your booking at {booking.charger.title} on {new Date(booking.schedule.startTime).toLocaleDateString()}?
           </DialogContentText>
+
+          {!cancellationPreview ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+              <CircularProgress size={24} />
+            </Box>
+          ) : (
+            <Box sx={{ mt: 2 }}>
+              {cancellationPreview.paidAmount > 0 ? (
+                <Alert severity={cancellationPreview.refund.tier === 'full' ? 'success' : cancellationPreview.refund.tier === 'partial' ? 'warning' : 'error'}>
+                  You will be refunded {formatMoney(cancellationPreview.refund.amount, booking.pricing?.currency)} of {formatMoney(cancellationPreview.paidAmount, booking.pricing?.currency)} ({cancellationPreview.refund.percentage}%).
+                </Alert>
+              ) : (
+                <Alert severity="info">This booking has not been paid, so there is nothing to refund.</Alert>
+              )}
+              {cancellationPreview.canRefundToWallet && cancellationPreview.refund.amount > 0 && (
+                <RadioGroup
+                  value={refundTo}
+                  onChange={(e) => setRefundTo(e.target.value)}
+                  sx={{ mt: 1 }}
+                >
+                  <FormControlLabel value="card" control={<Radio />} label="Refund to my card" />
+                  <FormControlLabel value="wallet" control={<Radio />} label="Add to my wallet balance (available right away)" />
+                </RadioGroup>
+              )}
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+                Cancellation policy: full refund until {new Date(cancellationPreview.fullRefundUntil).toLocaleString()}
+                {cancellationPreview.policy.partialRefundPercentage > 0 && (
+                  <>, {cancellationPreview.policy.partialRefundPercentage}% refund until {new Date(cancellationPreview.partialRefundUntil).toLocaleString()}</>
+                )}
+                , no refund after that.
+              </Typography>
+            </Box>
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={handleCancelDialogClose} disabled={cancelLoading}>
@@ -507,6 +884,77 @@ const BookingDetailPage = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Change Times Dialog */}
+      <Dialog
+        open={changeDialogOpen}
+        onClose={() => setChangeDialogOpen(false)}
+      >
+        <DialogTitle>{booking.status === 'active' ? 'Extend Session' : 'Change Booking Times'}</DialogTitle>
+        <DialogContent>
+          {changeError && <Alert severity="error" sx={{ mb: 2 }}>{changeError}</Alert>}
+          
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            {booking.status !== 'active' && (
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  label="Start Time"
+                  type="datetime-local"
+                  fullWidth
+                  value={changeStart}
+                  onChange={(e) => { setChangeStart(e.target.value); setChangePreview(null); }}
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Grid>
+            )}
+            <Grid item xs={12} sm={booking.status === 'active' ? 12 : 6}>
+              <TextField
+                label="End Time"
+                type="datetime-local"
+                fullWidth
+                value={changeEnd}
+                onChange={(e) => { setChangeEnd(e.target.value); setChangePreview(null); }}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+          </Grid>
+          
+          {changePreview && (
+            <Alert severity="info" sx={{ mt: 2 }}>
+              The new total is {formatMoney(changePreview.pricing.totalAmount, booking.pricing?.currency)}
+              {changePreview.difference > 0 && ` (${formatMoney(changePreview.difference, booking.pricing?.currency)} more)`}
+              {changePreview.difference < 0 && ` (${formatMoney(-changePreview.difference, booking.pricing?.currency)} less)`}.
+              {changePreview.requiresApproval && ' The owner has to accept the change before it is made.'}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setChangeDialogOpen(false)} disabled={changeLoading}>
+            Keep Current Times
+          </Button>
+          {changePreview ? (
+            <Button 
+              onClick={handleChangeConfirm} 
+              color="primary" 
+              variant="contained"
+              disabled={changeLoading}
+              startIcon={changeLoading ? <CircularProgress size={20} /> : <AccessTime />}
+            >
+              {changePreview.requiresApproval ? 'Request Change' : 'Change Booking'}
+            </Button>
+          ) : (
+            <Button 
+              onClick={handleChangePreview} 
+              color="primary" 
+              variant="contained"
+              disabled={changeLoading || !changeEnd || (booking.status !== 'active' && !changeStart)}
+              startIcon={changeLoading ? <CircularProgress size={20} /> : <AttachMoney />}
+            >
+              Check Price
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+
       {/* Review Dialog */}
       <Dialog
         open={reviewDialogOpen}
@@ -26,7 +26,8 @@ import {
   DialogActions,
   CircularProgress,
   Alert,
-  IconButton
+  IconButton,
+  TextField
 } from '@mui/material';
 import {
   CalendarToday,
@@ -36,9 +37,11 @@ import {
   AttachMoney,
   Cancel,
   Check,
-  ArrowBack
+  ArrowBack,
+  HourglassTop
 } from '@mui/icons-material';
 import LoadingSpinner from '../components/LoadingSpinner';
+import { formatMoney } from '../utils/currency';
 
 const BookingManagementPage = () => {
   const { user } = useAuth();
@@ -51,6 +54,13 @@ const BookingManagementPage = () => {
   const [cancelLoading, setCancelLoading] = useState(false);
   const [cancelError, setCancelError] = useState('');
 
+  // Booking requests on the owner's chargers waiting for a response
+  const [requests, setRequests] = useState([]);
+  const [respondingId, setRespondingId] = useState(null);
+  const [requestError, setRequestError] = useState('');
+  const [bookingToDecline, setBookingToDecline] = useState(null);
+  const [declineReason, setDeclineReason] = useState('');
+
   // Filter states
   const [upcomingBookings, setUpcomingBookings] = useState([]);
   const [pastBookings, setPastBookings] = useState([]);
@@ -82,8 +92,15 @@ const BookingManagementPage = () => {
           );
           
           setCancelledBookings(
-            allBookings.filter(booking => booking.status === 'cancelled')
+            allBookings.filter(booking => ['cancelled', 'expired', 'declined', 'no_show'].includes(booking.status))
           );
+
+          if (user?.role === 'charger_owner') {
+            const requestsResponse = await bookingAPI.getOwnerBookings({ awaitingApproval: true, limit: 50 });
+            if (requestsResponse.data.success) {
+              setRequests(requestsResponse.data.data.bookings);
+            }
+          }
         } else {
           setError('Failed to load bookings');
         }
@@ -95,7 +112,7 @@ const BookingManagementPage = () => {
     };
 
     fetchBookings();
-  }, []);
+  }, [user]);
 
   const handleTabChange = (event, newValue) => {
     setTabValue(newValue);
@@ -117,8 +134,13 @@ const BookingManagementPage = () => {
       const response = await bookingAPI.cancel(bookingToCancel._id);
       
       if (response.data.success) {
-        // Update booking in state
-        const updatedBooking = response.data.data;
+        // Update booking in state, keeping the populated charger details
+        const { booking: cancelledBooking } = response.data.data;
+        const updatedBooking = {
+          ...bookingToCancel,
+          status: cancelledBooking.status,
+          payment: cancelledBooking.payment
+        };
         
         setBookings(prevBookings => 
           prevBookings.map(b => 
@@ -146,6 +168,111 @@ const BookingManagementPage = () => {
     setCancelError('');
   };
 
+  // Confirmed and active bookings can only be waiting on a change of times
+  const isChangeRequest = (booking) => booking.status !== 'pending' || booking.approval?.status !== 'awaiting';
+
+  const handleAccept = async (booking) => {
+    setRespondingId(booking._id);
+    setRequestError('');
+
+    try {
+      if (isChangeRequest(booking)) {
+        await bookingAPI.acceptChange(booking._id);
+      } else {
+        await bookingAPI.accept(booking._id);
+      }
+      setRequests(prev => prev.filter(b => b._id !== booking._id));
+    } catch (err) {
+      setRequestError(err.response?.data?.error?.message || err.response?.data?.message || 'Failed to accept the booking request');
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
+  const handleDeclineConfirm = async () => {
+    if (!bookingToDecline) return;
+
+    setRespondingId(bookingToDecline._id);
+    setRequestError('');
+
+    try {
+      const decline = isChangeRequest(bookingToDecline) ? bookingAPI.declineChange : bookingAPI.decline;
+      await decline(bookingToDecline._id, { reason: declineReason || undefined });
+      setRequests(prev => prev.filter(b => b._id !== bookingToDecline._id));
+    } catch (err) {
+      setRequestError(err.response?.data?.error?.message || err.response?.data?.message || 'Failed to decline the booking request');
+    } finally {
+      setRespondingId(null);
+      setBookingToDecline(null);
+      setDeclineReason('');
+    }
+  };
+
+  const renderRequests = () => (
+    <Paper elevation={3} sx={{ p: 2, mb: 3, border: 2, borderColor: 'warning.main' }}>
+      <Box display="flex" alignItems="center" mb={1}>
+        <HourglassTop color="warning" sx={{ mr: 1 }} />
+        <Typography variant="h6">
+          Awaiting your approval ({requests.length})
+        </Typography>
+      </Box>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Requests and changes you do not answer by their deadline are declined automatically. A declined request's payment is released; a declined change leaves the booking as it was.
+      </Typography>
+      {requestError && <Alert severity="error" sx={{ my: 1 }}>{requestError}</Alert>}
+      <List>
+        {requests.map(booking => (
+          <ListItem key={booking._id} divider>
+            <ListItemText
+              primary={`${booking.user?.profile?.firstName || 'Driver'} ${booking.user?.profile?.lastName || ''} - ${booking.charger?.title}`}
+              secondary={
+                <>
+                  {new Date(booking.schedule?.startTime).toLocaleString()} - {new Date(booking.schedule?.endTime).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+                  {' · '}
+                  {formatMoney(booking.pricing?.totalAmount, booking.pricing?.currency)}
+                  {' · '}
+                  {booking.payment?.status === 'authorized' || booking.payment?.status === 'completed' ? 'Paid' : 'Not paid yet'}
+                  {isChangeRequest(booking) && (
+                    <Box component="span" sx={{ display: 'block' }}>
+                      Change to {new Date(booking.modification.startTime).toLocaleString()} - {new Date(booking.modification.endTime).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+                      {' · '}
+                      {formatMoney(booking.modification.totalAmount, booking.pricing?.currency)}
+                    </Box>
+                  )}
+                  <Box component="span" sx={{ display: 'block', color: 'warning.dark' }}>
+                    Respond by {new Date((isChangeRequest(booking) ? booking.modification : booking.approval)?.respondBy).toLocaleString()}
+                  </Box>
+                </>
+              }
+            />
+            <Box display="flex" gap={1}>
+              <Button
+                variant="contained"
+                color="success"
+                size="small"
+                startIcon={<Check />}
+                disabled={respondingId === booking._id}
+                onClick={() => handleAccept(booking)}
+              >
+                Accept
+              </Button>
+              <Button
+                variant="outlined"
+                color="error"
+                size="small"
+                startIcon={<Cancel />}
+                disabled={respondingId === booking._id}
+                onClick={() => setBookingToDecline(booking)}
+              >
+                Decline
+              </Button>
+            </Box>
+          </ListItem>
+        ))}
+      </List>
+    </Paper>
+  );
+
   const renderBookingList = (bookingList) => {
     if (bookingList.length === 0) {
       return (
@@ -194,6 +321,24 @@ const BookingManagementPage = () => {
                           }
                           sx={{ ml: 1 }}
                         />
+                        {booking.status === 'pending' && booking.approval?.status === 'awaiting' && (
+                          <Chip
+                            size="small"
+                            variant="outlined"
+                            color="warning"
+                            label="Awaiting owner approval"
+                            sx={{ ml: 1 }}
+                          />
+                        )}
+                        {['confirmed', 'active'].includes(booking.status) && booking.modification?.status === 'awaiting' && (
+                          <Chip
+                            size="small"
+                            variant="outlined"
+                            color="warning"
+                            label="Change awaiting owner approval"
+                            sx={{ ml: 1 }}
+                          />
+                        )}
                       </Box>
                       <Box display="flex" alignItems="center" mt={0.5}>
                         <LocationOn fontSize="small" color="action" sx={{ mr: 0.5 }} />
@@ -229,7 +374,7 @@ const BookingManagementPage = () => {
                       <Box display="flex" alignItems="center">
                         <AttachMoney fontSize="small" color="primary" />
                         <Typography variant="body1" fontWeight="bold">
-                          ${booking.pricing?.totalAmount?.toFixed(2) || '0.00'}
+                          {formatMoney(booking.pricing?.totalAmount, booking.pricing?.currency)}
                         </Typography>
                       </Box>
                     </Grid>
@@ -311,6 +456,8 @@ const BookingManagementPage = () => {
         <CalendarToday sx={{ mr: 1, verticalAlign: 'middle' }} />
         My Bookings
       </Typography>
+
+      {requests.length > 0 && renderRequests()}
       
       <Paper sx={{ mb: 3 }}>
         <Tabs 
@@ -382,6 +529,46 @@ const BookingManagementPage = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Decline Request Dialog */}
+      <Dialog
+        open={Boolean(bookingToDecline)}
+        onClose={() => setBookingToDecline(null)}
+      >
+        <DialogTitle>
+          {bookingToDecline && isChangeRequest(bookingToDecline) ? 'Decline Booking Change' : 'Decline Booking Request'}
+        </DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {bookingToDecline && isChangeRequest(bookingToDecline)
+              ? 'The booking will keep its current times.'
+              : "The driver's payment will be released in full."}
+          </DialogContentText>
+          <TextField
+            label="Reason (optional)"
+            fullWidth
+            multiline
+            rows={2}
+            value={declineReason}
+            onChange={(e) => setDeclineReason(e.target.value)}
+            inputProps={{ maxLength: 500 }}
+            sx={{ mt: 2 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setBookingToDecline(null)} disabled={Boolean(respondingId)}>
+            Back
+          </Button>
+          <Button
+            onClick={handleDeclineConfirm}
+            color="error"
+            variant="contained"
+            disabled={Boolean(respondingId)}
+          >
+            Decline Request
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
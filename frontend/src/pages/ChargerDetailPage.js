@@ -41,7 +41,46 @@ import {
   ChevronLeft,
   ChevronRight
 } from '@mui/icons-material';
+import { DateCalendar } from '@mui/x-date-pickers/DateCalendar';
+import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
+import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
+import { format, startOfMonth, addMonths, parseISO } from 'date-fns';
 import LoadingSpinner from '../components/LoadingSpinner';
+import { formatMoney } from '../utils/currency';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Slot times come from the API as ISO strings with the owner's UTC offset
+// (e.g. 2024-01-08T08:00:00-08:00), so the wall-clock part is already local to the charger
+const formatSlotTime = (isoString) => isoString.slice(11, 16);
+
+// Overnight windows end on a later local date than they start
+const formatSlotEnd = (slot) => {
+  const dayDiff = Math.round(
+    (Date.parse(slot.end.slice(0, 10)) - Date.parse(slot.start.slice(0, 10))) / (24 * 60 * 60 * 1000)
+  );
+  return `${formatSlotTime(slot.end)}${dayDiff > 0 ? ` (+${dayDiff} day${dayDiff > 1 ? 's' : ''})` : ''}`;
+};
+
+const formatSlotDate = (slot) => {
+  const [year, month, day] = slot.date.split('-').map(Number);
+  return `${DAY_NAMES[slot.dayOfWeek]} ${new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`;
+};
+
+// e.g. "Peak (2.5 hours × $4.00)"; flat fees are shown by label alone
+const formatLineItem = (item, currency) => {
+  if (item.unit === 'session') return item.label;
+  const unit = item.unit === 'hour' && item.quantity !== 1 ? 'hours' : item.unit;
+  return `${item.label} (${item.quantity} ${unit} × ${formatMoney(item.rate, currency)})`;
+};
+
+// A booking whose end time is not after its start time runs overnight into the next day
+const getEndDate = (date, start, end) => {
+  if (end > start) return date;
+  const [year, month, day] = date.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  return next.toISOString().split('T')[0];
+};
 
 const ChargerDetailPage = () => {
   const { id } = useParams();
@@ -57,6 +96,13 @@ const ChargerDetailPage = () => {
   const [bookingError, setBookingError] = useState('');
   const [bookingLoading, setBookingLoading] = useState(false);
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
+  const [calendarMonth, setCalendarMonth] = useState(() => startOfMonth(new Date()));
+  const [freeSlots, setFreeSlots] = useState([]);
+  const [slotsLoading, setSlotsLoading] = useState(false);
+  const [quote, setQuote] = useState(null);
+  const [promoCode, setPromoCode] = useState('');
+  const [appliedPromoCode, setAppliedPromoCode] = useState('');
+  const [promoError, setPromoError] = useState('');
 
   useEffect(() => {
     const fetchChargerDetails = async () => {
@@ -87,6 +133,81 @@ const ChargerDetailPage = () => {
     fetchChargerDetails();
   }, [id]);
 
+  // Load free slots for the month shown in the booking calendar
+  useEffect(() => {
+    if (!bookingDialogOpen) return;
+
+    const fetchFreeSlots = async () => {
+      setSlotsLoading(true);
+      try {
+        const today = new Date();
+        const from = calendarMonth > today ? calendarMonth : today;
+        const response = await chargerAPI.getAvailability(id, {
+          from: format(from, 'yyyy-MM-dd'),
+          to: format(addMonths(calendarMonth, 1), 'yyyy-MM-dd')
+        });
+        if (response.data.success) {
+          setFreeSlots(response.data.data.slots);
+        }
+      } catch (err) {
+        console.error('Error fetching availability:', err);
+        setFreeSlots([]);
+      } finally {
+        setSlotsLoading(false);
+      }
+    };
+
+    fetchFreeSlots();
+  }, [id, bookingDialogOpen, calendarMonth]);
+
+  // Price the selected times with the charger's time-of-use rules and fees
+  useEffect(() => {
+    if (!bookingDialogOpen || !selectedDate || !startTime || !endTime || startTime === endTime) {
+      setQuote(null);
+      return;
+    }
+
+    const fetchQuote = async () => {
+      try {
+        const response = await chargerAPI.getQuote(id, {
+          startTime: `${selectedDate}T${startTime}:00`,
+          endTime: `${getEndDate(selectedDate, startTime, endTime)}T${endTime}:00`,
+          ...(appliedPromoCode && { promoCode: appliedPromoCode })
+        });
+        if (response.data.success) {
+          setQuote(response.data.data);
+        }
+      } catch (err) {
+        // A code that cannot be used is dropped, and the price quoted without it
+        if (appliedPromoCode && err.response?.status === 400) {
+          setPromoError(err.response.data.message);
+          setAppliedPromoCode('');
+          return;
+        }
+        console.error('Error fetching price quote:', err);
+        setQuote(null);
+      }
+    };
+
+    fetchQuote();
+  }, [id, bookingDialogOpen, selectedDate, startTime, endTime, appliedPromoCode]);
+
+  const handleApplyPromoCode = () => {
+    setPromoError('');
+    setAppliedPromoCode(promoCode.trim());
+  };
+
+  const slotsByDate = freeSlots.reduce((groups, slot) => {
+    (groups[slot.date] = groups[slot.date] || []).push(slot);
+    return groups;
+  }, {});
+
+  const handleSlotSelect = (slot) => {
+    setSelectedDate(slot.date);
+    setStartTime(formatSlotTime(slot.start));
+    setEndTime(formatSlotTime(slot.end));
+  };
+
   const handleBookingDialogOpen = () => {
     if (!isAuthenticated) {
       window.location.href = `/login?redirect=/chargers/${id}`;
@@ -110,10 +231,12 @@ const ChargerDetailPage = () => {
     setBookingError('');
 
     try {
+      // Sent without an offset so the API reads them as the charger's local time
       const bookingData = {
         chargerId: id,
         startTime: `${selectedDate}T${startTime}:00`,
-        endTime: `${selectedDate}T${endTime}:00`
+        endTime: `${getEndDate(selectedDate, startTime, endTime)}T${endTime}:00`,
+        ...(appliedPromoCode && { promoCode: appliedPromoCode })
       };
 
       const response = await bookingAPI.create(bookingData);
@@ -183,6 +306,10 @@ const ChargerDetailPage = () => {
     );
   }
 
+  const timeZone = charger.location?.timezone;
+  const hasSchedule = charger.availability?.schedule?.length > 0;
+  const upcomingSlots = charger.availability?.upcomingSlots || [];
+
   // Calculate average rating
   const averageRating = Array.isArray(reviews) && reviews.length > 0 
     ? reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length 
@@ -392,7 +519,7 @@ image={charger.images && Array.isArray(charger.images) && charger.images.length
           <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
             <Typography variant="h5" gutterBottom>
               <AttachMoney sx={{ mr: 1, verticalAlign: 'middle' }} />
-              ${charger.pricing?.hourlyRate.toFixed(2)}/hour
+              {formatMoney(charger.pricing?.hourlyRate, charger.pricing?.currency)}/hour
             </Typography>
             
             <Button
@@ -448,12 +575,17 @@ image={charger.images && Array.isArray(charger.images) && charger.images.length
                   <AccessTime />
                 </ListItemIcon>
                 <ListItemText 
-                  primary="Availability" 
+                  primary={`Availability${timeZone ? ` (${timeZone})` : ''}`}
                   secondary={
-                    charger.availability === 'always' ? 'Always Available' :
-                    charger.availability === 'scheduled' ? 'Scheduled Hours' :
-                    'On Demand'
+                    !hasSchedule ? 'Always Available' :
+                    upcomingSlots.length === 0 ? 'No available hours in the next 7 days' :
+                    upcomingSlots.map(slot => (
+                      <span key={slot.start} style={{ display: 'block' }}>
+                        {formatSlotDate(slot)}: {formatSlotTime(slot.start)} - {formatSlotEnd(slot)}
+                      </span>
+                    ))
                   } 
+                  secondaryTypographyProps={{ component: 'div' }}
                 />
               </ListItem>
               
@@ -516,17 +648,48 @@ image={charger.images && Array.isArray(charger.images) && charger.images.length
         <DialogTitle>Book {charger.title}</DialogTitle>
         <DialogContent>
           {bookingError && <Alert severity="error" sx={{ mb: 2 }}>{bookingError}</Alert>}
+
+          {timeZone && (
+            <Typography variant="body2" color="text.secondary">
+              Times are in the charger's local time zone ({timeZone}).
+            </Typography>
+          )}
           
-          <TextField
-            label="Date"
-            type="date"
-            fullWidth
-            margin="normal"
-            InputLabelProps={{ shrink: true }}
-            value={selectedDate}
-            onChange={(e) => setSelectedDate(e.target.value)}
-            inputProps={{ min: new Date().toISOString().split('T')[0] }}
-          />
+          <LocalizationProvider dateAdapter={AdapterDateFns}>
+            <DateCalendar
+              value={selectedDate ? parseISO(selectedDate) : null}
+              onChange={(date) => date && setSelectedDate(format(date, 'yyyy-MM-dd'))}
+              onMonthChange={(month) => setCalendarMonth(startOfMonth(month))}
+              shouldDisableDate={(date) => !slotsByDate[format(date, 'yyyy-MM-dd')]}
+              loading={slotsLoading}
+              disablePast
+            />
+          </LocalizationProvider>
+
+          {selectedDate && (
+            <Box sx={{ mb: 1 }}>
+              <Typography variant="subtitle2" gutterBottom>
+                Free times on {parseISO(selectedDate).toLocaleDateString()}
+              </Typography>
+              {slotsByDate[selectedDate] ? (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                  {slotsByDate[selectedDate].map(slot => (
+                    <Chip
+                      key={slot.start}
+                      label={`${formatSlotTime(slot.start)} - ${formatSlotTime(slot.end)}`}
+                      onClick={() => handleSlotSelect(slot)}
+                      color="primary"
+                      variant={startTime === formatSlotTime(slot.start) ? 'filled' : 'outlined'}
+                    />
+                  ))}
+                </Box>
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  No free times on this date.
+                </Typography>
+              )}
+            </Box>
+          )}
           
           <Grid container spacing={2}>
             <Grid item xs={6}>
@@ -552,37 +715,67 @@ image={charger.images && Array.isArray(charger.images) && charger.images.length
               />
             </Grid>
           </Grid>
+
+          <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1 }}>
+            <TextField
+              label="Promo Code"
+              size="small"
+              margin="normal"
+              value={promoCode}
+              onChange={(e) => setPromoCode(e.target.value.toUpperCase())}
+              error={!!promoError}
+              helperText={promoError || (appliedPromoCode ? `${appliedPromoCode} applied` : '')}
+            />
+            <Button
+              sx={{ mt: 2.5 }}
+              onClick={handleApplyPromoCode}
+              disabled={!promoCode.trim() || promoCode.trim() === appliedPromoCode}
+            >
+              Apply
+            </Button>
+          </Box>
           
           {selectedDate && startTime && endTime && (
             <Box sx={{ mt: 2, p: 2, bgcolor: 'background.paper', borderRadius: 1 }}>
               <Typography variant="subtitle2">Booking Summary</Typography>
               <Typography variant="body2">
-                Date: {new Date(selectedDate).toLocaleDateString()}
+                Date: {parseISO(selectedDate).toLocaleDateString()}
               </Typography>
               <Typography variant="body2">
-                Time: {startTime} - {endTime}
+                Time: {startTime} - {endTime}{endTime <= startTime ? ' (next day)' : ''}{timeZone ? ` (${timeZone})` : ''}
               </Typography>
               
-              {/* Calculate estimated cost if we have valid times */}
-              {(() => {
-                try {
-                  const start = new Date(`${selectedDate}T${startTime}:00`);
-                  const end = new Date(`${selectedDate}T${endTime}:00`);
-                  const durationHours = (end - start) / (1000 * 60 * 60);
-                  
-                  if (durationHours > 0) {
-                    const estimatedCost = durationHours * charger.pricing?.hourlyRate;
-                    return (
-                      <Typography variant="body1" fontWeight="bold" sx={{ mt: 1 }}>
-                        Estimated Cost: ${estimatedCost.toFixed(2)}
+              {quote && (
+                <Box sx={{ mt: 1 }}>
+                  {quote.lineItems.map((item) => (
+                    <Box key={`${item.type}-${item.label}`} sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                      <Typography variant="body2" color="text.secondary">
+                        {formatLineItem(item, quote.currency)}
                       </Typography>
-                    );
-                  }
-                  return null;
-                } catch (e) {
-                  return null;
-                }
-              })()}
+                      <Typography variant="body2">{formatMoney(item.amount, quote.currency)}</Typography>
+                    </Box>
+                  ))}
+                  {(quote.discounts || []).map((discount) => (
+                    <Box key={discount.label} sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                      <Typography variant="body2" color="success.main">{discount.label}</Typography>
+                      <Typography variant="body2" color="success.main">
+                        -{formatMoney(discount.amount, quote.currency)}
+                      </Typography>
+                    </Box>
+                  ))}
+                  {quote.tax > 0 && (
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                      <Typography variant="body2" color="text.secondary">
+                        {quote.taxPolicy.name} ({quote.taxPolicy.rate}%{quote.taxPolicy.inclusive ? ', included' : ''})
+                      </Typography>
+                      <Typography variant="body2">{formatMoney(quote.tax, quote.currency)}</Typography>
+                    </Box>
+                  )}
+                  <Typography variant="body1" fontWeight="bold" sx={{ mt: 1 }}>
+                    Estimated Cost: {formatMoney(quote.totalAmount, quote.currency)}
+                  </Typography>
+                </Box>
+              )}
             </Box>
           )}
         </DialogContent>
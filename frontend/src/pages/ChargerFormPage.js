@@ -29,7 +29,7 @@ import {
   Divider,
   IconButton
 } from '@mui/material';
-import { EvStation, CloudUpload, Delete } from '@mui/icons-material';
+import { EvStation, CloudUpload, Delete, Add } from '@mui/icons-material';
 
 // Fix Leaflet icon issue
 delete L.Icon.Default.prototype._getIconUrl;
@@ -77,6 +77,18 @@ const mapBackendToFrontendConnectorType = (backendConnector) => {
   }
 };
 
+// Time zones offered for the availability schedule, defaulting to the browser's own
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const timeZoneOptions = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [browserTimeZone];
+
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const newScheduleWindow = () => ({ dayOfWeek: 1, startTime: '08:00', endTime: '18:00' });
+
+const newPricingRule = () => ({ name: 'Peak', daysOfWeek: [1, 2, 3, 4, 5], startTime: '16:00', endTime: '21:00', hourlyRate: '' });
+
 const ChargerFormPage = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -94,8 +106,35 @@ const ChargerFormPage = () => {
   const [geocodingStatus, setGeocodingStatus] = useState('idle'); // idle, loading, success, error
   const [mapCenter, setMapCenter] = useState([37.7749, -122.4194]); // Default to San Francisco
   const [deletingImageIndex, setDeletingImageIndex] = useState(null); // Track which image is being deleted
+  const [scheduleWindows, setScheduleWindows] = useState([newScheduleWindow()]);
+  const [pricingRules, setPricingRules] = useState([]);
   
-  const { register, handleSubmit, control, reset, formState: { errors } } = useForm();
+  const { register, handleSubmit, control, reset, watch, formState: { errors } } = useForm();
+  const availabilityMode = watch('availability', 'always');
+
+  const updateScheduleWindow = (index, field, value) => {
+    setScheduleWindows(prev => prev.map((scheduleWindow, i) => (i === index ? { ...scheduleWindow, [field]: value } : scheduleWindow)));
+  };
+
+  const addScheduleWindow = () => {
+    setScheduleWindows(prev => [...prev, newScheduleWindow()]);
+  };
+
+  const removeScheduleWindow = (index) => {
+    setScheduleWindows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const updatePricingRule = (index, field, value) => {
+    setPricingRules(prev => prev.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  const addPricingRule = () => {
+    setPricingRules(prev => [...prev, newPricingRule()]);
+  };
+
+  const removePricingRule = (index) => {
+    setPricingRules(prev => prev.filter((_, i) => i !== index));
+  };
 
   // Redirect if not a charger owner
   useEffect(() => {
@@ -119,12 +158,36 @@ const ChargerFormPage = () => {
               description: chargerData.description,
               address: chargerData.location?.address,
               accessInstructions: chargerData.location?.accessInstructions,
+              timezone: chargerData.location?.timezone || browserTimeZone,
+              country: chargerData.location?.country || '',
+              region: chargerData.location?.region || '',
               chargerType: mapBackendToFrontendChargerType(chargerData.specifications?.type),
               connectorType: mapBackendToFrontendConnectorType(chargerData.specifications?.connector),
               powerOutput: chargerData.specifications?.power,
               pricePerHour: chargerData.pricing?.hourlyRate,
-              amenities: chargerData.amenities?.join(', ')
+              perKwhRate: chargerData.pricing?.perKwhRate || '',
+              sessionFee: chargerData.pricing?.sessionFee || '',
+              minimumCharge: chargerData.pricing?.minimumCharge || '',
+              amenities: chargerData.amenities?.join(', '),
+              bookingMode: chargerData.bookingMode || 'instant',
+              availability: chargerData.availability?.schedule?.length > 0 ? 'scheduled' : 'always'
             });
+
+            setPricingRules((chargerData.pricing?.rules || []).map(({ name, daysOfWeek, startTime, endTime, hourlyRate }) => ({
+              name,
+              daysOfWeek,
+              startTime,
+              endTime,
+              hourlyRate
+            })));
+
+            if (chargerData.availability?.schedule?.length > 0) {
+              setScheduleWindows(chargerData.availability.schedule.map(({ dayOfWeek, startTime, endTime }) => ({
+                dayOfWeek,
+                startTime,
+                endTime
+              })));
+            }
             
             // Set coordinates and update map if available
             if (chargerData.location?.coordinates && 
@@ -322,6 +385,9 @@ const ChargerFormPage = () => {
         address: data.address,
         coordinates: locationCoordinates, // Use geocoded coordinates
         accessInstructions: data.accessInstructions,
+        timezone: data.timezone || browserTimeZone,
+        country: (data.country || '').trim().toUpperCase(),
+        region: (data.region || '').trim().toUpperCase(),
         type: (() => {
           switch(data.chargerType) {
             case 'Level 1': return 'Level1';
@@ -344,6 +410,14 @@ const ChargerFormPage = () => {
         })(),
         power: parseFloat(data.powerOutput),
         hourlyRate: parseFloat(data.pricePerHour),
+        // Blank fees are sent as 0 so clearing a field switches the fee off
+        perKwhRate: parseFloat(data.perKwhRate) || 0,
+        sessionFee: parseFloat(data.sessionFee) || 0,
+        minimumCharge: parseFloat(data.minimumCharge) || 0,
+        pricingRules: JSON.stringify(pricingRules.map(rule => ({
+          ...rule,
+          hourlyRate: parseFloat(rule.hourlyRate)
+        }))),
         amenities: data.amenities ? data.amenities.split(',').map(a => {
           const amenity = a.trim().toLowerCase();
           // Map common variations to valid values
@@ -360,7 +434,8 @@ const ChargerFormPage = () => {
             'lights': 'lighting'
           };
           return amenityMap[amenity] || amenity;
-        }).filter(a => ['covered', 'security_camera', 'restroom', 'wifi', 'parking', 'lighting'].includes(a)) : []
+        }).filter(a => ['covered', 'security_camera', 'restroom', 'wifi', 'parking', 'lighting'].includes(a)) : [],
+        bookingMode: data.bookingMode || 'instant'
       };
       
       let response;
@@ -390,6 +465,9 @@ const ChargerFormPage = () => {
         formData.append('address', transformedData.address);
         formData.append('coordinates', JSON.stringify(validCoords));
         formData.append('accessInstructions', transformedData.accessInstructions || '');
+        formData.append('timezone', transformedData.timezone);
+        formData.append('country', transformedData.country);
+        formData.append('region', transformedData.region);
         
         // Add specification fields
         formData.append('type', transformedData.type);
@@ -401,9 +479,14 @@ const ChargerFormPage = () => {
         // Add pricing fields
         formData.append('hourlyRate', transformedData.hourlyRate);
         formData.append('currency', transformedData.currency || 'USD');
+        formData.append('perKwhRate', transformedData.perKwhRate);
+        formData.append('sessionFee', transformedData.sessionFee);
+        formData.append('minimumCharge', transformedData.minimumCharge);
+        formData.append('pricingRules', transformedData.pricingRules);
         
         // Add amenities as JSON string
         formData.append('amenities', JSON.stringify(transformedData.amenities));
+        formData.append('bookingMode', transformedData.bookingMode);
         
         // Add existing images
         if (images.length > 0) {
@@ -452,6 +535,11 @@ const ChargerFormPage = () => {
       }
       
       if (response.data.success) {
+        // Save the weekly schedule; no windows means the charger is available around the clock
+        await chargerAPI.updateAvailability(isEditMode ? id : response.data.data._id, {
+          schedule: data.availability === 'scheduled' ? scheduleWindows : []
+        });
+
         setSuccess(isEditMode ? 'Charger updated successfully!' : 'Charger created successfully!');
         
         // Navigate after a short delay
@@ -691,6 +779,152 @@ const ChargerFormPage = () => {
                 helperText={errors.pricePerHour?.message}
               />
             </Grid>
+
+            <Grid item xs={12} sm={4}>
+              <TextField
+                label="Energy Fee"
+                variant="outlined"
+                fullWidth
+                type="number"
+                step="0.01"
+                InputProps={{
+                  startAdornment: <InputAdornment position="start">$</InputAdornment>,
+                  endAdornment: <InputAdornment position="end">/kWh</InputAdornment>,
+                }}
+                {...register('perKwhRate', {
+                  min: {
+                    value: 0,
+                    message: 'Fee cannot be negative'
+                  }
+                })}
+                error={!!errors.perKwhRate}
+                helperText={errors.perKwhRate?.message || 'Optional charge per kWh delivered'}
+              />
+            </Grid>
+
+            <Grid item xs={12} sm={4}>
+              <TextField
+                label="Session Fee"
+                variant="outlined"
+                fullWidth
+                type="number"
+                step="0.01"
+                InputProps={{
+                  startAdornment: <InputAdornment position="start">$</InputAdornment>,
+                }}
+                {...register('sessionFee', {
+                  min: {
+                    value: 0,
+                    message: 'Fee cannot be negative'
+                  }
+                })}
+                error={!!errors.sessionFee}
+                helperText={errors.sessionFee?.message || 'Optional flat fee per booking'}
+              />
+            </Grid>
+
+            <Grid item xs={12} sm={4}>
+              <TextField
+                label="Minimum Charge"
+                variant="outlined"
+                fullWidth
+                type="number"
+                step="0.01"
+                InputProps={{
+                  startAdornment: <InputAdornment position="start">$</InputAdornment>,
+                }}
+                {...register('minimumCharge', {
+                  min: {
+                    value: 0,
+                    message: 'Fee cannot be negative'
+                  }
+                })}
+                error={!!errors.minimumCharge}
+                helperText={errors.minimumCharge?.message || 'Bookings never cost less than this'}
+              />
+            </Grid>
+
+            <Grid item xs={12}>
+              <Typography variant="subtitle1" gutterBottom>Time-of-Use Rates</Typography>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                Charge a different hourly rate at certain times, e.g. peak evenings or weekends. Outside these windows the price per hour applies; where windows overlap, the first one wins.
+              </Typography>
+              {pricingRules.map((rule, index) => (
+                <Grid container spacing={2} alignItems="center" key={index} sx={{ mb: 1 }}>
+                  <Grid item xs={12} sm={2}>
+                    <TextField
+                      label="Name"
+                      fullWidth
+                      size="small"
+                      value={rule.name}
+                      onChange={(e) => updatePricingRule(index, 'name', e.target.value)}
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={3}>
+                    <TextField
+                      select
+                      label="Days"
+                      fullWidth
+                      size="small"
+                      SelectProps={{
+                        multiple: true,
+                        renderValue: (selected) => selected.map(day => DAYS_OF_WEEK[day].slice(0, 3)).join(', ')
+                      }}
+                      value={rule.daysOfWeek}
+                      onChange={(e) => updatePricingRule(index, 'daysOfWeek', [...e.target.value].sort())}
+                    >
+                      {DAYS_OF_WEEK.map((day, dayIndex) => (
+                        <MenuItem key={day} value={dayIndex}>{day}</MenuItem>
+                      ))}
+                    </TextField>
+                  </Grid>
+                  <Grid item xs={4} sm={2}>
+                    <TextField
+                      label="From"
+                      type="time"
+                      fullWidth
+                      size="small"
+                      InputLabelProps={{ shrink: true }}
+                      value={rule.startTime}
+                      onChange={(e) => updatePricingRule(index, 'startTime', e.target.value)}
+                    />
+                  </Grid>
+                  <Grid item xs={4} sm={2}>
+                    <TextField
+                      label="To"
+                      type="time"
+                      fullWidth
+                      size="small"
+                      InputLabelProps={{ shrink: true }}
+                      value={rule.endTime}
+                      onChange={(e) => updatePricingRule(index, 'endTime', e.target.value)}
+                      helperText={rule.endTime && rule.endTime <= rule.startTime ? 'Ends next day' : ''}
+                    />
+                  </Grid>
+                  <Grid item xs={4} sm={2}>
+                    <TextField
+                      label="Rate"
+                      type="number"
+                      fullWidth
+                      size="small"
+                      InputProps={{
+                        startAdornment: <InputAdornment position="start">$</InputAdornment>,
+                      }}
+                      value={rule.hourlyRate}
+                      onChange={(e) => updatePricingRule(index, 'hourlyRate', e.target.value)}
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={1}>
+                    <IconButton aria-label="Remove rate" onClick={() => removePricingRule(index)}>
+                      <Delete />
+                    </IconButton>
+                  </Grid>
+                </Grid>
+              ))}
+              <Button startIcon={<Add />} onClick={addPricingRule}>
+                Add Rate
+              </Button>
+            </Grid>
             
             <Grid item xs={12}>
               <FormControl component="fieldset" error={!!errors.availability}>
@@ -710,6 +944,112 @@ const ChargerFormPage = () => {
                 {errors.availability && <FormHelperText>{errors.availability.message}</FormHelperText>}
               </FormControl>
             </Grid>
+
+            {availabilityMode === 'scheduled' && (
+              <Grid item xs={12}>
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                  Add one or more windows per day. An end time earlier than the start time runs overnight into the next day.
+                </Typography>
+                {scheduleWindows.map((scheduleWindow, index) => (
+                  <Grid container spacing={2} alignItems="center" key={index} sx={{ mb: 1 }}>
+                    <Grid item xs={12} sm={4}>
+                      <TextField
+                        select
+                        label="Day"
+                        fullWidth
+                        size="small"
+                        value={scheduleWindow.dayOfWeek}
+                        onChange={(e) => updateScheduleWindow(index, 'dayOfWeek', Number(e.target.value))}
+                      >
+                        {DAYS_OF_WEEK.map((day, dayIndex) => (
+                          <MenuItem key={day} value={dayIndex}>{day}</MenuItem>
+                        ))}
+                      </TextField>
+                    </Grid>
+                    <Grid item xs={5} sm={3}>
+                      <TextField
+                        label="From"
+                        type="time"
+                        fullWidth
+                        size="small"
+                        InputLabelProps={{ shrink: true }}
+                        value={scheduleWindow.startTime}
+                        onChange={(e) => updateScheduleWindow(index, 'startTime', e.target.value)}
+                      />
+                    </Grid>
+                    <Grid item xs={5} sm={3}>
+                      <TextField
+                        label="To"
+                        type="time"
+                        fullWidth
+                        size="small"
+                        InputLabelProps={{ shrink: true }}
+                        value={scheduleWindow.endTime}
+                        onChange={(e) => updateScheduleWindow(index, 'endTime', e.target.value)}
+                        helperText={scheduleWindow.endTime && scheduleWindow.endTime <= scheduleWindow.startTime ? 'Ends next day' : ''}
+                      />
+                    </Grid>
+                    <Grid item xs={2} sm={2}>
+                      <IconButton
+                        aria-label="Remove window"
+                        onClick={() => removeScheduleWindow(index)}
+                        disabled={scheduleWindows.length === 1}
+                      >
+                        <Delete />
+                      </IconButton>
+                    </Grid>
+                  </Grid>
+                ))}
+                <Button startIcon={<Add />} onClick={addScheduleWindow}>
+                  Add Window
+                </Button>
+              </Grid>
+            )}
+
+            <Grid item xs={12} sm={6}>
+              <Controller
+                name="timezone"
+                control={control}
+                defaultValue={browserTimeZone}
+                render={({ field }) => (
+                  <TextField
+                    {...field}
+                    select
+                    label="Time Zone"
+                    variant="outlined"
+                    fullWidth
+                    helperText="Availability hours are in this time zone"
+                  >
+                    {(timeZoneOptions.includes(field.value) ? timeZoneOptions : [field.value, ...timeZoneOptions]).map(zone => (
+                      <MenuItem key={zone} value={zone}>{zone}</MenuItem>
+                    ))}
+                  </TextField>
+                )}
+              />
+            </Grid>
+
+            <Grid item xs={6} sm={3}>
+              <TextField
+                label="Country"
+                variant="outlined"
+                fullWidth
+                placeholder="e.g., US"
+                helperText="Two-letter code; decides the tax on bookings"
+                inputProps={{ maxLength: 2 }}
+                {...register('country')}
+              />
+            </Grid>
+
+            <Grid item xs={6} sm={3}>
+              <TextField
+                label="State / Region"
+                variant="outlined"
+                fullWidth
+                placeholder="e.g., CA"
+                inputProps={{ maxLength: 3 }}
+                {...register('region')}
+              />
+            </Grid>
             
             {/* Additional Information */}
             <Grid item xs={12}>
@@ -738,6 +1078,29 @@ const ChargerFormPage = () => {
                 {...register('amenities')}
               />
             </Grid>
+
+            <Grid item xs={12} sm={6}>
+              <Controller
+                name="bookingMode"
+                control={control}
+                defaultValue="instant"
+                render={({ field }) => (
+                  <TextField
+                    {...field}
+                    select
+                    label="Booking Mode"
+                    variant="outlined"
+                    fullWidth
+                    helperText={field.value === 'approval'
+                      ? 'You accept or decline each booking request'
+                      : 'Bookings are confirmed as soon as they are paid'}
+                  >
+                    <MenuItem value="instant">Instant book</MenuItem>
+                    <MenuItem value="approval">Owner approval</MenuItem>
+                  </TextField>
+                )}
+              />
+            </Grid>
             
             {/* Images */}
             <Grid item xs={12}>
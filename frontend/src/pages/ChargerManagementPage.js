@@ -33,6 +33,7 @@ import {
   CalendarToday,
   AttachMoney
 } from '@mui/icons-material';
+import { formatMoney } from '../utils/currency';
 
 const ChargerManagementPage = () => {
   const { user } = useAuth();
@@ -192,7 +193,7 @@ const ChargerManagementPage = () => {
                       <Box display="flex" alignItems="center" mt={1}>
                         <AttachMoney fontSize="small" color="primary" />
                         <Typography variant="body1" fontWeight="bold">
-                          ${charger.pricing?.hourlyRate?.toFixed(2) || '0.00'}/hour
+                          {formatMoney(charger.pricing?.hourlyRate, charger.pricing?.currency)}/hour
                         </Typography>
                       </Box>
                     </Grid>
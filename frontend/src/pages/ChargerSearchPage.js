@@ -43,6 +43,7 @@ import {
   Close,
   Sort
 } from '@mui/icons-material';
+import { formatMoney } from '../utils/currency';
 
 const ChargerSearchPage = () => {
   const theme = useTheme();
@@ -501,7 +502,7 @@ const ChargerSearchPage = () => {
                           <Box display="flex" alignItems="center" mt={1}>
                             <AttachMoney fontSize="small" color="primary" />
                             <Typography variant="body1" fontWeight="bold">
-                              ${charger.pricing?.hourlyRate?.toFixed(2) || '0.00'}/hour
+                              {formatMoney(charger.pricing?.hourlyRate, charger.pricing?.currency)}/hour
                             </Typography>
                           </Box>
                         </Grid>
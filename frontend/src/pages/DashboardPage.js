@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { bookingAPI, messageAPI, ratingAPI, userAPI } from '../services/api';
+import { bookingAPI, messageAPI, paymentAPI, payoutAPI, ratingAPI, userAPI } from '../services/api';
 import {
   Box,
   Typography,
@@ -18,7 +18,8 @@ import {
   ListItemAvatar,
   Chip,
   CircularProgress,
-  Alert
+  Alert,
+  TextField
 } from '@mui/material';
 import {
   Person,
@@ -29,8 +30,12 @@ import {
   Star,
   Settings,
   Add,
-  Assessment
+  Assessment,
+  AccountBalance,
+  Download
 } from '@mui/icons-material';
+import { formatMoney } from '../utils/currency';
+import { saveBlob } from '../utils/download';
 
 // Profile component for user profile management
 const ProfileSection = () => {
@@ -357,6 +362,169 @@ const BookingsSection = () => {
   );
 };
 
+// Payouts section for charger owners
+const PayoutsSection = () => {
+  const [account, setAccount] = useState(null);
+  const [payouts, setPayouts] = useState([]);
+  const [balance, setBalance] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [connecting, setConnecting] = useState(false);
+  const [error, setError] = useState('');
+  // Last month by default, e.g. "2024-05"
+  const [statementMonth, setStatementMonth] = useState(() => {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)).toISOString().slice(0, 7);
+  });
+
+  useEffect(() => {
+    const fetchPayouts = async () => {
+      try {
+        const [accountResponse, payoutsResponse] = await Promise.all([
+          payoutAPI.getAccount(),
+          payoutAPI.getPayouts({ limit: 5 })
+        ]);
+        setAccount(accountResponse.data.data);
+        setPayouts(payoutsResponse.data.data.payouts);
+        setBalance(payoutsResponse.data.data.balance);
+      } catch (err) {
+        setError('Failed to load payouts');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchPayouts();
+  }, []);
+
+  // Stripe hosts onboarding and sends the owner back to the dashboard afterwards
+  const handleConnect = async () => {
+    setConnecting(true);
+    setError('');
+    try {
+      const response = await payoutAPI.startOnboarding();
+      window.location.assign(response.data.data.url);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || err.response?.data?.message || 'Failed to start payout setup');
+      setConnecting(false);
+    }
+  };
+
+  const handleDownloadStatement = async () => {
+    setError('');
+    try {
+      const response = await paymentAPI.getEarningsStatement(statementMonth);
+      saveBlob(response.data, `statement-${statementMonth}.pdf`);
+    } catch (err) {
+      setError('Failed to download the statement');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" p={3}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Paper elevation={2} sx={{ p: 3 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h5" component="h2">
+          <AccountBalance sx={{ mr: 1, verticalAlign: 'middle' }} />
+          Payouts
+        </Typography>
+        {!account?.payoutsEnabled && (
+          <Button
+            variant="contained"
+            color="primary"
+            size="small"
+            onClick={handleConnect}
+            disabled={connecting}
+          >
+            {account ? 'Finish Payout Setup' : 'Set Up Payouts'}
+          </Button>
+        )}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {!account?.payoutsEnabled && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Connect a payout account to receive your earnings. Earnings are kept until your account is ready.
+        </Alert>
+      )}
+
+      {balance && (
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          <Grid item xs={12} sm={6}>
+            <Typography variant="subtitle2" color="text.secondary">Unpaid Earnings</Typography>
+            <Typography variant="h6">
+              {balance.unpaid.length > 0
+                ? balance.unpaid.map(({ currency, amount }) => formatMoney(amount, currency)).join(' + ')
+                : formatMoney(0)}
+            </Typography>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <Typography variant="subtitle2" color="text.secondary">Next Payout</Typography>
+            <Typography variant="h6">{new Date(balance.nextPayoutDate).toLocaleDateString()}</Typography>
+          </Grid>
+        </Grid>
+      )}
+
+      <Box display="flex" alignItems="center" gap={2} mb={2}>
+        <TextField
+          label="Earnings statement"
+          type="month"
+          size="small"
+          value={statementMonth}
+          onChange={(e) => setStatementMonth(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <Button
+          variant="outlined"
+          size="small"
+          startIcon={<Download />}
+          onClick={handleDownloadStatement}
+          disabled={!statementMonth}
+        >
+          Download PDF
+        </Button>
+      </Box>
+
+      <Divider sx={{ mb: 1 }} />
+
+      {payouts.length === 0 ? (
+        <Typography variant="body1" color="text.secondary" textAlign="center" py={2}>
+          No payouts yet. Payouts are sent weekly.
+        </Typography>
+      ) : (
+        <List>
+          {payouts.map((payout) => (
+            <ListItem key={payout._id} divider>
+              <ListItemText
+                primary={formatMoney(payout.amount, payout.currency)}
+                secondary={
+                  payout.status === 'failed'
+                    ? payout.failureReason
+                    : `Week ending ${new Date(payout.period.end).toLocaleDateString()}`
+                }
+              />
+              <Chip
+                size="small"
+                label={payout.status}
+                color={
+                  payout.status === 'paid' ? 'success' :
+                  payout.status === 'failed' ? 'error' : 'warning'
+                }
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Paper>
+  );
+};
+
 // Main Dashboard component
 const DashboardPage = () => {
   const { user } = useAuth();
@@ -412,6 +580,7 @@ const DashboardPage = () => {
         </Paper>
       )
     });
+    tabs.push({ icon: <AccountBalance />, label: 'Payouts', component: <PayoutsSection /> });
   }
 
   tabs.push(
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { messageAPI } from '../services/api';
+import { getSocket, socketEvents } from '../services/socket';
 import {
   Box,
   Typography,
@@ -32,13 +33,19 @@ import {
   Block,
   ArrowBack,
   Message,
-  Circle
+  Circle,
+  DoneAll
 } from '@mui/icons-material';
 import LoadingSpinner from '../components/LoadingSpinner';
 
+const getBookingId = (conversation) =>
+  conversation?.bookingId || conversation?._id || conversation?.id;
+
 const MessagesPage = () => {
   const { user } = useAuth();
   const messagesEndRef = useRef(null);
+  const selectedBookingIdRef = useRef(null);
+  const typingTimeoutRef = useRef(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   
@@ -52,6 +59,10 @@ const MessagesPage = () => {
   const [newMessage, setNewMessage] = useState('');
   const [sendingMessage, setSendingMessage] = useState(false);
   
+  // Real-time connection state
+  const [socketConnected, setSocketConnected] = useState(false);
+  const [otherPartyTyping, setOtherPartyTyping] = useState(false);
+  
   // Search
   const [searchQuery, setSearchQuery] = useState('');
   const [filteredConversations, setFilteredConversations] = useState([]);
@@ -63,20 +74,115 @@ const MessagesPage = () => {
   useEffect(() => {
     fetchConversations();
     fetchUnreadCount();
-    
-    // Set up polling for new messages
-    const interval = setInterval(() => {
-      if (selectedConversation) {
-        const bookingId = selectedConversation.bookingId || selectedConversation._id || selectedConversation.id;
-        if (bookingId) {
-          fetchMessages(bookingId);
+  }, []);
+
+  useEffect(() => {
+    selectedBookingIdRef.current = getBookingId(selectedConversation);
+  }, [selectedConversation]);
+
+  // Real-time updates over Socket.io
+  useEffect(() => {
+    const socket = getSocket();
+    if (!socket) return undefined;
+
+    const handleConnect = () => {
+      setSocketConnected(true);
+      // Rejoin the open conversation after a reconnect
+      if (selectedBookingIdRef.current) {
+        socketEvents.joinBooking(selectedBookingIdRef.current);
+      }
+    };
+
+    const handleDisconnect = () => {
+      setSocketConnected(false);
+      setOtherPartyTyping(false);
+    };
+
+    const handleNewMessage = ({ bookingId, message }) => {
+      const isOpen = bookingId === selectedBookingIdRef.current;
+      const isOwn = message.sender?._id === user._id;
+
+      if (isOpen) {
+        setMessages(prev =>
+          prev.some(msg => msg._id === message._id) ? prev : [...prev, message]
+        );
+        setOtherPartyTyping(false);
+        if (!isOwn) {
+          socketEvents.markRead(bookingId, [message._id]);
         }
       }
+
+      setConversations(prev =>
+        prev.map(conv =>
+          getBookingId(conv) === bookingId
+            ? {
+                ...conv,
+                latestMessage: message,
+                unreadCount: isOpen || isOwn ? conv.unreadCount : (conv.unreadCount || 0) + 1
+              }
+            : conv
+        )
+      );
+
+      if (!isOpen && !isOwn) {
+        setUnreadCount(prev => prev + 1);
+      }
+    };
+
+    const handleTyping = ({ bookingId, userId, isTyping }) => {
+      if (bookingId === selectedBookingIdRef.current && userId !== user._id) {
+        setOtherPartyTyping(isTyping);
+      }
+    };
+
+    const handleRead = ({ bookingId, messageIds, readAt }) => {
+      if (bookingId !== selectedBookingIdRef.current) return;
+      setMessages(prev =>
+        prev.map(msg => (messageIds.includes(msg._id) ? { ...msg, readAt } : msg))
+      );
+    };
+
+    socket.on('connect', handleConnect);
+    socket.on('disconnect', handleDisconnect);
+    socket.on('message:new', handleNewMessage);
+    socket.on('typing', handleTyping);
+    socket.on('message:read', handleRead);
+    setSocketConnected(socket.connected);
+
+    return () => {
+      socket.off('connect', handleConnect);
+      socket.off('disconnect', handleDisconnect);
+      socket.off('message:new', handleNewMessage);
+      socket.off('typing', handleTyping);
+      socket.off('message:read', handleRead);
+    };
+  }, [user._id]);
+
+  // Join the selected conversation's room
+  useEffect(() => {
+    const bookingId = getBookingId(selectedConversation);
+    if (!bookingId || !socketConnected) return undefined;
+
+    socketEvents.joinBooking(bookingId);
+    setOtherPartyTyping(false);
+
+    return () => socketEvents.leaveBooking(bookingId);
+  }, [selectedConversation, socketConnected]);
+
+  // Fall back to polling the REST API while the socket is down
+  useEffect(() => {
+    if (socketConnected) return undefined;
+
+    const interval = setInterval(() => {
+      const bookingId = getBookingId(selectedConversation);
+      if (bookingId) {
+        fetchMessages(bookingId);
+      }
       fetchUnreadCount();
     }, 5000);
     
     return () => clearInterval(interval);
-  }, [selectedConversation]);
+  }, [selectedConversation, socketConnected]);
 
   useEffect(() => {
     // Filter conversations based on search query
@@ -147,36 +253,68 @@ const MessagesPage = () => {
   };
 
   const handleConversationSelect = (conversation) => {
-    const bookingId = conversation.bookingId || conversation._id || conversation.id;
+    const bookingId = getBookingId(conversation);
     setSelectedConversation(conversation);
+    setConversations(prev =>
+      prev.map(conv => (getBookingId(conv) === bookingId ? { ...conv, unreadCount: 0 } : conv))
+    );
     fetchMessages(bookingId);
   };
 
+  const handleMessageChange = (event) => {
+    setNewMessage(event.target.value);
+
+    const bookingId = getBookingId(selectedConversation);
+    if (!socketConnected || !bookingId) return;
+
+    // Send typing:start once, then typing:stop after 2s of inactivity
+    if (!typingTimeoutRef.current) {
+      socketEvents.startTyping(bookingId);
+    } else {
+      clearTimeout(typingTimeoutRef.current);
+    }
+    typingTimeoutRef.current = setTimeout(() => {
+      socketEvents.stopTyping(bookingId);
+      typingTimeoutRef.current = null;
+    }, 2000);
+  };
+
+  const stopTyping = () => {
+    if (typingTimeoutRef.current) {
+      clearTimeout(typingTimeoutRef.current);
+      typingTimeoutRef.current = null;
+      socketEvents.stopTyping(getBookingId(selectedConversation));
+    }
+  };
+
   const handleSendMessage = async () => {
     if (!newMessage.trim() || !selectedConversation) return;
     
     setSendingMessage(true);
+    stopTyping();
     
     try {
-      const bookingId = selectedConversation.bookingId || selectedConversation._id || selectedConversation.id;
+      // Messages are always sent over REST; the socket only delivers them
+      const bookingId = getBookingId(selectedConversation);
       const response = await messageAPI.sendMessage({
         bookingId: bookingId,
         content: newMessage.trim()
       });
       
       if (response.data.success) {
-        setMessages(prev => [...prev, response.data.data]);
+        const sent = response.data.data;
+        setMessages(prev =>
+          prev.some(msg => msg._id === sent._id) ? prev : [...prev, sent]
+        );
         setNewMessage('');
         
         // Update conversation's latest message
-        const selectedBookingId = selectedConversation.bookingId || selectedConversation._id || selectedConversation.id;
         setConversations(prev =>
-          prev.map(conv => {
-            const convBookingId = conv.bookingId || conv._id || conv.id;
-            return convBookingId === selectedBookingId
-              ? { ...conv, latestMessage: response.data.data }
-              : conv;
-          })
+          prev.map(conv =>
+            getBookingId(conv) === bookingId
+              ? { ...conv, latestMessage: sent }
+              : conv
+          )
         );
       }
     } catch (err) {
@@ -339,8 +477,8 @@ const MessagesPage = () => {
               <List sx={{ p: 0 }}>
                 {filteredConversations.map((conversation) => {
                   const otherUser = getOtherUser(conversation);
-                  const selectedBookingId = selectedConversation?.bookingId || selectedConversation?._id || selectedConversation?.id;
-                  const conversationBookingId = conversation.bookingId || conversation._id || conversation.id;
+                  const selectedBookingId = getBookingId(selectedConversation);
+                  const conversationBookingId = getBookingId(conversation);
                   const isSelected = selectedBookingId === conversationBookingId;
                   const hasUnread = conversation.unreadCount > 0;
                   
@@ -448,6 +586,11 @@ const MessagesPage = () => {
                           Booking: {selectedConversation.booking.charger?.title}
                         </Typography>
                       )}
+                      {otherPartyTyping && (
+                        <Typography variant="caption" color="primary">
+                          typing...
+                        </Typography>
+                      )}
                     </Box>
                   </Box>
                   
@@ -534,6 +677,13 @@ const MessagesPage = () => {
                                     {formatMessageTime(message.createdAt)}
                                   </Typography>
                                   
+                                  {isOwn && message.readAt && (
+                                    <DoneAll
+                                      titleAccess="Read"
+                                      sx={{ fontSize: 14, ml: 0.5, opacity: 0.7 }}
+                                    />
+                                  )}
+                                  
                                   {!isOwn && (
                                     <IconButton
                                       size="small"
@@ -564,7 +714,7 @@ const MessagesPage = () => {
                     maxRows={4}
                     placeholder="Type a message..."
                     value={newMessage}
-                    onChange={(e) => setNewMessage(e.target.value)}
+                    onChange={handleMessageChange}
                     onKeyPress={handleKeyPress}
                     disabled={sendingMessage}
                   />
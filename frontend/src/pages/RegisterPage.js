@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../contexts/AuthContext';
 import {
@@ -27,11 +27,15 @@ import { Visibility, VisibilityOff } from '@mui/icons-material';
 const RegisterPage = () => {
   const { register: registerUser, user, loading } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const [showPassword, setShowPassword] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [registerError, setRegisterError] = useState('');
   
-  const { register, handleSubmit, watch, formState: { errors } } = useForm();
+  // Invitation links carry the inviter's referral code
+  const { register, handleSubmit, watch, formState: { errors } } = useForm({
+    defaultValues: { referralCode: searchParams.get('ref') || '' }
+  });
   const password = watch('password');
 
   // Redirect if already authenticated
@@ -169,6 +173,16 @@ const RegisterPage = () => {
                 helperText={errors.phone?.message}
               />
             </Grid>
+
+            <Grid item xs={12}>
+              <TextField
+                label="Referral Code (optional)"
+                variant="outlined"
+                fullWidth
+                {...register('referralCode')}
+                helperText="If a friend invited you, enter their code"
+              />
+            </Grid>
             
             <Grid item xs={12}>
               <TextField
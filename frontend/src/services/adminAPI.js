@@ -26,6 +26,12 @@ const adminAPI = {
   getRefundRequests: (params = {}) => api.get('/api/admin/payments/refund-requests', { params }),
   getPaymentDetails: (id) => api.get(`/api/admin/payments/${id}`),
   processRefund: (id, data) => api.post(`/api/admin/payments/${id}/refund`, data),
+  getLedgerReconciliation: (params = {}) => api.get('/api/admin/payments/reconciliation', { params }),
+
+  // Promo Codes
+  getPromoCodes: (params = {}) => api.get('/api/promo-codes', { params }),
+  createPromoCode: (data) => api.post('/api/promo-codes', data),
+  updatePromoCode: (id, data) => api.put(`/api/promo-codes/${id}`, data),
 
   // Content Moderation
   getModerationDashboard: () => api.get('/api/admin/moderation/dashboard'),
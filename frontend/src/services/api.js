@@ -127,12 +127,15 @@ export const userAPI = {
   }),
   deleteAccount: () => api.delete('/api/users/profile'),
   changePassword: (data) => api.put('/api/users/profile/password', data),
+  getReferral: () => api.get('/api/users/referral'),
 };
 
 // Charger API endpoints
 export const chargerAPI = {
   search: (params) => api.get('/api/chargers', { params }),
   getById: (id) => api.get(`/api/chargers/${id}`),
+  getAvailability: (id, params) => api.get(`/api/chargers/${id}/availability`, { params }),
+  getQuote: (id, params) => api.get(`/api/chargers/${id}/quote`, { params }),
   create: (data) => api.post('/api/chargers', data, {
     headers: data instanceof FormData ? { 'Content-Type': 'multipart/form-data' } : {}
   }),
@@ -152,25 +155,56 @@ export const chargerAPI = {
 // Booking API endpoints
 export const bookingAPI = {
   getUserBookings: () => api.get('/api/bookings/user'),
-  getOwnerBookings: () => api.get('/api/bookings/owner'),
+  getOwnerBookings: (params) => api.get('/api/bookings/owner', { params }),
   getById: (id) => api.get(`/api/bookings/${id}`),
   create: (data) => api.post('/api/bookings', data),
   updateStatus: (id, data) => api.put(`/api/bookings/${id}/status`, data),
-  cancel: (id) => api.put(`/api/bookings/${id}/cancel`),
+  accept: (id) => api.put(`/api/bookings/${id}/accept`),
+  decline: (id, data) => api.put(`/api/bookings/${id}/decline`, data),
+  getChangePreview: (id, params) => api.get(`/api/bookings/${id}/schedule/preview`, { params }),
+  changeSchedule: (id, data) => api.put(`/api/bookings/${id}/schedule`, data),
+  acceptChange: (id) => api.put(`/api/bookings/${id}/schedule/accept`),
+  declineChange: (id, data) => api.put(`/api/bookings/${id}/schedule/decline`, data),
+  getCancellationPreview: (id) => api.get(`/api/bookings/${id}/cancellation`),
+  cancel: (id, params) => api.delete(`/api/bookings/${id}`, { params }),
   addNotes: (id, notes) => api.put(`/api/bookings/${id}/notes`, { notes }),
-  getAccessCode: (id) => api.get(`/api/bookings/${id}/access-code`),
+  getAccessCode: (id) => api.get(`/api/bookings/${id}/access`),
+  checkIn: (id, data) => api.post(`/api/bookings/${id}/check-in`, data),
+  checkOut: (id) => api.post(`/api/bookings/${id}/check-out`),
 };
 
 // Payment API endpoints
 export const paymentAPI = {
   processPayment: (bookingId, paymentData) => api.post('/api/payments/process', { bookingId, ...paymentData }),
+  confirmPayment: (id) => api.post(`/api/payments/${id}/confirm`),
   getPaymentHistory: () => api.get('/api/payments/history'),
   getPaymentById: (id) => api.get(`/api/payments/${id}`),
+  getReceipt: (id) => api.get(`/api/payments/${id}/receipt`, { responseType: 'blob' }),
   requestRefund: (paymentId, reason) => api.post('/api/payments/refund', { paymentId, reason }),
   getEarnings: () => api.get('/api/payments/earnings'),
+  getEarningsStatement: (month) => api.get('/api/payments/earnings/statement', { params: { month }, responseType: 'blob' }),
   getChargerEarnings: (chargerId) => api.get(`/api/payments/chargers/${chargerId}/earnings`),
 };
 
+// Wallet API endpoints
+export const walletAPI = {
+  getWallet: () => api.get('/api/wallet'),
+  getTransactions: (params) => api.get('/api/wallet/transactions', { params }),
+  topUp: (data) => api.post('/api/wallet/top-ups', data),
+  confirmTopUp: (id) => api.post(`/api/wallet/top-ups/${id}/confirm`),
+  getSavedCards: () => api.get('/api/wallet/cards'),
+  saveCard: (paymentMethodId) => api.post('/api/wallet/cards', { paymentMethodId }),
+  removeCard: (id) => api.delete(`/api/wallet/cards/${id}`),
+};
+
+// Payout API endpoints (charger owners)
+export const payoutAPI = {
+  getPayouts: (params) => api.get('/api/payouts', { params }),
+  getPayoutById: (id) => api.get(`/api/payouts/${id}`),
+  getAccount: () => api.get('/api/payouts/account'),
+  startOnboarding: () => api.post('/api/payouts/onboarding'),
+};
+
 // Message API endpoints
 export const messageAPI = {
   getBookingMessages: (bookingId) => api.get(`/api/messages/booking/${bookingId}`),
@@ -207,6 +241,7 @@ export const adminAPI = {
   updateBookingStatus: (id, data) => api.put(`/api/admin/bookings/${id}/status`, data),
   getPayments: (params) => api.get('/api/admin/payments', { params }),
   getRefundRequests: () => api.get('/api/admin/payments/refund-requests'),
+  getLedgerReconciliation: (params) => api.get('/api/admin/payments/reconciliation', { params }),
   getReportedRatings: () => api.get('/api/admin/moderation/ratings'),
   moderateRating: (id, data) => api.put(`/api/admin/moderation/ratings/${id}`, data),
   getReportedMessages: () => api.get('/api/admin/moderation/messages'),
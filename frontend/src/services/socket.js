@@ -0,0 +1,61 @@
+import { io } from 'socket.io-client';
+
+// Socket.io connects to the same origin as the REST API (proxied by nginx)
+const getSocketURL = () => {
+  if (typeof window !== 'undefined' && window.location?.origin) {
+    return window.location.origin;
+  }
+  return '';
+};
+
+let socket = null;
+
+/**
+ * Get the shared socket, connecting with the stored token if needed.
+ * Returns null when the user is not logged in.
+ */
+export const getSocket = () => {
+  const token = localStorage.getItem('token');
+  if (!token) {
+    return null;
+  }
+
+  if (!socket) {
+    socket = io(getSocketURL(), {
+      auth: { token },
+      transports: ['websocket', 'polling'],
+      reconnectionAttempts: 5,
+    });
+  }
+
+  return socket;
+};
+
+/**
+ * Close the shared socket (e.g. on logout)
+ */
+export const disconnectSocket = () => {
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+  }
+};
+
+// Conversation helpers
+export const socketEvents = {
+  joinBooking: (bookingId) =>
+    new Promise((resolve) => {
+      const s = getSocket();
+      if (!s?.connected) {
+        resolve({ success: false });
+        return;
+      }
+      s.emit('booking:join', { bookingId }, resolve);
+    }),
+  leaveBooking: (bookingId) => getSocket()?.emit('booking:leave', { bookingId }),
+  startTyping: (bookingId) => getSocket()?.emit('typing:start', { bookingId }),
+  stopTyping: (bookingId) => getSocket()?.emit('typing:stop', { bookingId }),
+  markRead: (bookingId, messageIds) => getSocket()?.emit('message:read', { bookingId, messageIds }),
+};
+
+export default getSocket;
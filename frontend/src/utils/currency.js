@@ -0,0 +1,10 @@
+/**
+ * Format an amount in a currency, e.g. formatMoney(12.5, 'EUR') -> "€12.50"
+ * @param {number} amount - Amount to format
+ * @param {string} currency - ISO currency code in either case (default USD)
+ * @returns {string} - Formatted amount
+ */
+export const formatMoney = (amount, currency = 'USD') => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: (currency || 'USD').toUpperCase()
+}).format(amount || 0);
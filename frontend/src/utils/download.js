@@ -0,0 +1,15 @@
+/**
+ * Save a downloaded file, e.g. a PDF fetched with responseType 'blob'
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Name to save it as
+ */
+export const saveBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,6 @@
+import { loadStripe } from '@stripe/stripe-js';
+
+// Loaded once for the app; card payments are unavailable without a publishable key
+export const stripePromise = process.env.REACT_APP_STRIPE_PUBLISHABLE_KEY
+  ? loadStripe(process.env.REACT_APP_STRIPE_PUBLISHABLE_KEY)
+  : null;
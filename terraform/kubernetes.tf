@@ -48,6 +48,9 @@ resource "kubernetes_secret" "app_secrets" {
     JWT_SECRET                = var.jwt_secret != "" ? var.jwt_secret : "your-super-secret-jwt-key-change-in-production"
     JWT_REFRESH_SECRET        = var.jwt_refresh_secret != "" ? var.jwt_refresh_secret : "your-super-secret-refresh-key-change-in-production"
     STRIPE_SECRET_KEY         = var.stripe_secret_key
+    STRIPE_WEBHOOK_SECRET     = var.stripe_webhook_secret
+    PAYPAL_CLIENT_ID          = var.paypal_client_id
+    PAYPAL_CLIENT_SECRET      = var.paypal_client_secret
     AWS_ACCESS_KEY_ID         = var.aws_access_key_id
     AWS_SECRET_ACCESS_KEY     = var.aws_secret_access_key
     EMAIL_PASSWORD            = var.email_password
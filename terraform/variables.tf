@@ -129,6 +129,27 @@ variable "stripe_secret_key" {
   default     = ""
 }
 
+variable "stripe_webhook_secret" {
+  description = "Stripe webhook signing secret (whsec_...)"
+  type        = string
+  sensitive   = true
+  default     = ""
+}
+
+variable "paypal_client_id" {
+  description = "PayPal REST app client ID"
+  type        = string
+  sensitive   = true
+  default     = ""
+}
+
+variable "paypal_client_secret" {
+  description = "PayPal REST app secret"
+  type        = string
+  sensitive   = true
+  default     = ""
+}
+
 variable "stripe_publishable_key" {
   description = "Stripe publishable key"
   type        = string